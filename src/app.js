@@ -6,6 +6,7 @@ import passport from '~/config/passport';
 import routes from '~/routes/v1';
 import error from '~/middlewares/error';
 import rateLimiter from '~/middlewares/rateLimiter';
+import requestContext from '~/middlewares/requestContext';
 import config from '~/config/config';
 import morgan from '~/config/morgan';
 import realtimeService from '~/services/realtimeService';
@@ -22,6 +23,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use(compression());
 app.use(cors());
 app.use(rateLimiter);
+app.use(requestContext);
 app.use(passport.initialize());
 app.use(express.static('public'));
 app.use('/api/v1', routes);
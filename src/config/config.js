@@ -19,6 +19,13 @@ const envValidate = Joi.object()
 		REFRESH_TOKEN_EXPIRATION_DAYS: Joi.number().allow('').empty('').default(1),
 		VERIFY_EMAIL_TOKEN_EXPIRATION_MINUTES: Joi.number().allow('').empty('').default(60),
 		RESET_PASSWORD_TOKEN_EXPIRATION_MINUTES: Joi.number().allow('').empty('').default(30),
+		INVITATION_EXPIRATION_DAYS: Joi.number().integer().min(1).allow('').empty('').default(7),
+		TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES: Joi.number().allow('').empty('').default(5),
+
+		LOGIN_MAX_FAILED_ATTEMPTS: Joi.number().integer().min(1).allow('').empty('').default(5),
+		LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: Joi.number().integer().min(1).allow('').empty('').default(20),
+		LOGIN_ATTEMPT_WINDOW_MINUTES: Joi.number().min(1).allow('').empty('').default(15),
+		LOGIN_LOCKOUT_MINUTES: Joi.number().min(1).allow('').empty('').default(15),
 
 		SMTP_HOST: Joi.string().allow('').empty(''),
 		SMTP_PORT: Joi.number().allow('').empty(''),
@@ -61,6 +68,20 @@ const envValidate = Joi.object()
 		JWT_REFRESH_TOKEN_SECRET: Joi.string().allow('').empty(''),
 		JWT_REFRESH_TOKEN_EXPIRATION_DAYS: Joi.number().allow('').empty('').default(7),
 
+		// Trash
+		TRASH_RETENTION_DAYS: Joi.number().integer().min(1).allow('').empty('').default(30),
+
+		// Job scheduler
+		SCHEDULER_ENABLED: Joi.boolean().allow('').empty('').default(true),
+		SCHEDULER_POLL_INTERVAL_MS: Joi.number().integer().min(1000).allow('').empty('').default(15000),
+		SCHEDULER_LOCK_TIMEOUT_MS: Joi.number().integer().min(1000).allow('').empty('').default(600000), // 10 minutes
+
+		// Outbound webhooks
+		WEBHOOK_MAX_ATTEMPTS: Joi.number().integer().min(1).max(20).allow('').empty('').default(8),
+		WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(1000).allow('').empty('').default(10000),
+		WEBHOOK_DELIVERY_RETENTION_DAYS: Joi.number().integer().min(1).allow('').empty('').default(30),
+		WEBHOOK_EVENT_RETENTION_DAYS: Joi.number().integer().min(1).allow('').empty('').default(30),
+
 		// Webhook Secrets
 		TWILIO_WEBHOOK_SECRET: Joi.string().allow('').empty(''),
 		OPENAI_WEBHOOK_SECRET: Joi.string().allow('').empty(''),
@@ -69,7 +90,8 @@ const envValidate = Joi.object()
 		// Razorpay Configuration
 		RAZORPAY_KEY_ID: Joi.string().allow('').empty(''),
 		RAZORPAY_KEY_SECRET: Joi.string().allow('').empty(''),
-		RAZORPAY_WEBHOOK_SECRET: Joi.string().allow('').empty('')
+		RAZORPAY_WEBHOOK_SECRET: Joi.string().allow('').empty(''),
+		RAZORPAY_MODE: Joi.string().valid('live', 'fake').allow('').empty('').default('live')
 	})
 	.unknown();
 
@@ -100,6 +122,13 @@ export default {
 	REFRESH_TOKEN_EXPIRATION_DAYS: env.REFRESH_TOKEN_EXPIRATION_DAYS,
 	VERIFY_EMAIL_TOKEN_EXPIRATION_MINUTES: env.VERIFY_EMAIL_TOKEN_EXPIRATION_MINUTES,
 	RESET_PASSWORD_TOKEN_EXPIRATION_MINUTES: env.RESET_PASSWORD_TOKEN_EXPIRATION_MINUTES,
+	INVITATION_EXPIRATION_DAYS: env.INVITATION_EXPIRATION_DAYS,
+	TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES: env.TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES,
+
+	LOGIN_MAX_FAILED_ATTEMPTS: env.LOGIN_MAX_FAILED_ATTEMPTS,
+	LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP,
+	LOGIN_ATTEMPT_WINDOW_MINUTES: env.LOGIN_ATTEMPT_WINDOW_MINUTES,
+	LOGIN_LOCKOUT_MINUTES: env.LOGIN_LOCKOUT_MINUTES,
 
 	SMTP_HOST: env.SMTP_HOST,
 	SMTP_PORT: env.SMTP_PORT,
@@ -143,6 +172,20 @@ export default {
 	JWT_REFRESH_TOKEN_SECRET: env.JWT_REFRESH_TOKEN_SECRET,
 	JWT_REFRESH_TOKEN_EXPIRATION_DAYS: env.JWT_REFRESH_TOKEN_EXPIRATION_DAYS,
 
+	// Trash
+	TRASH_RETENTION_DAYS: env.TRASH_RETENTION_DAYS,
+
+	// Job scheduler
+	SCHEDULER_ENABLED: env.SCHEDULER_ENABLED,
+	SCHEDULER_POLL_INTERVAL_MS: env.SCHEDULER_POLL_INTERVAL_MS,
+	SCHEDULER_LOCK_TIMEOUT_MS: env.SCHEDULER_LOCK_TIMEOUT_MS,
+
+	// Outbound webhooks
+	WEBHOOK_MAX_ATTEMPTS: env.WEBHOOK_MAX_ATTEMPTS,
+	WEBHOOK_TIMEOUT_MS: env.WEBHOOK_TIMEOUT_MS,
+	WEBHOOK_DELIVERY_RETENTION_DAYS: env.WEBHOOK_DELIVERY_RETENTION_DAYS,
+	WEBHOOK_EVENT_RETENTION_DAYS: env.WEBHOOK_EVENT_RETENTION_DAYS,
+
 	// Webhook Secrets
 	TWILIO_WEBHOOK_SECRET: env.TWILIO_WEBHOOK_SECRET,
 	OPENAI_WEBHOOK_SECRET: env.OPENAI_WEBHOOK_SECRET,
@@ -152,10 +195,12 @@ export default {
 	RAZORPAY_KEY_ID: env.RAZORPAY_KEY_ID,
 	RAZORPAY_KEY_SECRET: env.RAZORPAY_KEY_SECRET,
 	RAZORPAY_WEBHOOK_SECRET: env.RAZORPAY_WEBHOOK_SECRET,
+	RAZORPAY_MODE: env.RAZORPAY_MODE,
 
 	TOKEN_TYPES: {
 		REFRESH: 'refresh',
 		VERIFY_EMAIL: 'verifyEmail',
-		RESET_PASSWORD: 'resetPassword'
+		RESET_PASSWORD: 'resetPassword',
+		TWO_FACTOR_CHALLENGE: 'twoFactorChallenge'
 	}
 };
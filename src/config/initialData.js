@@ -59,6 +59,10 @@ async function initialData() {
 					controller: 'project',
 					action: 'delete'
 				},
+				{
+					controller: 'project',
+					action: 'all'
+				},
 				// Client management permissions
 				{
 					controller: 'client',
@@ -76,6 +80,10 @@ async function initialData() {
 					controller: 'client',
 					action: 'delete'
 				},
+				{
+					controller: 'client',
+					action: 'all'
+				},
 				// Design permissions
 				{
 					controller: 'design',
@@ -144,6 +152,10 @@ async function initialData() {
 					controller: 'lead',
 					action: 'delete'
 				},
+				{
+					controller: 'lead',
+					action: 'all'
+				},
 				// Estimate management permissions
 				{
 					controller: 'estimate',
@@ -161,6 +173,10 @@ async function initialData() {
 					controller: 'estimate',
 					action: 'delete'
 				},
+				{
+					controller: 'estimate',
+					action: 'all'
+				},
 				// Moodboard management permissions
 				{
 					controller: 'moodboard',
@@ -177,6 +193,67 @@ async function initialData() {
 				{
 					controller: 'moodboard',
 					action: 'delete'
+				},
+				{
+					controller: 'moodboard',
+					action: 'all'
+				},
+				// Invoice management permissions
+				{
+					controller: 'invoice',
+					action: 'create'
+				},
+				{
+					controller: 'invoice',
+					action: 'read'
+				},
+				{
+					controller: 'invoice',
+					action: 'update'
+				},
+				{
+					controller: 'invoice',
+					action: 'delete'
+				},
+				// Appointment management permissions
+				{
+					controller: 'appointment',
+					action: 'create'
+				},
+				{
+					controller: 'appointment',
+					action: 'read'
+				},
+				{
+					controller: 'appointment',
+					action: 'update'
+				},
+				{
+					controller: 'appointment',
+					action: 'delete'
+				},
+				{
+					controller: 'appointment',
+					action: 'all'
+				},
+				// Workspace administration permissions
+				{
+					controller: 'workspace',
+					action: 'override'
+				},
+				// Compliance permissions
+				{
+					controller: 'audit',
+					action: 'read'
+				},
+				// Integration administration permissions
+				{
+					controller: 'webhook',
+					action: 'read'
+				},
+				{
+					controller: 'webhook',
+					action: 'replay'
 				}
 			);
 		}
@@ -191,6 +268,7 @@ async function initialData() {
 					{ controller: 'lead' },
 					{ controller: 'estimate' },
 					{ controller: 'moodboard' },
+					{ controller: 'appointment' },
 					{ controller: 'team' }
 				]
 			});
@@ -201,20 +279,27 @@ async function initialData() {
 					{ controller: 'design' },
 					{ controller: 'lead' },
 					{ controller: 'estimate' },
-					{ controller: 'moodboard' }
+					{ controller: 'moodboard' },
+					{ controller: 'appointment' }
 				],
-				action: { $ne: 'delete' }
+				action: { $nin: ['delete', 'all'] }
 			});
 			const basicPermissions = await Permission.find({ 
 				$or: [
-					{ controller: 'project', action: 'read' },
-					{ controller: 'client', action: 'read' },
+					{ controller: 'project', action: { $in: ['read', 'all'] } },
+					{ controller: 'client', action: { $in: ['read', 'all'] } },
 					{ controller: 'design', action: 'read' },
-					{ controller: 'lead', action: 'read' },
-					{ controller: 'estimate', action: 'read' },
-					{ controller: 'moodboard', action: 'read' }
+					{ controller: 'lead', action: { $in: ['read', 'all'] } },
+					{ controller: 'estimate', action: { $in: ['read', 'all'] } },
+					{ controller: 'moodboard', action: { $in: ['read', 'all'] } },
+					{ controller: 'appointment', action: { $in: ['read', 'all'] } }
 				]
 			});
+			// Sales only work with the leads and clients assigned to them, their own estimates and their appointments
+			const salesPermissions = await Permission.find({
+				controller: { $in: ['lead', 'client', 'estimate', 'appointment'] },
+				action: { $in: ['create', 'read', 'update'] }
+			});
 			const teamManagementPermissions = await Permission.find({ 
 				$or: [
 					{ controller: 'team' },
@@ -243,6 +328,11 @@ async function initialData() {
 					description: 'Can view and update projects, clients, and designs. Cannot delete records',
 					permissions: clientPermissions
 				},
+				{
+					name: 'Sales',
+					description: 'Can manage the leads and clients assigned to them and prepare estimates',
+					permissions: salesPermissions
+				},
 				{
 					name: 'Project Coordinator',
 					description: 'Can view projects and clients. Limited design access for coordination purposes',
@@ -282,9 +372,10 @@ async function initialData() {
 						{ controller: 'design' },
 						{ controller: 'lead' },
 						{ controller: 'estimate' },
-						{ controller: 'moodboard' }
+						{ controller: 'moodboard' },
+						{ controller: 'appointment' }
 					],
-					action: { $ne: 'delete' }
+					action: { $nin: ['delete', 'all'] }
 				});
 				await Role.create({
 					name: 'Designer',
@@ -296,6 +387,71 @@ async function initialData() {
 		} catch (e) {
 			logger.error(e);
 		}
+
+		// Record-wide access permissions added after the initial seed. Existing roles that could read a resource keep
+		// seeing all of its records, except Designer and Sales whose access follows the record-level rules.
+		try {
+			for (const controller of ['project', 'client', 'lead', 'estimate', 'moodboard']) {
+				if (await Permission.exists({ controller, action: 'all' })) {
+					continue;
+				}
+				const allPermission = await Permission.create({ controller, action: 'all' });
+				const readPermission = await Permission.findOne({ controller, action: 'read' });
+				if (readPermission) {
+					await Role.updateMany(
+						{ permissions: readPermission._id, name: { $nin: ['Designer', 'Sales'] } },
+						{ $addToSet: { permissions: allPermission._id } }
+					);
+				}
+				logger.info(`Seeded missing permission: ${controller}:all`);
+			}
+		} catch (e) {
+			logger.error(e);
+		}
+		// Administration permissions added after the initial seed go to Studio Owner, who holds every permission
+		try {
+			const studioOwnerRole = await Role.findOne({ name: 'Studio Owner' });
+			for (const [controller, action] of [
+				['workspace', 'override'],
+				['audit', 'read'],
+				['webhook', 'read'],
+				['webhook', 'replay']
+			]) {
+				if (await Permission.exists({ controller, action })) {
+					continue;
+				}
+				const permission = await Permission.create({ controller, action });
+				if (studioOwnerRole) {
+					await Role.updateOne({ _id: studioOwnerRole._id }, { $addToSet: { permissions: permission._id } });
+				}
+				logger.info(`Seeded missing permission: ${controller}:${action}`);
+			}
+		} catch (e) {
+			logger.error(e);
+		}
+		// Invoice and appointment permissions added after the initial seed. Roles get them for the actions they hold on
+		// financial records and on clients respectively, so Designer and Sales only see the appointments they attend.
+		try {
+			for (const [controller, source] of [
+				['invoice', 'financial'],
+				['appointment', 'client']
+			]) {
+				const actions = controller === 'appointment' ? ['create', 'read', 'update', 'delete', 'all'] : ['create', 'read', 'update', 'delete'];
+				for (const action of actions) {
+					if (await Permission.exists({ controller, action })) {
+						continue;
+					}
+					const permission = await Permission.create({ controller, action });
+					const sourcePermission = await Permission.findOne({ controller: source, action });
+					if (sourcePermission) {
+						await Role.updateMany({ permissions: sourcePermission._id }, { $addToSet: { permissions: permission._id } });
+					}
+					logger.info(`Seeded missing permission: ${controller}:${action}`);
+				}
+			}
+		} catch (e) {
+			logger.error(e);
+		}
 		const countUsers = await User.estimatedDocumentCount();
 		if (countUsers === 0) {
 			const roleStudioOwner = await Role.findOne({ name: 'Studio Owner' });
@@ -0,0 +1,146 @@
+import logger from './logger';
+import schedulerService from '~/services/schedulerService';
+import trashService from '~/services/trashService';
+import appointmentService from '~/services/appointmentService';
+import outboundWebhookService from '~/services/outboundWebhookService';
+import importService from '~/services/importService';
+import leadScoringService from '~/services/leadScoringService';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Project from '~/models/projectModel';
+import Estimate from '~/models/estimateModel';
+import Invoice from '~/models/invoiceModel';
+import Invitation from '~/models/invitationModel';
+import Notification from '~/models/notificationModel';
+import WebhookEvent from '~/models/webhookEventModel';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const logResult = (name, count) => {
+	if (count) {
+		logger.info(`${name}: updated ${count} record(s)`);
+	}
+};
+
+const sendFollowUpReminders = async (Model, entityType) => {
+	const records = await Model.getDueFollowUps();
+	if (!records.length) {
+		return;
+	}
+
+	await Notification.createBulkNotifications(
+		records.map((record) => ({
+			title: 'Follow-up Due',
+			message: `Follow-up with ${record.fullName} is due`,
+			type: 'warning',
+			recipient: record.assignedTo,
+			relatedEntity: {
+				type: entityType,
+				id: record._id
+			},
+			priority: 'high'
+		}))
+	);
+	await Model.markFollowUpReminded(records.map((record) => record._id));
+	logger.info(`Sent ${records.length} ${entityType} follow-up reminder(s)`);
+};
+
+// Maintenance jobs run by the scheduler on every app instance
+const registerJobs = () => {
+	schedulerService.define(
+		'expire-estimates',
+		async () => {
+			const { modifiedCount } = await Estimate.markExpiredEstimates();
+			logResult('expire-estimates', modifiedCount);
+		},
+		{ interval: HOUR }
+	);
+
+	schedulerService.define(
+		'mark-overdue-milestones',
+		async () => {
+			const { modifiedCount } = await Project.markOverdueMilestones();
+			logResult('mark-overdue-milestones', modifiedCount);
+		},
+		{ interval: HOUR }
+	);
+
+	schedulerService.define(
+		'mark-overdue-invoices',
+		async () => {
+			const { modifiedCount } = await Invoice.markOverdueInvoices();
+			logResult('mark-overdue-invoices', modifiedCount);
+		},
+		{ interval: HOUR }
+	);
+
+	schedulerService.define(
+		'expire-invitations',
+		async () => {
+			const { modifiedCount } = await Invitation.markExpiredInvitations();
+			logResult('expire-invitations', modifiedCount);
+		},
+		{ interval: HOUR }
+	);
+
+	schedulerService.define(
+		'follow-up-reminders',
+		async () => {
+			await sendFollowUpReminders(Lead, 'lead');
+			await sendFollowUpReminders(Client, 'client');
+		},
+		{ interval: 15 * MINUTE }
+	);
+
+	schedulerService.define(
+		'cleanup-notifications',
+		async () => {
+			const { deletedCount } = await Notification.cleanupExpired();
+			logResult('cleanup-notifications', deletedCount);
+		},
+		{ interval: DAY }
+	);
+
+	// Scores drop as the last contact with a lead gets older
+	schedulerService.define(
+		'score-leads',
+		async () => {
+			const count = await leadScoringService.rescoreLeads();
+			logResult('score-leads', count);
+		},
+		{ interval: DAY }
+	);
+
+	schedulerService.define('purge-trash', () => trashService.purgeExpired(), { interval: DAY });
+
+	schedulerService.define(
+		'purge-webhook-events',
+		async () => {
+			const { deletedCount } = await WebhookEvent.purgeExpired();
+			logResult('purge-webhook-events', deletedCount);
+		},
+		{ interval: HOUR }
+	);
+
+	schedulerService.define(
+		'fail-stuck-imports',
+		async () => {
+			const count = await importService.failStuck();
+			logResult('fail-stuck-imports', count);
+		},
+		{ interval: 15 * MINUTE }
+	);
+
+	// One-off jobs
+	schedulerService.define('appointment-reminder', (data) => appointmentService.sendReminder(data));
+	schedulerService.define('deliver-webhook', (data) => outboundWebhookService.deliver(data.deliveryId));
+	schedulerService.define('run-import', (data, job) => importService.run(data.importId, job));
+	schedulerService.define('score-workspace-leads', async (data) => {
+		const count = await leadScoringService.rescoreLeads(data.workspaceId);
+		logResult('score-workspace-leads', count);
+	});
+};
+
+export default registerJobs;
@@ -2,20 +2,50 @@ import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt';
 import passport from 'passport';
 import config from './config';
 import User from '~/models/userModel';
+import Token from '~/models/tokenModel';
+import ApiKey from '~/models/apiKeyModel';
+
+// Workspace API keys, sent in the X-API-Key header
+class ApiKeyStrategy extends passport.Strategy {
+	constructor(verify) {
+		super();
+		this.name = 'apiKey';
+		this.verify = verify;
+	}
+
+	authenticate(req) {
+		const key = req.get('X-API-Key');
+		if (!ApiKey.isApiKey(key)) {
+			return this.fail();
+		}
+		return this.verify(req, key, (err, user) => {
+			if (err) {
+				return this.error(err);
+			}
+			return user ? this.success(user) : this.fail();
+		});
+	}
+}
 
 passport.use(
 	new JwtStrategy(
 		{
 			jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
 			secretOrKey: config.JWT_ACCESS_TOKEN_SECRET_PUBLIC,
-			algorithms: 'RS256'
+			algorithms: 'RS256',
+			passReqToCallback: true
 		},
-		async (jwtPayload, done) => {
+		async (req, jwtPayload, done) => {
 			try {
+				// Access tokens of a revoked session stop working before they expire
+				if (jwtPayload.sid && !(await Token.touchSession(jwtPayload.sid, req.ip))) {
+					return done(null, false);
+				}
 				const user = await User.getUserById(jwtPayload.sub);
 				if (!user) {
 					return done(null, false);
 				}
+				user.sessionId = jwtPayload.sid;
 				return done(null, user);
 			} catch (err) {
 				return done(err, false);
@@ -24,4 +54,25 @@ passport.use(
 	)
 );
 
+passport.use(
+	new ApiKeyStrategy(async (req, key, done) => {
+		try {
+			const apiKey = await ApiKey.getActiveKey(key);
+			if (!apiKey) {
+				return done(null, false);
+			}
+			// Keys act for the user who created them
+			const user = await User.getUserById(apiKey.createdBy);
+			if (!user) {
+				return done(null, false);
+			}
+			await ApiKey.touchKey(apiKey._id, req.ip);
+			req.apiKey = apiKey;
+			return done(null, user);
+		} catch (err) {
+			return done(err, false);
+		}
+	})
+);
+
 export default passport;
@@ -0,0 +1,85 @@
+import _ from 'lodash';
+import Team from '~/models/teamModel';
+import User from '~/models/userModel';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Project from '~/models/projectModel';
+import Estimate from '~/models/estimateModel';
+import Moodboard from '~/models/moodboardModel';
+import logger from './logger';
+
+// Business documents created before workspaces existed have no workspace, so the scoped queries never find them and
+// they fail validation on their next save. Each is assigned the workspace (root team) of the first user found on it,
+// or else that of the record it belongs to. Parents come first so their workspace can be used.
+const models = [
+	{ model: Client, users: ['assignedTo', 'notes.createdBy'] },
+	{ model: Lead, users: ['assignedTo', 'notes.createdBy'] },
+	{ model: Project, users: ['team.user', 'notes.createdBy', 'milestones.createdBy'], parents: { client: Client } },
+	{ model: Estimate, users: ['createdBy'], parents: { client: Client, project: Project, lead: Lead } },
+	{ model: Moodboard, users: ['createdBy'], parents: { project: Project, client: Client } }
+];
+
+const userIdsOf = (doc, paths) =>
+	paths.flatMap((path) => {
+		const [field, nested] = path.split('.');
+		const value = doc[field];
+		return nested ? (value || []).map((item) => item[nested]) : [value];
+	}).filter(Boolean);
+
+async function workspaceBackfill() {
+	const userWorkspaces = new Map();
+	const getUserWorkspace = async (userId) => {
+		const key = userId.toString();
+		if (!userWorkspaces.has(key)) {
+			const user = await User.findById(userId).select('teams');
+			const membership = user && user.teams.find((item) => item.status === 'active');
+			userWorkspaces.set(key, membership ? await Team.getWorkspaceId(membership.team) : null);
+		}
+		return userWorkspaces.get(key);
+	};
+
+	for (const { model: Model, users, parents = {} } of models) {
+		try {
+			// The native collection also reaches documents in the trash and skips the immutable workspace path
+			const docs = await Model.collection.find({ workspace: null }).toArray();
+			if (!docs.length) {
+				continue;
+			}
+
+			const operations = [];
+			for (const doc of docs) {
+				let workspaceId = null;
+				for (const userId of userIdsOf(doc, users)) {
+					workspaceId = await getUserWorkspace(userId);
+					if (workspaceId) {
+						break;
+					}
+				}
+				for (const [path, Parent] of Object.entries(parents)) {
+					if (workspaceId || !doc[path]) {
+						continue;
+					}
+					const parent = await Parent.collection.findOne({ _id: doc[path] }, { projection: { workspace: 1 } });
+					workspaceId = parent && parent.workspace;
+				}
+				if (workspaceId) {
+					operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { workspace: workspaceId } } } });
+				}
+			}
+
+			const name = Model.collection.collectionName;
+			if (operations.length) {
+				await Model.collection.bulkWrite(operations, { ordered: false });
+				logger.info(`Assigned ${operations.length} ${name} to their workspace`);
+			}
+			if (operations.length < docs.length) {
+				const ids = _.difference(docs.map((doc) => doc._id.toString()), operations.map((op) => op.updateOne.filter._id.toString()));
+				logger.warn(`${ids.length} ${name} have no user or parent in a team and stay without a workspace: ${ids.join(', ')}`);
+			}
+		} catch (e) {
+			logger.error(e);
+		}
+	}
+}
+
+export default workspaceBackfill;
@@ -0,0 +1,81 @@
+import httpStatus from 'http-status';
+import catchAsync from '~/utils/catchAsync';
+import APIError from '~/utils/apiError';
+import ApiKey from '~/models/apiKeyModel';
+import Role from '~/models/roleModel';
+
+const createApiKey = catchAsync(async (req, res) => {
+	// A key can only be given rights its creator holds; switching workspaces is never one of them
+	const rights = await Role.getRightsByRoleIds(req.user.roles);
+	const invalidScopes = req.body.scopes.filter((scope) => scope === 'workspace:override' || !rights.includes(scope));
+	if (invalidScopes.length) {
+		throw new APIError(`You cannot grant these scopes: ${invalidScopes.join(', ')}`, httpStatus.BAD_REQUEST);
+	}
+
+	const { apiKey, key } = await ApiKey.createApiKey(req.body, req.user.id);
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'API key created successfully. Copy it now, it will not be shown again.',
+		data: { apiKey, key }
+	});
+});
+
+const getApiKeys = catchAsync(async (req, res) => {
+	const { status, page = 1, limit = 10 } = req.query;
+	const now = new Date();
+
+	let query = {};
+
+	if (status === 'active') {
+		query = { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+	} else if (status === 'expired') {
+		query = { revokedAt: null, expiresAt: { $lte: now } };
+	} else if (status === 'revoked') {
+		query = { revokedAt: { $ne: null } };
+	}
+
+	const apiKeys = await ApiKey.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: [
+			{ path: 'createdBy', select: 'firstName lastName email' },
+			{ path: 'revokedBy', select: 'firstName lastName email' }
+		],
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: apiKeys
+	});
+});
+
+const getApiKey = catchAsync(async (req, res) => {
+	const apiKey = await ApiKey.findById(req.params.apiKeyId).populate('createdBy', 'firstName lastName email').populate('revokedBy', 'firstName lastName email');
+	if (!apiKey) {
+		throw new APIError('API key not found', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		data: apiKey
+	});
+});
+
+const revokeApiKey = catchAsync(async (req, res) => {
+	const apiKey = await ApiKey.revokeApiKey(req.params.apiKeyId, req.user.id);
+
+	res.json({
+		success: true,
+		message: 'API key revoked successfully',
+		data: apiKey
+	});
+});
+
+export default {
+	createApiKey,
+	getApiKeys,
+	getApiKey,
+	revokeApiKey
+};
@@ -0,0 +1,289 @@
+import httpStatus from 'http-status';
+import moment from 'moment';
+import catchAsync from '~/utils/catchAsync';
+import APIError from '~/utils/apiError';
+import ics from '~/utils/ics';
+import Appointment from '~/models/appointmentModel';
+import User from '~/models/userModel';
+import appointmentService from '~/services/appointmentService';
+
+// Subscription feeds cover recent history and the coming year
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+const sendCalendar = (res, filename, calendar) => {
+	res.set('Content-Type', 'text/calendar; charset=utf-8');
+	res.set('Content-Disposition', `attachment; filename="${filename}"`);
+	res.send(calendar);
+};
+
+const createAppointment = catchAsync(async (req, res) => {
+	const { allowConflicts, notifyClient, ...data } = req.body;
+
+	const appointment = await appointmentService.createAppointment(data, req.user.id, req.workspaceId, { allowConflicts, notifyClient });
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Appointment created successfully',
+		data: appointment
+	});
+});
+
+const getAppointments = catchAsync(async (req, res) => {
+	const { status, type, client, lead, project, attendee, from, to, page = 1, limit = 10 } = req.query;
+
+	let query = {};
+
+	if (status) {
+		query.status = status;
+	}
+
+	if (type) {
+		query.type = type;
+	}
+
+	if (client) {
+		query.client = client;
+	}
+
+	if (lead) {
+		query.lead = lead;
+	}
+
+	if (project) {
+		query.project = project;
+	}
+
+	if (attendee) {
+		query.attendees = attendee;
+	}
+
+	if (from || to) {
+		query.startTime = {};
+		if (from) {
+			query.startTime.$gte = new Date(from);
+		}
+		if (to) {
+			query.startTime.$lte = new Date(to);
+		}
+	}
+
+	const appointments = await Appointment.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: [
+			{ path: 'client', select: 'firstName lastName email phone' },
+			{ path: 'lead', select: 'firstName lastName email phone' },
+			{ path: 'project', select: 'name' },
+			{ path: 'attendees', select: 'firstName lastName email avatar' }
+		],
+		sort: { startTime: 1 }
+	});
+
+	res.json({
+		success: true,
+		data: appointments
+	});
+});
+
+// All appointments overlapping a date range, for calendar views
+const getCalendar = catchAsync(async (req, res) => {
+	const { from, to, attendee, client, project, includeCancelled } = req.query;
+
+	let filter = {};
+
+	if (attendee) {
+		filter.attendees = attendee;
+	}
+
+	if (client) {
+		filter.client = client;
+	}
+
+	if (project) {
+		filter.project = project;
+	}
+
+	if (!includeCancelled) {
+		filter.status = { $ne: 'cancelled' };
+	}
+
+	const appointments = await Appointment.getCalendar(new Date(from), new Date(to), filter);
+
+	res.json({
+		success: true,
+		data: appointments
+	});
+});
+
+const getAppointment = catchAsync(async (req, res) => {
+	const appointment = await Appointment.getAppointmentById(req.params.appointmentId);
+
+	if (!appointment) {
+		throw new APIError('Appointment not found', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		data: appointment
+	});
+});
+
+const updateAppointment = catchAsync(async (req, res) => {
+	const { allowConflicts, notifyClient = true, reminders, ...data } = req.body;
+
+	const appointment = await Appointment.findById(req.params.appointmentId);
+	if (!appointment) {
+		throw new APIError('Appointment not found', httpStatus.NOT_FOUND);
+	}
+	if (appointment.status === 'cancelled') {
+		throw new APIError('Cancelled appointments cannot be changed', httpStatus.CONFLICT);
+	}
+
+	appointment.set(data);
+	const rescheduled = appointment.isModified('startTime') || appointment.isModified('endTime');
+	const attendeesChanged = appointment.isModified('attendees');
+
+	if (attendeesChanged) {
+		await appointmentService.assertWorkspaceMembers(appointment.attendees, req.workspaceId);
+	}
+	if ((rescheduled || attendeesChanged) && !allowConflicts) {
+		await appointmentService.assertNoConflicts({
+			startTime: appointment.startTime,
+			endTime: appointment.endTime,
+			attendees: appointment.attendees,
+			excludeId: appointment._id
+		});
+	}
+
+	if (reminders) {
+		appointment.reminders = reminders.map((minutesBefore) => ({ minutesBefore }));
+	} else if (rescheduled) {
+		// Reminders are sent again for the new time
+		appointment.reminders.forEach((reminder) => {
+			reminder.sentAt = undefined;
+		});
+	}
+
+	const notifiable = rescheduled || appointment.isModified('location') || appointment.isModified('meetingUrl');
+	appointment.sequence += 1;
+	await appointment.save();
+
+	const updatedAppointment = await Appointment.getAppointmentById(appointment._id);
+	await appointmentService.scheduleReminders(updatedAppointment);
+
+	if (notifiable) {
+		if (notifyClient) {
+			await appointmentService.sendInvite(updatedAppointment, 'update');
+		}
+		const when = await appointmentService.formatTime(updatedAppointment);
+		await appointmentService.notifyAttendees(updatedAppointment, 'Appointment Updated', `${updatedAppointment.title} is now on ${when.date} at ${when.time}`, req.user.id);
+	}
+
+	res.json({
+		success: true,
+		message: 'Appointment updated successfully',
+		data: updatedAppointment
+	});
+});
+
+const updateAppointmentStatus = catchAsync(async (req, res) => {
+	const { status, reason, notifyClient = true } = req.body;
+
+	await Appointment.updateAppointmentStatus(req.params.appointmentId, status, req.user.id, reason);
+	const appointment = await Appointment.getAppointmentById(req.params.appointmentId);
+
+	if (status === 'cancelled') {
+		await appointmentService.cancelReminders(appointment);
+		if (notifyClient) {
+			await appointmentService.sendInvite(appointment, 'cancellation');
+		}
+		await appointmentService.notifyAttendees(appointment, 'Appointment Cancelled', `${appointment.title} has been cancelled`, req.user.id);
+	} else if (status !== 'confirmed') {
+		// Completed and missed appointments need no more reminders
+		await appointmentService.cancelReminders(appointment);
+	}
+
+	res.json({
+		success: true,
+		message: 'Appointment status updated successfully',
+		data: appointment
+	});
+});
+
+const deleteAppointment = catchAsync(async (req, res) => {
+	const appointment = await Appointment.findByIdAndDelete(req.params.appointmentId);
+
+	if (!appointment) {
+		throw new APIError('Appointment not found', httpStatus.NOT_FOUND);
+	}
+
+	await appointmentService.cancelReminders(appointment);
+
+	res.json({
+		success: true,
+		message: 'Appointment deleted successfully'
+	});
+});
+
+const downloadAppointmentInvite = catchAsync(async (req, res) => {
+	const appointment = await Appointment.findById(req.params.appointmentId);
+
+	if (!appointment) {
+		throw new APIError('Appointment not found', httpStatus.NOT_FOUND);
+	}
+
+	sendCalendar(res, `appointment-${appointment._id}.ics`, ics.buildCalendar([appointment], { method: 'PUBLISH' }));
+});
+
+// Creates or rotates the secret subscription URL of the current user's calendar feed
+const createCalendarFeed = catchAsync(async (req, res) => {
+	const token = await User.rotateCalendarFeedToken(req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Calendar feed URL created successfully',
+		data: {
+			url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`
+		}
+	});
+});
+
+const revokeCalendarFeed = catchAsync(async (req, res) => {
+	await User.revokeCalendarFeedToken(req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Calendar feed URL revoked successfully'
+	});
+});
+
+// Public: calendar apps fetch the feed without credentials, so the token in the URL identifies the user.
+// The feed covers the user's appointments in every workspace they belong to.
+const getCalendarFeed = catchAsync(async (req, res) => {
+	const user = await User.getUserByCalendarFeedToken(req.params.token);
+
+	if (!user) {
+		throw new APIError('Calendar feed not found', httpStatus.NOT_FOUND);
+	}
+
+	const from = moment().subtract(FEED_PAST_DAYS, 'days').toDate();
+	const to = moment().add(FEED_FUTURE_DAYS, 'days').toDate();
+	const appointments = await Appointment.getCalendar(from, to, { $or: [{ attendees: user._id }, { createdBy: user._id }] });
+
+	sendCalendar(res, 'appointments.ics', ics.buildCalendar(appointments, { name: `${user.firstName} ${user.lastName} - Appointments` }));
+});
+
+export default {
+	createAppointment,
+	getAppointments,
+	getCalendar,
+	getAppointment,
+	updateAppointment,
+	updateAppointmentStatus,
+	deleteAppointment,
+	downloadAppointmentInvite,
+	createCalendarFeed,
+	revokeCalendarFeed,
+	getCalendarFeed
+};
@@ -0,0 +1,54 @@
+import catchAsync from '~/utils/catchAsync';
+import AuditEvent from '~/models/auditEventModel';
+
+const getAuditEvents = catchAsync(async (req, res) => {
+	const { entityType, entityId, actorId, action, requestId, from, to, page = 1, limit = 20 } = req.query;
+
+	let query = {};
+
+	if (entityType) {
+		query.entityType = entityType;
+	}
+
+	if (entityId) {
+		query.entityId = entityId;
+	}
+
+	if (actorId) {
+		query.actor = actorId;
+	}
+
+	if (action) {
+		query.action = action;
+	}
+
+	if (requestId) {
+		query.requestId = requestId;
+	}
+
+	if (from || to) {
+		query.createdAt = {};
+		if (from) {
+			query.createdAt.$gte = new Date(from);
+		}
+		if (to) {
+			query.createdAt.$lte = new Date(to);
+		}
+	}
+
+	const events = await AuditEvent.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'actor', select: 'firstName lastName email avatar' },
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: events
+	});
+});
+
+export default {
+	getAuditEvents
+};
@@ -1,11 +1,18 @@
 import APIError from '~/utils/apiError';
 import tokenService from '~/services/tokenService';
+import loginProtectionService from '~/services/loginProtectionService';
 import emailService from '~/services/emailService';
 import User from '~/models/userModel';
 import config from '~/config/config';
 import httpStatus from 'http-status';
 import Token from '~/models/tokenModel';
 import Role from '~/models/roleModel';
+import Team from '~/models/teamModel';
+
+// Wrong codes allowed against one sign-in challenge before the password must be entered again
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+const activeTeamIds = (user) => user.teams.filter((membership) => membership.status === 'active').map((membership) => membership.team);
 
 export const signup = async (req, res) => {
 	// Default new users to 'Designer' role; fallback to 'Client' if not present
@@ -23,14 +30,123 @@ export const signup = async (req, res) => {
 };
 
 export const signin = async (req, res) => {
+	await loginProtectionService.assertAllowed('signin', req.body.userName, req.ip);
 	const user = await User.getUserByUserName(req.body.userName);
 	if (!user || !(await user.isPasswordMatch(req.body.password))) {
+		await loginProtectionService.recordFailure('signin', req.body.userName, req.ip, user);
 		throw new APIError('Incorrect user name or password', httpStatus.BAD_REQUEST);
 	}
+	// With two-factor authentication the password only earns a challenge, exchanged for tokens at /2fa/verify. Failures
+	// are cleared once tokens are issued, so wrong codes add to the wrong passwords before them.
+	if (user.twoFactorEnabled) {
+		const challengeToken = await tokenService.generateTwoFactorChallengeToken(user);
+		return res.json({
+			success: true,
+			data: { twoFactorRequired: true, challengeToken }
+		});
+	}
 	const tokens = await tokenService.generateAuthTokens(user);
+	await loginProtectionService.recordSuccess('signin', req.body.userName);
+	const twoFactorSetupRequired = await Team.isTwoFactorRequired(activeTeamIds(user));
 	return res.json({
 		success: true,
-		data: { user, tokens }
+		data: { user, tokens, twoFactorSetupRequired }
+	});
+};
+
+export const verifyTwoFactor = async (req, res) => {
+	const challengeTokenDoc = await tokenService.verifyToken(req.body.challengeToken, config.TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
+	const user = await User.getUserById(challengeTokenDoc.user);
+	if (!user) {
+		throw new APIError('User not found', httpStatus.UNAUTHORIZED);
+	}
+	// Wrong codes count as failed sign-ins of the account
+	await loginProtectionService.assertAllowed('signin', user.userName, req.ip);
+
+	// Each code uses up an attempt before it is checked, in one update, so parallel requests cannot exceed the limit
+	const challenge = await Token.findOneAndUpdate(
+		{ _id: challengeTokenDoc._id, attempts: { $lt: TWO_FACTOR_MAX_ATTEMPTS } },
+		{ $inc: { attempts: 1 } },
+		{ new: true }
+	);
+	if (!challenge) {
+		await Token.deleteOne({ _id: challengeTokenDoc._id });
+		throw new APIError('Too many invalid codes, sign in again', httpStatus.UNAUTHORIZED);
+	}
+
+	if (!(await user.verifyTwoFactorCode(req.body))) {
+		await loginProtectionService.recordFailure('signin', user.userName, req.ip, user);
+		if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+			await Token.deleteOne({ _id: challenge._id });
+			throw new APIError('Too many invalid codes, sign in again', httpStatus.UNAUTHORIZED);
+		}
+		throw new APIError('Invalid authentication code', httpStatus.UNAUTHORIZED);
+	}
+
+	// Only the request that deletes the challenge gets tokens for it
+	const { deletedCount } = await Token.deleteOne({ _id: challenge._id });
+	if (!deletedCount) {
+		throw new APIError('Token not found', httpStatus.UNAUTHORIZED);
+	}
+	const tokens = await tokenService.generateAuthTokens(user);
+	await loginProtectionService.recordSuccess('signin', user.userName);
+	const data = { user, tokens };
+	if (req.body.recoveryCode) {
+		data.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length - 1;
+	}
+	return res.json({
+		success: true,
+		data
+	});
+};
+
+export const setupTwoFactor = async (req, res) => {
+	const setup = await User.startTwoFactorSetup(req.user.id);
+	return res.json({
+		success: true,
+		data: setup
+	});
+};
+
+export const enableTwoFactor = async (req, res) => {
+	const recoveryCodes = await User.enableTwoFactor(req.user.id, req.body.code);
+	return res.json({
+		success: true,
+		message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+		data: { recoveryCodes }
+	});
+};
+
+export const disableTwoFactor = async (req, res) => {
+	const user = await User.getUserById(req.user.id);
+	if (!user.twoFactorEnabled) {
+		throw new APIError('Two-factor authentication is not enabled', httpStatus.BAD_REQUEST);
+	}
+	if (!(await user.isPasswordMatch(req.body.password))) {
+		throw new APIError('Incorrect password', httpStatus.BAD_REQUEST);
+	}
+	if (await Team.isTwoFactorRequired(activeTeamIds(user))) {
+		throw new APIError('Two-factor authentication is required by one of your teams', httpStatus.FORBIDDEN);
+	}
+	if (!(await user.verifyTwoFactorCode(req.body))) {
+		throw new APIError('Invalid authentication code', httpStatus.BAD_REQUEST);
+	}
+	await User.disableTwoFactor(user.id);
+	return res.json({
+		success: true,
+		data: 'Two-factor authentication disabled'
+	});
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+	const user = await User.getUserById(req.user.id);
+	if (!(await user.verifyTwoFactorCode({ code: req.body.code }))) {
+		throw new APIError('Invalid authentication code', httpStatus.BAD_REQUEST);
+	}
+	const recoveryCodes = await User.regenerateRecoveryCodes(user.id);
+	return res.json({
+		success: true,
+		data: { recoveryCodes }
 	});
 };
 
@@ -84,8 +200,8 @@ export const refreshTokens = async (req, res) => {
 		if (!user) {
 			throw new Error();
 		}
+		const tokens = await tokenService.generateAuthTokens(user, refreshTokenDoc);
 		await refreshTokenDoc.remove();
-		const tokens = await tokenService.generateAuthTokens(user);
 		return res.json({
 			success: true,
 			data: {
@@ -97,6 +213,42 @@ export const refreshTokens = async (req, res) => {
 	}
 };
 
+export const getSessions = async (req, res) => {
+	const sessions = await Token.getActiveSessions(req.user.id);
+	return res.json({
+		success: true,
+		data: sessions.map((session) => ({
+			id: session.sessionId,
+			device: session.device,
+			userAgent: session.userAgent,
+			ip: session.ip,
+			startedAt: session.sessionStartedAt,
+			lastUsedAt: session.lastUsedAt,
+			expiresAt: session.expiresAt,
+			current: session.sessionId === req.user.sessionId
+		}))
+	});
+};
+
+export const revokeSession = async (req, res) => {
+	await Token.revokeSession(req.user.id, req.params.sessionId);
+	return res.json({
+		success: true,
+		data: 'Session revoked'
+	});
+};
+
+export const revokeOtherSessions = async (req, res) => {
+	if (!req.user.sessionId) {
+		throw new APIError('Sign in again to manage your sessions', httpStatus.BAD_REQUEST);
+	}
+	const { deletedCount } = await Token.revokeOtherSessions(req.user.id, req.user.sessionId);
+	return res.json({
+		success: true,
+		data: { revoked: deletedCount }
+	});
+};
+
 export const sendVerificationEmail = async (req, res) => {
 	const user = await User.getUserByEmail(req.user.email);
 	if (user.confirmed) {
@@ -129,6 +281,9 @@ export const verifyEmail = async (req, res) => {
 };
 
 export const forgotPassword = async (req, res) => {
+	// Every request counts, so reset emails cannot be used to flood an inbox
+	await loginProtectionService.assertAllowed('forgot-password', req.body.email, req.ip);
+	await loginProtectionService.recordFailure('forgot-password', req.body.email, req.ip);
 	const resetPasswordToken = await tokenService.generateResetPasswordToken(req.body.email);
 	await emailService.sendResetPasswordEmail(req.body.email, resetPasswordToken);
 	return res.json({
@@ -146,6 +301,8 @@ export const resetPassword = async (req, res) => {
 		}
 		await Token.deleteMany({ user: user.id, type: config.TOKEN_TYPES.RESET_PASSWORD });
 		await User.updateUserById(user.id, { password: req.body.password });
+		// Whoever knew the old password is signed out everywhere
+		await Token.revokeAllSessions(user.id);
 		return res.json({
 			success: true,
 			data: 'Reset password success'
@@ -163,8 +320,16 @@ export default {
 	updateMe,
 	signout,
 	refreshTokens,
+	getSessions,
+	revokeSession,
+	revokeOtherSessions,
 	sendVerificationEmail,
 	verifyEmail,
 	forgotPassword,
-	resetPassword
+	resetPassword,
+	verifyTwoFactor,
+	setupTwoFactor,
+	enableTwoFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes
 };
@@ -1,14 +1,24 @@
 import httpStatus from 'http-status';
+import moment from 'moment';
 import catchAsync from '~/utils/catchAsync';
 import APIError from '~/utils/apiError';
 import Client from '~/models/clientModel';
 import Project from '~/models/projectModel';
-import Lead from '~/models/leadModel';
 import Notification from '~/models/notificationModel';
 import messagingService from '~/services/messagingService';
+import appointmentService from '~/services/appointmentService';
+import integrityService from '~/services/integrityService';
+import exportService from '~/services/exportService';
+import clientDataService from '~/services/clientDataService';
 
 const createClient = catchAsync(async (req, res) => {
-	const client = await Client.create(req.body);
+	// Emails stay reserved while the deleted client is in the trash
+	if (await Client.exists({ email: req.body.email, deletedAt: { $ne: null } })) {
+		throw new APIError('A deleted client with this email is in the trash. Restore it instead.', httpStatus.CONFLICT);
+	}
+
+	// Users who only see their assigned clients are assigned the clients they create
+	const client = await Client.create(req.rights.includes('client:all') ? req.body : { assignedTo: req.user.id, ...req.body });
 
 	// Populate related data
 	await client.populate([
@@ -38,9 +48,8 @@ const createClient = catchAsync(async (req, res) => {
 	});
 });
 
-const getClients = catchAsync(async (req, res) => {
-	const { status, assignedTo, search, page = 1, limit = 10 } = req.query;
-	
+// Filters shared by the list and export routes
+const buildClientQuery = ({ status, assignedTo, search }) => {
 	let query = {};
 	
 	if (status) {
@@ -64,6 +73,14 @@ const getClients = catchAsync(async (req, res) => {
 		];
 	}
 
+	return query;
+};
+
+const getClients = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const query = buildClientQuery(req.query);
+
 	const clients = await Client.paginate(query, {
 		page: parseInt(page),
 		limit: parseInt(limit),
@@ -77,6 +94,11 @@ const getClients = catchAsync(async (req, res) => {
 	});
 });
 
+const exportClients = catchAsync(async (req, res) => {
+	const { format, columns } = req.query;
+	await exportService.exportRecords(res, 'client', { filter: buildClientQuery(req.query), format, columns });
+});
+
 const getClient = catchAsync(async (req, res) => {
 	const client = await Client.getClientById(req.params.clientId);
 	
@@ -119,7 +141,7 @@ const updateClient = catchAsync(async (req, res) => {
 });
 
 const deleteClient = catchAsync(async (req, res) => {
-	const client = await Client.findByIdAndDelete(req.params.clientId);
+	const client = await integrityService.deleteWithRules('clients', req.params.clientId, req.user.id);
 
 	if (!client) {
 		throw new APIError('Client not found', httpStatus.NOT_FOUND);
@@ -127,7 +149,37 @@ const deleteClient = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Client deleted successfully'
+		message: 'Client moved to trash'
+	});
+});
+
+const getDeletedClients = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const clients = await Client.paginateDeleted({}, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'deletedBy', select: 'firstName lastName email avatar' },
+		sort: { deletedAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: clients
+	});
+});
+
+const restoreClient = catchAsync(async (req, res) => {
+	const client = await integrityService.restoreWithRules('clients', req.params.clientId);
+
+	if (!client) {
+		throw new APIError('Client not found in trash', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		message: 'Client restored successfully',
+		data: client
 	});
 });
 
@@ -230,27 +282,31 @@ const sendMessage = catchAsync(async (req, res) => {
 	});
 });
 
+// Shortcut for booking an appointment with a client; appointmentTime is HH:mm in UTC
 const scheduleAppointment = catchAsync(async (req, res) => {
-	const { appointmentDate, appointmentTime, location, notes } = req.body;
-	
+	const { appointmentDate, appointmentTime, duration, type, location, notes, attendees } = req.body;
+
 	const client = await Client.getClientById(req.params.clientId);
-	
+
 	if (!client) {
 		throw new APIError('Client not found', httpStatus.NOT_FOUND);
 	}
 
-	// Send appointment confirmation
-	try {
-		await messagingService.sendAppointmentReminder(
-			client.phone,
-			client.firstName,
-			appointmentDate,
-			appointmentTime,
-			location
-		);
-	} catch (error) {
-		console.error('Failed to send appointment reminder:', error);
-	}
+	const startTime = moment.utc(`${moment.utc(appointmentDate).format('YYYY-MM-DD')} ${appointmentTime}`, 'YYYY-MM-DD HH:mm').toDate();
+	const appointment = await appointmentService.createAppointment(
+		{
+			title: `Appointment with ${client.fullName}`,
+			description: notes,
+			type,
+			startTime,
+			endTime: moment.utc(startTime).add(duration, 'minutes').toDate(),
+			location,
+			client: client._id,
+			attendees: attendees || (client.assignedTo ? [client.assignedTo._id || client.assignedTo] : undefined)
+		},
+		req.user.id,
+		req.workspaceId
+	);
 
 	// Add appointment note
 	client.notes.push({
@@ -259,24 +315,10 @@ const scheduleAppointment = catchAsync(async (req, res) => {
 	});
 	await client.save();
 
-	// Create notification for assigned user
-	if (client.assignedTo) {
-		await Notification.createNotification({
-			title: 'Appointment Scheduled',
-			message: `Appointment scheduled with ${client.fullName} for ${appointmentDate} at ${appointmentTime}`,
-			type: 'info',
-			recipient: client.assignedTo,
-			relatedEntity: {
-				type: 'client',
-				id: client._id
-			},
-			priority: 'medium'
-		});
-	}
-
-	res.json({
+	res.status(httpStatus.CREATED).json({
 		success: true,
-		message: 'Appointment scheduled successfully'
+		message: 'Appointment scheduled successfully',
+		data: appointment
 	});
 });
 
@@ -290,43 +332,7 @@ const getClientTimeline = catchAsync(async (req, res) => {
 		throw new APIError('Client not found', httpStatus.NOT_FOUND);
 	}
 
-	// Get projects
-	const projects = await Project.getProjectsByClient(clientId);
-	
-	// Get leads
-	const leads = await Lead.find({ 
-		$or: [
-			{ email: client.email },
-			{ phone: client.phone }
-		]
-	}).populate('assignedTo', 'firstName lastName email avatar');
-
-	// Combine all activities
-	const timeline = [
-		// Client notes
-		...client.notes.map(note => ({
-			type: 'note',
-			date: note.createdAt,
-			content: note.content,
-			author: note.createdBy
-		})),
-		
-		// Projects
-		...projects.map(project => ({
-			type: 'project',
-			date: project.createdAt,
-			content: `Project "${project.name}" created`,
-			project: project
-		})),
-		
-		// Leads
-		...leads.map(lead => ({
-			type: 'lead',
-			date: lead.createdAt,
-			content: `Lead "${lead.fullName}" created`,
-			lead: lead
-		}))
-	].sort((a, b) => new Date(b.date) - new Date(a.date));
+	const timeline = await clientDataService.getTimeline(client);
 
 	res.json({
 		success: true,
@@ -337,6 +343,36 @@ const getClientTimeline = catchAsync(async (req, res) => {
 	});
 });
 
+// Archive of everything held about the client, for data access requests
+const exportClientData = catchAsync(async (req, res) => {
+	const client = await Client.findById(req.params.clientId).setOptions({ withDeleted: true });
+	if (!client) {
+		throw new APIError('Client not found', httpStatus.NOT_FOUND);
+	}
+
+	await clientDataService.exportClientData(res, client, req.user.id);
+});
+
+const eraseClient = catchAsync(async (req, res) => {
+	const client = await Client.findById(req.params.clientId).setOptions({ withDeleted: true });
+	if (!client) {
+		throw new APIError('Client not found', httpStatus.NOT_FOUND);
+	}
+
+	// The client's email is asked for to confirm the right client is being erased
+	if (client.email !== req.body.email.toLowerCase()) {
+		throw new APIError('The email does not match the client', httpStatus.BAD_REQUEST);
+	}
+
+	const result = await clientDataService.eraseClient(client, req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Client personal data erased successfully',
+		data: result
+	});
+});
+
 const updateClientPreferences = catchAsync(async (req, res) => {
 	const { preferences } = req.body;
 	
@@ -404,9 +440,12 @@ const removeCustomField = catchAsync(async (req, res) => {
 export default {
 	createClient,
 	getClients,
+	exportClients,
 	getClient,
 	updateClient,
 	deleteClient,
+	getDeletedClients,
+	restoreClient,
 	updateClientStatus,
 	addNote,
 	updatePortalAccess,
@@ -416,6 +455,8 @@ export default {
 	sendMessage,
 	scheduleAppointment,
 	getClientTimeline,
+	exportClientData,
+	eraseClient,
 	updateClientPreferences,
 	addCustomField,
 	removeCustomField
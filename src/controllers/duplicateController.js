@@ -0,0 +1,32 @@
+import catchAsync from '~/utils/catchAsync';
+import duplicateService from '~/services/duplicateService';
+
+// Handlers are shared by the lead and client routes, which pass their resource type
+const findDuplicates = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const duplicates = await duplicateService.findDuplicates(resourceType, {
+			minScore: req.query.minScore,
+			limit: req.query.limit
+		});
+
+		res.json({
+			success: true,
+			data: duplicates
+		});
+	});
+
+const mergeRecords = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const result = await duplicateService.merge(resourceType, req.body, req.user.id);
+
+		res.json({
+			success: true,
+			message: `${result.merged.length} duplicate${result.merged.length === 1 ? '' : 's'} merged successfully`,
+			data: result
+		});
+	});
+
+export default {
+	findDuplicates,
+	mergeRecords
+};
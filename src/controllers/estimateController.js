@@ -9,6 +9,9 @@ import Notification from '~/models/notificationModel';
 import aiService from '~/services/aiService';
 import pdfService from '~/services/pdfService';
 import messagingService from '~/services/messagingService';
+import { sendEstimateEmail } from '~/services/emailService';
+import integrityService from '~/services/integrityService';
+import exportService from '~/services/exportService';
 
 const createEstimate = catchAsync(async (req, res) => {
 	const estimate = await Estimate.create({
@@ -30,9 +33,8 @@ const createEstimate = catchAsync(async (req, res) => {
 	});
 });
 
-const getEstimates = catchAsync(async (req, res) => {
-	const { status, clientId, projectId, createdBy, search, page = 1, limit = 10 } = req.query;
-	
+// Filters shared by the list and export routes
+const buildEstimateQuery = ({ status, clientId, projectId, createdBy, search }) => {
 	let query = {};
 	
 	if (status) {
@@ -60,6 +62,14 @@ const getEstimates = catchAsync(async (req, res) => {
 		];
 	}
 
+	return query;
+};
+
+const getEstimates = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const query = buildEstimateQuery(req.query);
+
 	const estimates = await Estimate.paginate(query, {
 		page: parseInt(page),
 		limit: parseInt(limit),
@@ -77,6 +87,11 @@ const getEstimates = catchAsync(async (req, res) => {
 	});
 });
 
+const exportEstimates = catchAsync(async (req, res) => {
+	const { format, columns } = req.query;
+	await exportService.exportRecords(res, 'estimate', { filter: buildEstimateQuery(req.query), format, columns });
+});
+
 const getEstimate = catchAsync(async (req, res) => {
 	const estimate = await Estimate.getEstimateById(req.params.estimateId);
 	
@@ -125,7 +140,7 @@ const updateEstimate = catchAsync(async (req, res) => {
 });
 
 const deleteEstimate = catchAsync(async (req, res) => {
-	const estimate = await Estimate.findByIdAndDelete(req.params.estimateId);
+	const estimate = await integrityService.deleteWithRules('estimates', req.params.estimateId, req.user.id);
 
 	if (!estimate) {
 		throw new APIError('Estimate not found', httpStatus.NOT_FOUND);
@@ -133,7 +148,37 @@ const deleteEstimate = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Estimate deleted successfully'
+		message: 'Estimate moved to trash'
+	});
+});
+
+const getDeletedEstimates = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const estimates = await Estimate.paginateDeleted({}, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'deletedBy', select: 'firstName lastName email avatar' },
+		sort: { deletedAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: estimates
+	});
+});
+
+const restoreEstimate = catchAsync(async (req, res) => {
+	const estimate = await integrityService.restoreWithRules('estimates', req.params.estimateId);
+
+	if (!estimate) {
+		throw new APIError('Estimate not found in trash', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		message: 'Estimate restored successfully',
+		data: estimate
 	});
 });
 
@@ -298,22 +343,31 @@ const sendEstimate = catchAsync(async (req, res) => {
 	}
 
 	// Generate PDF if not already exists
-	let pdfUrl = estimate.attachments.find(att => att.type === 'pdf')?.url;
-	if (!pdfUrl) {
+	if (!estimate.attachments.some((attachment) => attachment.type === 'pdf')) {
 		const pdfResult = await pdfService.generateEstimatePDF(estimate);
-		pdfUrl = pdfResult.publicUrl;
+		estimate.attachments.push({
+			name: pdfResult.filename,
+			type: 'pdf',
+			url: pdfResult.publicUrl,
+			uploadedBy: req.user.id,
+			size: pdfResult.size
+		});
+		await estimate.save();
 	}
 
+	// Clients open the estimate through the public page, where they can accept or reject it
+	const { publicAccess } = await Estimate.generatePublicToken(estimate._id);
+	const publicUrl = `${process.env.FRONTEND_URL}/estimates/public/${publicAccess.token}`;
+
 	// Send via specified method
 	if (method === 'email') {
-		// Email sending logic would go here
-		// This would integrate with your existing email service
+		await sendEstimateEmail(estimate, estimate.client, publicUrl, message);
 	} else if (method === 'whatsapp' || method === 'sms') {
 		await messagingService.sendEstimateNotification(
 			estimate.client.phone,
 			estimate.client.firstName,
 			estimate.title,
-			pdfUrl
+			publicUrl
 		);
 	}
 
@@ -322,7 +376,122 @@ const sendEstimate = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Estimate sent successfully'
+		message: 'Estimate sent successfully',
+		data: {
+			publicUrl
+		}
+	});
+});
+
+// Client-facing view of an estimate, without internal notes or AI metadata
+const toPublicEstimate = (estimate) => ({
+	id: estimate.id,
+	title: estimate.title,
+	description: estimate.description,
+	version: estimate.version,
+	status: estimate.status,
+	client: estimate.client && {
+		firstName: estimate.client.firstName,
+		lastName: estimate.client.lastName,
+		company: estimate.client.company
+	},
+	project: estimate.project && { name: estimate.project.name },
+	items: estimate.items,
+	pricing: estimate.pricing,
+	validity: estimate.validity,
+	terms: estimate.terms,
+	isExpired: estimate.isExpired,
+	pdfUrl: estimate.attachments.filter((attachment) => attachment.type === 'pdf').pop()?.url,
+	signature: estimate.signature?.signedAt
+		? {
+				decision: estimate.signature.decision,
+				name: estimate.signature.name,
+				signedAt: estimate.signature.signedAt
+			}
+		: undefined
+});
+
+const getPublicEstimate = catchAsync(async (req, res) => {
+	const estimate = await Estimate.getEstimateByPublicToken(req.params.token);
+
+	if (!estimate) {
+		throw new APIError('Estimate not found or link invalid', httpStatus.NOT_FOUND);
+	}
+
+	const firstView = !estimate.viewedAt;
+	const viewedEstimate = await Estimate.recordPublicView(estimate._id);
+	estimate.status = viewedEstimate.status;
+
+	if (firstView) {
+		await Notification.createNotification({
+			title: 'Estimate Viewed',
+			message: `${estimate.client.firstName} ${estimate.client.lastName} opened estimate "${estimate.title}"`,
+			type: 'info',
+			recipient: estimate.createdBy._id,
+			relatedEntity: {
+				type: 'estimate',
+				id: estimate._id
+			},
+			priority: 'low'
+		});
+	}
+
+	res.json({
+		success: true,
+		data: toPublicEstimate(estimate)
+	});
+});
+
+const respondToPublicEstimate = catchAsync(async (req, res) => {
+	const { decision, signature, name, comments } = req.body;
+
+	const estimate = await Estimate.getEstimateByPublicToken(req.params.token);
+
+	if (!estimate) {
+		throw new APIError('Estimate not found or link invalid', httpStatus.NOT_FOUND);
+	}
+
+	const signedEstimate = await Estimate.respondAsClient(estimate._id, {
+		decision,
+		method: signature.method,
+		value: signature.value,
+		name,
+		comments,
+		ipAddress: req.ip,
+		userAgent: req.get('user-agent')
+	});
+
+	// Stamp the signature into a fresh copy of the estimate PDF
+	await signedEstimate.populate([
+		{ path: 'client', select: 'firstName lastName email phone company' },
+		{ path: 'project', select: 'name description status' }
+	]);
+	const pdfResult = await pdfService.generateEstimatePDF(signedEstimate);
+	signedEstimate.attachments.push({
+		name: pdfResult.filename,
+		type: 'pdf',
+		url: pdfResult.publicUrl,
+		uploadedBy: estimate.createdBy._id,
+		size: pdfResult.size
+	});
+	await signedEstimate.save();
+
+	await Notification.createNotification({
+		title: decision === 'accepted' ? 'Estimate Accepted' : 'Estimate Rejected',
+		message: `${name} ${decision} estimate "${estimate.title}"`,
+		type: decision === 'accepted' ? 'success' : 'warning',
+		recipient: estimate.createdBy._id,
+		relatedEntity: {
+			type: 'estimate',
+			id: estimate._id
+		},
+		priority: 'high'
+	});
+
+	res.json({
+		success: true,
+		message: `Estimate ${decision} successfully`,
+		data: toPublicEstimate(signedEstimate)
 	});
 });
 
@@ -378,6 +547,7 @@ const duplicateEstimate = catchAsync(async (req, res) => {
 	};
 
 	delete duplicateData.__v;
+	['publicAccess', 'signature', 'clientResponse', 'sentAt', 'viewedAt', 'respondedAt'].forEach((field) => delete duplicateData[field]);
 
 	const duplicate = await Estimate.create(duplicateData);
 
@@ -398,15 +568,20 @@ const duplicateEstimate = catchAsync(async (req, res) => {
 export default {
 	createEstimate,
 	getEstimates,
+	exportEstimates,
 	getEstimate,
 	updateEstimate,
 	deleteEstimate,
+	getDeletedEstimates,
+	restoreEstimate,
 	updateEstimateStatus,
 	generateAIEstimate,
 	createEstimateFromAI,
 	createRevision,
 	generatePDF,
 	sendEstimate,
+	getPublicEstimate,
+	respondToPublicEstimate,
 	addNote,
 	getEstimateStats,
 	searchEstimates,
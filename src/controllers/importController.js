@@ -0,0 +1,116 @@
+import httpStatus from 'http-status';
+import catchAsync from '~/utils/catchAsync';
+import Import from '~/models/importModel';
+import importService from '~/services/importService';
+
+// Handlers are shared by the lead and client routes, which pass their resource type.
+// Users who only see their assigned records also only see their own imports.
+const importFilter = (req, resourceType) => (req.rights.includes(`${resourceType}:all`) ? { resourceType } : { resourceType, createdBy: req.user.id });
+
+const createImport = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const { headers, rows } = importService.parseFile(req.file);
+		const importJob = await Import.create({
+			resourceType,
+			fileName: req.file.originalname,
+			headers,
+			rows,
+			totalRows: rows.length,
+			mapping: importService.suggestMapping(resourceType, headers),
+			createdBy: req.user.id,
+			assignedTo: req.rights.includes(`${resourceType}:all`) ? null : req.user.id
+		});
+
+		res.status(httpStatus.CREATED).json({
+			success: true,
+			message: 'File uploaded successfully',
+			data: {
+				import: importJob,
+				fields: importService.getFields(resourceType),
+				sampleRows: rows.slice(0, 5)
+			}
+		});
+	});
+
+const getImports = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const { status, page = 1, limit = 10 } = req.query;
+
+		const query = importFilter(req, resourceType);
+
+		if (status) {
+			query.status = status;
+		}
+
+		const imports = await Import.paginate(query, {
+			page: parseInt(page),
+			limit: parseInt(limit),
+			select: '-rows -rowErrors',
+			populate: { path: 'createdBy', select: 'firstName lastName email' },
+			sort: { createdAt: -1 }
+		});
+
+		res.json({
+			success: true,
+			data: imports
+		});
+	});
+
+const getImport = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const importJob = await Import.getImportById(req.params.importId, importFilter(req, resourceType));
+
+		res.json({
+			success: true,
+			data: {
+				import: importJob,
+				fields: importService.getFields(resourceType),
+				rowErrors: importJob.rowErrors.slice(0, 100)
+			}
+		});
+	});
+
+const previewImport = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const importJob = await Import.getImportById(req.params.importId, importFilter(req, resourceType));
+		const preview = await importService.preview(importJob, req.body.mapping, req.body.duplicateStrategy);
+
+		res.json({
+			success: true,
+			data: {
+				import: importJob,
+				...preview
+			}
+		});
+	});
+
+const startImport = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const importJob = await Import.getImportById(req.params.importId, importFilter(req, resourceType));
+		const queued = await importService.start(importJob);
+
+		res.status(httpStatus.ACCEPTED).json({
+			success: true,
+			message: 'Import started',
+			data: queued
+		});
+	});
+
+const getImportErrors = (resourceType) =>
+	catchAsync(async (req, res) => {
+		const importJob = await Import.getImportById(req.params.importId, importFilter(req, resourceType));
+		const filename = `${importJob.fileName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_')}-errors.csv`;
+
+		res.set('Content-Type', 'text/csv; charset=utf-8');
+		res.set('Content-Disposition', `attachment; filename="${filename}"`);
+		res.send(importService.getErrorReport(importJob));
+	});
+
+export default {
+	createImport,
+	getImports,
+	getImport,
+	previewImport,
+	startImport,
+	getImportErrors
+};
@@ -0,0 +1,349 @@
+import httpStatus from 'http-status';
+import catchAsync from '~/utils/catchAsync';
+import APIError from '~/utils/apiError';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import Invitation from '~/models/invitationModel';
+import Team from '~/models/teamModel';
+import User from '~/models/userModel';
+import Role from '~/models/roleModel';
+import Notification from '~/models/notificationModel';
+import tokenService from '~/services/tokenService';
+import usageService from '~/services/usageService';
+import { sendTeamInvitationEmail } from '~/services/emailService';
+
+const invitationUrl = (invitation) => `${config.FRONTEND_URL}/invitations/${invitation.token}`;
+
+// Team leads, the team creator and users with team:update manage invitations and approve joins.
+// Other members may only invite, and only when the team allows member invites.
+const getTeamAccess = async (req) => {
+	const team = await Team.findById(req.params.teamId);
+	if (!team) {
+		throw new APIError('Team not found', httpStatus.NOT_FOUND);
+	}
+
+	const canManage = await Team.canManageTeam(team, req.user);
+	// Roles held in a parent team apply here too
+	const { role } = await Team.getEffectivePermissions(team._id, req.user.id);
+
+	return { team, canManage, role, canInvite: canManage || (!!role && team.settings.allowMemberInvites) };
+};
+
+// Members inviting without manage rights cannot hand out more than `member` or their own role
+const assertCanGrantRole = ({ canManage, role }, invitedRole) => {
+	if (!canManage && (Team.isRoleAbove(invitedRole, 'member') || Team.isRoleAbove(invitedRole, role))) {
+		throw new APIError('You can only invite members with your own role or below, up to member', httpStatus.FORBIDDEN);
+	}
+};
+
+const getTeamInvitation = async (req) => {
+	const invitation = await Invitation.findOne({ _id: req.params.invitationId, team: req.params.teamId });
+	if (!invitation) {
+		throw new APIError('Invitation not found', httpStatus.NOT_FOUND);
+	}
+	return invitation;
+};
+
+const sendInvitation = async (invitation, team, inviterId) => {
+	const inviter = await User.findById(inviterId).select('firstName lastName email');
+	try {
+		await sendTeamInvitationEmail(invitation, team, inviter, invitationUrl(invitation));
+	} catch (error) {
+		logger.error(`Failed to send invitation ${invitation._id}:`, error);
+		throw new APIError('Invitation saved but the email could not be sent. Try resending it.', httpStatus.BAD_GATEWAY);
+	}
+};
+
+// Adds the invitee to the team, counted against the workspace owner's plan
+const joinTeam = async (invitation, userId) => {
+	const teamId = invitation.team._id || invitation.team;
+	const ownerId = await usageService.getWorkspaceOwnerId(teamId);
+
+	await usageService.consume(ownerId, 'users', async () => {
+		await Team.addMember(teamId, {
+			user: userId,
+			role: invitation.role,
+			addedBy: invitation.invitedBy._id || invitation.invitedBy
+		});
+		await User.addUserToTeam(userId, teamId, invitation.role);
+	});
+};
+
+// Accepting joins the team right away, or queues the invitation for approval when the team requires it
+const completeAcceptance = async (invitation, user) => {
+	if (user.email.toLowerCase() !== invitation.email) {
+		throw new APIError('This invitation was sent to a different email address', httpStatus.FORBIDDEN);
+	}
+	if (await User.isUserInTeam(user._id, invitation.team._id)) {
+		throw new APIError('You are already a member of this team', httpStatus.CONFLICT);
+	}
+
+	const team = invitation.team;
+	if (team.settings && team.settings.requireApprovalForJoins) {
+		const queued = await Invitation.transition(invitation._id, ['pending'], { status: 'awaiting_approval', user: user._id, respondedAt: new Date() });
+
+		const fullTeam = await Team.findById(team._id);
+		const approvers = new Set([fullTeam.createdBy.toString(), ...fullTeam.members.filter((member) => member.role === 'team_lead').map((member) => member.user.toString())]);
+		await Notification.createBulkNotifications(
+			[...approvers].map((recipient) => ({
+				title: 'Join Request Awaiting Approval',
+				message: `${user.firstName} ${user.lastName} accepted the invitation to ${team.name} and is waiting for approval`,
+				type: 'info',
+				recipient,
+				relatedEntity: {
+					type: 'team',
+					id: team._id
+				},
+				priority: 'medium'
+			}))
+		);
+		return queued;
+	}
+
+	const accepted = await Invitation.transition(invitation._id, ['pending'], { status: 'accepted', user: user._id, respondedAt: new Date() });
+	try {
+		await joinTeam(invitation, user._id);
+	} catch (error) {
+		await Invitation.transition(invitation._id, ['accepted'], { status: 'pending' });
+		throw error;
+	}
+
+	await Notification.createNotification({
+		title: 'Invitation Accepted',
+		message: `${user.firstName} ${user.lastName} joined ${team.name}`,
+		type: 'success',
+		recipient: invitation.invitedBy._id,
+		relatedEntity: {
+			type: 'team',
+			id: team._id
+		},
+		priority: 'medium'
+	});
+	return accepted;
+};
+
+const createInvitation = catchAsync(async (req, res) => {
+	const { team, canManage, role, canInvite } = await getTeamAccess(req);
+	if (!canInvite) {
+		throw new APIError('You are not allowed to invite members to this team', httpStatus.FORBIDDEN);
+	}
+	assertCanGrantRole({ canManage, role }, req.body.role || 'member');
+
+	const existingUser = await User.getUserByEmail(req.body.email.toLowerCase());
+	if (existingUser && (await User.isUserInTeam(existingUser._id, team._id))) {
+		throw new APIError('User is already a member of this team', httpStatus.CONFLICT);
+	}
+
+	const invitation = await Invitation.createInvitation(team._id, req.body, req.user.id);
+	await sendInvitation(invitation, team, req.user.id);
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Invitation sent successfully',
+		data: invitation
+	});
+});
+
+const getInvitations = catchAsync(async (req, res) => {
+	const { canInvite } = await getTeamAccess(req);
+	if (!canInvite) {
+		throw new APIError('You are not allowed to view invitations of this team', httpStatus.FORBIDDEN);
+	}
+
+	const { status, page = 1, limit = 10 } = req.query;
+
+	let query = { team: req.params.teamId };
+
+	if (status) {
+		query.status = status;
+	}
+
+	const invitations = await Invitation.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: [
+			{ path: 'invitedBy', select: 'firstName lastName email' },
+			{ path: 'user', select: 'firstName lastName email avatar' }
+		],
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: invitations
+	});
+});
+
+const resendInvitation = catchAsync(async (req, res) => {
+	const { team, canManage, role } = await getTeamAccess(req);
+	const invitation = await getTeamInvitation(req);
+	if (!canManage && invitation.invitedBy.toString() !== req.user.id) {
+		throw new APIError('You are not allowed to resend this invitation', httpStatus.FORBIDDEN);
+	}
+	assertCanGrantRole({ canManage, role }, invitation.role);
+
+	const renewed = await Invitation.renewInvitation(invitation._id);
+	await sendInvitation(renewed, team, req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Invitation resent successfully',
+		data: renewed
+	});
+});
+
+const revokeInvitation = catchAsync(async (req, res) => {
+	const { canManage } = await getTeamAccess(req);
+	const invitation = await getTeamInvitation(req);
+	if (!canManage && invitation.invitedBy.toString() !== req.user.id) {
+		throw new APIError('You are not allowed to revoke this invitation', httpStatus.FORBIDDEN);
+	}
+
+	const revoked = await Invitation.transition(invitation._id, ['pending', 'awaiting_approval', 'expired'], { status: 'revoked' });
+
+	res.json({
+		success: true,
+		message: 'Invitation revoked successfully',
+		data: revoked
+	});
+});
+
+const reviewInvitation = (approve) =>
+	catchAsync(async (req, res) => {
+		const { team, canManage } = await getTeamAccess(req);
+		if (!canManage) {
+			throw new APIError('Only team leads can review join requests', httpStatus.FORBIDDEN);
+		}
+		const invitation = await getTeamInvitation(req);
+		if (invitation.status !== 'awaiting_approval') {
+			throw new APIError('Invitation is not awaiting approval', httpStatus.CONFLICT);
+		}
+
+		const review = { reviewedBy: req.user.id, reviewedAt: new Date() };
+		let reviewed;
+		if (approve) {
+			reviewed = await Invitation.transition(invitation._id, ['awaiting_approval'], { ...review, status: 'accepted' });
+			try {
+				await joinTeam(invitation, invitation.user);
+			} catch (error) {
+				await Invitation.transition(invitation._id, ['accepted'], { status: 'awaiting_approval' });
+				throw error;
+			}
+		} else {
+			reviewed = await Invitation.transition(invitation._id, ['awaiting_approval'], { ...review, status: 'rejected' });
+		}
+
+		await Notification.createNotification({
+			title: approve ? 'Join Request Approved' : 'Join Request Declined',
+			message: approve ? `You are now a member of ${team.name}` : `Your request to join ${team.name} was declined`,
+			type: approve ? 'success' : 'info',
+			recipient: invitation.user,
+			relatedEntity: {
+				type: 'team',
+				id: team._id
+			},
+			priority: 'medium'
+		});
+
+		res.json({
+			success: true,
+			message: approve ? 'Join request approved successfully' : 'Join request rejected successfully',
+			data: reviewed
+		});
+	});
+
+// Public: what the invitee sees before answering
+const getInvitationByToken = catchAsync(async (req, res) => {
+	const invitation = await Invitation.getOpenInvitationByToken(req.params.token);
+
+	res.json({
+		success: true,
+		data: {
+			email: invitation.email,
+			role: invitation.role,
+			message: invitation.message,
+			expiresAt: invitation.expiresAt,
+			team: { id: invitation.team.id, name: invitation.team.name, description: invitation.team.description },
+			invitedBy: { firstName: invitation.invitedBy.firstName, lastName: invitation.invitedBy.lastName },
+			requiresApproval: !!invitation.team.settings.requireApprovalForJoins,
+			hasAccount: !!(await User.exists({ email: invitation.email }))
+		}
+	});
+});
+
+// Accepts with the signed-in account, which must use the invited email address
+const acceptInvitation = catchAsync(async (req, res) => {
+	const invitation = await Invitation.getOpenInvitationByToken(req.params.token);
+	const user = await User.findById(req.user.id);
+
+	const accepted = await completeAcceptance(invitation, user);
+
+	res.json({
+		success: true,
+		message: accepted.status === 'awaiting_approval' ? 'Invitation accepted, waiting for approval' : 'Invitation accepted successfully',
+		data: accepted
+	});
+});
+
+// Creates an account for the invited email address and accepts the invitation with it
+const registerWithInvitation = catchAsync(async (req, res) => {
+	const invitation = await Invitation.getOpenInvitationByToken(req.params.token);
+	if (await User.exists({ email: invitation.email })) {
+		throw new APIError('An account already exists for this email. Sign in to accept the invitation.', httpStatus.CONFLICT);
+	}
+
+	// New members start with the same role as self sign-ups; the invitation link proves the email address
+	const role = await Role.getRoleByName('Designer');
+	const user = await User.createUser({
+		...req.body,
+		email: invitation.email,
+		confirmed: true,
+		roles: role ? [role.id] : []
+	});
+
+	const accepted = await completeAcceptance(invitation, user);
+	const tokens = await tokenService.generateAuthTokens(user);
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: accepted.status === 'awaiting_approval' ? 'Account created, waiting for approval' : 'Account created and invitation accepted',
+		data: { user, tokens, invitation: accepted }
+	});
+});
+
+const declineInvitation = catchAsync(async (req, res) => {
+	const invitation = await Invitation.getOpenInvitationByToken(req.params.token);
+
+	const declined = await Invitation.transition(invitation._id, ['pending'], { status: 'declined', respondedAt: new Date() });
+
+	await Notification.createNotification({
+		title: 'Invitation Declined',
+		message: `${invitation.email} declined the invitation to ${invitation.team.name}`,
+		type: 'info',
+		recipient: invitation.invitedBy._id,
+		relatedEntity: {
+			type: 'team',
+			id: invitation.team._id
+		},
+		priority: 'low'
+	});
+
+	res.json({
+		success: true,
+		message: 'Invitation declined successfully',
+		data: { status: declined.status }
+	});
+});
+
+export default {
+	createInvitation,
+	getInvitations,
+	resendInvitation,
+	revokeInvitation,
+	approveInvitation: reviewInvitation(true),
+	rejectInvitation: reviewInvitation(false),
+	getInvitationByToken,
+	acceptInvitation,
+	registerWithInvitation,
+	declineInvitation
+};
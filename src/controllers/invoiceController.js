@@ -0,0 +1,346 @@
+import httpStatus from 'http-status';
+import catchAsync from '~/utils/catchAsync';
+import APIError from '~/utils/apiError';
+import Invoice from '~/models/invoiceModel';
+import Estimate from '~/models/estimateModel';
+import pdfService from '~/services/pdfService';
+import razorpayService from '~/services/razorpayService';
+
+const createFromEstimate = catchAsync(async (req, res) => {
+	const estimate = await Estimate.getEstimateById(req.params.estimateId);
+
+	if (!estimate) {
+		throw new APIError('Estimate not found', httpStatus.NOT_FOUND);
+	}
+
+	const invoices = await Invoice.createFromEstimate(estimate, req.body, req.user.id);
+
+	// Add invoice note to estimate
+	estimate.notes.push({
+		content: `${invoices.length} ${req.body.type} invoice(s) created: ${invoices.map((invoice) => invoice.invoiceNumber).join(', ')}`,
+		createdBy: req.user.id
+	});
+	await estimate.save();
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Invoice created successfully',
+		data: invoices
+	});
+});
+
+const getInvoices = catchAsync(async (req, res) => {
+	const { status, clientId, estimateId, projectId, page = 1, limit = 10 } = req.query;
+
+	let query = {};
+
+	if (status) {
+		query.status = status;
+	}
+
+	if (clientId) {
+		query.client = clientId;
+	}
+
+	if (estimateId) {
+		query.estimate = estimateId;
+	}
+
+	if (projectId) {
+		query.project = projectId;
+	}
+
+	const invoices = await Invoice.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: [
+			{ path: 'client', select: 'firstName lastName email phone company' },
+			{ path: 'estimate', select: 'title version' }
+		],
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: invoices
+	});
+});
+
+const getInvoice = catchAsync(async (req, res) => {
+	const invoice = await Invoice.getInvoiceById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		data: invoice
+	});
+});
+
+const updateInvoiceStatus = catchAsync(async (req, res) => {
+	const { status } = req.body;
+
+	const invoice = await Invoice.updateInvoiceStatus(req.params.invoiceId, status, req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Invoice status updated successfully',
+		data: invoice
+	});
+});
+
+const recordPayment = catchAsync(async (req, res) => {
+	const invoice = await Invoice.recordPayment(req.params.invoiceId, {
+		...req.body,
+		recordedBy: req.user.id
+	});
+
+	res.json({
+		success: true,
+		message: 'Payment recorded successfully',
+		data: invoice
+	});
+});
+
+// Amount requested from the client: the full balance unless a smaller part payment is asked for
+const getCollectableAmount = (invoice, amount) => {
+	if (!['issued', 'partial', 'overdue'].includes(invoice.status)) {
+		throw new APIError('Payments can only be collected for issued invoices', httpStatus.BAD_REQUEST);
+	}
+	const collectable = amount || invoice.balanceDue;
+	if (collectable <= 0 || collectable > invoice.balanceDue) {
+		throw new APIError(`Amount must be between 0 and the balance due of ${invoice.balanceDue.toFixed(2)}`, httpStatus.BAD_REQUEST);
+	}
+	return collectable;
+};
+
+const createPaymentOrder = catchAsync(async (req, res) => {
+	const invoice = await Invoice.findById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	const amount = getCollectableAmount(invoice, req.body.amount);
+	const order = await razorpayService.createOrder({
+		amount,
+		currency: invoice.pricing.currency,
+		receipt: invoice.invoiceNumber,
+		notes: {
+			invoice_id: invoice.id,
+			invoice_number: invoice.invoiceNumber
+		}
+	});
+
+	invoice.paymentRequests.push({
+		kind: 'order',
+		razorpayOrderId: order.id,
+		amount,
+		currency: invoice.pricing.currency,
+		createdBy: req.user.id
+	});
+	await invoice.save();
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Payment order created successfully',
+		data: {
+			orderId: order.id,
+			amount: order.amount,
+			currency: order.currency,
+			keyId: razorpayService.getKeyId(),
+			invoiceNumber: invoice.invoiceNumber
+		}
+	});
+});
+
+const createPaymentLink = catchAsync(async (req, res) => {
+	const { amount, notifyClient, expireBy, callbackUrl } = req.body;
+
+	const invoice = await Invoice.getInvoiceById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	const collectable = getCollectableAmount(invoice, amount);
+	const paymentLink = await razorpayService.createPaymentLink({
+		amount: collectable,
+		currency: invoice.pricing.currency,
+		description: `Invoice ${invoice.invoiceNumber}`,
+		referenceId: `${invoice.invoiceNumber}-${invoice.paymentRequests.length + 1}`,
+		expireBy: expireBy ? Math.floor(new Date(expireBy).getTime() / 1000) : undefined,
+		customer: {
+			name: `${invoice.client.firstName} ${invoice.client.lastName}`,
+			email: invoice.client.email,
+			contact: invoice.client.phone
+		},
+		notify: {
+			sms: !!notifyClient,
+			email: !!notifyClient
+		},
+		notes: {
+			invoice_id: invoice.id,
+			invoice_number: invoice.invoiceNumber
+		},
+		callbackUrl
+	});
+
+	invoice.paymentRequests.push({
+		kind: 'payment_link',
+		razorpayPaymentLinkId: paymentLink.id,
+		razorpayOrderId: paymentLink.order_id,
+		shortUrl: paymentLink.short_url,
+		amount: collectable,
+		currency: invoice.pricing.currency,
+		createdBy: req.user.id
+	});
+	await invoice.save();
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Payment link created successfully',
+		data: {
+			paymentLinkId: paymentLink.id,
+			shortUrl: paymentLink.short_url,
+			amount: collectable,
+			currency: invoice.pricing.currency
+		}
+	});
+});
+
+const verifyPayment = catchAsync(async (req, res) => {
+	const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+	const invoice = await Invoice.findOne({
+		_id: req.params.invoiceId,
+		'paymentRequests.razorpayOrderId': razorpay_order_id
+	});
+
+	if (!invoice) {
+		throw new APIError('Invoice payment order not found', httpStatus.NOT_FOUND);
+	}
+
+	// Verify payment signature
+	const isValidSignature = razorpayService.verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+	if (!isValidSignature) {
+		throw new APIError('Invalid payment signature', httpStatus.BAD_REQUEST);
+	}
+
+	const payment = await razorpayService.getPayment(razorpay_payment_id);
+	if (payment.order_id !== razorpay_order_id || !['captured', 'authorized'].includes(payment.status)) {
+		throw new APIError('Payment has not been completed', httpStatus.BAD_REQUEST);
+	}
+
+	const updatedInvoice = await invoice.applyRazorpayPayment(payment);
+
+	res.json({
+		success: true,
+		message: 'Payment verified successfully',
+		data: updatedInvoice
+	});
+});
+
+// Only available with RAZORPAY_MODE=fake: pays an order or payment link as the client would
+const simulatePayment = catchAsync(async (req, res) => {
+	const { orderId, paymentLinkId } = req.body;
+
+	const invoice = await Invoice.findById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	const request = invoice.paymentRequests.find(
+		(paymentRequest) =>
+			(orderId && paymentRequest.razorpayOrderId === orderId) || (paymentLinkId && paymentRequest.razorpayPaymentLinkId === paymentLinkId)
+	);
+	if (!request) {
+		throw new APIError('Payment request not found for this invoice', httpStatus.NOT_FOUND);
+	}
+
+	const result = razorpayService.simulatePayment({ orderId, paymentLinkId });
+
+	res.json({
+		success: true,
+		message: 'Payment simulated successfully',
+		data: result
+	});
+});
+
+const deleteInvoice = catchAsync(async (req, res) => {
+	const invoice = await Invoice.findById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	if (invoice.status !== 'draft') {
+		throw new APIError('Only draft invoices can be deleted; cancel issued invoices instead', httpStatus.BAD_REQUEST);
+	}
+
+	await invoice.remove();
+	if (invoice.estimate) {
+		await Invoice.releaseAmount(invoice.estimate, invoice.pricing.totalAmount);
+	}
+
+	res.json({
+		success: true,
+		message: 'Invoice deleted successfully'
+	});
+});
+
+const generatePDF = catchAsync(async (req, res) => {
+	const invoice = await Invoice.getInvoiceById(req.params.invoiceId);
+
+	if (!invoice) {
+		throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+	}
+
+	// Generate PDF
+	const pdfResult = await pdfService.generateInvoicePDF(invoice);
+
+	// Update invoice with PDF attachment
+	invoice.attachments.push({
+		name: pdfResult.filename,
+		url: pdfResult.publicUrl,
+		size: pdfResult.size
+	});
+	await invoice.save();
+
+	res.json({
+		success: true,
+		message: 'PDF generated successfully',
+		data: {
+			filename: pdfResult.filename,
+			url: pdfResult.publicUrl,
+			size: pdfResult.size
+		}
+	});
+});
+
+const getInvoiceStats = catchAsync(async (req, res) => {
+	const stats = await Invoice.getInvoiceStats();
+
+	res.json({
+		success: true,
+		data: stats
+	});
+});
+
+export default {
+	createFromEstimate,
+	getInvoices,
+	getInvoice,
+	updateInvoiceStatus,
+	recordPayment,
+	createPaymentOrder,
+	createPaymentLink,
+	verifyPayment,
+	simulatePayment,
+	deleteInvoice,
+	generatePDF,
+	getInvoiceStats
+};
@@ -7,9 +7,14 @@ import Project from '~/models/projectModel';
 import Notification from '~/models/notificationModel';
 import messagingService from '~/services/messagingService';
 import aiService from '~/services/aiService';
+import usageService from '~/services/usageService';
+import integrityService from '~/services/integrityService';
+import exportService from '~/services/exportService';
+import leadScoringService from '~/services/leadScoringService';
 
 const createLead = catchAsync(async (req, res) => {
-	const lead = await Lead.create(req.body);
+	// Users who only see their assigned leads are assigned the leads they create
+	const lead = await Lead.create(req.rights.includes('lead:all') ? req.body : { assignedTo: req.user.id, ...req.body });
 	
 	// Create notification for assigned user
 	if (lead.assignedTo) {
@@ -33,9 +38,8 @@ const createLead = catchAsync(async (req, res) => {
 	});
 });
 
-const getLeads = catchAsync(async (req, res) => {
-	const { status, assignedTo, search, page = 1, limit = 10 } = req.query;
-	
+// Filters shared by the list and export routes
+const buildLeadQuery = ({ status, assignedTo, search, minScore }) => {
 	let query = {};
 	
 	if (status) {
@@ -45,6 +49,10 @@ const getLeads = catchAsync(async (req, res) => {
 	if (assignedTo) {
 		query.assignedTo = assignedTo;
 	}
+
+	if (minScore !== undefined) {
+		query.score = { $gte: minScore };
+	}
 	
 	if (search) {
 		const searchRegex = new RegExp(search, 'i');
@@ -58,11 +66,20 @@ const getLeads = catchAsync(async (req, res) => {
 		];
 	}
 
+	return query;
+};
+
+const getLeads = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10, sortBy = 'createdAt', sortDirection = 'desc' } = req.query;
+
+	const query = buildLeadQuery(req.query);
+
 	const leads = await Lead.paginate(query, {
 		page: parseInt(page),
 		limit: parseInt(limit),
 		populate: 'assignedTo',
-		sort: { createdAt: -1 }
+		// Newest first among leads with the same score, budget or follow-up date
+		sort: { [sortBy]: sortDirection === 'asc' ? 1 : -1, createdAt: -1 }
 	});
 
 	res.json({
@@ -71,6 +88,11 @@ const getLeads = catchAsync(async (req, res) => {
 	});
 });
 
+const exportLeads = catchAsync(async (req, res) => {
+	const { format, columns } = req.query;
+	await exportService.exportRecords(res, 'lead', { filter: buildLeadQuery(req.query), format, columns });
+});
+
 const getLead = catchAsync(async (req, res) => {
 	const lead = await Lead.getLeadById(req.params.leadId);
 	
@@ -110,7 +132,7 @@ const updateLead = catchAsync(async (req, res) => {
 });
 
 const deleteLead = catchAsync(async (req, res) => {
-	const lead = await Lead.findByIdAndDelete(req.params.leadId);
+	const lead = await integrityService.deleteWithRules('leads', req.params.leadId, req.user.id);
 
 	if (!lead) {
 		throw new APIError('Lead not found', httpStatus.NOT_FOUND);
@@ -118,7 +140,37 @@ const deleteLead = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Lead deleted successfully'
+		message: 'Lead moved to trash'
+	});
+});
+
+const getDeletedLeads = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const leads = await Lead.paginateDeleted({}, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'deletedBy', select: 'firstName lastName email avatar' },
+		sort: { deletedAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: leads
+	});
+});
+
+const restoreLead = catchAsync(async (req, res) => {
+	const lead = await integrityService.restoreWithRules('leads', req.params.leadId);
+
+	if (!lead) {
+		throw new APIError('Lead not found in trash', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		message: 'Lead restored successfully',
+		data: lead
 	});
 });
 
@@ -179,7 +231,8 @@ const convertToClient = catchAsync(async (req, res) => {
 		}]
 	};
 
-	const client = await Client.create(clientData);
+	const ownerId = await usageService.getOwnerId(req);
+	const client = await usageService.consume(ownerId, 'clients', () => Client.create(clientData));
 
 	// Update lead status
 	lead.status = 'converted';
@@ -218,6 +271,8 @@ const convertToProject = catchAsync(async (req, res) => {
 		throw new APIError('Lead not found', httpStatus.NOT_FOUND);
 	}
 
+	const ownerId = await usageService.getOwnerId(req);
+
 	// First convert to client if not already
 	let client = await Client.findOne({ leadSource: lead._id });
 	
@@ -242,16 +297,18 @@ const convertToProject = catchAsync(async (req, res) => {
 			assignedTo: lead.assignedTo,
 			leadSource: lead._id
 		};
-		client = await Client.create(clientData);
+		client = await usageService.consume(ownerId, 'clients', () => Client.create(clientData));
 	}
 
 	// Create project
-	const project = await Project.create({
-		...projectData,
-		client: client._id,
-		leadSource: lead._id,
-		createdBy: req.user.id
-	});
+	const project = await usageService.consume(ownerId, 'projects', () =>
+		Project.create({
+			...projectData,
+			client: client._id,
+			leadSource: lead._id,
+			createdBy: req.user.id
+		})
+	);
 
 	// Update lead status
 	await Lead.convertToProject(lead._id, project._id);
@@ -368,12 +425,44 @@ const searchLeads = catchAsync(async (req, res) => {
 	});
 });
 
+const getScoringRules = catchAsync(async (req, res) => {
+	const rules = await leadScoringService.getRules(req.workspaceId);
+
+	res.json({
+		success: true,
+		data: rules
+	});
+});
+
+const updateScoringRules = catchAsync(async (req, res) => {
+	const rules = await leadScoringService.updateRules(req.workspaceId, req.body, req.user.id);
+
+	res.json({
+		success: true,
+		message: 'Lead scoring rules updated successfully. Lead scores are being recalculated',
+		data: rules
+	});
+});
+
+const resetScoringRules = catchAsync(async (req, res) => {
+	const rules = await leadScoringService.resetRules(req.workspaceId);
+
+	res.json({
+		success: true,
+		message: 'Lead scoring rules reset to the defaults. Lead scores are being recalculated',
+		data: rules
+	});
+});
+
 export default {
 	createLead,
 	getLeads,
+	exportLeads,
 	getLead,
 	updateLead,
 	deleteLead,
+	getDeletedLeads,
+	restoreLead,
 	updateLeadStatus,
 	addNote,
 	convertToClient,
@@ -381,5 +470,8 @@ export default {
 	sendFollowUp,
 	generateAIEstimate,
 	getLeadStats,
-	searchLeads
+	searchLeads,
+	getScoringRules,
+	updateScoringRules,
+	resetScoringRules
 };
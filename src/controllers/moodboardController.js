@@ -7,6 +7,7 @@ import Client from '~/models/clientModel';
 import Notification from '~/models/notificationModel';
 import aiService from '~/services/aiService';
 import messagingService from '~/services/messagingService';
+import integrityService from '~/services/integrityService';
 import crypto from 'crypto';
 
 const createMoodboard = catchAsync(async (req, res) => {
@@ -143,7 +144,7 @@ const updateMoodboard = catchAsync(async (req, res) => {
 });
 
 const deleteMoodboard = catchAsync(async (req, res) => {
-	const moodboard = await Moodboard.findByIdAndDelete(req.params.moodboardId);
+	const moodboard = await integrityService.deleteWithRules('moodboards', req.params.moodboardId, req.user.id);
 
 	if (!moodboard) {
 		throw new APIError('Moodboard not found', httpStatus.NOT_FOUND);
@@ -151,7 +152,37 @@ const deleteMoodboard = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Moodboard deleted successfully'
+		message: 'Moodboard moved to trash'
+	});
+});
+
+const getDeletedMoodboards = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const moodboards = await Moodboard.paginateDeleted({}, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'deletedBy', select: 'firstName lastName email avatar' },
+		sort: { deletedAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: moodboards
+	});
+});
+
+const restoreMoodboard = catchAsync(async (req, res) => {
+	const moodboard = await integrityService.restoreWithRules('moodboards', req.params.moodboardId);
+
+	if (!moodboard) {
+		throw new APIError('Moodboard not found in trash', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		message: 'Moodboard restored successfully',
+		data: moodboard
 	});
 });
 
@@ -326,12 +357,21 @@ const getMoodboardByToken = catchAsync(async (req, res) => {
 		throw new APIError('Share token has expired', httpStatus.GONE);
 	}
 
+	// Password protected shares need the password along with the link
+	if (moodboard.sharing.password && req.get('X-Share-Password') !== moodboard.sharing.password) {
+		throw new APIError('Share password required', httpStatus.UNAUTHORIZED);
+	}
+
 	// Increment view count
 	await Moodboard.incrementViewCount(moodboard._id);
 
+	const data = moodboard.toJSON();
+	delete data.sharing.password;
+	delete data.sharing.allowedUsers;
+
 	res.json({
 		success: true,
-		data: moodboard
+		data
 	});
 });
 
@@ -488,6 +528,8 @@ export default {
 	getMoodboard,
 	updateMoodboard,
 	deleteMoodboard,
+	getDeletedMoodboards,
+	restoreMoodboard,
 	updateMoodboardStatus,
 	addItem,
 	updateItem,
@@ -7,10 +7,19 @@ import Lead from '~/models/leadModel';
 import Notification from '~/models/notificationModel';
 import messagingService from '~/services/messagingService';
 import pdfService from '~/services/pdfService';
+import integrityService from '~/services/integrityService';
+import exportService from '~/services/exportService';
 
 const createProject = catchAsync(async (req, res) => {
+	// Users who only see the projects they work on join the team of the projects they create
+	const team = req.body.team || [];
+	if (!req.rights.includes('project:all') && !team.some((member) => member.user === req.user.id)) {
+		team.push({ user: req.user.id, role: 'project_manager' });
+	}
+
 	const project = await Project.create({
 		...req.body,
+		team,
 		createdBy: req.user.id
 	});
 
@@ -62,9 +71,8 @@ const createProject = catchAsync(async (req, res) => {
 	});
 });
 
-const getProjects = catchAsync(async (req, res) => {
-	const { status, clientId, teamMember, search, page = 1, limit = 10 } = req.query;
-	
+// Filters shared by the list and export routes
+const buildProjectQuery = ({ status, clientId, teamMember, search }) => {
 	let query = {};
 	
 	if (status) {
@@ -90,6 +98,14 @@ const getProjects = catchAsync(async (req, res) => {
 		];
 	}
 
+	return query;
+};
+
+const getProjects = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const query = buildProjectQuery(req.query);
+
 	const projects = await Project.paginate(query, {
 		page: parseInt(page),
 		limit: parseInt(limit),
@@ -107,6 +123,11 @@ const getProjects = catchAsync(async (req, res) => {
 	});
 });
 
+const exportProjects = catchAsync(async (req, res) => {
+	const { format, columns } = req.query;
+	await exportService.exportRecords(res, 'project', { filter: buildProjectQuery(req.query), format, columns });
+});
+
 const getProject = catchAsync(async (req, res) => {
 	const project = await Project.getProjectById(req.params.projectId);
 	
@@ -150,7 +171,7 @@ const updateProject = catchAsync(async (req, res) => {
 });
 
 const deleteProject = catchAsync(async (req, res) => {
-	const project = await Project.findByIdAndDelete(req.params.projectId);
+	const project = await integrityService.deleteWithRules('projects', req.params.projectId, req.user.id);
 
 	if (!project) {
 		throw new APIError('Project not found', httpStatus.NOT_FOUND);
@@ -158,7 +179,37 @@ const deleteProject = catchAsync(async (req, res) => {
 
 	res.json({
 		success: true,
-		message: 'Project deleted successfully'
+		message: 'Project moved to trash'
+	});
+});
+
+const getDeletedProjects = catchAsync(async (req, res) => {
+	const { page = 1, limit = 10 } = req.query;
+
+	const projects = await Project.paginateDeleted({}, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'deletedBy', select: 'firstName lastName email avatar' },
+		sort: { deletedAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: projects
+	});
+});
+
+const restoreProject = catchAsync(async (req, res) => {
+	const project = await integrityService.restoreWithRules('projects', req.params.projectId);
+
+	if (!project) {
+		throw new APIError('Project not found in trash', httpStatus.NOT_FOUND);
+	}
+
+	res.json({
+		success: true,
+		message: 'Project restored successfully',
+		data: project
 	});
 });
 
@@ -418,9 +469,12 @@ const getTeamMemberProjects = catchAsync(async (req, res) => {
 export default {
 	createProject,
 	getProjects,
+	exportProjects,
 	getProject,
 	updateProject,
 	deleteProject,
+	getDeletedProjects,
+	restoreProject,
 	updateProjectStatus,
 	addMilestone,
 	updateMilestone,
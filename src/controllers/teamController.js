@@ -3,9 +3,27 @@ import catchAsync from '~/utils/catchAsync';
 import APIError from '~/utils/apiError';
 import Team from '~/models/teamModel';
 import User from '~/models/userModel';
+import Role from '~/models/roleModel';
 import Notification from '~/models/notificationModel';
 
+// Teams can only be placed under a team the user manages; the parent decides the workspace the team's members
+// work in, and so whose data they see
+const assertCanUseParent = async (parentTeamId, user) => {
+	const parent = await Team.findById(parentTeamId);
+	if (!parent) {
+		throw new APIError('Parent team not found', httpStatus.NOT_FOUND);
+	}
+	if (!(await Team.canManageTeam(parent, user))) {
+		throw new APIError('You can only add sub-teams to teams you manage', httpStatus.FORBIDDEN);
+	}
+	return parent;
+};
+
 const createTeam = catchAsync(async (req, res) => {
+	if (req.body.parentTeam) {
+		await assertCanUseParent(req.body.parentTeam, req.user);
+	}
+
 	const teamData = {
 		...req.body,
 		createdBy: req.user.id
@@ -65,7 +83,7 @@ const createTeam = catchAsync(async (req, res) => {
 const getTeams = catchAsync(async (req, res) => {
 	const { teamType, status, search, page = 1, limit = 10 } = req.query;
 	
-	let query = {};
+	let query = { _id: { $in: await Team.getAccessibleTeamIds(req.user.id) } };
 	
 	if (teamType) {
 		query.teamType = teamType;
@@ -114,6 +132,37 @@ const getTeam = catchAsync(async (req, res) => {
 });
 
 const updateTeam = catchAsync(async (req, res) => {
+	const existing = await Team.findById(req.params.teamId);
+	if (!existing) {
+		throw new APIError('Team not found', httpStatus.NOT_FOUND);
+	}
+	if (!(await Team.canManageTeam(existing, req.user))) {
+		throw new APIError('Only team leads can update the team', httpStatus.FORBIDDEN);
+	}
+	if (req.body.parentTeam !== undefined) {
+		let newWorkspaceId = existing._id;
+		if (req.body.parentTeam) {
+			const parent = await assertCanUseParent(req.body.parentTeam, req.user);
+			const ancestors = await Team.getTeamChain(parent._id);
+			if (ancestors.some((team) => team._id.equals(existing._id))) {
+				throw new APIError('A team cannot be moved under itself or one of its sub-teams', httpStatus.BAD_REQUEST);
+			}
+			newWorkspaceId = await Team.getWorkspaceId(parent._id);
+		}
+
+		// Records are tagged with the root team of their workspace, so they would be left behind by a move to another
+		// workspace. Only a root team without records can join another hierarchy.
+		const workspaceId = await Team.getWorkspaceId(existing._id);
+		if (!workspaceId.equals(newWorkspaceId)) {
+			if (!workspaceId.equals(existing._id)) {
+				throw new APIError('Sub-teams can only be moved within their workspace', httpStatus.BAD_REQUEST);
+			}
+			if (await Team.hasWorkspaceRecords(workspaceId)) {
+				throw new APIError('A workspace that has records cannot be moved under another team', httpStatus.BAD_REQUEST);
+			}
+		}
+	}
+
 	const team = await Team.findByIdAndUpdate(
 		req.params.teamId,
 		req.body,
@@ -256,7 +305,7 @@ const getTeamStats = catchAsync(async (req, res) => {
 const searchTeams = catchAsync(async (req, res) => {
 	const { query } = req.query;
 	
-	const teams = await Team.searchTeams(query);
+	const teams = await Team.searchTeams(query, await Team.getAccessibleTeamIds(req.user.id));
 
 	res.json({
 		success: true,
@@ -275,7 +324,7 @@ const getTeamsByUser = catchAsync(async (req, res) => {
 
 const getTeamsByType = catchAsync(async (req, res) => {
 	const { teamType } = req.params;
-	const teams = await Team.getTeamsByType(teamType);
+	const teams = await Team.getTeamsByType(teamType, await Team.getAccessibleTeamIds(req.user.id));
 
 	res.json({
 		success: true,
@@ -284,7 +333,8 @@ const getTeamsByType = catchAsync(async (req, res) => {
 });
 
 const checkUserPermission = catchAsync(async (req, res) => {
-	const { teamId, userId, resource, action } = req.query;
+	const { teamId } = req.params;
+	const { userId, resource, action } = req.query;
 	
 	const hasPermission = await Team.canUserAccessResource(teamId, userId, resource, action);
 
@@ -300,6 +350,67 @@ const checkUserPermission = catchAsync(async (req, res) => {
 	});
 });
 
+// Requires two-factor authentication for the team's members and the members of its sub-teams
+const updateTwoFactorRequirement = catchAsync(async (req, res) => {
+	const team = await Team.findById(req.params.teamId);
+	if (!team) {
+		throw new APIError('Team not found', httpStatus.NOT_FOUND);
+	}
+	if (!(await Team.canManageTeam(team, req.user))) {
+		throw new APIError('Only team leads can change the two-factor requirement', httpStatus.FORBIDDEN);
+	}
+
+	team.settings.requireTwoFactor = req.body.required;
+	await team.save();
+
+	if (req.body.required) {
+		// Let members who have not set it up yet know before they are locked out of workspace data
+		const memberIds = team.members.map((member) => member.user);
+		const pending = await User.find({ _id: { $in: memberIds }, twoFactorEnabled: { $ne: true } }).select('_id');
+		await Notification.createBulkNotifications(
+			pending.map((user) => ({
+				title: 'Two-Factor Authentication Required',
+				message: `${team.name} now requires two-factor authentication. Enable it in your account settings to keep access.`,
+				type: 'warning',
+				recipient: user._id,
+				relatedEntity: {
+					type: 'team',
+					id: team._id
+				},
+				priority: 'high'
+			}))
+		);
+	}
+
+	res.json({
+		success: true,
+		message: req.body.required ? 'Two-factor authentication is now required' : 'Two-factor authentication is no longer required',
+		data: team
+	});
+});
+
+// Effective permissions of a user in a team, including those inherited from parent teams, with the team each comes from
+const getEffectivePermissions = catchAsync(async (req, res) => {
+	const { teamId } = req.params;
+	const userId = req.query.userId || req.user.id;
+
+	// Team leads (direct or inherited) and users with team:read can look up other members
+	if (userId !== req.user.id) {
+		const rights = await Role.getRightsByRoleIds(req.user.roles);
+		const own = await Team.getEffectivePermissions(teamId, req.user.id);
+		if (!rights.includes('team:read') && own.role !== 'team_lead') {
+			throw new APIError('You are not allowed to view permissions of other members', httpStatus.FORBIDDEN);
+		}
+	}
+
+	const permissions = await Team.getEffectivePermissions(teamId, userId);
+
+	res.json({
+		success: true,
+		data: permissions
+	});
+});
+
 export default {
 	createTeam,
 	getTeams,
@@ -315,5 +426,7 @@ export default {
 	searchTeams,
 	getTeamsByUser,
 	getTeamsByType,
-	checkUserPermission
+	checkUserPermission,
+	getEffectivePermissions,
+	updateTwoFactorRequirement
 };
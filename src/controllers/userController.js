@@ -3,6 +3,7 @@ import APIError from '~/utils/apiError';
 import User from '~/models/userModel';
 import Role from '~/models/roleModel';
 import httpStatus from 'http-status';
+import loginProtectionService from '~/services/loginProtectionService';
 
 export const createUser = async (req, res) => {
 	const user = await User.createUser(req.body);
@@ -85,4 +86,28 @@ export const deleteUser = async (req, res) => {
 	});
 };
 
-export default { createUser, getUsers, getUser, updateUser, deleteUser };
+export const getLockout = async (req, res) => {
+	const user = await User.getUserById(req.params.userId);
+	if (!user) {
+		throw new APIError('User not found', httpStatus.NOT_FOUND);
+	}
+	const status = await loginProtectionService.getStatus(user);
+	return res.json({
+		success: true,
+		data: status
+	});
+};
+
+export const unlockUser = async (req, res) => {
+	const user = await User.getUserById(req.params.userId);
+	if (!user) {
+		throw new APIError('User not found', httpStatus.NOT_FOUND);
+	}
+	await loginProtectionService.unlock(user);
+	return res.json({
+		success: true,
+		data: 'Unlock user success'
+	});
+};
+
+export default { createUser, getUsers, getUser, updateUser, deleteUser, getLockout, unlockUser };
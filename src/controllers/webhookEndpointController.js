@@ -0,0 +1,166 @@
+import httpStatus from 'http-status';
+import catchAsync from '~/utils/catchAsync';
+import APIError from '~/utils/apiError';
+import WebhookEndpoint from '~/models/webhookEndpointModel';
+import WebhookDelivery from '~/models/webhookDeliveryModel';
+import outboundWebhookService from '~/services/outboundWebhookService';
+
+const getEndpointDelivery = async (req) => {
+	const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, endpoint: req.params.endpointId });
+	if (!delivery) {
+		throw new APIError('Webhook delivery not found', httpStatus.NOT_FOUND);
+	}
+	return delivery;
+};
+
+const createEndpoint = catchAsync(async (req, res) => {
+	const { endpoint, secret } = await WebhookEndpoint.createEndpoint(req.body, req.user.id);
+
+	res.status(httpStatus.CREATED).json({
+		success: true,
+		message: 'Webhook endpoint created successfully. Copy the signing secret now, it will not be shown again.',
+		data: { endpoint, secret }
+	});
+});
+
+const getEndpoints = catchAsync(async (req, res) => {
+	const { event, enabled, page = 1, limit = 10 } = req.query;
+
+	let query = {};
+
+	if (event) {
+		query.events = event;
+	}
+
+	if (enabled !== undefined) {
+		query.enabled = enabled;
+	}
+
+	const endpoints = await WebhookEndpoint.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		populate: { path: 'createdBy', select: 'firstName lastName email' },
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: endpoints
+	});
+});
+
+const getEndpoint = catchAsync(async (req, res) => {
+	const endpoint = await WebhookEndpoint.getEndpointById(req.params.endpointId);
+
+	res.json({
+		success: true,
+		data: endpoint
+	});
+});
+
+const updateEndpoint = catchAsync(async (req, res) => {
+	const endpoint = await WebhookEndpoint.getEndpointById(req.params.endpointId);
+	Object.assign(endpoint, req.body);
+	await endpoint.save();
+
+	res.json({
+		success: true,
+		message: 'Webhook endpoint updated successfully',
+		data: endpoint
+	});
+});
+
+// Deliveries already queued for the endpoint fail on their next attempt
+const deleteEndpoint = catchAsync(async (req, res) => {
+	const endpoint = await WebhookEndpoint.getEndpointById(req.params.endpointId);
+	await endpoint.deleteOne();
+
+	res.json({
+		success: true,
+		message: 'Webhook endpoint deleted successfully'
+	});
+});
+
+// Signatures made with the old secret stop validating right away
+const rotateSecret = catchAsync(async (req, res) => {
+	const { endpoint, secret } = await WebhookEndpoint.rotateSecret(req.params.endpointId);
+
+	res.json({
+		success: true,
+		message: 'Signing secret rotated successfully. Copy it now, it will not be shown again.',
+		data: { endpoint, secret }
+	});
+});
+
+const pingEndpoint = catchAsync(async (req, res) => {
+	const endpoint = await WebhookEndpoint.getEndpointById(req.params.endpointId);
+	const delivery = await outboundWebhookService.ping(endpoint, req.user.id);
+
+	res.status(httpStatus.ACCEPTED).json({
+		success: true,
+		message: 'Test event queued',
+		data: delivery
+	});
+});
+
+const getDeliveries = catchAsync(async (req, res) => {
+	const { status, event, page = 1, limit = 20 } = req.query;
+
+	let query = { endpoint: req.params.endpointId };
+
+	if (status) {
+		query.status = status;
+	}
+
+	if (event) {
+		query.event = event;
+	}
+
+	const deliveries = await WebhookDelivery.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: deliveries
+	});
+});
+
+const getDelivery = catchAsync(async (req, res) => {
+	const delivery = await getEndpointDelivery(req);
+
+	res.json({
+		success: true,
+		data: delivery
+	});
+});
+
+const redeliver = catchAsync(async (req, res) => {
+	const delivery = await getEndpointDelivery(req);
+	if (delivery.status === 'pending') {
+		throw new APIError('Delivery is still being attempted', httpStatus.CONFLICT);
+	}
+
+	const redelivery = await outboundWebhookService.redeliver(delivery, req.user.id);
+
+	res.status(httpStatus.ACCEPTED).json({
+		success: true,
+		message: 'Event queued for redelivery',
+		data: redelivery
+	});
+});
+
+export default {
+	createEndpoint,
+	getEndpoints,
+	getEndpoint,
+	updateEndpoint,
+	deleteEndpoint,
+	rotateSecret,
+	pingEndpoint,
+	getDeliveries,
+	getDelivery,
+	redeliver
+};
@@ -0,0 +1,68 @@
+import catchAsync from '~/utils/catchAsync';
+import WebhookEvent from '~/models/webhookEventModel';
+import webhookService from '~/services/webhookService';
+
+const getWebhookEvents = catchAsync(async (req, res) => {
+	const { provider, status, eventType, from, to, page = 1, limit = 20 } = req.query;
+
+	let query = {};
+
+	if (provider) {
+		query.provider = provider;
+	}
+
+	if (status) {
+		query.status = status;
+	}
+
+	if (eventType) {
+		query.eventType = eventType;
+	}
+
+	if (from || to) {
+		query.createdAt = {};
+		if (from) {
+			query.createdAt.$gte = new Date(from);
+		}
+		if (to) {
+			query.createdAt.$lte = new Date(to);
+		}
+	}
+
+	const events = await WebhookEvent.paginate(query, {
+		page: parseInt(page),
+		limit: parseInt(limit),
+		sort: { createdAt: -1 }
+	});
+
+	res.json({
+		success: true,
+		data: events
+	});
+});
+
+const getWebhookEvent = catchAsync(async (req, res) => {
+	const event = await WebhookEvent.getEventById(req.params.webhookEventId);
+
+	res.json({
+		success: true,
+		data: event
+	});
+});
+
+// Processes a failed event again; the response carries the outcome
+const replayWebhookEvent = catchAsync(async (req, res) => {
+	const event = await webhookService.replay(req.params.webhookEventId, req.user.id);
+
+	res.json({
+		success: true,
+		message: event.status === 'processed' ? 'Webhook event replayed successfully' : 'Webhook event replay failed',
+		data: event
+	});
+});
+
+export default {
+	getWebhookEvents,
+	getWebhookEvent,
+	replayWebhookEvent
+};
@@ -2,7 +2,10 @@ import mongoose from 'mongoose';
 import config from '~/config/config';
 import app from './app';
 import initialData from './config/initialData';
+import workspaceBackfill from './config/workspaceBackfill';
 import logger from './config/logger';
+import registerJobs from './config/jobs';
+import schedulerService from './services/schedulerService';
 
 let server;
 
@@ -36,6 +39,7 @@ const connect = async () => {
 		await mongoose.connect(config.DATABASE_URI, config.DATABASE_OPTIONS);
 		logger.info('🚀 Connected to MongoDB end!');
 		await initialData();
+		await workspaceBackfill();
 		logger.info('🚀 Initial MongoDB!');
 		server = app.listen(config.PORT, config.HOST, () => {
 			logger.info(`🚀 Host: http://${config.HOST}:${config.PORT}`);
@@ -49,6 +53,9 @@ const connect = async () => {
 			// Initialize real-time service
 			app.realtimeService.initialize(server);
 			logger.info('🚀 Real-time service initialized');
+
+			registerJobs();
+			schedulerService.start().catch((err) => logger.error(`Job scheduler failed to start: ${err}`));
 		});
 	} catch (err) {
 		logger.error(`MongoDB connection error: ${err}`);
@@ -78,6 +85,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
 	logger.info('SIGTERM received');
+	schedulerService.stop();
 	if (server) {
 		server.close();
 	}
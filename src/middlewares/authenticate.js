@@ -2,39 +2,51 @@ import passport from 'passport';
 import httpStatus from 'http-status';
 import APIError from '~/utils/apiError';
 import Role from '~/models/roleModel';
+import usageService from '~/services/usageService';
 
 const verifyCallback = (req, resolve, reject, requiredRights) => async (err, user, info) => {
 	if (err || info || !user) {
 		return reject(new APIError(httpStatus[httpStatus.UNAUTHORIZED], httpStatus.UNAUTHORIZED));
 	}
 	req.user = user;
-	if (requiredRights.length) {
-		const userRights = [];
-		const roles = await Role.find({ _id: { $in: user.roles } }).populate('permissions');
-		roles.forEach((i) => {
-			i.permissions.forEach((j) => {
-				userRights.push(`${j.controller}:${j.action}`);
-			});
-		});
-		const hasRequiredRights = requiredRights.every((r) => userRights.includes(r));
-		//console.log('requiredRights: ', requiredRights);
-		//console.log('userRights: ', userRights);
-		//console.log('boolean: ', hasRequiredRights);
-		if (!hasRequiredRights) {
-			return reject(new APIError('Resource access denied', httpStatus.FORBIDDEN));
+	try {
+		// API keys need the apiAccess feature on their workspace's plan and only get the rights in their scopes
+		if (req.apiKey) {
+			const ownerId = await usageService.getWorkspaceOwnerId(req.apiKey.workspace);
+			await usageService.assertFeature(ownerId, 'apiAccess');
+			const userRights = await Role.getRightsByRoleIds(user.roles);
+			req.rights = userRights.filter((right) => req.apiKey.scopes.includes(right));
 		}
+		if (requiredRights.length) {
+			const userRights = req.rights || (await Role.getRightsByRoleIds(user.roles));
+			const hasRequiredRights = requiredRights.every((r) => userRights.includes(r));
+			//console.log('requiredRights: ', requiredRights);
+			//console.log('userRights: ', userRights);
+			//console.log('boolean: ', hasRequiredRights);
+			if (!hasRequiredRights) {
+				return reject(new APIError('Resource access denied', httpStatus.FORBIDDEN));
+			}
+		}
+	} catch (error) {
+		return reject(error);
 	}
 	return resolve();
 };
 
-const authenticate =
-	(...requiredRights) =>
+const authenticateWith =
+	(strategies, requiredRights) =>
 	async (req, res, next) => {
 		return new Promise((resolve, reject) => {
-			passport.authenticate('jwt', { session: false }, verifyCallback(req, resolve, reject, requiredRights))(req, res, next);
+			passport.authenticate(strategies, { session: false }, verifyCallback(req, resolve, reject, requiredRights))(req, res, next);
 		})
 			.then(() => next())
 			.catch((err) => next(err));
 	};
 
+const authenticate = (...requiredRights) => authenticateWith('jwt', requiredRights);
+
+// Also accepts workspace API keys (X-API-Key header). Only for workspace routes where every action requires
+// controller:action rights, since those are what a key's scopes limit; other routes keep requiring a user's access token.
+export const authenticateOrApiKey = (...requiredRights) => authenticateWith(['jwt', 'apiKey'], requiredRights);
+
 export default authenticate;
@@ -0,0 +1,32 @@
+import httpStatus from 'http-status';
+import APIError from '~/utils/apiError';
+import workspaceContext from '~/utils/workspaceContext';
+import Role from '~/models/roleModel';
+
+// Requires controller:action rights on routes mounted behind authenticate() and workspace.
+// Reading or changing existing records of a controller is limited by its record-level access rules
+// (see recordAccessPlugin) unless the user also holds `<controller>:all`.
+const authorize =
+	(...requiredRights) =>
+	async (req, res, next) => {
+		try {
+			if (!req.rights) {
+				req.rights = await Role.getRightsByRoleIds(req.user.roles);
+			}
+			if (!requiredRights.every((right) => req.rights.includes(right))) {
+				throw new APIError('Resource access denied', httpStatus.FORBIDDEN);
+			}
+		} catch (err) {
+			return next(err);
+		}
+
+		const context = workspaceContext.get() || {};
+		const restrictedResources = requiredRights
+			.map((right) => right.split(':'))
+			.filter(([controller, action]) => action !== 'create' && !req.rights.includes(`${controller}:all`))
+			.map(([controller]) => controller);
+
+		return workspaceContext.run({ ...context, restrictedResources: [...(context.restrictedResources || []), ...restrictedResources] }, () => next());
+	};
+
+export default authorize;
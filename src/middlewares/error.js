@@ -39,6 +39,9 @@ export const handler = (err, req, res, next) => {
 		message = httpStatus[httpStatus.INTERNAL_SERVER_ERROR];
 	}
 	logger.error(err.stack);
+	if (err.retryAfter) {
+		res.set('Retry-After', String(err.retryAfter));
+	}
 	return res.status(status).json({
 		status: status,
 		errors: message,
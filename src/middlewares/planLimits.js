@@ -0,0 +1,53 @@
+import logger from '~/config/logger';
+import usageService from '~/services/usageService';
+
+const isSuccessful = (res) => res.statusCode < 400;
+
+// Reserves plan quota before the handler runs and gives it back if the request fails
+export const limitUsage =
+	(resourceType, amount = () => 1) =>
+	async (req, res, next) => {
+		try {
+			const ownerId = await usageService.getOwnerId(req);
+			const reservation = await usageService.reserve(ownerId, resourceType, amount(req));
+			res.on('finish', () => {
+				if (!isSuccessful(res)) {
+					usageService.releaseReservation(reservation);
+				}
+			});
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+
+// Gives quota back once a delete request has succeeded
+export const releaseUsage =
+	(resourceType, amount = () => 1) =>
+	async (req, res, next) => {
+		try {
+			const ownerId = await usageService.getOwnerId(req);
+			res.on('finish', () => {
+				if (isSuccessful(res)) {
+					usageService.release(ownerId, resourceType, amount(req)).catch((error) => {
+						logger.error('Failed to release usage:', error);
+					});
+				}
+			});
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+
+export const requireFeature = (featureName) => async (req, res, next) => {
+	try {
+		const ownerId = await usageService.getOwnerId(req);
+		await usageService.assertFeature(ownerId, featureName);
+		return next();
+	} catch (err) {
+		return next(err);
+	}
+};
+
+export default { limitUsage, releaseUsage, requireFeature };
@@ -1,13 +1,57 @@
 import rateLimit from 'express-rate-limit';
 import httpStatus from 'http-status';
+import config from '~/config/config';
 import APIError from '~/utils/apiError';
+import MongoRateLimitStore from '~/utils/rateLimitStore';
+import rateLimitService from '~/services/rateLimitService';
 
-const rateLimiter = rateLimit({
-	windowMs: 15 * 60 * 1000, // 15 minutes
-	max: 100,
-	handler: (req, res, next) => {
-		next(new APIError('Too many requests, please try again later.', httpStatus.TOO_MANY_REQUESTS));
-	}
+const HOUR = 60 * 60 * 1000;
+
+// Counts per authenticated user (or per IP for anonymous requests) with the limits of their plan,
+// and answers with the standard RateLimit and RateLimit-Policy headers
+const createLimiter = ({ name, windowMs, limit, message }) =>
+	rateLimit({
+		windowMs,
+		limit,
+		keyGenerator: async (req) => (await rateLimitService.getClient(req)).key,
+		store: new MongoRateLimitStore(name),
+		standardHeaders: 'draft-7',
+		legacyHeaders: false,
+		// A database outage should not take the whole API down with it
+		passOnStoreError: true,
+		handler: (req, res, next) => {
+			const error = new APIError(message, httpStatus.TOO_MANY_REQUESTS);
+			error.retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000));
+			next(error);
+		}
+	});
+
+const rateLimiter = createLimiter({
+	name: 'api',
+	windowMs: config.RATE_LIMIT_WINDOW_MS,
+	limit: (req) => rateLimitService.getRequestLimit(req),
+	message: 'Too many requests, please try again later.'
 });
 
+// Separate hourly buckets for routes that call paid or slow services
+const buckets = {
+	ai: 'AI generation limit reached for your plan, please try again later.',
+	pdf: 'PDF generation limit reached for your plan, please try again later.',
+	messaging: 'Messaging limit reached for your plan, please try again later.'
+};
+
+const bucketLimiters = Object.fromEntries(
+	Object.entries(buckets).map(([bucket, message]) => [
+		bucket,
+		createLimiter({
+			name: bucket,
+			windowMs: HOUR,
+			limit: (req) => rateLimitService.getBucketLimit(req, bucket),
+			message
+		})
+	])
+);
+
+export const limitBucket = (bucket) => bucketLimiters[bucket];
+
 export default rateLimiter;
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+import workspaceContext from '~/utils/workspaceContext';
+
+// Assigns a request id (reusing a sane incoming X-Request-Id) and opens the per-request context
+// that the workspace middleware and model plugins read from.
+const requestContext = (req, res, next) => {
+	const incomingId = req.get('X-Request-Id');
+	req.id = incomingId && /^[\w.-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+	res.set('X-Request-Id', req.id);
+
+	return workspaceContext.run({ requestId: req.id, ip: req.ip, userAgent: req.get('user-agent') }, () => next());
+};
+
+export default requestContext;
@@ -3,7 +3,12 @@ import httpStatus from 'http-status';
 import APIError from '~/utils/apiError';
 import Role from '~/models/roleModel';
 import Team from '~/models/teamModel';
-import User from '~/models/userModel';
+
+// Role in the team, inherited from the nearest parent team when the user is not a direct member
+const getTeamRole = async (userId, teamId) => {
+	const effective = await Team.getEffectivePermissions(teamId, userId);
+	return effective.role;
+};
 
 const verifyCallback = (req, resolve, reject, requiredRights, teamId) => async (err, user, info) => {
 	if (err || info || !user) {
@@ -15,31 +20,15 @@ const verifyCallback = (req, resolve, reject, requiredRights, teamId) => async (
 		let hasRequiredRights = false;
 
 		// Check global role permissions first
-		const userRights = [];
-		const roles = await Role.find({ _id: { $in: user.roles } }).populate('permissions');
-		roles.forEach((role) => {
-			role.permissions.forEach((permission) => {
-				userRights.push(`${permission.controller}:${permission.action}`);
-			});
-		});
+		const userRights = await Role.getRightsByRoleIds(user.roles);
 
 		// Check if user has global permissions
 		hasRequiredRights = requiredRights.every((right) => userRights.includes(right));
 
-		// If no global permissions and teamId is provided, check team permissions
+		// If no global permissions and teamId is provided, check team permissions, including those inherited from parent teams
 		if (!hasRequiredRights && teamId) {
-			const teamPermissions = await Team.getUserPermissionsInTeam(teamId, user.id);
-			
-			if (teamPermissions) {
-				const teamRights = [];
-				teamPermissions.permissions.forEach((permission) => {
-					permission.actions.forEach((action) => {
-						teamRights.push(`${permission.resource}:${action}`);
-					});
-				});
-
-				hasRequiredRights = requiredRights.every((right) => teamRights.includes(right));
-			}
+			const teamRights = await Team.getUserRightsInTeam(teamId, user.id);
+			hasRequiredRights = requiredRights.every((right) => teamRights.includes(right));
 		}
 
 		if (!hasRequiredRights) {
@@ -61,7 +50,7 @@ const authenticate = (...requiredRights) => (req, res, next) => {
 		.catch((err) => next(err));
 };
 
-// Middleware to check if user is a member of a specific team
+// Middleware to check if user is a member of a specific team or one of its parent teams
 const requireTeamMembership = (teamIdParam = 'teamId') => (req, res, next) => {
 	const teamId = req.params[teamIdParam];
 	
@@ -69,9 +58,9 @@ const requireTeamMembership = (teamIdParam = 'teamId') => (req, res, next) => {
 		return next(new APIError('Team ID is required', httpStatus.BAD_REQUEST));
 	}
 
-	User.isUserInTeam(req.user.id, teamId)
-		.then((isMember) => {
-			if (!isMember) {
+	getTeamRole(req.user.id, teamId)
+		.then((userRole) => {
+			if (!userRole) {
 				return next(new APIError('You are not a member of this team', httpStatus.FORBIDDEN));
 			}
 			next();
@@ -87,7 +76,7 @@ const requireTeamRole = (requiredRoles, teamIdParam = 'teamId') => (req, res, ne
 		return next(new APIError('Team ID is required', httpStatus.BAD_REQUEST));
 	}
 
-	User.getUserTeamRole(req.user.id, teamId)
+	getTeamRole(req.user.id, teamId)
 		.then((userRole) => {
 			if (!userRole || !requiredRoles.includes(userRole)) {
 				return next(new APIError('Insufficient team role permissions', httpStatus.FORBIDDEN));
@@ -147,7 +136,7 @@ const requireTeamManagement = (teamIdParam = 'teamId') => (req, res, next) => {
 		return next(new APIError('Team ID is required', httpStatus.BAD_REQUEST));
 	}
 
-	User.getUserTeamRole(req.user.id, teamId)
+	getTeamRole(req.user.id, teamId)
 		.then((userRole) => {
 			// Only team leads and senior members can manage team members
 			if (!userRole || !['team_lead', 'senior_member'].includes(userRole)) {
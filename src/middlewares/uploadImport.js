@@ -0,0 +1,35 @@
+import multer from 'multer';
+import path from 'path';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+// Spreadsheets are parsed straight from memory and never written to disk
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 2 * 1024 * 1024
+	},
+	fileFilter: (req, file, callback) => {
+		const ext = path.extname(file.originalname).toLowerCase();
+		if (ext !== '.csv' && ext !== '.xlsx') {
+			return callback(new APIError('Only CSV and XLSX files can be imported', httpStatus.BAD_REQUEST));
+		}
+		callback(null, true);
+	}
+}).single('file');
+
+const uploadImport = (req, res, next) => {
+	upload(req, res, (err) => {
+		if (err instanceof multer.MulterError) {
+			return next(new APIError(err.message, httpStatus.BAD_REQUEST));
+		} else if (err) {
+			return next(err);
+		}
+		if (!req.file) {
+			return next(new APIError('A CSV or XLSX file is required', httpStatus.BAD_REQUEST));
+		}
+		return next();
+	});
+};
+
+export default uploadImport;
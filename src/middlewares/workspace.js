@@ -0,0 +1,72 @@
+import httpStatus from 'http-status';
+import mongoose from 'mongoose';
+import APIError from '~/utils/apiError';
+import workspaceContext from '~/utils/workspaceContext';
+import Role from '~/models/roleModel';
+import Team from '~/models/teamModel';
+
+// Resolves the workspace (root team) for the authenticated user and scopes the rest of the request to it.
+// A workspace can be chosen with the X-Workspace-Id header; selecting one the user does not belong to
+// requires the workspace:override permission; API keys are bound to their own workspace.
+// Teams that require two-factor authentication lock out members without it.
+const workspace = async (req, res, next) => {
+	try {
+		const requestedId = req.get('X-Workspace-Id');
+		if (requestedId && !mongoose.Types.ObjectId.isValid(requestedId)) {
+			throw new APIError('Invalid workspace id', httpStatus.BAD_REQUEST);
+		}
+
+		const teamIds = (req.user.teams || []).filter((membership) => membership.status === 'active').map((membership) => membership.team);
+		const workspaceIds = await Team.getWorkspaceIds(teamIds);
+
+		if (!req.user.twoFactorEnabled && (await Team.isTwoFactorRequired(teamIds))) {
+			throw new APIError('Your team requires two-factor authentication. Enable it to continue.', httpStatus.FORBIDDEN);
+		}
+
+		// API keys only work in the workspace they were created in, and only while their creator belongs to it
+		if (req.apiKey) {
+			const keyWorkspaceId = req.apiKey.workspace.toString();
+			if ((requestedId && requestedId !== keyWorkspaceId) || !workspaceIds.includes(keyWorkspaceId)) {
+				throw new APIError('API key is not valid for this workspace', httpStatus.FORBIDDEN);
+			}
+		}
+
+		let workspaceId = requestedId || (req.apiKey ? req.apiKey.workspace : workspaceIds[0]);
+		if (!workspaceId) {
+			throw new APIError('Join or create a team to access workspace data', httpStatus.FORBIDDEN);
+		}
+
+		if (!workspaceIds.includes(workspaceId.toString())) {
+			const userRights = await Role.getRightsByRoleIds(req.user.roles);
+			if (!userRights.includes('workspace:override')) {
+				throw new APIError('Workspace access denied', httpStatus.FORBIDDEN);
+			}
+			const team = await Team.findById(workspaceId).select('parentTeam');
+			if (!team || team.parentTeam) {
+				throw new APIError('Workspace not found', httpStatus.NOT_FOUND);
+			}
+		}
+
+		req.workspaceId = workspaceId.toString();
+	} catch (err) {
+		return next(err);
+	}
+
+	return workspaceContext.run({ ...workspaceContext.get(), workspaceId: req.workspaceId, user: req.user.id, apiKey: req.apiKey && req.apiKey.id }, () => next());
+};
+
+// Workspace settings such as API keys and webhooks are managed by the workspace creator, its team leads
+// and users with team:update
+export const requireWorkspaceAdmin = async (req, res, next) => {
+	try {
+		const team = await Team.findById(req.workspaceId);
+		if (!team || !(await Team.canManageTeam(team, req.user))) {
+			throw new APIError('Only workspace admins can manage workspace settings', httpStatus.FORBIDDEN);
+		}
+	} catch (err) {
+		return next(err);
+	}
+	return next();
+};
+
+export default workspace;
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+const KEY_PREFIX = 'dwl_';
+
+// Last use is written at most once a minute per key
+const TOUCH_INTERVAL = 60 * 1000;
+
+// Keys for programmatic access to a workspace. They act for the user who created them, limited to their scopes.
+// Only a hash of the key is stored; the key itself is shown once, when it is created.
+const apiKeySchema = mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		// First characters of the key, so users can tell their keys apart
+		prefix: {
+			type: String,
+			required: true
+		},
+		keyHash: {
+			type: String,
+			required: true,
+			unique: true,
+			private: true
+		},
+		// controller:action permissions the key may use
+		scopes: [
+			{
+				type: String,
+				required: true
+			}
+		],
+		createdBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		},
+		expiresAt: {
+			type: Date
+		},
+		lastUsedAt: {
+			type: Date
+		},
+		lastUsedIp: {
+			type: String
+		},
+		revokedAt: {
+			type: Date
+		},
+		revokedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+apiKeySchema.plugin(toJSON);
+apiKeySchema.plugin(paginate);
+apiKeySchema.plugin(workspace);
+
+apiKeySchema.index({ workspace: 1, createdAt: -1 });
+
+class ApiKeyClass {
+	static isApiKey(value) {
+		return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+	}
+
+	static hashKey(key) {
+		return crypto.createHash('sha256').update(key).digest('hex');
+	}
+
+	// Returns the saved key and the key itself, which is not stored
+	static async createApiKey(data, createdBy) {
+		const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+		const apiKey = await this.create({
+			...data,
+			prefix: key.slice(0, KEY_PREFIX.length + 8),
+			keyHash: this.hashKey(key),
+			createdBy
+		});
+		return { apiKey, key };
+	}
+
+	// The key behind a presented key, unless it was revoked or has expired
+	static async getActiveKey(key) {
+		const apiKey = await this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+		if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+			return null;
+		}
+		return apiKey;
+	}
+
+	static async touchKey(apiKeyId, ip) {
+		const now = new Date();
+		return await this.updateOne(
+			{ _id: apiKeyId, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL) } }] },
+			{ $set: { lastUsedAt: now, lastUsedIp: ip } }
+		);
+	}
+
+	static async revokeApiKey(apiKeyId, revokedBy) {
+		const apiKey = await this.findOneAndUpdate({ _id: apiKeyId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedBy } }, { new: true });
+		if (!apiKey) {
+			if (await this.exists({ _id: apiKeyId })) {
+				throw new APIError('API key has already been revoked', httpStatus.CONFLICT);
+			}
+			throw new APIError('API key not found', httpStatus.NOT_FOUND);
+		}
+		return apiKey;
+	}
+}
+
+apiKeySchema.loadClass(ApiKeyClass);
+
+const ApiKey = mongoose.model('apiKeys', apiKeySchema);
+
+export default ApiKey;
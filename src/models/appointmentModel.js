@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+const appointmentSchema = mongoose.Schema(
+	{
+		title: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		description: {
+			type: String,
+			trim: true
+		},
+		type: {
+			type: String,
+			enum: ['site_visit', 'consultation', 'design_review', 'measurement', 'installation', 'meeting', 'other'],
+			default: 'consultation'
+		},
+		status: {
+			type: String,
+			enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'],
+			default: 'scheduled'
+		},
+		startTime: {
+			type: Date,
+			required: true
+		},
+		endTime: {
+			type: Date,
+			required: true
+		},
+		location: {
+			type: String,
+			trim: true
+		},
+		meetingUrl: {
+			type: String,
+			trim: true
+		},
+		client: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'clients'
+		},
+		lead: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'leads'
+		},
+		project: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'projects'
+		},
+		// Team members taking part; conflicts are checked per attendee
+		attendees: [
+			{
+				type: mongoose.SchemaTypes.ObjectId,
+				ref: 'users'
+			}
+		],
+		reminders: [
+			{
+				_id: false,
+				minutesBefore: {
+					type: Number,
+					required: true,
+					min: 1
+				},
+				sentAt: {
+					type: Date
+				}
+			}
+		],
+		// Incremented on every change so calendar clients replace their copy of the event
+		sequence: {
+			type: Number,
+			default: 0
+		},
+		cancellation: {
+			reason: {
+				type: String,
+				trim: true
+			},
+			cancelledAt: {
+				type: Date
+			},
+			cancelledBy: {
+				type: mongoose.SchemaTypes.ObjectId,
+				ref: 'users'
+			}
+		},
+		createdBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		}
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true }
+	}
+);
+
+appointmentSchema.plugin(toJSON);
+appointmentSchema.plugin(paginate);
+appointmentSchema.plugin(workspace, { refs: ['client', 'lead', 'project'] });
+appointmentSchema.plugin(recordAccess, { resource: 'appointment', scope: (userId) => ({ $or: [{ attendees: userId }, { createdBy: userId }] }) });
+
+appointmentSchema.index({ workspace: 1, startTime: 1 });
+appointmentSchema.index({ attendees: 1, startTime: 1, endTime: 1 });
+appointmentSchema.index({ client: 1, startTime: -1 });
+
+appointmentSchema.virtual('durationMinutes').get(function () {
+	return Math.round((this.endTime - this.startTime) / 60000);
+});
+
+appointmentSchema.pre('validate', function (next) {
+	if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+		return next(new APIError('Appointment must end after it starts', httpStatus.BAD_REQUEST));
+	}
+	next();
+});
+
+const populateFields = (query) =>
+	query
+		.populate('client', 'firstName lastName email phone')
+		.populate('lead', 'firstName lastName email phone')
+		.populate('project', 'name')
+		.populate('attendees', 'firstName lastName email avatar')
+		.populate('createdBy', 'firstName lastName email avatar');
+
+class AppointmentClass {
+	static async getAppointmentById(id) {
+		return await populateFields(this.findById(id));
+	}
+
+	// Active appointments of any of the attendees that overlap the given time range, including those the current user
+	// cannot see
+	static async findConflicts({ startTime, endTime, attendees, excludeId }) {
+		const filter = {
+			status: { $nin: ['cancelled', 'no_show'] },
+			attendees: { $in: attendees },
+			startTime: { $lt: endTime },
+			endTime: { $gt: startTime }
+		};
+		if (excludeId) {
+			filter._id = { $ne: excludeId };
+		}
+
+		return await this.find(filter).setOptions({ skipRecordAccess: true }).populate('attendees', 'firstName lastName').sort({ startTime: 1 });
+	}
+
+	// Appointments overlapping the range, for calendar views and feeds
+	static async getCalendar(from, to, filter = {}) {
+		return await populateFields(
+			this.find({
+				...filter,
+				startTime: { $lt: to },
+				endTime: { $gt: from }
+			}).sort({ startTime: 1 })
+		);
+	}
+
+	static async updateAppointmentStatus(appointmentId, status, userId, reason) {
+		const appointment = await this.findById(appointmentId);
+		if (!appointment) {
+			throw new APIError('Appointment not found', httpStatus.NOT_FOUND);
+		}
+		if (appointment.status === 'cancelled') {
+			throw new APIError('Appointment has been cancelled', httpStatus.CONFLICT);
+		}
+
+		appointment.status = status;
+		if (status === 'cancelled') {
+			appointment.cancellation = { reason, cancelledAt: new Date(), cancelledBy: userId };
+		}
+		appointment.sequence += 1;
+
+		return await appointment.save();
+	}
+
+	static async markReminderSent(appointmentId, minutesBefore) {
+		return await this.updateOne(
+			{ _id: appointmentId, 'reminders.minutesBefore': minutesBefore },
+			{ $set: { 'reminders.$.sentAt': new Date() } }
+		);
+	}
+}
+
+appointmentSchema.loadClass(AppointmentClass);
+
+const Appointment = mongoose.model('appointments', appointmentSchema);
+
+export default Appointment;
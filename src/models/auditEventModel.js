@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import _ from 'lodash';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+import logger from '~/config/logger';
+
+const REDACTED = '[erased]';
+
+const auditEventSchema = mongoose.Schema(
+	{
+		entityType: {
+			type: String,
+			required: true,
+			enum: ['lead', 'client', 'project', 'estimate', 'moodboard', 'invoice']
+		},
+		entityId: {
+			type: mongoose.SchemaTypes.ObjectId,
+			required: true
+		},
+		action: {
+			type: String,
+			required: true,
+			enum: ['create', 'update', 'delete', 'restore', 'status_change']
+		},
+		actor: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		actorType: {
+			type: String,
+			enum: ['user', 'public', 'system'],
+			default: 'system'
+		},
+		// Set when the actor used an API key
+		apiKey: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'apiKeys'
+		},
+		changes: [
+			{
+				_id: false,
+				path: {
+					type: String,
+					required: true
+				},
+				before: {
+					type: mongoose.Schema.Types.Mixed
+				},
+				after: {
+					type: mongoose.Schema.Types.Mixed
+				}
+			}
+		],
+		requestId: {
+			type: String
+		},
+		ipAddress: {
+			type: String
+		},
+		userAgent: {
+			type: String
+		}
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false }
+	}
+);
+
+auditEventSchema.plugin(toJSON);
+auditEventSchema.plugin(paginate);
+auditEventSchema.plugin(workspace);
+
+auditEventSchema.index({ workspace: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ workspace: 1, actor: 1, createdAt: -1 });
+auditEventSchema.index({ workspace: 1, createdAt: -1 });
+
+// Audit events are append-only; redactEntity() below is the one exception
+auditEventSchema.pre('save', function (next) {
+	if (!this.isNew) {
+		return next(new APIError('Audit events cannot be modified', httpStatus.FORBIDDEN));
+	}
+	next();
+});
+
+auditEventSchema.pre(
+	['findOneAndDelete', 'findOneAndRemove', 'findOneAndReplace', 'findOneAndUpdate', 'deleteMany', 'deleteOne', 'remove', 'replaceOne', 'update', 'updateMany', 'updateOne'],
+	{ document: false, query: true },
+	function (next) {
+		next(new APIError('Audit events cannot be modified', httpStatus.FORBIDDEN));
+	}
+);
+
+class AuditEventClass {
+	// Failing to audit must not fail a mutation that has already been written
+	static async record(event) {
+		try {
+			return await this.create(event);
+		} catch (error) {
+			logger.error(`Failed to record audit event for ${event.entityType} ${event.entityId}:`, error);
+			return null;
+		}
+	}
+
+	// Replaces the recorded values of personal fields once the record's personal data has been erased. The native
+	// collection is used because the hooks above reject every update; which fields changed, when and by whom stays.
+	static async redactEntity(entityType, entityId, paths) {
+		const changed = { $regex: `^(${paths.map(_.escapeRegExp).join('|')})(\\.|$)` };
+		return await this.collection.updateMany(
+			{ entityType, entityId: new mongoose.Types.ObjectId(entityId), 'changes.path': changed },
+			{ $set: { 'changes.$[change].before': REDACTED, 'changes.$[change].after': REDACTED } },
+			{ arrayFilters: [{ 'change.path': changed }] }
+		);
+	}
+}
+
+auditEventSchema.loadClass(AuditEventClass);
+
+const AuditEvent = mongoose.model('auditEvents', auditEventSchema);
+
+export default AuditEvent;
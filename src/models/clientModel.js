@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import softDelete from './plugins/softDeletePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import audit from './plugins/auditPlugin';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
 
@@ -21,8 +25,7 @@ const clientSchema = mongoose.Schema(
 			type: String,
 			required: true,
 			trim: true,
-			lowercase: true,
-			unique: true
+			lowercase: true
 		},
 		phone: {
 			type: String,
@@ -130,6 +133,9 @@ const clientSchema = mongoose.Schema(
 		nextFollowUpDate: {
 			type: Date
 		},
+		followUpReminderSentAt: {
+			type: Date
+		},
 		tags: [{
 			type: String,
 			trim: true
@@ -156,6 +162,19 @@ const clientSchema = mongoose.Schema(
 				type: Number,
 				default: 0
 			}
+		},
+		// Set when the personal data was erased on request; the record stays for the history of its projects
+		erasedAt: {
+			type: Date
+		},
+		erasedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		// The record this duplicate was merged into before it was moved to the trash
+		mergedInto: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'clients'
 		}
 	},
 	{
@@ -166,6 +185,13 @@ const clientSchema = mongoose.Schema(
 
 clientSchema.plugin(toJSON);
 clientSchema.plugin(paginate);
+clientSchema.plugin(workspace, { refs: ['leadSource'] });
+clientSchema.plugin(softDelete);
+clientSchema.plugin(recordAccess, { resource: 'client', scope: (userId) => ({ assignedTo: userId }) });
+clientSchema.plugin(audit, { entityType: 'client', ignore: ['followUpReminderSentAt'] });
+
+// Client emails are unique within a workspace
+clientSchema.index({ workspace: 1, email: 1 }, { unique: true });
 
 clientSchema.virtual('fullName').get(function () {
 	return `${this.firstName} ${this.lastName}`;
@@ -223,6 +249,20 @@ class ClientClass {
 		return await client.save();
 	}
 
+	// Assigned clients whose follow-up date has passed and who have not been reminded about it yet
+	static async getDueFollowUps() {
+		return await this.find({
+			status: { $nin: ['suspended', 'archived'] },
+			assignedTo: { $ne: null },
+			nextFollowUpDate: { $lte: new Date() },
+			$or: [{ followUpReminderSentAt: null }, { $expr: { $lt: ['$followUpReminderSentAt', '$nextFollowUpDate'] } }]
+		});
+	}
+
+	static async markFollowUpReminded(ids) {
+		return await this.updateMany({ _id: { $in: ids } }, { $set: { followUpReminderSentAt: new Date() } });
+	}
+
 	static async addNote(clientId, content, userId) {
 		const client = await this.findById(clientId);
 		if (!client) {
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Sequences per workspace, e.g. the invoice numbers of a month. Numbers are taken with a single atomic update, so
+// concurrent requests never get the same one.
+const counterSchema = mongoose.Schema(
+	{
+		workspace: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'teams',
+			required: true
+		},
+		key: {
+			type: String,
+			required: true
+		},
+		seq: {
+			type: Number,
+			default: 0
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+counterSchema.index({ workspace: 1, key: 1 }, { unique: true });
+
+class CounterClass {
+	// The next number of the sequence. A new sequence continues from getStart(), for numbers given out before the
+	// counter existed.
+	static async next(workspace, key, getStart) {
+		if (getStart && !(await this.exists({ workspace, key }))) {
+			const start = await getStart();
+			try {
+				await this.updateOne({ workspace, key }, { $setOnInsert: { seq: start } }, { upsert: true });
+			} catch (err) {
+				// Another request created the sequence first
+				if (err.code !== 11000) {
+					throw err;
+				}
+			}
+		}
+
+		const counter = await this.findOneAndUpdate({ workspace, key }, { $inc: { seq: 1 } }, { new: true, upsert: true });
+		return counter.seq;
+	}
+}
+
+counterSchema.loadClass(CounterClass);
+
+const Counter = mongoose.model('counters', counterSchema);
+
+export default Counter;
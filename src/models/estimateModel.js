@@ -1,8 +1,13 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import softDelete from './plugins/softDeletePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import audit from './plugins/auditPlugin';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
+import crypto from 'crypto';
 
 const estimateSchema = mongoose.Schema(
 	{
@@ -233,6 +238,10 @@ const estimateSchema = mongoose.Schema(
 		respondedAt: {
 			type: Date
 		},
+		// Total of the invoices raised from the estimate and not cancelled, reserved before they are created
+		invoicedAmount: {
+			type: Number
+		},
 		clientResponse: {
 			status: {
 				type: String,
@@ -245,6 +254,47 @@ const estimateSchema = mongoose.Schema(
 			respondedAt: {
 				type: Date
 			}
+		},
+		publicAccess: {
+			token: {
+				type: String,
+				unique: true,
+				sparse: true
+			},
+			createdAt: {
+				type: Date
+			},
+			viewCount: {
+				type: Number,
+				default: 0
+			}
+		},
+		signature: {
+			decision: {
+				type: String,
+				enum: ['accepted', 'rejected']
+			},
+			method: {
+				type: String,
+				enum: ['typed', 'drawn']
+			},
+			name: {
+				type: String,
+				trim: true
+			},
+			// Typed signature text or a base64 PNG/JPEG data URL for drawn signatures
+			value: {
+				type: String
+			},
+			ipAddress: {
+				type: String
+			},
+			userAgent: {
+				type: String
+			},
+			signedAt: {
+				type: Date
+			}
 		}
 	},
 	{
@@ -255,6 +305,10 @@ const estimateSchema = mongoose.Schema(
 
 estimateSchema.plugin(toJSON);
 estimateSchema.plugin(paginate);
+estimateSchema.plugin(workspace, { refs: ['client', 'project', 'lead', 'parentEstimate'] });
+estimateSchema.plugin(softDelete);
+estimateSchema.plugin(recordAccess, { resource: 'estimate', scope: (userId) => ({ createdBy: userId }) });
+estimateSchema.plugin(audit, { entityType: 'estimate', ignore: ['publicAccess.token', 'publicAccess.viewCount', 'signature.value', 'invoicedAmount'] });
 
 estimateSchema.virtual('isExpired').get(function () {
 	return new Date() > this.validity.validUntil;
@@ -343,6 +397,108 @@ class EstimateClass {
 		return await estimate.save();
 	}
 
+	// Token for the client-facing estimate page, reused across sends so earlier links keep working
+	static async generatePublicToken(estimateId) {
+		const estimate = await this.findById(estimateId);
+		if (!estimate) {
+			throw new APIError('Estimate not found', httpStatus.NOT_FOUND);
+		}
+
+		if (!estimate.publicAccess?.token) {
+			estimate.publicAccess = {
+				token: crypto.randomBytes(32).toString('hex'),
+				createdAt: new Date(),
+				viewCount: 0
+			};
+			await estimate.save();
+		}
+
+		return estimate;
+	}
+
+	static async getEstimateByPublicToken(token) {
+		return await this.findOne({ 'publicAccess.token': token })
+			.populate('client', 'firstName lastName email phone company')
+			.populate('project', 'name description status')
+			.populate('createdBy', 'firstName lastName email avatar');
+	}
+
+	// First view by the client moves a sent estimate to viewed
+	static async recordPublicView(estimateId) {
+		const estimate = await this.findById(estimateId);
+		if (!estimate) {
+			throw new APIError('Estimate not found', httpStatus.NOT_FOUND);
+		}
+
+		estimate.publicAccess.viewCount += 1;
+		if (!estimate.viewedAt) {
+			estimate.viewedAt = new Date();
+		}
+		if (estimate.status === 'sent') {
+			estimate.status = 'viewed';
+		}
+
+		return await estimate.save();
+	}
+
+	static async respondAsClient(estimateId, response) {
+		const { decision, method, name, value, comments, ipAddress, userAgent } = response;
+
+		const estimate = await this.findById(estimateId);
+		if (!estimate) {
+			throw new APIError('Estimate not found', httpStatus.NOT_FOUND);
+		}
+
+		if (!['sent', 'viewed'].includes(estimate.status)) {
+			throw new APIError(`Estimate has already been ${estimate.status}`, httpStatus.CONFLICT);
+		}
+
+		if (estimate.isExpired) {
+			throw new APIError('Estimate has expired', httpStatus.GONE);
+		}
+
+		// Guard on status so two concurrent responses cannot both be recorded
+		const now = new Date();
+		const updatedEstimate = await this.findOneAndUpdate(
+			{ _id: estimate._id, status: { $in: ['sent', 'viewed'] } },
+			{
+				$set: {
+					status: decision,
+					respondedAt: now,
+					viewedAt: estimate.viewedAt || now,
+					clientResponse: {
+						status: decision,
+						comments,
+						respondedAt: now
+					},
+					signature: {
+						decision,
+						method,
+						name,
+						value,
+						ipAddress,
+						userAgent,
+						signedAt: now
+					}
+				}
+			},
+			{ new: true, runValidators: true }
+		);
+		if (!updatedEstimate) {
+			throw new APIError('Estimate has already been responded to', httpStatus.CONFLICT);
+		}
+
+		return updatedEstimate;
+	}
+
+	// Sent estimates that were not answered before validity.validUntil become expired
+	static async markExpiredEstimates() {
+		return await this.updateMany(
+			{ status: { $in: ['sent', 'viewed'] }, 'validity.validUntil': { $lt: new Date() } },
+			{ $set: { status: 'expired' } }
+		);
+	}
+
 	static async addNote(estimateId, content, userId) {
 		const estimate = await this.findById(estimateId);
 		if (!estimate) {
@@ -377,6 +533,9 @@ class EstimateClass {
 
 		delete revisionData.__v;
 
+		// A revision is sent and signed on its own
+		['publicAccess', 'signature', 'clientResponse', 'sentAt', 'viewedAt', 'respondedAt', 'invoicedAmount'].forEach((field) => delete revisionData[field]);
+
 		return await this.create(revisionData);
 	}
 
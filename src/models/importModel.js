@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+// Uploaded files and their results hold personal data, so imports are removed after this long
+const RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// A spreadsheet of leads or clients uploaded for import. The rows are kept until the import has run, together with
+// the column mapping chosen by the user and the outcome of every row that was not imported.
+const importSchema = mongoose.Schema(
+	{
+		resourceType: {
+			type: String,
+			enum: ['lead', 'client'],
+			required: true
+		},
+		fileName: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		headers: [
+			{
+				type: String
+			}
+		],
+		// Data rows as arrays of cell values, in the order of the headers
+		rows: {
+			type: [mongoose.Schema.Types.Mixed],
+			default: [],
+			private: true
+		},
+		// Which column feeds which field, e.g. { column: 'E-mail', field: 'email' } or { column: 'Style', field: 'customFields.style' }
+		mapping: [
+			{
+				_id: false,
+				column: {
+					type: String,
+					required: true
+				},
+				field: {
+					type: String,
+					required: true
+				}
+			}
+		],
+		// Rows matching an existing record or an earlier row by email or phone are skipped unless this is 'create'
+		duplicateStrategy: {
+			type: String,
+			enum: ['skip', 'create'],
+			default: 'skip'
+		},
+		status: {
+			type: String,
+			enum: ['uploaded', 'queued', 'processing', 'completed', 'failed'],
+			default: 'uploaded'
+		},
+		totalRows: {
+			type: Number,
+			default: 0
+		},
+		// Rows handled so far; an interrupted import resumes from here
+		processedRows: {
+			type: Number,
+			default: 0
+		},
+		createdCount: {
+			type: Number,
+			default: 0
+		},
+		skippedCount: {
+			type: Number,
+			default: 0
+		},
+		failedCount: {
+			type: Number,
+			default: 0
+		},
+		// Rows that were not imported: invalid, duplicate or failed to save. Row numbers are spreadsheet rows, header included.
+		rowErrors: {
+			type: [
+				{
+					_id: false,
+					row: {
+						type: Number,
+						required: true
+					},
+					reason: {
+						type: String,
+						enum: ['invalid', 'duplicate', 'failed'],
+						required: true
+					},
+					messages: [
+						{
+							type: String
+						}
+					]
+				}
+			],
+			default: [],
+			private: true
+		},
+		createdBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		},
+		// Imported records are assigned to this user, e.g. the importer when they only see their assigned records
+		assignedTo: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		startedAt: {
+			type: Date
+		},
+		completedAt: {
+			type: Date
+		},
+		lastError: {
+			type: String
+		},
+		expiresAt: {
+			type: Date,
+			default: () => new Date(Date.now() + RETENTION_DAYS * DAY)
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+importSchema.plugin(toJSON);
+importSchema.plugin(paginate);
+importSchema.plugin(workspace);
+
+importSchema.index({ workspace: 1, resourceType: 1, createdAt: -1 });
+importSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+class ImportClass {
+	static async getImportById(id, filter = {}) {
+		const importJob = await this.findOne({ _id: id, ...filter }).populate('createdBy', 'firstName lastName email');
+		if (!importJob) {
+			throw new APIError('Import not found', httpStatus.NOT_FOUND);
+		}
+		return importJob;
+	}
+
+	// Moves an uploaded import to the queue; fails when it was started already
+	static async queueImport(id) {
+		const importJob = await this.findOneAndUpdate({ _id: id, status: 'uploaded' }, { $set: { status: 'queued' } }, { new: true });
+		if (!importJob) {
+			throw new APIError('Import has already been started', httpStatus.CONFLICT);
+		}
+		return importJob;
+	}
+
+	static async recordProgress(id, processedRows, counts, rowErrors) {
+		return await this.updateOne(
+			{ _id: id },
+			{
+				$set: { processedRows },
+				$inc: { createdCount: counts.created, skippedCount: counts.skipped, failedCount: counts.failed },
+				$push: { rowErrors: { $each: rowErrors } }
+			}
+		);
+	}
+}
+
+importSchema.loadClass(ImportClass);
+
+const Import = mongoose.model('imports', importSchema);
+
+export default Import;
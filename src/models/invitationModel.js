@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import moment from 'moment';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+import config from '~/config/config';
+
+const invitationSchema = mongoose.Schema(
+	{
+		team: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'teams',
+			required: true
+		},
+		email: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true
+		},
+		// Role the invitee gets in the team
+		role: {
+			type: String,
+			enum: ['team_lead', 'senior_member', 'member', 'contributor', 'observer'],
+			default: 'member'
+		},
+		message: {
+			type: String,
+			trim: true
+		},
+		token: {
+			type: String,
+			required: true,
+			unique: true,
+			private: true
+		},
+		// awaiting_approval: accepted by the invitee, waiting for a team lead when the team requires approval for joins
+		status: {
+			type: String,
+			enum: ['pending', 'awaiting_approval', 'accepted', 'declined', 'rejected', 'revoked', 'expired'],
+			default: 'pending'
+		},
+		expiresAt: {
+			type: Date,
+			required: true
+		},
+		invitedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		},
+		sentCount: {
+			type: Number,
+			default: 1
+		},
+		lastSentAt: {
+			type: Date,
+			default: Date.now
+		},
+		user: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		respondedAt: {
+			type: Date
+		},
+		reviewedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		reviewedAt: {
+			type: Date
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+invitationSchema.plugin(toJSON);
+invitationSchema.plugin(paginate);
+
+invitationSchema.index({ team: 1, email: 1, status: 1 });
+invitationSchema.index({ status: 1, expiresAt: 1 });
+
+const newToken = () => ({
+	token: crypto.randomBytes(32).toString('hex'),
+	expiresAt: moment().add(config.INVITATION_EXPIRATION_DAYS, 'days').toDate()
+});
+
+class InvitationClass {
+	static async getInvitationById(id) {
+		return await this.findById(id).populate('invitedBy', 'firstName lastName email').populate('user', 'firstName lastName email avatar');
+	}
+
+	static async createInvitation(teamId, data, invitedBy) {
+		const email = data.email.toLowerCase();
+		if (await this.exists({ team: teamId, email, status: { $in: ['pending', 'awaiting_approval'] } })) {
+			throw new APIError('This email already has an open invitation to the team', httpStatus.CONFLICT);
+		}
+
+		return await this.create({ ...data, ...newToken(), email, team: teamId, invitedBy });
+	}
+
+	// Resolves a token to an invitation the invitee can still answer
+	static async getOpenInvitationByToken(token) {
+		const invitation = await this.findOne({ token }).populate('team', 'name description settings').populate('invitedBy', 'firstName lastName email');
+		if (!invitation) {
+			throw new APIError('Invitation not found', httpStatus.NOT_FOUND);
+		}
+		if (invitation.status === 'pending' && invitation.expiresAt < new Date()) {
+			invitation.status = 'expired';
+			await invitation.save();
+		}
+		if (invitation.status === 'expired') {
+			throw new APIError('Invitation has expired', httpStatus.GONE);
+		}
+		if (invitation.status !== 'pending') {
+			throw new APIError(`Invitation has already been ${invitation.status.replace('_', ' ')}`, httpStatus.CONFLICT);
+		}
+
+		return invitation;
+	}
+
+	// A new token and expiry; links sent earlier stop working
+	static async renewInvitation(invitationId) {
+		const invitation = await this.findById(invitationId);
+		if (!invitation) {
+			throw new APIError('Invitation not found', httpStatus.NOT_FOUND);
+		}
+		if (!['pending', 'expired'].includes(invitation.status)) {
+			throw new APIError(`Invitation has already been ${invitation.status.replace('_', ' ')}`, httpStatus.CONFLICT);
+		}
+
+		Object.assign(invitation, newToken(), { status: 'pending', lastSentAt: new Date() });
+		invitation.sentCount += 1;
+		return await invitation.save();
+	}
+
+	// Moves an invitation to a new status, failing if another request changed it first
+	static async transition(invitationId, fromStatuses, update) {
+		const invitation = await this.findOneAndUpdate(
+			{ _id: invitationId, status: { $in: fromStatuses } },
+			{ $set: update },
+			{ new: true }
+		);
+		if (!invitation) {
+			throw new APIError('Invitation has already been answered or revoked', httpStatus.CONFLICT);
+		}
+		return invitation;
+	}
+
+	static async markExpiredInvitations() {
+		return await this.updateMany({ status: 'pending', expiresAt: { $lt: new Date() } }, { $set: { status: 'expired' } });
+	}
+}
+
+invitationSchema.loadClass(InvitationClass);
+
+const Invitation = mongoose.model('invitations', invitationSchema);
+
+export default Invitation;
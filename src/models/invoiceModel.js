@@ -0,0 +1,618 @@
+import mongoose from 'mongoose';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import audit from './plugins/auditPlugin';
+import Counter from './counterModel';
+import Estimate from './estimateModel';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+const invoiceSchema = mongoose.Schema(
+	{
+		invoiceNumber: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		estimate: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'estimates',
+			required: true
+		},
+		client: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'clients',
+			required: true
+		},
+		// Copy of who the invoice was issued to, taken when the client's personal data is erased so the invoice
+		// still shows it for accounting
+		billTo: {
+			name: {
+				type: String,
+				trim: true
+			},
+			company: {
+				type: String,
+				trim: true
+			},
+			address: {
+				type: String,
+				trim: true
+			}
+		},
+		project: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'projects'
+		},
+		type: {
+			type: String,
+			enum: ['full', 'deposit', 'milestone'],
+			required: true
+		},
+		milestone: {
+			name: {
+				type: String,
+				trim: true
+			},
+			percentage: {
+				type: Number,
+				min: 0,
+				max: 100
+			},
+			projectMilestone: {
+				type: mongoose.SchemaTypes.ObjectId
+			}
+		},
+		status: {
+			type: String,
+			enum: ['draft', 'issued', 'partial', 'paid', 'overdue', 'cancelled'],
+			default: 'draft'
+		},
+		items: [{
+			description: {
+				type: String,
+				required: true,
+				trim: true
+			},
+			quantity: {
+				type: Number,
+				required: true,
+				min: 0,
+				default: 1
+			},
+			unitPrice: {
+				type: Number,
+				required: true,
+				min: 0
+			},
+			amount: {
+				type: Number,
+				required: true,
+				min: 0
+			}
+		}],
+		pricing: {
+			subtotal: {
+				type: Number,
+				required: true,
+				min: 0
+			},
+			taxAmount: {
+				type: Number,
+				default: 0,
+				min: 0
+			},
+			discountAmount: {
+				type: Number,
+				default: 0,
+				min: 0
+			},
+			totalAmount: {
+				type: Number,
+				required: true,
+				min: 0
+			},
+			currency: {
+				type: String,
+				default: 'USD'
+			}
+		},
+		amountPaid: {
+			type: Number,
+			default: 0,
+			min: 0
+		},
+		payments: [{
+			amount: {
+				type: Number,
+				required: true,
+				min: 0
+			},
+			method: {
+				type: String,
+				enum: ['cash', 'bank_transfer', 'card', 'upi', 'cheque', 'razorpay', 'other'],
+				required: true
+			},
+			reference: {
+				type: String,
+				trim: true
+			},
+			notes: {
+				type: String,
+				trim: true
+			},
+			paidAt: {
+				type: Date,
+				default: Date.now
+			},
+			recordedBy: {
+				type: mongoose.SchemaTypes.ObjectId,
+				ref: 'users'
+			}
+		}],
+		// Razorpay orders and payment links raised for this invoice
+		paymentRequests: [{
+			kind: {
+				type: String,
+				enum: ['order', 'payment_link'],
+				required: true
+			},
+			razorpayOrderId: {
+				type: String
+			},
+			razorpayPaymentLinkId: {
+				type: String
+			},
+			shortUrl: {
+				type: String
+			},
+			amount: {
+				type: Number,
+				required: true,
+				min: 0
+			},
+			currency: {
+				type: String
+			},
+			status: {
+				type: String,
+				enum: ['created', 'paid', 'cancelled'],
+				default: 'created'
+			},
+			createdBy: {
+				type: mongoose.SchemaTypes.ObjectId,
+				ref: 'users'
+			},
+			createdAt: {
+				type: Date,
+				default: Date.now
+			}
+		}],
+		issueDate: {
+			type: Date
+		},
+		dueDate: {
+			type: Date,
+			required: true
+		},
+		paidAt: {
+			type: Date
+		},
+		cancelledAt: {
+			type: Date
+		},
+		attachments: [{
+			name: {
+				type: String,
+				required: true
+			},
+			url: {
+				type: String,
+				required: true
+			},
+			size: {
+				type: Number
+			},
+			generatedAt: {
+				type: Date,
+				default: Date.now
+			}
+		}],
+		notes: [{
+			content: {
+				type: String,
+				required: true
+			},
+			createdBy: {
+				type: mongoose.SchemaTypes.ObjectId,
+				ref: 'users'
+			},
+			createdAt: {
+				type: Date,
+				default: Date.now
+			}
+		}],
+		createdBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		}
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true }
+	}
+);
+
+invoiceSchema.plugin(toJSON);
+invoiceSchema.plugin(paginate);
+invoiceSchema.plugin(workspace, { refs: ['estimate', 'client', 'project'] });
+invoiceSchema.plugin(audit, { entityType: 'invoice' });
+
+// Indexes
+invoiceSchema.index({ workspace: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ estimate: 1 });
+invoiceSchema.index({ client: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ 'paymentRequests.razorpayOrderId': 1 });
+invoiceSchema.index({ 'paymentRequests.razorpayPaymentLinkId': 1 });
+
+invoiceSchema.virtual('balanceDue').get(function () {
+	return Math.max(0, Math.round((this.pricing.totalAmount - this.amountPaid) * 100) / 100);
+});
+
+invoiceSchema.virtual('isOverdue').get(function () {
+	return ['issued', 'partial', 'overdue'].includes(this.status) && new Date() > this.dueDate;
+});
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// The estimate counter is kept for whoever changes an invoice, including estimates in the trash or outside their access
+const estimateCounter = (query) => query.setOptions({ withDeleted: true, skipRecordAccess: true });
+
+// "Net 30" style payment terms become a due date, defaulting to 30 days
+const getDueDate = (paymentTerms, from = new Date()) => {
+	const match = /(\d+)/.exec(paymentTerms || '');
+	const days = match ? parseInt(match[1], 10) : 30;
+	return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+class InvoiceClass {
+	static async getInvoiceById(id) {
+		return await this.findById(id)
+			.populate('client', 'firstName lastName email phone company address')
+			.populate('project', 'name description status')
+			.populate('estimate', 'title version pricing terms status')
+			.populate('createdBy', 'firstName lastName email avatar');
+	}
+
+	static async getInvoicesByEstimate(estimateId) {
+		return await this.find({ estimate: estimateId }).sort({ createdAt: 1 });
+	}
+
+	static async getInvoicedAmount(estimateId) {
+		const invoices = await this.find({ estimate: estimateId, status: { $ne: 'cancelled' } });
+		return invoices.reduce((sum, invoice) => sum + invoice.pricing.totalAmount, 0);
+	}
+
+	// Amount of the estimate held by its invoices. Estimates invoiced before the counter was kept start from the
+	// invoices they have.
+	static async getReservedAmount(estimate) {
+		await estimateCounter(
+			Estimate.updateOne({ _id: estimate._id, invoicedAmount: null }, { $set: { invoicedAmount: await this.getInvoicedAmount(estimate._id) } })
+		);
+		const { invoicedAmount } = await estimateCounter(Estimate.findById(estimate._id).select('invoicedAmount'));
+		return invoicedAmount;
+	}
+
+	// Checking the balance and adding to it is one update, so concurrent requests cannot together invoice more than the
+	// estimate total
+	static async reserveAmount(estimate, amount) {
+		const reserved = await estimateCounter(
+			Estimate.findOneAndUpdate(
+				{ _id: estimate._id, $expr: { $lte: [{ $round: [{ $add: ['$invoicedAmount', amount] }, 2] }, estimate.pricing.totalAmount] } },
+				{ $inc: { invoicedAmount: amount } }
+			)
+		);
+		return Boolean(reserved);
+	}
+
+	static async releaseAmount(estimateId, amount) {
+		await estimateCounter(Estimate.updateOne({ _id: estimateId, invoicedAmount: { $ne: null } }, { $inc: { invoicedAmount: -amount } }));
+	}
+
+	// Numbers run per workspace and month. Numbers of deleted drafts are not reused.
+	static async generateInvoiceNumber(workspaceId) {
+		const now = new Date();
+		const prefix = `INV-${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+		const seq = await Counter.next(workspaceId, prefix, async () => {
+			const last = await this.findOne({ workspace: workspaceId, invoiceNumber: new RegExp(`^${prefix}-`) })
+				.sort({ invoiceNumber: -1 })
+				.select('invoiceNumber');
+			return last ? parseInt(last.invoiceNumber.slice(prefix.length + 1), 10) : 0;
+		});
+		return `${prefix}-${String(seq).padStart(4, '0')}`;
+	}
+
+	static async createFromEstimate(estimate, options, userId) {
+		const { type, milestones = [], dueDate, notes } = options;
+
+		if (estimate.status !== 'accepted') {
+			throw new APIError('Invoices can only be created from accepted estimates', httpStatus.BAD_REQUEST);
+		}
+
+		const total = estimate.pricing.totalAmount;
+		const invoiced = await this.getReservedAmount(estimate);
+		const remaining = roundAmount(total - invoiced);
+		const base = {
+			estimate: estimate._id,
+			client: estimate.client._id || estimate.client,
+			project: estimate.project ? estimate.project._id || estimate.project : undefined,
+			type,
+			pricing: { currency: estimate.pricing.currency },
+			dueDate: dueDate || getDueDate(estimate.terms.paymentTerms),
+			notes: notes ? [{ content: notes, createdBy: userId }] : [],
+			createdBy: userId
+		};
+
+		const drafts = [];
+		if (type === 'full') {
+			if (invoiced === 0) {
+				// Nothing billed yet: carry the estimate lines over as they were quoted
+				drafts.push({
+					...base,
+					items: estimate.items.map((item) => ({
+						description: item.name,
+						quantity: item.quantity,
+						unitPrice: item.unitPrice,
+						amount: item.totalPrice
+					})),
+					pricing: {
+						...base.pricing,
+						subtotal: estimate.pricing.subtotal,
+						taxAmount: estimate.pricing.taxAmount,
+						discountAmount: estimate.pricing.discountAmount,
+						totalAmount: total
+					}
+				});
+			} else {
+				drafts.push(this.buildSingleLine(base, `Balance for estimate "${estimate.title}"`, remaining));
+			}
+		} else if (type === 'deposit') {
+			if (!estimate.terms.depositRequired) {
+				throw new APIError('Estimate does not require a deposit', httpStatus.BAD_REQUEST);
+			}
+			const existingDeposit = await this.exists({ estimate: estimate._id, type: 'deposit', status: { $ne: 'cancelled' } });
+			if (existingDeposit) {
+				throw new APIError('A deposit invoice already exists for this estimate', httpStatus.BAD_REQUEST);
+			}
+			const amount = roundAmount(estimate.terms.depositAmount || (total * estimate.terms.depositRequired) / 100);
+			drafts.push(this.buildSingleLine(base, `Deposit (${estimate.terms.depositRequired}%) for estimate "${estimate.title}"`, amount));
+		} else if (type === 'milestone') {
+			if (!milestones.length) {
+				throw new APIError('At least one milestone is required', httpStatus.BAD_REQUEST);
+			}
+			milestones.forEach((milestone) => {
+				const amount = roundAmount((total * milestone.percentage) / 100);
+				const draft = this.buildSingleLine(base, `${milestone.name} (${milestone.percentage}%) for estimate "${estimate.title}"`, amount);
+				draft.milestone = {
+					name: milestone.name,
+					percentage: milestone.percentage,
+					projectMilestone: milestone.projectMilestone
+				};
+				if (milestone.dueDate) {
+					draft.dueDate = milestone.dueDate;
+				}
+				drafts.push(draft);
+			});
+		}
+
+		const requested = roundAmount(drafts.reduce((sum, draft) => sum + draft.pricing.totalAmount, 0));
+		if (requested <= 0 || requested > remaining || !(await this.reserveAmount(estimate, requested))) {
+			throw new APIError(`Invoice amount exceeds the uninvoiced balance of ${remaining.toFixed(2)}`, httpStatus.BAD_REQUEST);
+		}
+
+		const invoices = [];
+		try {
+			for (const draft of drafts) {
+				draft.invoiceNumber = await this.generateInvoiceNumber(estimate.workspace);
+				invoices.push(await this.create(draft));
+			}
+		} catch (error) {
+			// Invoices already created keep their part of the reservation
+			const created = invoices.reduce((sum, invoice) => sum + invoice.pricing.totalAmount, 0);
+			await this.releaseAmount(estimate._id, roundAmount(requested - created));
+			throw error;
+		}
+		return invoices;
+	}
+
+	static buildSingleLine(base, description, amount) {
+		return {
+			...base,
+			items: [{ description, quantity: 1, unitPrice: amount, amount }],
+			pricing: { ...base.pricing, subtotal: amount, totalAmount: amount }
+		};
+	}
+
+	static async updateInvoiceStatus(invoiceId, status, userId) {
+		const invoice = await this.findById(invoiceId);
+		if (!invoice) {
+			throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+		}
+
+		if (status === 'issued') {
+			if (invoice.status !== 'draft') {
+				throw new APIError('Only draft invoices can be issued', httpStatus.BAD_REQUEST);
+			}
+			invoice.status = 'issued';
+			invoice.issueDate = new Date();
+		} else if (status === 'cancelled') {
+			if (invoice.amountPaid > 0) {
+				throw new APIError('Invoices with payments cannot be cancelled', httpStatus.BAD_REQUEST);
+			}
+			if (invoice.status === 'cancelled') {
+				throw new APIError('Invoice is already cancelled', httpStatus.BAD_REQUEST);
+			}
+			invoice.status = 'cancelled';
+			invoice.cancelledAt = new Date();
+		}
+
+		invoice.notes.push({
+			content: `Status changed to ${status}`,
+			createdBy: userId
+		});
+
+		await invoice.save();
+		// A cancelled invoice frees its amount of the estimate
+		if (status === 'cancelled' && invoice.estimate) {
+			await this.releaseAmount(invoice.estimate, invoice.pricing.totalAmount);
+		}
+		return invoice;
+	}
+
+	static async recordPayment(invoiceId, paymentData) {
+		const invoice = await this.findById(invoiceId);
+		if (!invoice) {
+			throw new APIError('Invoice not found', httpStatus.NOT_FOUND);
+		}
+		return await invoice.applyPayment(paymentData);
+	}
+
+	static async getInvoiceByRazorpayReference({ invoiceId, orderId, paymentLinkId }) {
+		if (invoiceId && mongoose.Types.ObjectId.isValid(invoiceId)) {
+			const invoice = await this.findById(invoiceId);
+			if (invoice) {
+				return invoice;
+			}
+		}
+		if (paymentLinkId) {
+			const invoice = await this.findOne({ 'paymentRequests.razorpayPaymentLinkId': paymentLinkId });
+			if (invoice) {
+				return invoice;
+			}
+		}
+		if (orderId) {
+			return await this.findOne({ 'paymentRequests.razorpayOrderId': orderId });
+		}
+		return null;
+	}
+
+	// Issued invoices past their due date become overdue
+	static async markOverdueInvoices() {
+		return await this.updateMany(
+			{ status: { $in: ['issued', 'partial'] }, dueDate: { $lt: new Date() } },
+			{ $set: { status: 'overdue' } }
+		);
+	}
+
+	static async getInvoiceStats() {
+		const stats = await this.aggregate([
+			{
+				$group: {
+					_id: '$status',
+					count: { $sum: 1 },
+					totalValue: { $sum: '$pricing.totalAmount' },
+					totalPaid: { $sum: '$amountPaid' }
+				}
+			}
+		]);
+
+		const totals = stats
+			.filter((stat) => stat._id !== 'cancelled')
+			.reduce(
+				(sum, stat) => ({
+					invoiced: sum.invoiced + stat.totalValue,
+					paid: sum.paid + stat.totalPaid
+				}),
+				{ invoiced: 0, paid: 0 }
+			);
+
+		return {
+			byStatus: stats,
+			totalInvoiced: roundAmount(totals.invoiced),
+			totalPaid: roundAmount(totals.paid),
+			outstanding: roundAmount(totals.invoiced - totals.paid)
+		};
+	}
+
+	async applyPayment(paymentData) {
+		if (['draft', 'cancelled', 'paid'].includes(this.status)) {
+			throw new APIError(`Cannot record a payment against a ${this.status} invoice`, httpStatus.BAD_REQUEST);
+		}
+		if (paymentData.amount > this.balanceDue) {
+			throw new APIError(`Payment exceeds the balance due of ${this.balanceDue.toFixed(2)}`, httpStatus.BAD_REQUEST);
+		}
+
+		this.payments.push(paymentData);
+		this.amountPaid = roundAmount(this.amountPaid + paymentData.amount);
+		this.refreshPaymentStatus();
+
+		return await this.save();
+	}
+
+	// Applies a captured Razorpay payment once, however many times it is reported. The payment is added with a single
+	// conditional update, so events for the same payment processed at the same time (payment.captured and
+	// payment_link.paid) cannot both add it, and payments never land on cancelled invoices.
+	async applyRazorpayPayment(payment, paymentLinkId) {
+		const amount = roundAmount(payment.amount / 100);
+		const update = {
+			$push: {
+				payments: {
+					amount,
+					method: 'razorpay',
+					reference: payment.id,
+					notes: payment.method ? `Paid via ${payment.method}` : undefined,
+					paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date()
+				}
+			},
+			$inc: { amountPaid: amount }
+		};
+		const options = { new: true };
+
+		const request = this.paymentRequests.find(
+			(paymentRequest) =>
+				(payment.order_id && paymentRequest.razorpayOrderId === payment.order_id) ||
+				(paymentLinkId && paymentRequest.razorpayPaymentLinkId === paymentLinkId)
+		);
+		if (request) {
+			update.$set = { 'paymentRequests.$[request].status': 'paid' };
+			if (!request.razorpayOrderId && payment.order_id) {
+				update.$set['paymentRequests.$[request].razorpayOrderId'] = payment.order_id;
+			}
+			options.arrayFilters = [{ 'request._id': request._id }];
+		}
+
+		const invoice = await this.constructor.findOneAndUpdate(
+			{ _id: this._id, 'payments.reference': { $ne: payment.id }, status: { $ne: 'cancelled' } },
+			update,
+			options
+		);
+		if (!invoice) {
+			// Already applied, or the invoice was cancelled
+			return await this.constructor.findById(this._id);
+		}
+
+		invoice.amountPaid = roundAmount(invoice.amountPaid);
+		invoice.refreshPaymentStatus();
+		return await invoice.save();
+	}
+
+	refreshPaymentStatus() {
+		if (this.amountPaid >= this.pricing.totalAmount) {
+			this.status = 'paid';
+			this.paidAt = new Date();
+		} else if (new Date() > this.dueDate) {
+			this.status = 'overdue';
+		} else if (this.amountPaid > 0) {
+			this.status = 'partial';
+		}
+	}
+}
+
+invoiceSchema.loadClass(InvoiceClass);
+
+const Invoice = mongoose.model('invoices', invoiceSchema);
+
+export default Invoice;
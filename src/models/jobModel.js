@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSONPlugin';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Finished one-off jobs are removed after these periods; failed ones are kept longer to look into
+const COMPLETED_RETENTION = DAY;
+const FAILED_RETENTION = 30 * DAY;
+
+const jobSchema = mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		type: {
+			type: String,
+			enum: ['recurring', 'once'],
+			default: 'once'
+		},
+		// Milliseconds between runs of a recurring job
+		interval: {
+			type: Number,
+			min: 1000
+		},
+		data: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {}
+		},
+		status: {
+			type: String,
+			enum: ['scheduled', 'running', 'completed', 'failed'],
+			default: 'scheduled'
+		},
+		nextRunAt: {
+			type: Date,
+			required: true
+		},
+		lockedBy: {
+			type: String
+		},
+		lockedUntil: {
+			type: Date
+		},
+		attempts: {
+			type: Number,
+			default: 0
+		},
+		maxAttempts: {
+			type: Number,
+			default: 3
+		},
+		lastRunAt: {
+			type: Date
+		},
+		lastFinishedAt: {
+			type: Date
+		},
+		lastError: {
+			type: String
+		},
+		// Set when a one-off job finishes, for the TTL index
+		expiresAt: {
+			type: Date
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+jobSchema.plugin(toJSON);
+
+jobSchema.index({ status: 1, nextRunAt: 1 });
+jobSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { type: 'recurring' } });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+class JobClass {
+	// Registers a recurring job once; later calls only update its interval
+	static async ensureRecurring(name, interval) {
+		return await this.findOneAndUpdate(
+			{ name, type: 'recurring' },
+			{
+				$set: { interval },
+				$setOnInsert: { name, type: 'recurring', status: 'scheduled', nextRunAt: new Date() }
+			},
+			{ upsert: true, new: true }
+		);
+	}
+
+	static async scheduleOnce(name, runAt, data = {}) {
+		return await this.create({ name, type: 'once', nextRunAt: runAt, data });
+	}
+
+	// Removes one-off jobs that have not started yet, e.g. reminders for a rescheduled appointment
+	static async cancelScheduled(name, data = {}) {
+		const filter = Object.fromEntries(Object.entries(data).map(([key, value]) => [`data.${key}`, value]));
+		return await this.deleteMany({ name, type: 'once', status: 'scheduled', ...filter });
+	}
+
+	static async getLatest(name, data = {}) {
+		const filter = Object.fromEntries(Object.entries(data).map(([key, value]) => [`data.${key}`, value]));
+		return await this.findOne({ name, ...filter }).sort({ createdAt: -1 });
+	}
+
+	// Atomically locks the next due job so that only one app instance runs it.
+	// A running job whose lock has expired (crashed worker) can be claimed again while it has attempts left.
+	// `attempts` counts claims, so a handler on its last attempt sees `attempts === maxAttempts`.
+	static async claimNext(workerId, lockTimeout) {
+		const now = new Date();
+		return await this.findOneAndUpdate(
+			{
+				nextRunAt: { $lte: now },
+				$or: [
+					{ status: 'scheduled' },
+					{ status: 'running', lockedUntil: { $lte: now }, type: 'recurring' },
+					{ status: 'running', lockedUntil: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+				]
+			},
+			{
+				$set: {
+					status: 'running',
+					lockedBy: workerId,
+					lockedUntil: new Date(now.getTime() + lockTimeout),
+					lastRunAt: now
+				},
+				$inc: { attempts: 1 }
+			},
+			{ sort: { nextRunAt: 1 }, new: true }
+		);
+	}
+
+	static async markSucceeded(job) {
+		const now = new Date();
+		const update =
+			job.type === 'recurring'
+				? { status: 'scheduled', nextRunAt: new Date(now.getTime() + job.interval), attempts: 0, lastError: null }
+				: { status: 'completed', expiresAt: new Date(now.getTime() + COMPLETED_RETENTION) };
+
+		return await this.updateOne(
+			{ _id: job._id, lockedBy: job.lockedBy },
+			{ $set: { ...update, lastFinishedAt: now }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+		);
+	}
+
+	// One-off jobs that finished before they got an expiry date
+	static async expireFinished() {
+		const now = Date.now();
+		await this.updateMany({ type: 'once', status: 'completed', expiresAt: null }, { $set: { expiresAt: new Date(now + COMPLETED_RETENTION) } });
+		await this.updateMany({ type: 'once', status: 'failed', expiresAt: null }, { $set: { expiresAt: new Date(now + FAILED_RETENTION) } });
+	}
+
+	// One-off jobs whose worker stopped during their last attempt
+	static async failAbandoned() {
+		const now = new Date();
+		return await this.updateMany(
+			{ type: 'once', status: 'running', lockedUntil: { $lte: now }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+			{
+				$set: { status: 'failed', lastError: 'The worker stopped while running the job', lastFinishedAt: now, expiresAt: new Date(now.getTime() + FAILED_RETENTION) },
+				$unset: { lockedBy: 1, lockedUntil: 1 }
+			}
+		);
+	}
+
+	// Recurring jobs wait for their next interval; one-off jobs retry with backoff until maxAttempts
+	static async markFailed(job, error) {
+		const now = new Date();
+		let update;
+		if (job.type === 'recurring') {
+			update = { status: 'scheduled', nextRunAt: new Date(now.getTime() + job.interval) };
+		} else if (job.attempts < job.maxAttempts) {
+			update = { status: 'scheduled', nextRunAt: new Date(now.getTime() + 2 ** job.attempts * 60000) };
+		} else {
+			update = { status: 'failed', expiresAt: new Date(now.getTime() + FAILED_RETENTION) };
+		}
+
+		return await this.updateOne(
+			{ _id: job._id, lockedBy: job.lockedBy },
+			{ $set: { ...update, lastError: error.message, lastFinishedAt: now }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+		);
+	}
+}
+
+jobSchema.loadClass(JobClass);
+
+const Job = mongoose.model('jobs', jobSchema);
+
+export default Job;
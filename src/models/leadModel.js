@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import softDelete from './plugins/softDeletePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import audit from './plugins/auditPlugin';
+import leadScoringService from '~/services/leadScoringService';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
 
@@ -128,6 +133,9 @@ const leadSchema = mongoose.Schema(
 		nextFollowUpDate: {
 			type: Date
 		},
+		followUpReminderSentAt: {
+			type: Date
+		},
 		conversionDate: {
 			type: Date
 		},
@@ -148,7 +156,39 @@ const leadSchema = mongoose.Schema(
 				type: String,
 				required: true
 			}
-		}]
+		}],
+		// Calculated from the workspace's lead scoring rules whenever the lead is saved, and daily as contact ages
+		score: {
+			type: Number,
+			default: 0
+		},
+		scoreBreakdown: [
+			{
+				_id: false,
+				type: {
+					type: String,
+					enum: ['field', 'recency', 'engagement']
+				},
+				description: String,
+				points: Number
+			}
+		],
+		scoredAt: {
+			type: Date
+		},
+		// Set when the personal data was erased with that of the client it became; the record stays for reporting
+		erasedAt: {
+			type: Date
+		},
+		erasedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		// The record this duplicate was merged into before it was moved to the trash
+		mergedInto: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'leads'
+		}
 	},
 	{
 		timestamps: true,
@@ -158,6 +198,12 @@ const leadSchema = mongoose.Schema(
 
 leadSchema.plugin(toJSON);
 leadSchema.plugin(paginate);
+leadSchema.plugin(workspace, { refs: ['convertedToProject'] });
+leadSchema.plugin(softDelete);
+leadSchema.plugin(recordAccess, { resource: 'lead', scope: (userId) => ({ assignedTo: userId }) });
+leadSchema.plugin(audit, { entityType: 'lead', ignore: ['followUpReminderSentAt', 'score', 'scoreBreakdown', 'scoredAt'] });
+
+leadSchema.index({ workspace: 1, score: -1 });
 
 leadSchema.virtual('fullName').get(function () {
 	return `${this.firstName} ${this.lastName}`;
@@ -225,6 +271,20 @@ class LeadClass {
 		return await lead.save();
 	}
 
+	// Assigned leads whose follow-up date has passed and who have not been reminded about it yet
+	static async getDueFollowUps() {
+		return await this.find({
+			status: { $nin: ['converted', 'lost'] },
+			assignedTo: { $ne: null },
+			nextFollowUpDate: { $lte: new Date() },
+			$or: [{ followUpReminderSentAt: null }, { $expr: { $lt: ['$followUpReminderSentAt', '$nextFollowUpDate'] } }]
+		});
+	}
+
+	static async markFollowUpReminded(ids) {
+		return await this.updateMany({ _id: { $in: ids } }, { $set: { followUpReminderSentAt: new Date() } });
+	}
+
 	static async addNote(leadId, content, userId) {
 		const lead = await this.findById(leadId);
 		if (!lead) {
@@ -277,6 +337,12 @@ class LeadClass {
 
 leadSchema.loadClass(LeadClass);
 
+// Keep the stored score in step with every change to the lead
+leadSchema.pre('save', async function (next) {
+	await leadScoringService.applyScore(this);
+	next();
+});
+
 const Lead = mongoose.model('leads', leadSchema);
 
 export default Lead;
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+
+// A workspace's lead scoring rules. Workspaces without their own rules use the defaults of leadScoringService.
+const leadScoringSchema = mongoose.Schema(
+	{
+		// Points for leads whose field matches, e.g. { field: 'projectType', operator: 'in', value: ['commercial', 'office'], points: 10 }
+		fieldRules: [
+			{
+				_id: false,
+				field: {
+					type: String,
+					required: true
+				},
+				operator: {
+					type: String,
+					enum: ['eq', 'in', 'gte', 'lte', 'exists'],
+					required: true
+				},
+				value: {
+					type: mongoose.Schema.Types.Mixed
+				},
+				points: {
+					type: Number,
+					required: true
+				},
+				// Shown in the score breakdown instead of the generated description
+				label: {
+					type: String,
+					trim: true
+				}
+			}
+		],
+		// Points by days since the lead's lastContactDate; the smallest window containing it applies
+		recency: [
+			{
+				_id: false,
+				withinDays: {
+					type: Number,
+					required: true,
+					min: 0
+				},
+				points: {
+					type: Number,
+					required: true
+				}
+			}
+		],
+		// Points for each engagement event, up to maxPoints per event type
+		engagement: [
+			{
+				_id: false,
+				event: {
+					type: String,
+					enum: ['note', 'follow_up', 'appointment', 'estimate_viewed', 'estimate_accepted'],
+					required: true
+				},
+				points: {
+					type: Number,
+					required: true
+				},
+				maxPoints: {
+					type: Number,
+					min: 0
+				}
+			}
+		],
+		updatedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+leadScoringSchema.plugin(toJSON);
+leadScoringSchema.plugin(workspace);
+
+leadScoringSchema.index({ workspace: 1 }, { unique: true });
+
+class LeadScoringClass {
+	static async getByWorkspace(workspaceId) {
+		return await this.findOne({ workspace: workspaceId });
+	}
+
+	static async saveRules(workspaceId, rules, userId) {
+		return await this.findOneAndUpdate(
+			{ workspace: workspaceId },
+			{ $set: { ...rules, updatedBy: userId } },
+			{ new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+		);
+	}
+}
+
+leadScoringSchema.loadClass(LeadScoringClass);
+
+const LeadScoring = mongoose.model('leadScoringRules', leadScoringSchema);
+
+export default LeadScoring;
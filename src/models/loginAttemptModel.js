@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import toJSON from './plugins/toJSONPlugin';
+
+// Failed attempts against a protected auth action, counted per account and per IP address. Kept in Mongo so
+// every app instance sees the same counters.
+const loginAttemptSchema = mongoose.Schema(
+	{
+		action: {
+			type: String,
+			enum: ['signin', 'forgot-password'],
+			required: true
+		},
+		kind: {
+			type: String,
+			enum: ['account', 'ip'],
+			required: true
+		},
+		// Lower-cased user name or email for accounts, the address for IPs
+		key: {
+			type: String,
+			required: true
+		},
+		failures: {
+			type: Number,
+			default: 0
+		},
+		windowStartedAt: {
+			type: Date,
+			default: Date.now
+		},
+		lastFailureAt: {
+			type: Date
+		},
+		lockedUntil: {
+			type: Date
+		},
+		// Consecutive lockouts; each one lasts twice as long as the previous
+		lockouts: {
+			type: Number,
+			default: 0
+		},
+		expiresAt: {
+			type: Date,
+			required: true
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+loginAttemptSchema.plugin(toJSON);
+
+loginAttemptSchema.index({ action: 1, kind: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+class LoginAttemptClass {
+	static async getAttempt(action, kind, key) {
+		return await this.findOne({ action, kind, key });
+	}
+
+	// Counts a failure, starting a new window once the previous one has passed.
+	// `retention` is how long the record (and its lockout history) is kept after the last failure.
+	static async recordFailure(action, kind, key, { windowMs, retentionMs }) {
+		const now = new Date();
+
+		await this.updateOne(
+			{
+				action,
+				kind,
+				key,
+				windowStartedAt: { $lt: new Date(now.getTime() - windowMs) },
+				$or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+			},
+			{ $set: { failures: 0, windowStartedAt: now } }
+		);
+
+		return await this.findOneAndUpdate(
+			{ action, kind, key },
+			{
+				$inc: { failures: 1 },
+				$set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + retentionMs) },
+				$setOnInsert: { windowStartedAt: now, lockouts: 0 }
+			},
+			{ upsert: true, new: true }
+		);
+	}
+
+	// Locks the key unless it is already locked; returns the attempt when this call locked it
+	static async lock(attemptId, lockoutMs, maxLockoutMs, retentionMs) {
+		const now = new Date();
+		const attempt = await this.findOne({ _id: attemptId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] });
+		if (!attempt) {
+			return null;
+		}
+
+		const duration = Math.min(lockoutMs * 2 ** attempt.lockouts, maxLockoutMs);
+		const lockedUntil = new Date(now.getTime() + duration);
+
+		return await this.findOneAndUpdate(
+			{ _id: attemptId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+			{
+				$set: { lockedUntil, failures: 0, windowStartedAt: now, expiresAt: new Date(lockedUntil.getTime() + retentionMs) },
+				$inc: { lockouts: 1 }
+			},
+			{ new: true }
+		);
+	}
+
+	static async clear(action, kind, key) {
+		return await this.deleteOne({ action, kind, key });
+	}
+}
+
+loginAttemptSchema.loadClass(LoginAttemptClass);
+
+const LoginAttempt = mongoose.model('loginAttempts', loginAttemptSchema);
+
+export default LoginAttempt;
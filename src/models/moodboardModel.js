@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import softDelete from './plugins/softDeletePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import audit from './plugins/auditPlugin';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
 
@@ -336,6 +340,10 @@ const moodboardSchema = mongoose.Schema(
 
 moodboardSchema.plugin(toJSON);
 moodboardSchema.plugin(paginate);
+moodboardSchema.plugin(workspace, { refs: ['project', 'client', 'parentMoodboard'] });
+moodboardSchema.plugin(softDelete);
+moodboardSchema.plugin(recordAccess, { resource: 'moodboard', scope: (userId) => ({ createdBy: userId }) });
+moodboardSchema.plugin(audit, { entityType: 'moodboard', ignore: ['sharing.shareToken', 'sharing.password', 'sharing.viewCount', 'sharing.lastViewedAt'] });
 
 moodboardSchema.virtual('isExpired').get(function () {
 	if (!this.sharing.expiresAt) return false;
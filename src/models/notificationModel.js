@@ -33,7 +33,7 @@ const notificationSchema = mongoose.Schema(
 		relatedEntity: {
 			type: {
 				type: String,
-				enum: ['project', 'estimate', 'moodboard', 'lead', 'client', 'milestone']
+				enum: ['project', 'estimate', 'moodboard', 'lead', 'client', 'milestone', 'appointment', 'team', 'import']
 			},
 			id: {
 				type: mongoose.SchemaTypes.ObjectId
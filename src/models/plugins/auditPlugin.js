@@ -0,0 +1,138 @@
+import workspaceContext from '~/utils/workspaceContext';
+import outboundWebhookService from '~/services/outboundWebhookService';
+import AuditEvent from '../auditEventModel';
+
+const defaultIgnore = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const updateHooks = ['findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'update', 'updateOne', 'updateMany'];
+const deleteHooks = ['findOneAndDelete', 'findOneAndRemove', 'deleteOne', 'deleteMany'];
+
+// Arrays, ids and dates are compared as a whole; nested objects are walked path by path
+const isLeaf = (value) =>
+	value === null || typeof value !== 'object' || Array.isArray(value) || value instanceof Date || value._bsontype || Buffer.isBuffer(value);
+
+const flatten = (value, prefix = '', result = {}) => {
+	if (isLeaf(value)) {
+		if (prefix) {
+			result[prefix] = value;
+		}
+		return result;
+	}
+	Object.keys(value).forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+	return result;
+};
+
+const diff = (before, after, ignore) => {
+	const beforePaths = flatten(before);
+	const afterPaths = flatten(after);
+	const paths = [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])];
+
+	return paths
+		.filter((path) => !ignore.some((ignored) => path === ignored || path.startsWith(`${ignored}.`)))
+		.filter((path) => JSON.stringify(beforePaths[path]) !== JSON.stringify(afterPaths[path]))
+		.map((path) => ({ path, before: beforePaths[path], after: afterPaths[path] }));
+};
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, transform: false });
+
+// Records an append-only AuditEvent for every create, update and delete of the model's documents,
+// with a field-level diff and the actor, request id and IP of the current request. Changes that are
+// also workspace webhook events (see outboundWebhookService) are published from here.
+const audit = (schema, options = {}) => {
+	const { entityType, ignore = [] } = options;
+	const ignored = [...defaultIgnore, ...ignore];
+
+	const record = async (action, before, after) => {
+		const changes = diff(before || {}, after || {}, ignored);
+		if (action === 'update') {
+			if (!changes.length) {
+				return;
+			}
+			const deletion = changes.find((change) => change.path === 'deletedAt');
+			if (deletion) {
+				action = deletion.after ? 'delete' : 'restore';
+			} else if (changes.some((change) => change.path === 'status')) {
+				action = 'status_change';
+			}
+		}
+
+		const context = workspaceContext.get() || {};
+		const entity = after || before;
+		await AuditEvent.record({
+			workspace: entity.workspace,
+			entityType,
+			entityId: entity._id,
+			action,
+			actor: context.user,
+			actorType: context.user ? 'user' : context.requestId ? 'public' : 'system',
+			apiKey: context.apiKey,
+			changes,
+			requestId: context.requestId,
+			ipAddress: context.ip,
+			userAgent: context.userAgent
+		});
+		await outboundWebhookService.publishEntityChange(entityType, action, before, after);
+	};
+
+	// Document saves and removals
+	schema.post('init', function () {
+		this.$locals.auditSnapshot = snapshot(this);
+	});
+
+	schema.pre('save', function () {
+		this.$locals.auditIsNew = this.isNew;
+	});
+
+	schema.post('save', async function () {
+		const after = snapshot(this);
+		const before = this.$locals.auditIsNew ? null : this.$locals.auditSnapshot;
+		this.$locals.auditSnapshot = after;
+		await record(before ? 'update' : 'create', before, after);
+	});
+
+	schema.post('insertMany', async function (docs) {
+		for (const doc of docs) {
+			await record('create', null, snapshot(doc));
+		}
+	});
+
+	schema.post(['remove', 'deleteOne'], { document: true, query: false }, async function () {
+		await record('delete', this.$locals.auditSnapshot || snapshot(this), null);
+	});
+
+	// Query updates and deletes: load the affected documents before the write and compare after it
+	schema.pre([...updateHooks, ...deleteHooks], { document: false, query: true }, async function () {
+		// The filter already carries any record-level access rule of the original query
+		const query = this.model.find(this.getFilter()).setOptions({ skipRecordAccess: true }).lean();
+		if (!['updateMany', 'deleteMany'].includes(this.op) && !(this.op === 'update' && this.getOptions().multi)) {
+			query.sort(this.getOptions().sort).limit(1);
+		}
+		this._auditSnapshots = await query;
+	});
+
+	schema.post(updateHooks, { document: false, query: true }, async function () {
+		const snapshots = this._auditSnapshots || [];
+		if (!snapshots.length) {
+			return;
+		}
+
+		const updatedDocs = await this.model
+			.find({ _id: { $in: snapshots.map((doc) => doc._id) } })
+			.setOptions({ withDeleted: true, skipRecordAccess: true })
+			.lean();
+		for (const before of snapshots) {
+			const after = updatedDocs.find((doc) => doc._id.equals(before._id));
+			if (after) {
+				await record('update', before, after);
+			}
+		}
+	});
+
+	schema.post(deleteHooks, { document: false, query: true }, async function () {
+		for (const before of this._auditSnapshots || []) {
+			await record('delete', before, null);
+		}
+	});
+};
+
+export default audit;
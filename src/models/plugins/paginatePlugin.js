@@ -1,5 +1,10 @@
 const paginate = (schema) => {
 	schema.statics.paginate = async function paginateFunc(options, populate, query) {
+		// Also support the (filter, { page, limit, populate, sort }) form used by the business controllers
+		if (populate && typeof populate === 'object') {
+			return paginateWithFilter.call(this, options, populate);
+		}
+
 		const sortBy = options.sortBy ? options.sortBy : 'createdAt';
 		const sortDirection = options.sortDirection && options.sortDirection === 'asc' ? 'asc' : 'desc';
 		const page = options.page && parseInt(options.page, 10) > 0 ? parseInt(options.page, 10) : 1;
@@ -34,4 +39,45 @@ const paginate = (schema) => {
 	};
 };
 
+async function paginateWithFilter(filter = {}, options = {}) {
+	const page = options.page && parseInt(options.page, 10) > 0 ? parseInt(options.page, 10) : 1;
+	const limit = options.limit && parseInt(options.limit, 10) > 0 ? parseInt(options.limit, 10) : 10;
+	const skip = (page - 1) * limit;
+
+	const countPromise = this.countDocuments(filter).exec();
+	let docsPromise = this.find(filter)
+		.sort(options.sort || { createdAt: -1 })
+		.skip(skip)
+		.limit(limit);
+
+	if (options.select) {
+		docsPromise = docsPromise.select(options.select);
+	}
+
+	if (options.populate) {
+		const populates = Array.isArray(options.populate) ? options.populate : [options.populate];
+		populates.forEach((populate) => {
+			if (typeof populate === 'string') {
+				populate.split(' ').forEach((path) => {
+					docsPromise = docsPromise.populate(path);
+				});
+			} else {
+				docsPromise = docsPromise.populate(populate);
+			}
+		});
+	}
+
+	docsPromise = docsPromise.exec();
+
+	const [totalResults, results] = await Promise.all([countPromise, docsPromise]);
+
+	return {
+		results,
+		totalResults,
+		page,
+		limit,
+		totalPages: Math.ceil(totalResults / limit)
+	};
+}
+
 export default paginate;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import workspaceContext from '~/utils/workspaceContext';
+
+const queryHooks = [
+	'count',
+	'countDocuments',
+	'distinct',
+	'find',
+	'findOne',
+	'findOneAndDelete',
+	'findOneAndRemove',
+	'findOneAndReplace',
+	'findOneAndUpdate',
+	'deleteMany',
+	'deleteOne',
+	'remove',
+	'replaceOne',
+	'update',
+	'updateMany',
+	'updateOne'
+];
+
+// Record-level access rules. On routes where authorize() restricted the resource for the current user (they lack the
+// `<resource>:all` permission), queries only match the records returned by scope(userId), e.g. the leads assigned to them.
+// Internal lookups that must see every record of the workspace (integrity checks, audit snapshots) set the
+// skipRecordAccess query option.
+const recordAccess = (schema, options = {}) => {
+	const { resource, scope } = options;
+
+	const getScope = () => {
+		const context = workspaceContext.get();
+		if (!context || !context.user || !(context.restrictedResources || []).includes(resource)) {
+			return null;
+		}
+		return scope(new mongoose.Types.ObjectId(context.user));
+	};
+
+	schema.pre(queryHooks, { document: false, query: true }, function (next) {
+		const filter = !this.getOptions().skipRecordAccess && getScope();
+		if (filter) {
+			// $and keeps the rule from overwriting a condition on the same path in the caller's filter
+			this.and([filter]);
+		}
+		next();
+	});
+
+	schema.pre('aggregate', function (next) {
+		const filter = !this.options.skipRecordAccess && getScope();
+		if (filter) {
+			this.pipeline().unshift({ $match: filter });
+		}
+		next();
+	});
+};
+
+export default recordAccess;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const queryHooks = [
+	'count',
+	'countDocuments',
+	'distinct',
+	'find',
+	'findOne',
+	'findOneAndDelete',
+	'findOneAndRemove',
+	'findOneAndReplace',
+	'findOneAndUpdate',
+	'deleteMany',
+	'deleteOne',
+	'remove',
+	'replaceOne',
+	'update',
+	'updateMany',
+	'updateOne'
+];
+
+// Queries that mention deletedAt themselves (trash listings, restore, purge) opt out of the default filter
+const filtersDeletedAt = (filter) => Object.prototype.hasOwnProperty.call(filter || {}, 'deletedAt');
+
+const softDelete = (schema) => {
+	schema.add({
+		deletedAt: {
+			type: Date,
+			default: null,
+			index: true
+		},
+		deletedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		}
+	});
+
+	// Deleted documents are hidden from every query unless it asks for them explicitly,
+	// either by filtering on deletedAt or with the withDeleted query option
+	schema.pre(queryHooks, { document: false, query: true }, function (next) {
+		if (!this.getOptions().withDeleted && !filtersDeletedAt(this.getFilter())) {
+			this.where({ deletedAt: null });
+		}
+		next();
+	});
+
+	schema.pre('aggregate', function (next) {
+		const pipeline = this.pipeline();
+		if (!this.options.withDeleted && !pipeline.some((stage) => stage.$match && filtersDeletedAt(stage.$match))) {
+			pipeline.unshift({ $match: { deletedAt: null } });
+		}
+		next();
+	});
+
+	schema.statics.softDeleteById = async function (id, userId, deletedAt = new Date()) {
+		return await this.findOneAndUpdate({ _id: id }, { $set: { deletedAt, deletedBy: userId } }, { new: true });
+	};
+
+	schema.statics.restoreById = async function (id) {
+		return await this.findOneAndUpdate(
+			{ _id: id, deletedAt: { $ne: null } },
+			{ $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+			{ new: true }
+		);
+	};
+
+	schema.statics.paginateDeleted = async function (filter, options) {
+		return await this.paginate({ ...filter, deletedAt: { $ne: null } }, options);
+	};
+
+	// Permanently removes documents that have been in the trash since before the given date
+	schema.statics.purgeDeleted = async function (deletedBefore) {
+		return await this.deleteMany({ deletedAt: { $ne: null, $lte: deletedBefore } });
+	};
+};
+
+export default softDelete;
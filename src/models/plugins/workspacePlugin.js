@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import httpStatus from 'http-status';
+import APIError from '~/utils/apiError';
+import workspaceContext from '~/utils/workspaceContext';
+
+const queryHooks = [
+	'count',
+	'countDocuments',
+	'distinct',
+	'find',
+	'findOne',
+	'findOneAndDelete',
+	'findOneAndRemove',
+	'findOneAndReplace',
+	'findOneAndUpdate',
+	'deleteMany',
+	'deleteOne',
+	'remove',
+	'replaceOne',
+	'update',
+	'updateMany',
+	'updateOne'
+];
+
+const workspace = (schema, options = {}) => {
+	const { refs = [] } = options;
+
+	schema.add({
+		workspace: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'teams',
+			required: true,
+			immutable: true,
+			index: true
+		}
+	});
+
+	// New documents always belong to the workspace of the current request
+	schema.pre('validate', async function () {
+		const workspaceId = workspaceContext.getWorkspaceId();
+		if (this.isNew && workspaceId) {
+			this.workspace = workspaceId;
+		}
+
+		// Referenced business documents must live in the same workspace
+		for (const path of refs) {
+			const value = this.get(path);
+			if (value && this.isModified(path)) {
+				const modelName = schema.path(path).options.ref;
+				const exists = await mongoose.model(modelName).exists({ _id: value, workspace: this.workspace }).setOptions({ skipRecordAccess: true });
+				if (!exists) {
+					throw new APIError(`Referenced ${path} not found in this workspace`, httpStatus.BAD_REQUEST);
+				}
+			}
+		}
+	});
+
+	schema.pre('insertMany', function (next, docs) {
+		const workspaceId = workspaceContext.getWorkspaceId();
+		if (workspaceId && Array.isArray(docs)) {
+			docs.forEach((doc) => {
+				doc.workspace = workspaceId;
+			});
+		}
+		next();
+	});
+
+	// Every query issued while serving a request is limited to that request's workspace
+	schema.pre(queryHooks, { document: false, query: true }, function (next) {
+		const workspaceId = workspaceContext.getWorkspaceId();
+		if (workspaceId) {
+			this.where({ workspace: workspaceId });
+		}
+		next();
+	});
+
+	schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function () {
+		const workspaceId = workspaceContext.getWorkspaceId();
+		const update = this.getUpdate() || {};
+		if (!workspaceId || !refs.length) {
+			return;
+		}
+
+		for (const path of refs) {
+			const value = update.$set && update.$set[path] !== undefined ? update.$set[path] : update[path];
+			if (value) {
+				const modelName = schema.path(path).options.ref;
+				const exists = await mongoose.model(modelName).exists({ _id: value }).setOptions({ skipRecordAccess: true });
+				if (!exists) {
+					throw new APIError(`Referenced ${path} not found in this workspace`, httpStatus.BAD_REQUEST);
+				}
+			}
+		}
+	});
+
+	schema.pre('aggregate', function (next) {
+		const workspaceId = workspaceContext.getWorkspaceId();
+		if (workspaceId) {
+			this.pipeline().unshift({ $match: { workspace: new mongoose.Types.ObjectId(workspaceId) } });
+		}
+		next();
+	});
+};
+
+export default workspace;
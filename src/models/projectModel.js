@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import softDelete from './plugins/softDeletePlugin';
+import recordAccess from './plugins/recordAccessPlugin';
+import audit from './plugins/auditPlugin';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
 
@@ -237,6 +241,10 @@ const projectSchema = mongoose.Schema(
 
 projectSchema.plugin(toJSON);
 projectSchema.plugin(paginate);
+projectSchema.plugin(workspace, { refs: ['client', 'leadSource', 'estimate'] });
+projectSchema.plugin(softDelete);
+projectSchema.plugin(recordAccess, { resource: 'project', scope: (userId) => ({ 'team.user': userId }) });
+projectSchema.plugin(audit, { entityType: 'project' });
 
 projectSchema.virtual('fullAddress').get(function () {
 	const { address, city, state, zipCode, country } = this.location;
@@ -351,6 +359,16 @@ class ProjectClass {
 		return await project.save();
 	}
 
+	// Open milestones past their due date become overdue
+	static async markOverdueMilestones() {
+		const now = new Date();
+		return await this.updateMany(
+			{ milestones: { $elemMatch: { status: { $in: ['pending', 'in_progress'] }, dueDate: { $lt: now } } } },
+			{ $set: { 'milestones.$[milestone].status': 'overdue' } },
+			{ arrayFilters: [{ 'milestone.status': { $in: ['pending', 'in_progress'] }, 'milestone.dueDate': { $lt: now } }] }
+		);
+	}
+
 	static async addNote(projectId, content, userId) {
 		const project = await this.findById(projectId);
 		if (!project) {
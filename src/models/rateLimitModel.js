@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Request counters of the rate limiter, shared by every app instance. A counter is removed once its window ends.
+const rateLimitSchema = mongoose.Schema({
+	key: {
+		type: String,
+		required: true,
+		unique: true
+	},
+	hits: {
+		type: Number,
+		default: 0
+	},
+	resetAt: {
+		type: Date,
+		required: true
+	}
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+class RateLimitClass {
+	static async getCounter(key) {
+		return await this.findOne({ key, resetAt: { $gt: new Date() } });
+	}
+
+	// Counts a hit, starting a new window when the previous one has ended
+	static async increment(key, windowMs) {
+		const now = new Date();
+		const resetAt = new Date(now.getTime() + windowMs);
+
+		await this.updateOne({ key, resetAt: { $lte: now } }, { $set: { hits: 0, resetAt } });
+
+		try {
+			return await this.findOneAndUpdate({ key }, { $inc: { hits: 1 }, $setOnInsert: { resetAt } }, { upsert: true, new: true });
+		} catch (error) {
+			// Another instance created the counter first
+			if (error.code === 11000) {
+				return await this.findOneAndUpdate({ key }, { $inc: { hits: 1 } }, { new: true });
+			}
+			throw error;
+		}
+	}
+
+	static async decrement(key) {
+		return await this.updateOne({ key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+	}
+
+	static async reset(key) {
+		return await this.deleteOne({ key });
+	}
+}
+
+rateLimitSchema.loadClass(RateLimitClass);
+
+const RateLimit = mongoose.model('rateLimits', rateLimitSchema);
+
+export default RateLimit;
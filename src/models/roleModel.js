@@ -81,6 +81,17 @@ class RoleClass {
 		return await role.save();
 	}
 
+	static async getRightsByRoleIds(roleIds) {
+		const roles = await this.find({ _id: { $in: roleIds } }).populate('permissions');
+		const rights = [];
+		roles.forEach((role) => {
+			role.permissions.forEach((permission) => {
+				rights.push(`${permission.controller}:${permission.action}`);
+			});
+		});
+		return rights;
+	}
+
 	static async deleteRoleById(roleId) {
 		const role = await this.getRoleById(roleId);
 		if (!role) {
@@ -416,6 +416,23 @@ class SubscriptionClass {
 		};
 	}
 
+	// Atomically take `amount` units of a resource, refusing when it would exceed `limit` (-1 = unlimited)
+	static async reserveUsage(subscriptionId, resourceType, amount, limit) {
+		const field = `usage.${resourceType}.current`;
+		const filter = { _id: subscriptionId };
+		if (limit !== -1) {
+			filter[field] = { $lte: limit - amount };
+		}
+		return await this.findOneAndUpdate(filter, { $inc: { [field]: amount } }, { new: true });
+	}
+
+	static async releaseUsage(subscriptionId, resourceType, amount) {
+		const field = `usage.${resourceType}.current`;
+		return await this.updateOne({ _id: subscriptionId }, [
+			{ $set: { [field]: { $max: [0, { $subtract: [`$${field}`, amount] }] } } }
+		]);
+	}
+
 	static async getSubscriptionStats() {
 		const stats = await this.aggregate([
 			{
@@ -458,6 +475,23 @@ class SubscriptionClass {
 		return this.features[featureName] === true;
 	}
 
+	// Instance method to get the effective limit, preferring the populated plan over the stored snapshot
+	getResourceLimit(resourceType) {
+		if (this.plan && typeof this.plan.getLimit === 'function' && this.plan.features && this.plan.features[resourceType]) {
+			return this.plan.getLimit(resourceType);
+		}
+		const resource = this.usage[resourceType];
+		return resource ? resource.limit : 0;
+	}
+
+	// Instance method to check a feature against the subscription or its plan
+	hasPlanFeature(featureName) {
+		if (this.canAccessFeature(featureName)) {
+			return true;
+		}
+		return !!(this.plan && typeof this.plan.hasFeature === 'function' && this.plan.hasFeature(featureName));
+	}
+
 	// Instance method to check usage limit
 	canCreateResource(resourceType) {
 		const resource = this.usage[resourceType];
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
+import Role from './roleModel';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
 
@@ -82,6 +83,11 @@ const teamSchema = mongoose.Schema(
 				type: Boolean,
 				default: false
 			},
+			// Members (and members of sub-teams) must enable two-factor authentication to access workspace data
+			requireTwoFactor: {
+				type: Boolean,
+				default: false
+			},
 			notificationSettings: {
 				email: {
 					type: Boolean,
@@ -143,6 +149,9 @@ teamSchema.virtual('activeMemberCount').get(function () {
 	return this.members.filter(member => member.user && member.user.status !== 'inactive').length;
 });
 
+// Highest first
+const memberRoles = ['team_lead', 'senior_member', 'member', 'contributor', 'observer'];
+
 class TeamClass {
 	static async getTeamById(id) {
 		return await this.findById(id)
@@ -160,8 +169,8 @@ class TeamClass {
 			.populate('createdBy', 'firstName lastName email');
 	}
 
-	static async getTeamsByType(teamType) {
-		return await this.find({ teamType, status: 'active' })
+	static async getTeamsByType(teamType, teamIds) {
+		return await this.find({ _id: { $in: teamIds }, teamType, status: 'active' })
 			.populate('members.user', 'firstName lastName email avatar')
 			.populate('createdBy', 'firstName lastName email');
 	}
@@ -238,41 +247,124 @@ class TeamClass {
 		return team.members;
 	}
 
-	static async getUserPermissionsInTeam(teamId, userId) {
-		const team = await this.findById(teamId);
+	// Teams the user created or is a member of, and the sub-teams below them, whose membership they inherit
+	static async getAccessibleTeamIds(userId) {
+		const ids = await this.find({ $or: [{ createdBy: userId }, { 'members.user': userId }] }).distinct('_id');
+		let parents = ids;
+		while (parents.length) {
+			parents = await this.find({ parentTeam: { $in: parents }, _id: { $nin: ids } }).distinct('_id');
+			ids.push(...parents);
+		}
+		return ids;
+	}
+
+	// The team followed by its ancestors, nearest first
+	static async getTeamChain(teamId) {
+		const chain = [];
+		const visited = new Set();
+		let team = await this.findById(teamId).select('name parentTeam members');
 		if (!team) {
 			throw new APIError('Team not found', httpStatus.NOT_FOUND);
 		}
 
-		const member = team.members.find(member => 
-			member.user.toString() === userId.toString()
-		);
-
-		if (!member) {
-			return null; // User is not a member of this team
+		while (team && !visited.has(team.id)) {
+			visited.add(team.id);
+			chain.push(team);
+			team = team.parentTeam ? await this.findById(team.parentTeam).select('name parentTeam members') : null;
 		}
 
+		return chain;
+	}
+
+	static isRoleAbove(role, otherRole) {
+		return memberRoles.indexOf(role) < memberRoles.indexOf(otherRole);
+	}
+
+	// Memberships cascade down the hierarchy: a member of a parent team holds the same role and permissions in
+	// every sub-team. The highest role in the chain applies. Each permission reports the team that grants it; the
+	// nearest team wins when several grant the same action.
+	static async getEffectivePermissions(teamId, userId) {
+		const chain = await this.getTeamChain(teamId);
+		const permissions = new Map();
+		let membership = null;
+
+		chain.forEach((team, depth) => {
+			const member = team.members.find((item) => item.user.toString() === userId.toString());
+			if (!member) {
+				return;
+			}
+
+			const source = { team: team._id, name: team.name, role: member.role, inherited: depth > 0 };
+			if (!membership || memberRoles.indexOf(member.role) < memberRoles.indexOf(membership.role)) {
+				membership = { role: member.role, joinedAt: member.joinedAt, source };
+			}
+
+			member.permissions.forEach((permission) => {
+				permission.actions.forEach((action) => {
+					const right = `${permission.resource}:${action}`;
+					if (!permissions.has(right)) {
+						permissions.set(right, { right, resource: permission.resource, action, scope: permission.scope, source });
+					}
+				});
+			});
+		});
+
 		return {
-			role: member.role,
-			permissions: member.permissions,
-			joinedAt: member.joinedAt
+			team: chain[0]._id,
+			user: userId,
+			role: membership ? membership.role : null,
+			joinedAt: membership ? membership.joinedAt : null,
+			roleSource: membership ? membership.source : null,
+			permissions: [...permissions.values()]
 		};
 	}
 
-	static async canUserAccessResource(teamId, userId, resource, action) {
-		const userPermissions = await this.getUserPermissionsInTeam(teamId, userId);
-		
-		if (!userPermissions) {
-			return false;
+	static async getUserPermissionsInTeam(teamId, userId) {
+		const effective = await this.getEffectivePermissions(teamId, userId);
+
+		if (!effective.role) {
+			return null; // User is not a member of this team or any of its parent teams
 		}
 
-		// Check if user has the required permission
-		const hasPermission = userPermissions.permissions.some(permission => 
-			permission.resource === resource && 
-			permission.actions.includes(action)
-		);
+		// Grouped back into the member permission shape
+		const grouped = new Map();
+		effective.permissions.forEach(({ resource, action, scope }) => {
+			const key = `${resource}:${scope}`;
+			if (!grouped.has(key)) {
+				grouped.set(key, { resource, actions: [], scope });
+			}
+			grouped.get(key).actions.push(action);
+		});
+
+		return {
+			role: effective.role,
+			inherited: effective.roleSource.inherited,
+			permissions: [...grouped.values()],
+			joinedAt: effective.joinedAt
+		};
+	}
+
+	static async getUserRightsInTeam(teamId, userId) {
+		const effective = await this.getEffectivePermissions(teamId, userId);
+		return effective.permissions.map((permission) => permission.right);
+	}
 
-		return hasPermission;
+	// The team creator, team leads (direct or inherited) and users with the team:update permission manage a team
+	static async canManageTeam(team, user) {
+		if (team.createdBy.toString() === user.id) {
+			return true;
+		}
+		const { role } = await this.getEffectivePermissions(team._id, user.id);
+		if (role === 'team_lead') {
+			return true;
+		}
+		const rights = await Role.getRightsByRoleIds(user.roles);
+		return rights.includes('team:update');
+	}
+
+	static async canUserAccessResource(teamId, userId, resource, action) {
+		const rights = await this.getUserRightsInTeam(teamId, userId);
+		return rights.includes(`${resource}:${action}`);
 	}
 
 	static async getTeamStats() {
@@ -301,9 +393,51 @@ class TeamClass {
 		};
 	}
 
-	static async searchTeams(query) {
+	// A workspace is the root team of a team hierarchy
+	static async getWorkspaceId(teamId) {
+		let team = await this.findById(teamId).select('parentTeam');
+		const visited = new Set();
+		while (team && team.parentTeam && !visited.has(team.id)) {
+			visited.add(team.id);
+			const parent = await this.findById(team.parentTeam).select('parentTeam');
+			if (!parent) {
+				break;
+			}
+			team = parent;
+		}
+		return team ? team._id : null;
+	}
+
+	// Whether any record is tagged with the workspace. The native collections are used so neither the workspace of the
+	// current request nor the trash hides records.
+	static async hasWorkspaceRecords(workspaceId) {
+		for (const name of mongoose.modelNames()) {
+			const Model = mongoose.model(name);
+			if (Model.schema.path('workspace') && (await Model.collection.findOne({ workspace: workspaceId }, { projection: { _id: 1 } }))) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	static async getWorkspaceIds(teamIds) {
+		const workspaceIds = await Promise.all(teamIds.map((teamId) => this.getWorkspaceId(teamId)));
+		return [...new Set(workspaceIds.filter(Boolean).map((id) => id.toString()))];
+	}
+
+	// Whether any of the teams, or a workspace above them, requires two-factor authentication
+	static async isTwoFactorRequired(teamIds) {
+		if (!teamIds.length) {
+			return false;
+		}
+		const chainIds = (await Promise.all(teamIds.map((teamId) => this.getTeamChain(teamId).catch(() => [])))).flat().map((team) => team._id);
+		return !!(await this.exists({ _id: { $in: chainIds }, 'settings.requireTwoFactor': true }));
+	}
+
+	static async searchTeams(query, teamIds) {
 		const searchRegex = new RegExp(query, 'i');
 		return await this.find({
+			_id: { $in: teamIds },
 			$or: [
 				{ name: searchRegex },
 				{ description: searchRegex },
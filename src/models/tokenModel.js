@@ -4,6 +4,8 @@ import config from '~/config/config';
 import APIError from '~/utils/apiError';
 import toJSON from './plugins/toJSONPlugin';
 
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
 const tokenSchema = mongoose.Schema(
 	{
 		user: {
@@ -18,13 +20,38 @@ const tokenSchema = mongoose.Schema(
 		},
 		type: {
 			type: String,
-			enum: [config.TOKEN_TYPES.REFRESH, config.TOKEN_TYPES.RESET_PASSWORD, config.TOKEN_TYPES.VERIFY_EMAIL],
+			enum: [config.TOKEN_TYPES.REFRESH, config.TOKEN_TYPES.RESET_PASSWORD, config.TOKEN_TYPES.VERIFY_EMAIL, config.TOKEN_TYPES.TWO_FACTOR_CHALLENGE],
 			required: true
 		},
 		blacklisted: {
 			type: Boolean,
 			default: false
 		},
+		// Codes entered against a two-factor challenge
+		attempts: {
+			type: Number,
+			default: 0
+		},
+		// Refresh tokens belong to a session, which keeps its id when the token is rotated
+		sessionId: {
+			type: String,
+			index: true
+		},
+		device: {
+			type: String
+		},
+		userAgent: {
+			type: String
+		},
+		ip: {
+			type: String
+		},
+		sessionStartedAt: {
+			type: Date
+		},
+		lastUsedAt: {
+			type: Date
+		},
 		expiresAt: {
 			type: Date,
 			required: true
@@ -49,6 +76,63 @@ class TokenClass {
 		return tokenDoc;
 	}
 
+	static async saveRefreshToken(token, userId, expires, session) {
+		return await this.create({
+			user: userId,
+			token,
+			type: config.TOKEN_TYPES.REFRESH,
+			expiresAt: expires,
+			...session
+		});
+	}
+
+	// Session management methods
+
+	static async getActiveSessions(userId) {
+		return await this.find({
+			user: userId,
+			type: config.TOKEN_TYPES.REFRESH,
+			blacklisted: false,
+			expiresAt: { $gt: new Date() },
+			sessionId: { $exists: true }
+		})
+			.select('sessionId device userAgent ip sessionStartedAt lastUsedAt expiresAt')
+			.sort({ lastUsedAt: -1 });
+	}
+
+	// Whether the session behind an access token is still signed in; records its use at most once a minute
+	static async touchSession(sessionId, ip) {
+		const session = await this.findOne({
+			sessionId,
+			type: config.TOKEN_TYPES.REFRESH,
+			blacklisted: false,
+			expiresAt: { $gt: new Date() }
+		}).select('lastUsedAt ip');
+		if (!session) {
+			return false;
+		}
+
+		if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL || session.ip !== ip) {
+			await this.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date(), ip } });
+		}
+		return true;
+	}
+
+	static async revokeSession(userId, sessionId) {
+		const { deletedCount } = await this.deleteMany({ user: userId, sessionId, type: config.TOKEN_TYPES.REFRESH });
+		if (!deletedCount) {
+			throw new APIError('Session not found', httpStatus.NOT_FOUND);
+		}
+	}
+
+	static async revokeOtherSessions(userId, currentSessionId) {
+		return await this.deleteMany({ user: userId, type: config.TOKEN_TYPES.REFRESH, sessionId: { $ne: currentSessionId } });
+	}
+
+	static async revokeAllSessions(userId) {
+		return await this.deleteMany({ user: userId, type: config.TOKEN_TYPES.REFRESH });
+	}
+
 	static async revokeToken(token, type) {
 		const tokenDoc = await this.findOne({ token: token, type: type, blacklisted: false });
 		if (!tokenDoc) {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import paginate from './plugins/paginatePlugin';
 import toJSON from './plugins/toJSONPlugin';
@@ -6,6 +7,18 @@ import APIError from '~/utils/apiError';
 import Role from './roleModel';
 import config from '~/config/config';
 import httpStatus from 'http-status';
+import totp from '~/utils/totp';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Ten hex characters, shown as xxxxx-xxxxx
+const generateRecoveryCodes = () =>
+	Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const code = crypto.randomBytes(5).toString('hex');
+		return `${code.slice(0, 5)}-${code.slice(5)}`;
+	});
 
 const userSchema = mongoose.Schema(
 	{
@@ -117,6 +130,37 @@ const userSchema = mongoose.Schema(
 		},
 		subscriptionExpiry: {
 			type: Date
+		},
+		// Secret used in the URL of the user's .ics appointment feed
+		calendarFeedToken: {
+			type: String,
+			unique: true,
+			sparse: true,
+			private: true
+		},
+		// Two-factor authentication (TOTP)
+		twoFactorEnabled: {
+			type: Boolean,
+			default: false
+		},
+		twoFactorSecret: {
+			type: String,
+			private: true
+		},
+		// Secret awaiting confirmation with a first code from the authenticator app
+		twoFactorPendingSecret: {
+			type: String,
+			private: true
+		},
+		// SHA-256 hashes of the unused recovery codes
+		twoFactorRecoveryCodes: {
+			type: [String],
+			private: true
+		},
+		// Time step of the last accepted code, so a code cannot be used twice
+		twoFactorLastStep: {
+			type: Number,
+			private: true
 		}
 	},
 	{
@@ -378,6 +422,118 @@ class UserClass {
 			razorpayCustomerId: user.razorpayCustomerId
 		};
 	}
+
+	// Issues a new calendar feed token; the previous feed URL stops working
+	static async rotateCalendarFeedToken(userId) {
+		const token = crypto.randomBytes(32).toString('hex');
+		await this.updateOne({ _id: userId }, { $set: { calendarFeedToken: token } });
+		return token;
+	}
+
+	static async revokeCalendarFeedToken(userId) {
+		return await this.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+	}
+
+	static async getUserByCalendarFeedToken(token) {
+		return await this.findOne({ calendarFeedToken: token });
+	}
+
+	// Two-factor authentication methods
+
+	// Starts enrolment with a new secret; 2FA is only switched on once a code from it is confirmed
+	static async startTwoFactorSetup(userId) {
+		const user = await this.getUserById(userId);
+		if (!user) {
+			throw new APIError('User not found', httpStatus.NOT_FOUND);
+		}
+		if (user.twoFactorEnabled) {
+			throw new APIError('Two-factor authentication is already enabled', httpStatus.CONFLICT);
+		}
+
+		user.twoFactorPendingSecret = totp.generateSecret();
+		await user.save();
+
+		return {
+			secret: user.twoFactorPendingSecret,
+			otpauthUrl: totp.getProvisioningUri(user.twoFactorPendingSecret, user.email, config.APP_NAME)
+		};
+	}
+
+	// Returns the recovery codes in plain text; only their hashes are stored
+	static async enableTwoFactor(userId, code) {
+		const user = await this.getUserById(userId);
+		if (!user) {
+			throw new APIError('User not found', httpStatus.NOT_FOUND);
+		}
+		if (user.twoFactorEnabled) {
+			throw new APIError('Two-factor authentication is already enabled', httpStatus.CONFLICT);
+		}
+		if (!user.twoFactorPendingSecret) {
+			throw new APIError('Start two-factor setup first', httpStatus.BAD_REQUEST);
+		}
+
+		const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+		if (step === null) {
+			throw new APIError('Invalid authentication code', httpStatus.BAD_REQUEST);
+		}
+
+		const recoveryCodes = generateRecoveryCodes();
+		Object.assign(user, {
+			twoFactorEnabled: true,
+			twoFactorSecret: user.twoFactorPendingSecret,
+			twoFactorPendingSecret: undefined,
+			twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+			twoFactorLastStep: step
+		});
+		await user.save();
+
+		return recoveryCodes;
+	}
+
+	static async disableTwoFactor(userId) {
+		return await this.findByIdAndUpdate(
+			userId,
+			{
+				$set: { twoFactorEnabled: false },
+				$unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+			},
+			{ new: true }
+		);
+	}
+
+	static async regenerateRecoveryCodes(userId) {
+		const recoveryCodes = generateRecoveryCodes();
+		await this.updateOne({ _id: userId }, { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) } });
+		return recoveryCodes;
+	}
+
+	// Accepts a code from the authenticator app or an unused recovery code, which is then used up
+	async verifyTwoFactorCode({ code, recoveryCode }) {
+		if (!this.twoFactorEnabled) {
+			return false;
+		}
+
+		if (code) {
+			const step = totp.verifyCode(this.twoFactorSecret, code);
+			if (step === null || step <= (this.twoFactorLastStep || 0)) {
+				return false;
+			}
+			// Conditional update so two requests cannot both use the same code
+			const result = await this.constructor.updateOne(
+				{ _id: this._id, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: { $exists: false } }] },
+				{ $set: { twoFactorLastStep: step } }
+			);
+			return result.modifiedCount === 1;
+		}
+
+		if (recoveryCode) {
+			const hash = hashRecoveryCode(recoveryCode);
+			const result = await this.constructor.updateOne({ _id: this._id, twoFactorRecoveryCodes: hash }, { $pull: { twoFactorRecoveryCodes: hash } });
+			return result.modifiedCount === 1;
+		}
+
+		return false;
+	}
 }
 
 userSchema.loadClass(UserClass);
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+// One event sent to one endpoint, with every attempt made to deliver it.
+// Removed once `expiresAt` has passed (WEBHOOK_DELIVERY_RETENTION_DAYS after the event).
+const webhookDeliverySchema = mongoose.Schema(
+	{
+		endpoint: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'webhookEndpoints',
+			required: true
+		},
+		// Shared by redeliveries of the same event, so receivers can ignore duplicates
+		eventId: {
+			type: String,
+			required: true
+		},
+		event: {
+			type: String,
+			required: true
+		},
+		payload: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {}
+		},
+		status: {
+			type: String,
+			enum: ['pending', 'succeeded', 'failed'],
+			default: 'pending'
+		},
+		attempts: [
+			{
+				_id: false,
+				attemptedAt: {
+					type: Date,
+					required: true
+				},
+				statusCode: {
+					type: Number
+				},
+				// First characters of the response, or why no response was received
+				responseBody: {
+					type: String
+				},
+				error: {
+					type: String
+				},
+				durationMs: {
+					type: Number
+				}
+			}
+		],
+		nextAttemptAt: {
+			type: Date
+		},
+		deliveredAt: {
+			type: Date
+		},
+		redeliveryOf: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'webhookDeliveries'
+		},
+		requestedBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users'
+		},
+		expiresAt: {
+			type: Date,
+			required: true
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+webhookDeliverySchema.plugin(toJSON);
+webhookDeliverySchema.plugin(paginate);
+webhookDeliverySchema.plugin(workspace);
+
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+class WebhookDeliveryClass {
+	static async getDeliveryById(id) {
+		const delivery = await this.findById(id);
+		if (!delivery) {
+			throw new APIError('Webhook delivery not found', httpStatus.NOT_FOUND);
+		}
+		return delivery;
+	}
+
+	// Appends an attempt; `nextAttemptAt` keeps the delivery pending, otherwise it is final
+	static async recordAttempt(id, attempt, succeeded, nextAttemptAt) {
+		let status = 'failed';
+		if (succeeded) {
+			status = 'succeeded';
+		} else if (nextAttemptAt) {
+			status = 'pending';
+		}
+
+		return await this.findOneAndUpdate(
+			{ _id: id, status: 'pending' },
+			{
+				$push: { attempts: attempt },
+				$set: { status, nextAttemptAt: nextAttemptAt || null, deliveredAt: succeeded ? attempt.attemptedAt : null }
+			},
+			{ new: true }
+		);
+	}
+}
+
+webhookDeliverySchema.loadClass(WebhookDeliveryClass);
+
+const WebhookDelivery = mongoose.model('webhookDeliveries', webhookDeliverySchema);
+
+export default WebhookDelivery;
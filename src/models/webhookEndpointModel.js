@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import workspace from './plugins/workspacePlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+// Events a workspace can subscribe its endpoints to
+const webhookEvents = ['lead.created', 'estimate.accepted', 'project.status_changed', 'payment.received'];
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// URLs of a studio's own tools that receive workspace events, signed with the endpoint's secret
+const webhookEndpointSchema = mongoose.Schema(
+	{
+		url: {
+			type: String,
+			required: true,
+			trim: true
+		},
+		description: {
+			type: String,
+			trim: true
+		},
+		events: [
+			{
+				type: String,
+				enum: webhookEvents,
+				required: true
+			}
+		],
+		secret: {
+			type: String,
+			required: true,
+			private: true
+		},
+		enabled: {
+			type: Boolean,
+			default: true
+		},
+		createdBy: {
+			type: mongoose.SchemaTypes.ObjectId,
+			ref: 'users',
+			required: true
+		},
+		lastDeliveryAt: {
+			type: Date
+		},
+		lastDeliveryStatus: {
+			type: String,
+			enum: ['succeeded', 'failed']
+		}
+	},
+	{
+		timestamps: true
+	}
+);
+
+webhookEndpointSchema.plugin(toJSON);
+webhookEndpointSchema.plugin(paginate);
+webhookEndpointSchema.plugin(workspace);
+
+webhookEndpointSchema.index({ workspace: 1, enabled: 1, events: 1 });
+
+class WebhookEndpointClass {
+	static async getEndpointById(id) {
+		const endpoint = await this.findById(id);
+		if (!endpoint) {
+			throw new APIError('Webhook endpoint not found', httpStatus.NOT_FOUND);
+		}
+		return endpoint;
+	}
+
+	// The secret is only returned here and when it is rotated
+	static async createEndpoint(data, createdBy) {
+		const secret = newSecret();
+		const endpoint = await this.create({ ...data, secret, createdBy });
+		return { endpoint, secret };
+	}
+
+	static async rotateSecret(id) {
+		const secret = newSecret();
+		const endpoint = await this.findByIdAndUpdate(id, { $set: { secret } }, { new: true });
+		if (!endpoint) {
+			throw new APIError('Webhook endpoint not found', httpStatus.NOT_FOUND);
+		}
+		return { endpoint, secret };
+	}
+
+	static async getSubscribedEndpoints(workspaceId, event) {
+		return await this.find({ workspace: workspaceId, enabled: true, events: event });
+	}
+
+	static async recordDeliveryResult(id, succeeded) {
+		return await this.updateOne({ _id: id }, { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' } });
+	}
+}
+
+webhookEndpointSchema.loadClass(WebhookEndpointClass);
+
+const WebhookEndpoint = mongoose.model('webhookEndpoints', webhookEndpointSchema);
+
+export default WebhookEndpoint;
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import config from '~/config/config';
+import paginate from './plugins/paginatePlugin';
+import toJSON from './plugins/toJSONPlugin';
+import APIError from '~/utils/apiError';
+import httpStatus from 'http-status';
+
+// A handler that crashed mid-way leaves its event `processing`; after this long it may be claimed again
+const PROCESSING_TIMEOUT = 5 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Anyone can post to the webhook URLs, so events with a bad signature are kept briefly and without their payload
+const REJECTED_RETENTION = DAY;
+
+// Every webhook received from a provider, stored before it is processed. The provider's event id makes
+// redeliveries of the same event land on the same record, so an event is only processed once.
+const webhookEventSchema = mongoose.Schema(
+	{
+		provider: {
+			type: String,
+			enum: ['razorpay', 'twilio', 'openai', 'google'],
+			required: true
+		},
+		// The provider's id for the event, or a hash of the payload when it has none
+		eventId: {
+			type: String,
+			required: true
+		},
+		eventType: {
+			type: String
+		},
+		payload: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {}
+		},
+		signatureValid: {
+			type: Boolean,
+			required: true
+		},
+		// rejected: the signature did not verify, so the event is never processed
+		status: {
+			type: String,
+			enum: ['received', 'processing', 'processed', 'failed', 'rejected'],
+			default: 'received'
+		},
+		attempts: {
+			type: Number,
+			default: 0
+		},
+		// Times the provider sent the event again after it was first received
+		duplicates: {
+			type: Number,
+			default: 0
+		},
+		lastError: {
+			type: String
+		},
+		lockedUntil: {
+			type: Date
+		},
+		processedAt: {
+			type: Date
+		},
+		ipAddress: {
+			type: String
+		},
+		replays: [
+			{
+				_id: false,
+				replayedBy: {
+					type: mongoose.SchemaTypes.ObjectId,
+					ref: 'users'
+				},
+				replayedAt: {
+					type: Date
+				}
+			}
+		]
+	},
+	{
+		timestamps: true
+	}
+);
+
+webhookEventSchema.plugin(toJSON);
+webhookEventSchema.plugin(paginate);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+class WebhookEventClass {
+	// Stores the event, or returns the stored one when the provider has sent it before
+	static async receive(data) {
+		try {
+			const event = await this.create(data.signatureValid ? { ...data, status: 'received' } : { ...data, payload: {}, status: 'rejected' });
+			return { event, duplicate: false };
+		} catch (error) {
+			if (error.code !== 11000) {
+				throw error;
+			}
+			// A request with a bad signature may have used the id first; the genuine event takes the record over
+			if (data.signatureValid) {
+				const genuine = await this.findOneAndUpdate(
+					{ provider: data.provider, eventId: data.eventId, status: 'rejected' },
+					{ $set: { ...data, status: 'received' } },
+					{ new: true }
+				);
+				if (genuine) {
+					return { event: genuine, duplicate: false };
+				}
+			}
+			const event = await this.findOneAndUpdate({ provider: data.provider, eventId: data.eventId }, { $inc: { duplicates: 1 } }, { new: true });
+			return { event, duplicate: true };
+		}
+	}
+
+	// Locks the event for processing unless it was processed already or is being processed elsewhere.
+	// Failed events can be claimed again, so provider retries and replays run them once more.
+	static async claim(eventId) {
+		const now = new Date();
+		return await this.findOneAndUpdate(
+			{
+				_id: eventId,
+				$or: [{ status: { $in: ['received', 'failed'] } }, { status: 'processing', lockedUntil: { $lte: now } }]
+			},
+			{ $set: { status: 'processing', lockedUntil: new Date(now.getTime() + PROCESSING_TIMEOUT) }, $inc: { attempts: 1 } },
+			{ new: true }
+		);
+	}
+
+	static async markProcessed(eventId) {
+		return await this.updateOne({ _id: eventId }, { $set: { status: 'processed', processedAt: new Date(), lastError: null }, $unset: { lockedUntil: 1 } });
+	}
+
+	static async markFailed(eventId, error) {
+		return await this.updateOne({ _id: eventId }, { $set: { status: 'failed', lastError: error.message }, $unset: { lockedUntil: 1 } });
+	}
+
+	// Deletes rejected events after a day and all others after WEBHOOK_EVENT_RETENTION_DAYS. Redeliveries come within
+	// days, so older events are no longer needed to recognise duplicates.
+	static async purgeExpired() {
+		const now = Date.now();
+		return await this.deleteMany({
+			status: { $ne: 'processing' },
+			$or: [
+				{ status: 'rejected', createdAt: { $lte: new Date(now - REJECTED_RETENTION) } },
+				{ createdAt: { $lte: new Date(now - config.WEBHOOK_EVENT_RETENTION_DAYS * DAY) } }
+			]
+		});
+	}
+
+	static async getEventById(id) {
+		const event = await this.findById(id).populate('replays.replayedBy', 'firstName lastName email');
+		if (!event) {
+			throw new APIError('Webhook event not found', httpStatus.NOT_FOUND);
+		}
+		return event;
+	}
+
+	static async recordReplay(eventId, userId) {
+		return await this.updateOne({ _id: eventId }, { $push: { replays: { replayedBy: userId, replayedAt: new Date() } } });
+	}
+}
+
+webhookEventSchema.loadClass(WebhookEventClass);
+
+const WebhookEvent = mongoose.model('webhookEvents', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import apiKeyController from '~/controllers/apiKeyController';
+import authenticate from '~/middlewares/authenticate';
+import workspace, { requireWorkspaceAdmin } from '~/middlewares/workspace';
+import { requireFeature } from '~/middlewares/planLimits';
+import validate from '~/middlewares/validate';
+import apiKeyValidation from '~/validations/apiKeyValidation';
+
+const router = Router();
+
+// Keys are managed by workspace admins with a user's access token only, never with another API key
+router.use(authenticate(), workspace, requireWorkspaceAdmin);
+
+router.post('/', requireFeature('apiAccess'), validate(apiKeyValidation.createApiKey), apiKeyController.createApiKey);
+router.get('/', validate(apiKeyValidation.getApiKeys), apiKeyController.getApiKeys);
+router.get('/:apiKeyId', validate(apiKeyValidation.getApiKey), apiKeyController.getApiKey);
+router.delete('/:apiKeyId', validate(apiKeyValidation.revokeApiKey), apiKeyController.revokeApiKey);
+
+export default router;
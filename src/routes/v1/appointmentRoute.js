@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import appointmentController from '~/controllers/appointmentController';
+import authenticate from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace from '~/middlewares/workspace';
+import validate from '~/middlewares/validate';
+import appointmentValidation from '~/validations/appointmentValidation';
+
+const router = Router();
+
+// Calendar subscription feed, authorised by the token in the feed URL
+router.get('/feed/:token.ics', validate(appointmentValidation.getCalendarFeed), appointmentController.getCalendarFeed);
+
+// Apply authentication and workspace scoping to all routes
+router.use(authenticate(), workspace);
+
+// Calendar views and the current user's feed URL
+router.get('/calendar', authorize('appointment:read'), validate(appointmentValidation.getCalendar), appointmentController.getCalendar);
+router.post('/calendar-feed', authorize('appointment:read'), appointmentController.createCalendarFeed);
+router.delete('/calendar-feed', authorize('appointment:read'), appointmentController.revokeCalendarFeed);
+
+// Appointment CRUD operations
+router.post('/', authorize('appointment:create'), validate(appointmentValidation.createAppointment), appointmentController.createAppointment);
+router.get('/', authorize('appointment:read'), validate(appointmentValidation.getAppointments), appointmentController.getAppointments);
+router.get('/:appointmentId', authorize('appointment:read'), validate(appointmentValidation.getAppointment), appointmentController.getAppointment);
+router.put('/:appointmentId', authorize('appointment:update'), validate(appointmentValidation.updateAppointment), appointmentController.updateAppointment);
+router.delete('/:appointmentId', authorize('appointment:delete'), validate(appointmentValidation.getAppointment), appointmentController.deleteAppointment);
+
+// Appointment status and invite
+router.patch('/:appointmentId/status', authorize('appointment:update'), validate(appointmentValidation.updateAppointmentStatus), appointmentController.updateAppointmentStatus);
+router.get('/:appointmentId/ics', authorize('appointment:read'), validate(appointmentValidation.getAppointment), appointmentController.downloadAppointmentInvite);
+
+export default router;
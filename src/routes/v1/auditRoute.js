@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import auditController from '~/controllers/auditController';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import workspace from '~/middlewares/workspace';
+import validate from '~/middlewares/validate';
+import auditValidation from '~/validations/auditValidation';
+
+const router = Router();
+
+// Audit events are scoped to the workspace and limited to users with the audit:read permission
+router.use(authenticateOrApiKey('audit:read'), workspace);
+
+router.get('/', validate(auditValidation.getAuditEvents), auditController.getAuditEvents);
+
+export default router;
@@ -14,9 +14,19 @@ router.get('/me', authenticate(), catchAsync(authController.getMe));
 router.put('/me', authenticate(), validate(authValidation.updateMe), catchAsync(authController.updateMe));
 router.post('/signout', validate(authValidation.signout), catchAsync(authController.signout));
 router.post('/refresh-tokens', validate(authValidation.refreshTokens), catchAsync(authController.refreshTokens));
+router.get('/sessions', authenticate(), catchAsync(authController.getSessions));
+router.delete('/sessions', authenticate(), catchAsync(authController.revokeOtherSessions));
+router.delete('/sessions/:sessionId', authenticate(), validate(authValidation.revokeSession), catchAsync(authController.revokeSession));
 router.post('/send-verification-email', authenticate(), catchAsync(authController.sendVerificationEmail));
 router.post('/verify-email', validate(authValidation.verifyEmail), catchAsync(authController.verifyEmail));
 router.post('/forgot-password', validate(authValidation.forgotPassword), catchAsync(authController.forgotPassword));
 router.post('/reset-password', validate(authValidation.resetPassword), catchAsync(authController.resetPassword));
 
+// Two-factor authentication
+router.post('/2fa/verify', validate(authValidation.verifyTwoFactor), catchAsync(authController.verifyTwoFactor));
+router.post('/2fa/setup', authenticate(), catchAsync(authController.setupTwoFactor));
+router.post('/2fa/enable', authenticate(), validate(authValidation.enableTwoFactor), catchAsync(authController.enableTwoFactor));
+router.post('/2fa/disable', authenticate(), validate(authValidation.disableTwoFactor), catchAsync(authController.disableTwoFactor));
+router.post('/2fa/recovery-codes', authenticate(), validate(authValidation.regenerateRecoveryCodes), catchAsync(authController.regenerateRecoveryCodes));
+
 export default router;
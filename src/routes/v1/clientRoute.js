@@ -1,41 +1,69 @@
 import { Router } from 'express';
 import clientController from '~/controllers/clientController';
-import authenticate from '~/middlewares/authenticate';
+import importController from '~/controllers/importController';
+import duplicateController from '~/controllers/duplicateController';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace, { requireWorkspaceAdmin } from '~/middlewares/workspace';
+import { limitUsage, releaseUsage, requireFeature } from '~/middlewares/planLimits';
 import validate from '~/middlewares/validate';
+import uploadImport from '~/middlewares/uploadImport';
+import { limitBucket } from '~/middlewares/rateLimiter';
 import clientValidation from '~/validations/clientValidation';
+import importValidation from '~/validations/importValidation';
+import duplicateValidation from '~/validations/duplicateValidation';
 
 const router = Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication and workspace scoping to all routes
+router.use(authenticateOrApiKey(), workspace);
+
+// Spreadsheet imports
+router.post('/imports', authorize('client:create'), uploadImport, importController.createImport('client'));
+router.get('/imports', authorize('client:create'), validate(importValidation.getImports), importController.getImports('client'));
+router.get('/imports/:importId', authorize('client:create'), validate(importValidation.getImport), importController.getImport('client'));
+router.post('/imports/:importId/preview', authorize('client:create'), validate(importValidation.previewImport), importController.previewImport('client'));
+router.post('/imports/:importId/start', authorize('client:create'), validate(importValidation.startImport), importController.startImport('client'));
+router.get('/imports/:importId/errors', authorize('client:create'), validate(importValidation.getImportErrors), importController.getImportErrors('client'));
+
+// Duplicate detection and merging
+router.get('/duplicates', authorize('client:read'), validate(duplicateValidation.findDuplicates), duplicateController.findDuplicates('client'));
+router.post('/merge', authorize('client:update', 'client:delete'), validate(duplicateValidation.mergeRecords), releaseUsage('clients', (req) => req.body.duplicateIds.length), duplicateController.mergeRecords('client'));
 
 // Client CRUD operations
-router.post('/', validate(clientValidation.createClient), clientController.createClient);
-router.get('/', clientController.getClients);
-router.get('/stats', clientController.getClientStats);
-router.get('/search', clientController.searchClients);
-router.get('/:clientId', clientController.getClient);
-router.put('/:clientId', validate(clientValidation.updateClient), clientController.updateClient);
-router.delete('/:clientId', clientController.deleteClient);
+router.post('/', authorize('client:create'), validate(clientValidation.createClient), limitUsage('clients'), clientController.createClient);
+router.get('/', authorize('client:read'), clientController.getClients);
+router.get('/stats', authorize('client:read'), requireFeature('advancedAnalytics'), clientController.getClientStats);
+router.get('/trash', authorize('client:read'), validate(clientValidation.getDeletedClients), clientController.getDeletedClients);
+router.get('/search', authorize('client:read'), clientController.searchClients);
+router.get('/export', authorize('client:read'), validate(clientValidation.exportClients), clientController.exportClients);
+router.get('/:clientId', authorize('client:read'), clientController.getClient);
+router.put('/:clientId', authorize('client:update'), validate(clientValidation.updateClient), clientController.updateClient);
+router.delete('/:clientId', authorize('client:delete'), releaseUsage('clients'), clientController.deleteClient);
+router.post('/:clientId/restore', authorize('client:delete'), validate(clientValidation.restoreClient), limitUsage('clients'), clientController.restoreClient);
 
 // Client status and notes
-router.patch('/:clientId/status', validate(clientValidation.updateClientStatus), clientController.updateClientStatus);
-router.post('/:clientId/notes', validate(clientValidation.addNote), clientController.addNote);
+router.patch('/:clientId/status', authorize('client:update'), validate(clientValidation.updateClientStatus), clientController.updateClientStatus);
+router.post('/:clientId/notes', authorize('client:update'), validate(clientValidation.addNote), clientController.addNote);
 
 // Client portal access
-router.patch('/:clientId/portal-access', validate(clientValidation.updatePortalAccess), clientController.updatePortalAccess);
+router.patch('/:clientId/portal-access', authorize('client:update'), validate(clientValidation.updatePortalAccess), clientController.updatePortalAccess);
 
 // Client projects
-router.get('/:clientId/projects', clientController.getClientProjects);
-router.get('/:clientId/timeline', clientController.getClientTimeline);
+router.get('/:clientId/projects', authorize('client:read', 'project:read'), clientController.getClientProjects);
+router.get('/:clientId/timeline', authorize('client:read'), clientController.getClientTimeline);
+
+// Client data requests
+router.get('/:clientId/data-export', authorize('client:read'), requireWorkspaceAdmin, validate(clientValidation.exportClientData), clientController.exportClientData);
+router.post('/:clientId/erase', authorize('client:delete'), requireWorkspaceAdmin, validate(clientValidation.eraseClient), clientController.eraseClient);
 
 // Client communication
-router.post('/:clientId/send-message', validate(clientValidation.sendMessage), clientController.sendMessage);
-router.post('/:clientId/schedule-appointment', validate(clientValidation.scheduleAppointment), clientController.scheduleAppointment);
+router.post('/:clientId/send-message', authorize('client:update'), limitBucket('messaging'), validate(clientValidation.sendMessage), clientController.sendMessage);
+router.post('/:clientId/schedule-appointment', authorize('client:update'), validate(clientValidation.scheduleAppointment), clientController.scheduleAppointment);
 
 // Client preferences and custom fields
-router.patch('/:clientId/preferences', validate(clientValidation.updatePreferences), clientController.updateClientPreferences);
-router.post('/:clientId/custom-fields', validate(clientValidation.addCustomField), clientController.addCustomField);
-router.delete('/:clientId/custom-fields', validate(clientValidation.removeCustomField), clientController.removeCustomField);
+router.patch('/:clientId/preferences', authorize('client:update'), validate(clientValidation.updatePreferences), clientController.updateClientPreferences);
+router.post('/:clientId/custom-fields', authorize('client:update'), validate(clientValidation.addCustomField), clientController.addCustomField);
+router.delete('/:clientId/custom-fields', authorize('client:update'), validate(clientValidation.removeCustomField), clientController.removeCustomField);
 
 export default router;
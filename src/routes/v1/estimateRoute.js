@@ -1,37 +1,48 @@
 import { Router } from 'express';
 import estimateController from '~/controllers/estimateController';
-import authenticate from '~/middlewares/authenticate';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace from '~/middlewares/workspace';
+import { requireFeature } from '~/middlewares/planLimits';
 import validate from '~/middlewares/validate';
+import { limitBucket } from '~/middlewares/rateLimiter';
 import estimateValidation from '~/validations/estimateValidation';
 
 const router = Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Client-facing estimate page, authorised by the token sent with the estimate
+router.get('/public/:token', validate(estimateValidation.getPublicEstimate), estimateController.getPublicEstimate);
+router.post('/public/:token/respond', validate(estimateValidation.respondToPublicEstimate), estimateController.respondToPublicEstimate);
+
+// Apply authentication and workspace scoping to all routes
+router.use(authenticateOrApiKey(), workspace);
 
 // Estimate CRUD operations
-router.post('/', validate(estimateValidation.createEstimate), estimateController.createEstimate);
-router.get('/', estimateController.getEstimates);
-router.get('/stats', estimateController.getEstimateStats);
-router.get('/search', estimateController.searchEstimates);
-router.get('/:estimateId', estimateController.getEstimate);
-router.put('/:estimateId', validate(estimateValidation.updateEstimate), estimateController.updateEstimate);
-router.delete('/:estimateId', estimateController.deleteEstimate);
+router.post('/', authorize('estimate:create'), validate(estimateValidation.createEstimate), estimateController.createEstimate);
+router.get('/', authorize('estimate:read'), estimateController.getEstimates);
+router.get('/stats', authorize('estimate:read'), requireFeature('advancedAnalytics'), estimateController.getEstimateStats);
+router.get('/trash', authorize('estimate:read'), validate(estimateValidation.getDeletedEstimates), estimateController.getDeletedEstimates);
+router.get('/search', authorize('estimate:read'), estimateController.searchEstimates);
+router.get('/export', authorize('estimate:read'), validate(estimateValidation.exportEstimates), estimateController.exportEstimates);
+router.get('/:estimateId', authorize('estimate:read'), estimateController.getEstimate);
+router.put('/:estimateId', authorize('estimate:update'), validate(estimateValidation.updateEstimate), estimateController.updateEstimate);
+router.delete('/:estimateId', authorize('estimate:delete'), estimateController.deleteEstimate);
+router.post('/:estimateId/restore', authorize('estimate:delete'), validate(estimateValidation.restoreEstimate), estimateController.restoreEstimate);
 
 // Estimate status and actions
-router.patch('/:estimateId/status', validate(estimateValidation.updateEstimateStatus), estimateController.updateEstimateStatus);
-router.post('/:estimateId/notes', validate(estimateValidation.addNote), estimateController.addNote);
+router.patch('/:estimateId/status', authorize('estimate:update'), validate(estimateValidation.updateEstimateStatus), estimateController.updateEstimateStatus);
+router.post('/:estimateId/notes', authorize('estimate:update'), validate(estimateValidation.addNote), estimateController.addNote);
 
 // AI-powered estimate generation
-router.post('/generate-ai', validate(estimateValidation.generateAIEstimate), estimateController.generateAIEstimate);
-router.post('/create-from-ai', validate(estimateValidation.createEstimateFromAI), estimateController.createEstimateFromAI);
+router.post('/generate-ai', authorize('estimate:create'), validate(estimateValidation.generateAIEstimate), requireFeature('aiEstimates'), limitBucket('ai'), estimateController.generateAIEstimate);
+router.post('/create-from-ai', authorize('estimate:create'), validate(estimateValidation.createEstimateFromAI), requireFeature('aiEstimates'), limitBucket('ai'), estimateController.createEstimateFromAI);
 
 // Estimate revisions and duplication
-router.post('/:estimateId/revision', validate(estimateValidation.createRevision), estimateController.createRevision);
-router.post('/:estimateId/duplicate', estimateController.duplicateEstimate);
+router.post('/:estimateId/revision', authorize('estimate:read', 'estimate:create'), validate(estimateValidation.createRevision), estimateController.createRevision);
+router.post('/:estimateId/duplicate', authorize('estimate:read', 'estimate:create'), estimateController.duplicateEstimate);
 
 // Estimate PDF and sending
-router.post('/:estimateId/generate-pdf', estimateController.generatePDF);
-router.post('/:estimateId/send', validate(estimateValidation.sendEstimate), estimateController.sendEstimate);
+router.post('/:estimateId/generate-pdf', authorize('estimate:update'), limitBucket('pdf'), estimateController.generatePDF);
+router.post('/:estimateId/send', authorize('estimate:update'), limitBucket('messaging'), validate(estimateValidation.sendEstimate), estimateController.sendEstimate);
 
 export default router;
@@ -3,9 +3,17 @@ import catchAsync from '~/utils/catchAsync';
 import imageController from '~/controllers/imageController';
 import uploadImage from '~/middlewares/uploadImage';
 import authenticate from '~/middlewares/authenticate';
+import { limitUsage } from '~/middlewares/planLimits';
+import usageService from '~/services/usageService';
 
 const router = Router();
 
-router.post('/upload', authenticate(), uploadImage, catchAsync(imageController.uploadImage));
+router.post(
+	'/upload',
+	authenticate(),
+	limitUsage('storage', (req) => usageService.bytesToGB(parseInt(req.get('Content-Length'), 10) || 0)),
+	uploadImage,
+	catchAsync(imageController.uploadImage)
+);
 
 export default router;
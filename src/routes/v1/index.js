@@ -3,16 +3,22 @@ import authRoute from './authRoute';
 import userRoute from './userRoute';
 import roleRoute from './roleRoute';
 import teamRoute from './teamRoute';
+import invitationRoute from './invitationRoute';
 import subscriptionRoute from './subscriptionRoute';
+import apiKeyRoute from './apiKeyRoute';
 import imageRoute from './imageRoute';
 import leadRoute from './leadRoute';
 import clientRoute from './clientRoute';
 import projectRoute from './projectRoute';
 import estimateRoute from './estimateRoute';
 import moodboardRoute from './moodboardRoute';
+import invoiceRoute from './invoiceRoute';
+import appointmentRoute from './appointmentRoute';
+import auditRoute from './auditRoute';
 import notificationRoute from './notificationRoute';
 import googleAuthRoute from './googleAuthRoute';
 import webhookRoute from './webhookRoute';
+import webhookEndpointRoute from './webhookEndpointRoute';
 import serviceStatusRoute from './serviceStatusRoute';
 
 const router = Router();
@@ -22,12 +28,15 @@ router.use('/auth', authRoute);
 router.use('/users', userRoute);
 router.use('/roles', roleRoute);
 router.use('/teams', teamRoute);
+router.use('/invitations', invitationRoute);
 router.use('/subscriptions', subscriptionRoute);
+router.use('/api-keys', apiKeyRoute);
 router.use('/images', imageRoute);
 
 // External service integrations
 router.use('/google', googleAuthRoute);
 router.use('/webhooks', webhookRoute);
+router.use('/webhook-endpoints', webhookEndpointRoute);
 router.use('/services', serviceStatusRoute);
 
 // DesignFlow Studio business features
@@ -36,6 +45,9 @@ router.use('/clients', clientRoute);
 router.use('/projects', projectRoute);
 router.use('/estimates', estimateRoute);
 router.use('/moodboards', moodboardRoute);
+router.use('/invoices', invoiceRoute);
+router.use('/appointments', appointmentRoute);
 router.use('/notifications', notificationRoute);
+router.use('/audit', auditRoute);
 
 export default router;
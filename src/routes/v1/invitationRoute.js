@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import invitationController from '~/controllers/invitationController';
+import authenticate from '~/middlewares/authenticate';
+import validate from '~/middlewares/validate';
+import teamValidation from '~/validations/teamValidation';
+
+const router = Router();
+
+// Invitees reach these from the emailed link; the token identifies the invitation
+router.get('/:token', validate(teamValidation.invitationToken), invitationController.getInvitationByToken);
+router.post('/:token/accept', authenticate(), validate(teamValidation.invitationToken), invitationController.acceptInvitation);
+router.post('/:token/register', validate(teamValidation.registerWithInvitation), invitationController.registerWithInvitation);
+router.post('/:token/decline', validate(teamValidation.invitationToken), invitationController.declineInvitation);
+
+export default router;
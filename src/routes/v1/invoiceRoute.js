@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import invoiceController from '~/controllers/invoiceController';
+import authenticate from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace from '~/middlewares/workspace';
+import { requireFeature } from '~/middlewares/planLimits';
+import validate from '~/middlewares/validate';
+import { limitBucket } from '~/middlewares/rateLimiter';
+import invoiceValidation from '~/validations/invoiceValidation';
+import config from '~/config/config';
+
+const router = Router();
+
+// Apply authentication and workspace scoping to all routes
+router.use(authenticate(), workspace);
+
+// Invoice creation from accepted estimates
+router.post('/from-estimate/:estimateId', authorize('estimate:read', 'invoice:create'), validate(invoiceValidation.createFromEstimate), invoiceController.createFromEstimate);
+
+// Invoice queries
+router.get('/', authorize('invoice:read'), validate(invoiceValidation.getInvoices), invoiceController.getInvoices);
+router.get('/stats', authorize('invoice:read'), requireFeature('advancedAnalytics'), invoiceController.getInvoiceStats);
+router.get('/:invoiceId', authorize('invoice:read'), validate(invoiceValidation.getInvoice), invoiceController.getInvoice);
+router.delete('/:invoiceId', authorize('invoice:delete'), validate(invoiceValidation.getInvoice), invoiceController.deleteInvoice);
+
+// Invoice status and payments
+router.patch('/:invoiceId/status', authorize('invoice:update'), validate(invoiceValidation.updateInvoiceStatus), invoiceController.updateInvoiceStatus);
+router.post('/:invoiceId/payments', authorize('invoice:update'), validate(invoiceValidation.recordPayment), invoiceController.recordPayment);
+
+// Razorpay collection from clients
+router.post('/:invoiceId/payment-order', authorize('invoice:update'), validate(invoiceValidation.createPaymentOrder), invoiceController.createPaymentOrder);
+router.post('/:invoiceId/payment-link', authorize('invoice:update'), validate(invoiceValidation.createPaymentLink), invoiceController.createPaymentLink);
+router.post('/:invoiceId/verify-payment', authorize('invoice:update'), validate(invoiceValidation.verifyPayment), invoiceController.verifyPayment);
+
+if (config.RAZORPAY_MODE === 'fake') {
+	router.post('/:invoiceId/simulate-payment', authorize('invoice:update'), validate(invoiceValidation.simulatePayment), invoiceController.simulatePayment);
+}
+
+// Invoice PDF
+router.post('/:invoiceId/generate-pdf', authorize('invoice:read'), validate(invoiceValidation.getInvoice), limitBucket('pdf'), invoiceController.generatePDF);
+
+export default router;
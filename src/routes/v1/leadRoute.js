@@ -1,35 +1,64 @@
 import { Router } from 'express';
 import leadController from '~/controllers/leadController';
-import authenticate from '~/middlewares/authenticate';
+import importController from '~/controllers/importController';
+import duplicateController from '~/controllers/duplicateController';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace, { requireWorkspaceAdmin } from '~/middlewares/workspace';
+import { limitUsage, releaseUsage, requireFeature } from '~/middlewares/planLimits';
 import validate from '~/middlewares/validate';
+import uploadImport from '~/middlewares/uploadImport';
+import { limitBucket } from '~/middlewares/rateLimiter';
 import leadValidation from '~/validations/leadValidation';
+import importValidation from '~/validations/importValidation';
+import duplicateValidation from '~/validations/duplicateValidation';
 
 const router = Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication and workspace scoping to all routes
+router.use(authenticateOrApiKey(), workspace);
+
+// Spreadsheet imports
+router.post('/imports', authorize('lead:create'), uploadImport, importController.createImport('lead'));
+router.get('/imports', authorize('lead:create'), validate(importValidation.getImports), importController.getImports('lead'));
+router.get('/imports/:importId', authorize('lead:create'), validate(importValidation.getImport), importController.getImport('lead'));
+router.post('/imports/:importId/preview', authorize('lead:create'), validate(importValidation.previewImport), importController.previewImport('lead'));
+router.post('/imports/:importId/start', authorize('lead:create'), validate(importValidation.startImport), importController.startImport('lead'));
+router.get('/imports/:importId/errors', authorize('lead:create'), validate(importValidation.getImportErrors), importController.getImportErrors('lead'));
+
+// Duplicate detection and merging
+router.get('/duplicates', authorize('lead:read'), validate(duplicateValidation.findDuplicates), duplicateController.findDuplicates('lead'));
+router.post('/merge', authorize('lead:update', 'lead:delete'), validate(duplicateValidation.mergeRecords), releaseUsage('leads', (req) => req.body.duplicateIds.length), duplicateController.mergeRecords('lead'));
+
+// Lead scoring rules of the workspace
+router.get('/scoring-rules', authorize('lead:read'), leadController.getScoringRules);
+router.put('/scoring-rules', authorize('lead:update'), requireWorkspaceAdmin, validate(leadValidation.updateScoringRules), leadController.updateScoringRules);
+router.delete('/scoring-rules', authorize('lead:update'), requireWorkspaceAdmin, leadController.resetScoringRules);
 
 // Lead CRUD operations
-router.post('/', validate(leadValidation.createLead), leadController.createLead);
-router.get('/', leadController.getLeads);
-router.get('/stats', leadController.getLeadStats);
-router.get('/search', leadController.searchLeads);
-router.get('/:leadId', leadController.getLead);
-router.put('/:leadId', validate(leadValidation.updateLead), leadController.updateLead);
-router.delete('/:leadId', leadController.deleteLead);
+router.post('/', authorize('lead:create'), validate(leadValidation.createLead), limitUsage('leads'), leadController.createLead);
+router.get('/', authorize('lead:read'), validate(leadValidation.getLeads), leadController.getLeads);
+router.get('/stats', authorize('lead:read'), requireFeature('advancedAnalytics'), leadController.getLeadStats);
+router.get('/trash', authorize('lead:read'), validate(leadValidation.getDeletedLeads), leadController.getDeletedLeads);
+router.get('/search', authorize('lead:read'), leadController.searchLeads);
+router.get('/export', authorize('lead:read'), validate(leadValidation.exportLeads), leadController.exportLeads);
+router.get('/:leadId', authorize('lead:read'), leadController.getLead);
+router.put('/:leadId', authorize('lead:update'), validate(leadValidation.updateLead), leadController.updateLead);
+router.delete('/:leadId', authorize('lead:delete'), releaseUsage('leads'), leadController.deleteLead);
+router.post('/:leadId/restore', authorize('lead:delete'), validate(leadValidation.restoreLead), limitUsage('leads'), leadController.restoreLead);
 
 // Lead status and notes
-router.patch('/:leadId/status', validate(leadValidation.updateLeadStatus), leadController.updateLeadStatus);
-router.post('/:leadId/notes', validate(leadValidation.addNote), leadController.addNote);
+router.patch('/:leadId/status', authorize('lead:update'), validate(leadValidation.updateLeadStatus), leadController.updateLeadStatus);
+router.post('/:leadId/notes', authorize('lead:update'), validate(leadValidation.addNote), leadController.addNote);
 
 // Lead conversion
-router.post('/:leadId/convert-to-client', leadController.convertToClient);
-router.post('/:leadId/convert-to-project', validate(leadValidation.convertToProject), leadController.convertToProject);
+router.post('/:leadId/convert-to-client', authorize('lead:update', 'client:create'), leadController.convertToClient);
+router.post('/:leadId/convert-to-project', authorize('lead:update', 'project:create'), validate(leadValidation.convertToProject), leadController.convertToProject);
 
 // Lead follow-up and communication
-router.post('/:leadId/follow-up', validate(leadValidation.sendFollowUp), leadController.sendFollowUp);
+router.post('/:leadId/follow-up', authorize('lead:update'), limitBucket('messaging'), validate(leadValidation.sendFollowUp), leadController.sendFollowUp);
 
 // AI-powered features
-router.post('/:leadId/generate-ai-estimate', leadController.generateAIEstimate);
+router.post('/:leadId/generate-ai-estimate', authorize('lead:read', 'estimate:create'), requireFeature('aiEstimates'), limitBucket('ai'), leadController.generateAIEstimate);
 
 export default router;
@@ -1,46 +1,54 @@
 import { Router } from 'express';
 import moodboardController from '~/controllers/moodboardController';
-import authenticate from '~/middlewares/authenticate';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace from '~/middlewares/workspace';
+import { requireFeature } from '~/middlewares/planLimits';
 import validate from '~/middlewares/validate';
+import { limitBucket } from '~/middlewares/rateLimiter';
 import moodboardValidation from '~/validations/moodboardValidation';
 
 const router = Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Shared moodboard page, authorised by the share token
+router.get('/shared/:token', validate(moodboardValidation.getMoodboardByToken), moodboardController.getMoodboardByToken);
+
+// Apply authentication and workspace scoping to all routes
+router.use(authenticateOrApiKey(), workspace);
 
 // Moodboard CRUD operations
-router.post('/', validate(moodboardValidation.createMoodboard), moodboardController.createMoodboard);
-router.get('/', moodboardController.getMoodboards);
-router.get('/stats', moodboardController.getMoodboardStats);
-router.get('/search', moodboardController.searchMoodboards);
-router.get('/:moodboardId', moodboardController.getMoodboard);
-router.put('/:moodboardId', validate(moodboardValidation.updateMoodboard), moodboardController.updateMoodboard);
-router.delete('/:moodboardId', moodboardController.deleteMoodboard);
+router.post('/', authorize('moodboard:create'), validate(moodboardValidation.createMoodboard), moodboardController.createMoodboard);
+router.get('/', authorize('moodboard:read'), moodboardController.getMoodboards);
+router.get('/stats', authorize('moodboard:read'), requireFeature('advancedAnalytics'), moodboardController.getMoodboardStats);
+router.get('/trash', authorize('moodboard:read'), validate(moodboardValidation.getDeletedMoodboards), moodboardController.getDeletedMoodboards);
+router.get('/search', authorize('moodboard:read'), moodboardController.searchMoodboards);
+router.get('/:moodboardId', authorize('moodboard:read'), moodboardController.getMoodboard);
+router.put('/:moodboardId', authorize('moodboard:update'), validate(moodboardValidation.updateMoodboard), moodboardController.updateMoodboard);
+router.delete('/:moodboardId', authorize('moodboard:delete'), moodboardController.deleteMoodboard);
+router.post('/:moodboardId/restore', authorize('moodboard:delete'), validate(moodboardValidation.restoreMoodboard), moodboardController.restoreMoodboard);
 
 // Moodboard status and sharing
-router.patch('/:moodboardId/status', validate(moodboardValidation.updateMoodboardStatus), moodboardController.updateMoodboardStatus);
-router.post('/:moodboardId/share-token', validate(moodboardValidation.generateShareToken), moodboardController.generateShareToken);
-router.get('/shared/:token', moodboardController.getMoodboardByToken);
+router.patch('/:moodboardId/status', authorize('moodboard:update'), validate(moodboardValidation.updateMoodboardStatus), moodboardController.updateMoodboardStatus);
+router.post('/:moodboardId/share-token', authorize('moodboard:update'), validate(moodboardValidation.generateShareToken), moodboardController.generateShareToken);
 
 // Moodboard items
-router.post('/:moodboardId/items', validate(moodboardValidation.addItem), moodboardController.addItem);
-router.patch('/:moodboardId/items/:itemId', validate(moodboardValidation.updateItem), moodboardController.updateItem);
-router.delete('/:moodboardId/items/:itemId', moodboardController.removeItem);
+router.post('/:moodboardId/items', authorize('moodboard:update'), validate(moodboardValidation.addItem), moodboardController.addItem);
+router.patch('/:moodboardId/items/:itemId', authorize('moodboard:update'), validate(moodboardValidation.updateItem), moodboardController.updateItem);
+router.delete('/:moodboardId/items/:itemId', authorize('moodboard:update'), moodboardController.removeItem);
 
 // Moodboard comments and collaboration
-router.post('/:moodboardId/comments', validate(moodboardValidation.addComment), moodboardController.addComment);
-router.post('/:moodboardId/comments/:commentId/replies', validate(moodboardValidation.addReply), moodboardController.addReply);
+router.post('/:moodboardId/comments', authorize('moodboard:update'), validate(moodboardValidation.addComment), moodboardController.addComment);
+router.post('/:moodboardId/comments/:commentId/replies', authorize('moodboard:update'), validate(moodboardValidation.addReply), moodboardController.addReply);
 
 // AI-powered moodboard features
-router.post('/generate-ai-suggestions', validate(moodboardValidation.generateAISuggestions), moodboardController.generateAISuggestions);
-router.post('/create-from-ai', validate(moodboardValidation.createMoodboardFromAI), moodboardController.createMoodboardFromAI);
+router.post('/generate-ai-suggestions', authorize('moodboard:create'), validate(moodboardValidation.generateAISuggestions), requireFeature('aiEstimates'), limitBucket('ai'), moodboardController.generateAISuggestions);
+router.post('/create-from-ai', authorize('moodboard:create'), validate(moodboardValidation.createMoodboardFromAI), requireFeature('aiEstimates'), limitBucket('ai'), moodboardController.createMoodboardFromAI);
 
 // Moodboard duplication
-router.post('/:moodboardId/duplicate', moodboardController.duplicateMoodboard);
+router.post('/:moodboardId/duplicate', authorize('moodboard:read', 'moodboard:create'), moodboardController.duplicateMoodboard);
 
 // Moodboard queries by relationship
-router.get('/project/:projectId', moodboardController.getProjectMoodboards);
-router.get('/client/:clientId', moodboardController.getClientMoodboards);
+router.get('/project/:projectId', authorize('moodboard:read'), moodboardController.getProjectMoodboards);
+router.get('/client/:clientId', authorize('moodboard:read'), moodboardController.getClientMoodboards);
 
 export default router;
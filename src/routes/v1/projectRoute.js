@@ -1,40 +1,47 @@
 import { Router } from 'express';
 import projectController from '~/controllers/projectController';
-import authenticate from '~/middlewares/authenticate';
+import { authenticateOrApiKey } from '~/middlewares/authenticate';
+import authorize from '~/middlewares/authorize';
+import workspace from '~/middlewares/workspace';
+import { limitUsage, releaseUsage, requireFeature } from '~/middlewares/planLimits';
 import validate from '~/middlewares/validate';
+import { limitBucket } from '~/middlewares/rateLimiter';
 import projectValidation from '~/validations/projectValidation';
 
 const router = Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication and workspace scoping to all routes
+router.use(authenticateOrApiKey(), workspace);
 
 // Project CRUD operations
-router.post('/', validate(projectValidation.createProject), projectController.createProject);
-router.get('/', projectController.getProjects);
-router.get('/stats', projectController.getProjectStats);
-router.get('/search', projectController.searchProjects);
-router.get('/:projectId', projectController.getProject);
-router.put('/:projectId', validate(projectValidation.updateProject), projectController.updateProject);
-router.delete('/:projectId', projectController.deleteProject);
+router.post('/', authorize('project:create'), validate(projectValidation.createProject), limitUsage('projects'), projectController.createProject);
+router.get('/', authorize('project:read'), projectController.getProjects);
+router.get('/stats', authorize('project:read'), requireFeature('advancedAnalytics'), projectController.getProjectStats);
+router.get('/trash', authorize('project:read'), validate(projectValidation.getDeletedProjects), projectController.getDeletedProjects);
+router.get('/search', authorize('project:read'), projectController.searchProjects);
+router.get('/export', authorize('project:read'), validate(projectValidation.exportProjects), projectController.exportProjects);
+router.get('/:projectId', authorize('project:read'), projectController.getProject);
+router.put('/:projectId', authorize('project:update'), validate(projectValidation.updateProject), projectController.updateProject);
+router.delete('/:projectId', authorize('project:delete'), releaseUsage('projects'), projectController.deleteProject);
+router.post('/:projectId/restore', authorize('project:delete'), validate(projectValidation.restoreProject), limitUsage('projects'), projectController.restoreProject);
 
 // Project status and progress
-router.patch('/:projectId/status', validate(projectValidation.updateProjectStatus), projectController.updateProjectStatus);
-router.patch('/:projectId/progress', validate(projectValidation.updateProgress), projectController.updateProgress);
+router.patch('/:projectId/status', authorize('project:update'), validate(projectValidation.updateProjectStatus), projectController.updateProjectStatus);
+router.patch('/:projectId/progress', authorize('project:update'), validate(projectValidation.updateProgress), projectController.updateProgress);
 
 // Project milestones
-router.post('/:projectId/milestones', validate(projectValidation.addMilestone), projectController.addMilestone);
-router.patch('/:projectId/milestones/:milestoneId', validate(projectValidation.updateMilestone), projectController.updateMilestone);
+router.post('/:projectId/milestones', authorize('project:update'), validate(projectValidation.addMilestone), projectController.addMilestone);
+router.patch('/:projectId/milestones/:milestoneId', authorize('project:update'), validate(projectValidation.updateMilestone), projectController.updateMilestone);
 
 // Project notes and documents
-router.post('/:projectId/notes', validate(projectValidation.addNote), projectController.addNote);
-router.post('/:projectId/documents', validate(projectValidation.addDocument), projectController.addDocument);
+router.post('/:projectId/notes', authorize('project:update'), validate(projectValidation.addNote), projectController.addNote);
+router.post('/:projectId/documents', authorize('project:update'), validate(projectValidation.addDocument), projectController.addDocument);
 
 // Project reports
-router.post('/:projectId/generate-report', projectController.generateProjectReport);
+router.post('/:projectId/generate-report', authorize('project:read'), limitBucket('pdf'), projectController.generateProjectReport);
 
 // Project queries by relationship
-router.get('/client/:clientId', projectController.getClientProjects);
-router.get('/team-member/:userId', projectController.getTeamMemberProjects);
+router.get('/client/:clientId', authorize('project:read'), projectController.getClientProjects);
+router.get('/team-member/:userId', authorize('project:read'), projectController.getTeamMemberProjects);
 
 export default router;
@@ -1,36 +1,48 @@
 import { Router } from 'express';
 import teamController from '~/controllers/teamController';
+import invitationController from '~/controllers/invitationController';
 import authenticate from '~/middlewares/authenticate';
 import validate from '~/middlewares/validate';
+import { limitUsage, releaseUsage, requireFeature } from '~/middlewares/planLimits';
 import teamValidation from '~/validations/teamValidation';
 
 const router = Router();
 
 // Apply authentication to all routes
-router.use(authenticate);
+router.use(authenticate());
 
 // Team CRUD operations
-router.post('/', validate(teamValidation.createTeam), teamController.createTeam);
+router.post('/', validate(teamValidation.createTeam), limitUsage('teams'), teamController.createTeam);
 router.get('/', teamController.getTeams);
-router.get('/stats', teamController.getTeamStats);
+router.get('/stats', requireFeature('advancedAnalytics'), teamController.getTeamStats);
 router.get('/search', teamController.searchTeams);
 router.get('/my-teams', teamController.getTeamsByUser);
 router.get('/type/:teamType', teamController.getTeamsByType);
 router.get('/:teamId', teamController.getTeam);
 router.put('/:teamId', validate(teamValidation.updateTeam), teamController.updateTeam);
-router.delete('/:teamId', teamController.deleteTeam);
+router.delete('/:teamId', releaseUsage('teams'), teamController.deleteTeam);
+router.put('/:teamId/two-factor', validate(teamValidation.updateTwoFactorRequirement), teamController.updateTwoFactorRequirement);
 
 // Team member management
-router.post('/:teamId/members', validate(teamValidation.addMember), teamController.addMember);
-router.delete('/:teamId/members', validate(teamValidation.removeMember), teamController.removeMember);
+router.post('/:teamId/members', validate(teamValidation.addMember), limitUsage('users'), teamController.addMember);
+router.delete('/:teamId/members', validate(teamValidation.removeMember), releaseUsage('users'), teamController.removeMember);
 router.put('/:teamId/members/role', validate(teamValidation.updateMemberRole), teamController.updateMemberRole);
 router.get('/:teamId/members', teamController.getTeamMembers);
 
+// Team invitations
+router.post('/:teamId/invitations', validate(teamValidation.createInvitation), invitationController.createInvitation);
+router.get('/:teamId/invitations', validate(teamValidation.getInvitations), invitationController.getInvitations);
+router.post('/:teamId/invitations/:invitationId/resend', validate(teamValidation.manageInvitation), invitationController.resendInvitation);
+router.post('/:teamId/invitations/:invitationId/approve', validate(teamValidation.manageInvitation), invitationController.approveInvitation);
+router.post('/:teamId/invitations/:invitationId/reject', validate(teamValidation.manageInvitation), invitationController.rejectInvitation);
+router.delete('/:teamId/invitations/:invitationId', validate(teamValidation.manageInvitation), invitationController.revokeInvitation);
+
 // User team management
 router.get('/user/:userId/teams', teamController.getUserTeams);
 
 // Permission checking
-router.get('/:teamId/permissions/check', teamController.checkUserPermission);
+router.get('/:teamId/permissions/check', validate(teamValidation.checkUserPermission), teamController.checkUserPermission);
+router.get('/:teamId/permissions/effective', validate(teamValidation.getEffectivePermissions), teamController.getEffectivePermissions);
 
 export default router;
 
@@ -17,5 +17,7 @@ router.delete(
 	validate(userValidation.deleteUser),
 	catchAsync(userController.deleteUser)
 );
+router.get('/:userId/lockout', authenticate('user:read'), validate(userValidation.getLockout), catchAsync(userController.getLockout));
+router.post('/:userId/unlock', authenticate('user:update'), validate(userValidation.unlockUser), catchAsync(userController.unlockUser));
 
 export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import webhookEndpointController from '~/controllers/webhookEndpointController';
+import authenticate from '~/middlewares/authenticate';
+import workspace, { requireWorkspaceAdmin } from '~/middlewares/workspace';
+import validate from '~/middlewares/validate';
+import webhookEndpointValidation from '~/validations/webhookEndpointValidation';
+
+const router = Router();
+
+// Outbound webhooks are configured per workspace by its admins
+router.use(authenticate(), workspace, requireWorkspaceAdmin);
+
+// Endpoints
+router.post('/', validate(webhookEndpointValidation.createEndpoint), webhookEndpointController.createEndpoint);
+router.get('/', validate(webhookEndpointValidation.getEndpoints), webhookEndpointController.getEndpoints);
+router.get('/:endpointId', validate(webhookEndpointValidation.getEndpoint), webhookEndpointController.getEndpoint);
+router.put('/:endpointId', validate(webhookEndpointValidation.updateEndpoint), webhookEndpointController.updateEndpoint);
+router.delete('/:endpointId', validate(webhookEndpointValidation.deleteEndpoint), webhookEndpointController.deleteEndpoint);
+router.post('/:endpointId/rotate-secret', validate(webhookEndpointValidation.rotateSecret), webhookEndpointController.rotateSecret);
+router.post('/:endpointId/ping', validate(webhookEndpointValidation.pingEndpoint), webhookEndpointController.pingEndpoint);
+
+// Delivery log
+router.get('/:endpointId/deliveries', validate(webhookEndpointValidation.getDeliveries), webhookEndpointController.getDeliveries);
+router.get('/:endpointId/deliveries/:deliveryId', validate(webhookEndpointValidation.getDelivery), webhookEndpointController.getDelivery);
+router.post('/:endpointId/deliveries/:deliveryId/redeliver', validate(webhookEndpointValidation.redeliver), webhookEndpointController.redeliver);
+
+export default router;
@@ -1,9 +1,18 @@
 import { Router } from 'express';
 import webhookService from '~/services/webhookService';
+import webhookEventController from '~/controllers/webhookEventController';
+import authenticate from '~/middlewares/authenticate';
+import validate from '~/middlewares/validate';
+import webhookValidation from '~/validations/webhookValidation';
 import catchAsync from '~/utils/catchAsync';
 
 const router = Router();
 
+// Stored inbound events, for administrators
+router.get('/events', authenticate('webhook:read'), validate(webhookValidation.getWebhookEvents), webhookEventController.getWebhookEvents);
+router.get('/events/:webhookEventId', authenticate('webhook:read'), validate(webhookValidation.getWebhookEvent), webhookEventController.getWebhookEvent);
+router.post('/events/:webhookEventId/replay', authenticate('webhook:replay'), validate(webhookValidation.replayWebhookEvent), webhookEventController.replayWebhookEvent);
+
 // Twilio webhooks
 router.post('/twilio', catchAsync(webhookService.handleTwilioWebhook.bind(webhookService)));
 
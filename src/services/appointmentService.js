@@ -0,0 +1,179 @@
+import httpStatus from 'http-status';
+import logger from '~/config/logger';
+import APIError from '~/utils/apiError';
+import Appointment from '~/models/appointmentModel';
+import Job from '~/models/jobModel';
+import Notification from '~/models/notificationModel';
+import User from '~/models/userModel';
+import Team from '~/models/teamModel';
+import schedulerService from './schedulerService';
+import messagingService from './messagingService';
+import { sendAppointmentEmail } from './emailService';
+import ics from '~/utils/ics';
+
+const REMINDER_JOB = 'appointment-reminder';
+const DEFAULT_REMINDERS = [24 * 60, 60];
+
+class AppointmentService {
+	// Date and time strings in the organizer's timezone
+	async formatTime(appointment) {
+		const organizer = await User.findById(appointment.createdBy._id || appointment.createdBy).select('preferences.timezone');
+		const timeZone = (organizer && organizer.preferences && organizer.preferences.timezone) || 'UTC';
+		const format = (zone) => ({
+			date: appointment.startTime.toLocaleDateString('en-US', { timeZone: zone, dateStyle: 'medium' }),
+			time: `${appointment.startTime.toLocaleTimeString('en-US', { timeZone: zone, timeStyle: 'short' })} ${zone}`
+		});
+
+		try {
+			return format(timeZone);
+		} catch (error) {
+			// Unknown timezone in the user's preferences
+			return format('UTC');
+		}
+	}
+
+	// Attendees must be active members of the workspace the appointment belongs to
+	async assertWorkspaceMembers(userIds, workspaceId) {
+		const ids = [...new Set(userIds.map((id) => id.toString()))];
+		const users = await User.find({ _id: { $in: ids } }).select('teams');
+		if (users.length !== ids.length) {
+			throw new APIError('Attendee not found', httpStatus.BAD_REQUEST);
+		}
+
+		for (const user of users) {
+			const teamIds = user.teams.filter((membership) => membership.status === 'active').map((membership) => membership.team);
+			const workspaceIds = await Team.getWorkspaceIds(teamIds);
+			if (!workspaceIds.includes(workspaceId.toString())) {
+				throw new APIError('Attendees must be members of this workspace', httpStatus.BAD_REQUEST);
+			}
+		}
+	}
+
+	async assertNoConflicts({ startTime, endTime, attendees, excludeId }) {
+		const conflicts = await Appointment.findConflicts({ startTime, endTime, attendees, excludeId });
+		if (conflicts.length) {
+			const attendeeIds = attendees.map((id) => id.toString());
+			const details = conflicts.map((conflict) => {
+				const busy = conflict.attendees
+					.filter((attendee) => attendeeIds.includes(attendee._id.toString()))
+					.map((attendee) => `${attendee.firstName} ${attendee.lastName}`)
+					.join(', ');
+				return `${busy} (${conflict.title}, ${conflict.startTime.toISOString()} - ${conflict.endTime.toISOString()})`;
+			});
+			throw new APIError(`Scheduling conflict: ${details.join('; ')}`, httpStatus.CONFLICT);
+		}
+	}
+
+	// Creates an appointment, schedules its reminders and sends the confirmation with the .ics invite
+	async createAppointment(data, userId, workspaceId, options = {}) {
+		const { allowConflicts = false, notifyClient = true } = options;
+		const attendees = data.attendees && data.attendees.length ? data.attendees : [userId];
+		const reminders = (data.reminders || DEFAULT_REMINDERS).map((minutesBefore) => ({ minutesBefore }));
+
+		await this.assertWorkspaceMembers(attendees, workspaceId);
+		if (!allowConflicts) {
+			await this.assertNoConflicts({ startTime: data.startTime, endTime: data.endTime, attendees });
+		}
+
+		const created = await Appointment.create({ ...data, attendees, reminders, createdBy: userId });
+		const appointment = await Appointment.getAppointmentById(created._id);
+
+		await this.scheduleReminders(appointment);
+		if (notifyClient) {
+			await this.sendInvite(appointment, 'confirmation');
+		}
+		const when = await this.formatTime(appointment);
+		await this.notifyAttendees(appointment, 'Appointment Scheduled', `${appointment.title} on ${when.date} at ${when.time}`, userId);
+
+		return appointment;
+	}
+
+	// Replaces the pending reminder jobs of an appointment with jobs for its current start time
+	async scheduleReminders(appointment) {
+		await this.cancelReminders(appointment);
+		if (['cancelled', 'completed', 'no_show'].includes(appointment.status)) {
+			return;
+		}
+
+		for (const reminder of appointment.reminders) {
+			const runAt = new Date(appointment.startTime.getTime() - reminder.minutesBefore * 60000);
+			if (runAt > new Date() && !reminder.sentAt) {
+				await schedulerService.schedule(REMINDER_JOB, runAt, {
+					appointmentId: appointment._id.toString(),
+					minutesBefore: reminder.minutesBefore
+				});
+			}
+		}
+	}
+
+	async cancelReminders(appointment) {
+		await Job.cancelScheduled(REMINDER_JOB, { appointmentId: appointment._id.toString() });
+	}
+
+	// Job handler: reminds the client or lead and the attendees of an upcoming appointment
+	async sendReminder({ appointmentId, minutesBefore }) {
+		const appointment = await Appointment.getAppointmentById(appointmentId);
+		if (!appointment || !['scheduled', 'confirmed'].includes(appointment.status)) {
+			return;
+		}
+		const reminder = appointment.reminders.find((item) => item.minutesBefore === minutesBefore);
+		if (!reminder || reminder.sentAt) {
+			return;
+		}
+
+		await this.sendInvite(appointment, 'reminder');
+		await this.notifyAttendees(appointment, 'Upcoming Appointment', `${appointment.title} starts at ${(await this.formatTime(appointment)).time}`);
+		await Appointment.markReminderSent(appointment._id, minutesBefore);
+	}
+
+	// Emails the .ics invite to the client or lead, and messages them on WhatsApp/SMS when they have a phone number.
+	// Delivery failures are logged so they never fail the request that changed the appointment.
+	async sendInvite(appointment, kind) {
+		const contact = appointment.client || appointment.lead;
+		if (!contact || !contact.email) {
+			return;
+		}
+
+		const when = await this.formatTime(appointment);
+		const calendar = ics.buildCalendar([appointment], { method: kind === 'cancellation' ? 'CANCEL' : 'REQUEST' });
+
+		try {
+			await sendAppointmentEmail(contact.email, contact.firstName, appointment, kind, when, calendar);
+		} catch (error) {
+			logger.error(`Failed to email appointment ${appointment._id}:`, error);
+		}
+
+		if (contact.phone && ['confirmation', 'reminder'].includes(kind)) {
+			try {
+				await messagingService.sendAppointmentReminder(contact.phone, contact.firstName, when.date, when.time, appointment.location || appointment.meetingUrl || 'To be confirmed');
+			} catch (error) {
+				logger.error(`Failed to message appointment ${appointment._id}:`, error);
+			}
+		}
+	}
+
+	async notifyAttendees(appointment, title, message, excludeUserId) {
+		const recipients = appointment.attendees
+			.map((attendee) => (attendee._id || attendee).toString())
+			.filter((userId) => userId !== (excludeUserId && excludeUserId.toString()));
+		if (!recipients.length) {
+			return;
+		}
+
+		await Notification.createBulkNotifications(
+			recipients.map((recipient) => ({
+				title,
+				message,
+				type: 'info',
+				recipient,
+				relatedEntity: {
+					type: 'appointment',
+					id: appointment._id
+				},
+				priority: 'medium'
+			}))
+		);
+	}
+}
+
+export default new AppointmentService();
@@ -0,0 +1,316 @@
+import httpStatus from 'http-status';
+import moment from 'moment';
+import _ from 'lodash';
+import APIError from '~/utils/apiError';
+import zip from '~/utils/zip';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Project from '~/models/projectModel';
+import Estimate from '~/models/estimateModel';
+import Moodboard from '~/models/moodboardModel';
+import Invoice from '~/models/invoiceModel';
+import Appointment from '~/models/appointmentModel';
+import Notification from '~/models/notificationModel';
+import AuditEvent from '~/models/auditEventModel';
+import WebhookDelivery from '~/models/webhookDeliveryModel';
+import Import from '~/models/importModel';
+
+const ERASED = '[erased]';
+
+// Fields holding personal data, also redacted from the audit history of erased records
+const clientPaths = ['firstName', 'lastName', 'email', 'phone', 'company', 'avatar', 'dateOfBirth', 'address', 'website', 'industry', 'notes', 'tags', 'customFields'];
+const leadPaths = ['firstName', 'lastName', 'email', 'phone', 'company', 'location', 'projectDescription', 'notes', 'tags', 'customFields'];
+const projectPaths = ['location'];
+const estimatePaths = ['clientResponse.comments', 'signature.ipAddress', 'signature.userAgent'];
+// Personal fields of the lead in lead.created webhook payloads
+const webhookLeadPaths = ['firstName', 'lastName', 'email', 'phone', 'company', 'location', 'tags'];
+
+// Messages sent from the client page are kept as notes
+const MESSAGE_NOTE = /^Message sent via (\w+): ([\s\S]*)$/;
+
+// Data requests cover every related record, including those in the trash and those assigned to other users
+const related = (query) => query.setOptions({ withDeleted: true, skipRecordAccess: true });
+
+const erasedEmail = (record) => `erased-${record.id}@erased.invalid`;
+
+class ClientDataService {
+	// Leads the client came from or that share their email or phone
+	async getLeads(client) {
+		const conditions = [{ email: client.email }, { phone: client.phone }];
+		if (client.leadSource) {
+			conditions.push({ _id: client.leadSource._id || client.leadSource });
+		}
+		return await related(Lead.find({ $or: conditions, erasedAt: null }));
+	}
+
+	async getTimeline(client) {
+		const projects = await Project.getProjectsByClient(client._id);
+		const leads = await Lead.find({
+			$or: [{ email: client.email }, { phone: client.phone }],
+			erasedAt: null
+		}).populate('assignedTo', 'firstName lastName email avatar');
+
+		return [
+			...client.notes.map((note) => ({
+				type: 'note',
+				date: note.createdAt,
+				content: note.content,
+				author: note.createdBy
+			})),
+			...projects.map((project) => ({
+				type: 'project',
+				date: project.createdAt,
+				content: `Project "${project.name}" created`,
+				project
+			})),
+			...leads.map((lead) => ({
+				type: 'lead',
+				date: lead.createdAt,
+				content: `Lead "${lead.fullName}" created`,
+				lead
+			}))
+		].sort((a, b) => new Date(b.date) - new Date(a.date));
+	}
+
+	// Everything held about the client, by file name in the archive
+	async collectClientData(client, userId) {
+		const leads = await this.getLeads(client);
+		const leadIds = leads.map((lead) => lead._id);
+		const [timeline, projects, estimates, moodboards, invoices, appointments] = await Promise.all([
+			this.getTimeline(client),
+			related(Project.find({ client: client._id })).sort({ createdAt: 1 }),
+			related(Estimate.find({ $or: [{ client: client._id }, { lead: { $in: leadIds } }] })).sort({ createdAt: 1 }),
+			related(Moodboard.find({ client: client._id })).sort({ createdAt: 1 }),
+			Invoice.find({ client: client._id }).sort({ createdAt: 1 }),
+			Appointment.find({ $or: [{ client: client._id }, { lead: { $in: leadIds } }] }).sort({ startTime: 1 })
+		]);
+		const relatedEntities = [
+			{ type: 'client', ids: [client._id] },
+			{ type: 'lead', ids: leadIds },
+			{ type: 'project', ids: projects.map((project) => project._id) },
+			{ type: 'estimate', ids: estimates.map((estimate) => estimate._id) },
+			{ type: 'moodboard', ids: moodboards.map((moodboard) => moodboard._id) },
+			{ type: 'appointment', ids: appointments.map((appointment) => appointment._id) }
+		];
+		const [notifications, history] = await Promise.all([
+			Notification.find({ $or: relatedEntities.map(({ type, ids }) => ({ 'relatedEntity.type': type, 'relatedEntity.id': { $in: ids } })) }).sort({ createdAt: 1 }),
+			AuditEvent.find({ $or: [{ entityType: 'client', entityId: client._id }, { entityType: 'lead', entityId: { $in: leadIds } }] }).sort({ createdAt: 1 })
+		]);
+		const messages = client.notes
+			.map((note) => ({ note, match: MESSAGE_NOTE.exec(note.content) }))
+			.filter(({ match }) => match)
+			.map(({ note, match }) => ({ method: match[1], message: match[2], sentAt: note.createdAt, sentBy: note.createdBy }));
+
+		const files = {
+			'client.json': client,
+			'notes.json': client.notes,
+			'messages.json': messages,
+			'timeline.json': timeline,
+			'leads.json': leads,
+			'projects.json': projects,
+			'estimates.json': estimates,
+			'moodboards.json': moodboards,
+			'invoices.json': invoices,
+			'appointments.json': appointments,
+			'notifications.json': notifications,
+			'history.json': history
+		};
+		files['manifest.json'] = {
+			client: client._id,
+			exportedAt: new Date(),
+			exportedBy: userId,
+			files: Object.entries(files).map(([name, data]) => ({ name, records: Array.isArray(data) ? data.length : 1 }))
+		};
+		return files;
+	}
+
+	// Sends a ZIP archive with one JSON file per kind of record. The data is collected before anything is sent, so
+	// failures are still reported as errors.
+	async exportClientData(res, client, userId) {
+		const files = await this.collectClientData(client, userId);
+
+		res.set('Content-Type', 'application/zip');
+		res.set('Content-Disposition', `attachment; filename="client-${client.id}-${moment().format('YYYY-MM-DD')}.zip"`);
+
+		const archive = zip.createWriter(res);
+		Object.entries(files).forEach(([name, data]) => archive.addFile(name, JSON.stringify(data, null, 2)));
+		archive.end();
+		res.end();
+	}
+
+	// Records merged into the given ones as duplicates, which stay in the trash with their own copy of the personal data
+	async getMerged(Model, ids) {
+		const merged = [];
+		let next = ids;
+		while (next.length) {
+			const found = await related(Model.find({ mergedInto: { $in: next } }));
+			merged.push(...found);
+			next = found.map((record) => record._id);
+		}
+		return merged;
+	}
+
+	// Spreadsheet rows holding one of the values are blanked, and the messages about them erased. Uploads are otherwise
+	// kept until they expire.
+	async eraseImportRows(values) {
+		const patterns = values.map((value) => new RegExp(`^\\s*${_.escapeRegExp(value)}\\s*$`, 'i'));
+		const imports = await Import.find({ rows: { $elemMatch: { $elemMatch: { $in: patterns } } } });
+		for (const importJob of imports) {
+			const erasedRows = new Set();
+			importJob.rows = importJob.rows.map((row, index) => {
+				if (!row.some((cell) => patterns.some((pattern) => pattern.test(cell)))) {
+					return row;
+				}
+				// Row numbers are spreadsheet rows, header included
+				erasedRows.add(index + 2);
+				return row.map(() => '');
+			});
+			importJob.rowErrors.forEach((rowError) => {
+				if (erasedRows.has(rowError.row)) {
+					rowError.messages = [ERASED];
+				}
+			});
+			await importJob.save();
+		}
+		return imports.length;
+	}
+
+	async anonymizeLead(lead, userId) {
+		lead.set({
+			firstName: 'Erased',
+			lastName: 'Lead',
+			email: erasedEmail(lead),
+			phone: ERASED,
+			company: undefined,
+			'location.address': ERASED,
+			'location.city': ERASED,
+			'location.state': ERASED,
+			'location.zipCode': undefined,
+			projectDescription: ERASED,
+			notes: [],
+			tags: [],
+			customFields: [],
+			nextFollowUpDate: undefined,
+			erasedAt: new Date(),
+			erasedBy: userId
+		});
+		await lead.save();
+		await AuditEvent.redactEntity('lead', lead._id, leadPaths);
+	}
+
+	async anonymizeClient(client, userId) {
+		client.set({
+			firstName: 'Erased',
+			lastName: 'Client',
+			email: erasedEmail(client),
+			phone: ERASED,
+			company: undefined,
+			avatar: 'default-avatar.png',
+			dateOfBirth: undefined,
+			address: { country: client.address && client.address.country },
+			website: undefined,
+			industry: undefined,
+			notes: [],
+			tags: [],
+			customFields: [],
+			status: 'archived',
+			nextFollowUpDate: undefined,
+			'portalAccess.enabled': false,
+			erasedAt: new Date(),
+			erasedBy: userId
+		});
+		await client.save();
+		await AuditEvent.redactEntity('client', client._id, clientPaths);
+	}
+
+	// Anonymises the client, the duplicates merged into it and their leads. Invoices, estimates, projects and
+	// moodboards are kept for accounting and the studio's own records, with invoices keeping a copy of who they were
+	// billed to. Project addresses and the comments, IP address and browser of estimate responses are erased; the
+	// signature stays as the record of what the client agreed to. Copies sent to webhook endpoints and rows of uploaded
+	// spreadsheets are erased too. Every step can be run again, so an erasure that failed part way through is completed
+	// by retrying it; the client itself is erased last.
+	async eraseClient(client, userId) {
+		if (client.erasedAt) {
+			throw new APIError('Client data has already been erased', httpStatus.CONFLICT);
+		}
+
+		const mergedClients = await this.getMerged(Client, [client._id]);
+		const clients = [client, ...mergedClients];
+		const clientIds = clients.map((record) => record._id);
+		const directLeads = _.uniqBy((await Promise.all(clients.map((record) => this.getLeads(record)))).flat(), 'id');
+		const leads = _.uniqBy([...directLeads, ...(await this.getMerged(Lead, directLeads.map((lead) => lead._id)))], 'id');
+		const leadIds = leads.map((lead) => lead._id);
+		const personalValues = _.uniq([...clients, ...leads].flatMap((record) => [record.email, record.phone]).filter((value) => value && value !== ERASED));
+
+		const { street, city, state, zipCode, country } = client.address || {};
+		const billTo = {
+			name: client.fullName,
+			company: client.company,
+			address: [street, city, [state, zipCode].filter(Boolean).join(' '), country].filter(Boolean).join(', ')
+		};
+		const invoices = await Invoice.updateMany({ client: client._id, 'billTo.name': null }, { $set: { billTo } });
+
+		// The address of the client's home or premises; the country is kept for reporting
+		const projectIds = (await related(Project.find({ client: { $in: clientIds } })).select('_id')).map((project) => project._id);
+		await related(Project.updateMany({ _id: { $in: projectIds } }, { $set: { 'location.address': ERASED, 'location.city': ERASED, 'location.state': ERASED }, $unset: { 'location.zipCode': 1 } }));
+
+		const estimateIds = (await related(Estimate.find({ $or: [{ client: { $in: clientIds } }, { lead: { $in: leadIds } }] })).select('_id')).map((estimate) => estimate._id);
+		await related(
+			Estimate.updateMany({ _id: { $in: estimateIds } }, { $unset: { 'clientResponse.comments': 1, 'signature.ipAddress': 1, 'signature.userAgent': 1 } })
+		);
+
+		for (const projectId of projectIds) {
+			await AuditEvent.redactEntity('project', projectId, projectPaths);
+		}
+		for (const estimateId of estimateIds) {
+			await AuditEvent.redactEntity('estimate', estimateId, estimatePaths);
+		}
+
+		// Event payloads waiting to be sent, or kept in the delivery log, carry their own copy of the data
+		const leadDeliveries = await WebhookDelivery.updateMany(
+			{ event: 'lead.created', 'payload.lead.id': { $in: leadIds } },
+			{ $unset: Object.fromEntries(webhookLeadPaths.map((path) => [`payload.lead.${path}`, 1])) }
+		);
+		const estimateDeliveries = await WebhookDelivery.updateMany(
+			{ event: 'estimate.accepted', 'payload.estimate.id': { $in: estimateIds } },
+			{ $unset: { 'payload.estimate.clientResponse': 1 } }
+		);
+
+		const imports = personalValues.length ? await this.eraseImportRows(personalValues) : 0;
+
+		const appointments = await Appointment.updateMany(
+			{ $or: [{ client: { $in: clientIds } }, { lead: { $in: leadIds } }] },
+			{ $set: { title: 'Appointment' }, $unset: { description: 1, location: 1, 'cancellation.reason': 1 }, $inc: { sequence: 1 } }
+		);
+
+		const notifications = await Notification.deleteMany({
+			$or: [
+				{ 'relatedEntity.type': 'client', 'relatedEntity.id': { $in: clientIds } },
+				{ 'relatedEntity.type': 'lead', 'relatedEntity.id': { $in: leadIds } }
+			]
+		});
+
+		for (const lead of leads) {
+			await this.anonymizeLead(lead, userId);
+		}
+		for (const mergedClient of mergedClients) {
+			await this.anonymizeClient(mergedClient, userId);
+		}
+		await this.anonymizeClient(client, userId);
+
+		return {
+			client,
+			mergedClients: mergedClients.length,
+			leads: leads.length,
+			invoices: invoices.modifiedCount,
+			projects: projectIds.length,
+			estimates: estimateIds.length,
+			appointments: appointments.modifiedCount,
+			notifications: notifications.deletedCount,
+			webhookDeliveries: leadDeliveries.modifiedCount + estimateDeliveries.modifiedCount,
+			imports
+		};
+	}
+}
+
+export default new ClientDataService();
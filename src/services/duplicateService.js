@@ -0,0 +1,274 @@
+import httpStatus from 'http-status';
+import _ from 'lodash';
+import moment from 'moment';
+import APIError from '~/utils/apiError';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Notification from '~/models/notificationModel';
+import messagingService from '~/services/messagingService';
+import integrityService from '~/services/integrityService';
+
+// How alike two names or companies must be (0 to 1) to count as the same
+const NAME_THRESHOLD = 0.85;
+const COMPANY_THRESHOLD = 0.85;
+// Shorter numbers are placeholders or extensions rather than phone numbers
+const MIN_PHONE_DIGITS = 7;
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const COMPANY_SUFFIXES = /\b(inc|llc|llp|ltd|limited|co|corp|corporation|company|gmbh|plc|pvt)\b/g;
+
+// Merge field values taken from the survivor unless the request picks another record for them. Empty values of the
+// survivor are filled from the duplicates; nested groups such as the address are taken as a whole.
+const resources = {
+	client: {
+		model: Client,
+		modelName: 'clients',
+		label: 'Client',
+		fields: ['firstName', 'lastName', 'email', 'phone', 'company', 'dateOfBirth', 'address', 'preferences', 'status', 'clientType', 'industry', 'website', 'assignedTo', 'leadSource', 'nextFollowUpDate']
+	},
+	lead: {
+		model: Lead,
+		modelName: 'leads',
+		label: 'Lead',
+		fields: [
+			'firstName',
+			'lastName',
+			'email',
+			'phone',
+			'company',
+			'projectType',
+			'projectSize',
+			'budget',
+			'location',
+			'projectDescription',
+			'preferredContactMethod',
+			'preferredContactTime',
+			'status',
+			'priority',
+			'source',
+			'assignedTo',
+			'nextFollowUpDate',
+			'conversionDate',
+			'convertedToProject'
+		]
+	}
+};
+
+// Addresses that deliver to the same mailbox: case, "+tag" suffixes and, for Gmail, dots are ignored
+const normalizeEmail = (email) => {
+	const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+	if (!local || !domain) {
+		return null;
+	}
+	const mailbox = local.split('+')[0];
+	return GMAIL_DOMAINS.includes(domain) ? `${mailbox.replace(/\./g, '')}@gmail.com` : `${mailbox}@${domain}`;
+};
+
+const normalizePhone = (phone) => (String(phone || '').replace(/\D/g, '').length >= MIN_PHONE_DIGITS ? messagingService.formatPhoneNumber(phone) : null);
+
+const normalizeText = (text) =>
+	String(text || '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, ' ')
+		.trim();
+
+const normalizeCompany = (company) => normalizeText(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+
+// 1 minus the edit distance relative to the longer text
+const similarity = (a, b) => {
+	if (!a || !b) {
+		return 0;
+	}
+	if (a === b) {
+		return 1;
+	}
+	let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = current;
+	}
+	return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// Names also match with first and last name swapped
+const nameSimilarity = (a, b) => Math.max(similarity(`${a.first} ${a.last}`, `${b.first} ${b.last}`), similarity(`${a.first} ${a.last}`, `${b.last} ${b.first}`));
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+const toKeys = (record) => {
+	const name = { first: normalizeText(record.firstName), last: normalizeText(record.lastName) };
+	return { record, name, email: normalizeEmail(record.email), phone: normalizePhone(record.phone), company: normalizeCompany(record.company) };
+};
+
+// Why two records look like the same person, and how sure that is
+const compare = (a, b) => {
+	const reasons = [];
+	let score = 0;
+	if (a.email && a.email === b.email) {
+		reasons.push('email');
+		score = 1;
+	}
+	if (a.phone && a.phone === b.phone) {
+		reasons.push('phone');
+		score = Math.max(score, 0.9);
+	}
+
+	const name = nameSimilarity(a.name, b.name);
+	const company = similarity(a.company, b.company);
+	if (name >= NAME_THRESHOLD) {
+		reasons.push('name');
+		if (company >= COMPANY_THRESHOLD) {
+			reasons.push('company');
+			score = Math.max(score, 0.8 * name);
+		} else if (!a.company || !b.company) {
+			// A name alone is a weaker sign, and none at all when the companies differ
+			score = Math.max(score, 0.6 * name);
+		}
+	}
+	return { reasons, score: Math.round(score * 100) / 100 };
+};
+
+// Records are only compared with those sharing an email, phone or the start of a name, so the finder does not compare
+// every pair of records in the workspace
+const blockKeys = ({ email, phone, name }) =>
+	[email && `email:${email}`, phone && `phone:${phone}`, name.first && `name:${name.first.slice(0, 3)}`, name.last && `name:${name.last.slice(0, 3)}`].filter(Boolean);
+
+const summary = (record) => _.pick(record, ['_id', 'firstName', 'lastName', 'email', 'phone', 'company', 'status', 'createdAt']);
+
+class DuplicateService {
+	// Groups of live records that look like the same person, most certain first. Records are grouped when any pair
+	// of them matches by normalised email or phone, or by a similar name (and company, when both have one).
+	async findDuplicates(resourceType, { minScore = 0.5, limit = 50 } = {}) {
+		const { model: Model } = resources[resourceType];
+		const records = await Model.find({ erasedAt: null }).select('firstName lastName email phone company status createdAt').lean();
+		const keyed = records.map(toKeys);
+
+		const blocks = {};
+		keyed.forEach((item, index) => blockKeys(item).forEach((key) => (blocks[key] = blocks[key] || []).push(index)));
+
+		const compared = new Set();
+		const matches = [];
+		Object.values(blocks).forEach((indexes) => {
+			for (let i = 0; i < indexes.length; i++) {
+				for (let j = i + 1; j < indexes.length; j++) {
+					const pair = `${indexes[i]}:${indexes[j]}`;
+					if (compared.has(pair)) {
+						continue;
+					}
+					compared.add(pair);
+					const match = compare(keyed[indexes[i]], keyed[indexes[j]]);
+					if (match.score >= minScore) {
+						matches.push({ indexes: [indexes[i], indexes[j]], ...match });
+					}
+				}
+			}
+		});
+
+		// Matched pairs sharing a record form one group
+		const parents = records.map((record, index) => index);
+		const root = (index) => (parents[index] === index ? index : (parents[index] = root(parents[index])));
+		matches.forEach(({ indexes: [a, b] }) => (parents[root(a)] = root(b)));
+
+		const groups = _.groupBy(matches, ({ indexes: [a] }) => root(a));
+		const results = Object.values(groups)
+			.map((groupMatches) => ({
+				score: _.max(groupMatches.map((match) => match.score)),
+				records: _.uniq(groupMatches.flatMap((match) => match.indexes)).map((index) => summary(records[index])),
+				matches: groupMatches.map(({ indexes, reasons, score }) => ({ records: indexes.map((index) => records[index]._id), reasons, score }))
+			}))
+			.sort((a, b) => b.score - a.score || b.records.length - a.records.length);
+
+		return {
+			results: results.slice(0, limit),
+			totalGroups: results.length
+		};
+	}
+
+	// Merges the duplicates into the survivor: chosen field values are copied over, notes, tags and custom fields are
+	// combined, everything referencing a duplicate is pointed at the survivor and the duplicates are moved to the trash.
+	// The survivor is saved before anything is taken from the duplicates, so a merge that fails part way loses nothing.
+	async merge(resourceType, { survivorId, duplicateIds, fields = {} }, userId) {
+		const { model: Model, modelName, label, fields: mergeable } = resources[resourceType];
+		if (duplicateIds.includes(survivorId)) {
+			throw new APIError(`The surviving ${resourceType} cannot also be one of the duplicates`, httpStatus.BAD_REQUEST);
+		}
+
+		const records = await Model.find({ _id: { $in: [survivorId, ...duplicateIds] }, erasedAt: null });
+		const findRecord = (id) => records.find((record) => record.id === id);
+		const survivor = findRecord(survivorId);
+		const duplicates = duplicateIds.map(findRecord);
+		if (!survivor || duplicates.some((duplicate) => !duplicate)) {
+			throw new APIError(`${label} not found`, httpStatus.NOT_FOUND);
+		}
+
+		Object.entries(fields).forEach(([field, recordId]) => {
+			if (!mergeable.includes(field)) {
+				throw new APIError(`${field} cannot be chosen. Fields that can: ${mergeable.join(', ')}`, httpStatus.BAD_REQUEST);
+			}
+			const source = findRecord(recordId);
+			if (!source) {
+				throw new APIError(`The value of ${field} must come from one of the merged records`, httpStatus.BAD_REQUEST);
+			}
+			survivor.set(field, source.toObject({ depopulate: true })[field]);
+		});
+		mergeable
+			.filter((field) => !fields[field] && isBlank(survivor.get(field)))
+			.forEach((field) => {
+				const source = duplicates.find((duplicate) => !isBlank(duplicate.get(field)));
+				if (source) {
+					survivor.set(field, source.toObject({ depopulate: true })[field]);
+				}
+			});
+
+		const mergedAt = moment().format('YYYY-MM-DD');
+		survivor.notes = _.sortBy(
+			[
+				...survivor.notes.map((note) => note.toObject()),
+				...duplicates.flatMap((duplicate) => duplicate.notes.map((note) => note.toObject())),
+				...duplicates.map((duplicate) => ({
+					content: `Merged with duplicate ${duplicate.fullName} (${duplicate.email}) on ${mergedAt}`,
+					createdBy: userId,
+					createdAt: new Date()
+				}))
+			],
+			(note) => note.createdAt
+		);
+		survivor.tags = _.uniq([...survivor.tags, ...duplicates.flatMap((duplicate) => duplicate.tags)]);
+		survivor.customFields = _.uniqBy(
+			[survivor, ...duplicates].flatMap((record) => record.customFields.map(({ key, value }) => ({ key, value }))),
+			'key'
+		);
+		survivor.lastContactDate = _.max([survivor, ...duplicates].map((record) => record.lastContactDate).filter(Boolean));
+
+		// Fail before anything is changed if the merged values are not valid
+		await survivor.validate();
+
+		// Client emails are unique, so a duplicate gives up the email the survivor takes over. The old value stays in the
+		// merge note and the audit history.
+		for (const duplicate of duplicates) {
+			if (survivor.isModified('email') && duplicate.email === survivor.email) {
+				await Model.updateOne({ _id: duplicate._id }, { $set: { email: `merged-${duplicate.id}@merged.invalid` } });
+			}
+		}
+		await survivor.save();
+
+		const ids = duplicates.map((duplicate) => duplicate._id);
+		const reassigned = await integrityService.reassignDependents(modelName, ids, survivor._id);
+		const notifications = await Notification.updateMany(
+			{ 'relatedEntity.type': resourceType, 'relatedEntity.id': { $in: ids } },
+			{ $set: { 'relatedEntity.id': survivor._id } }
+		);
+		reassigned.notifications = notifications.modifiedCount;
+
+		await Model.updateMany({ _id: { $in: ids } }, { $set: { deletedAt: new Date(), deletedBy: userId, mergedInto: survivor._id } });
+
+		return { survivor, merged: ids, reassigned };
+	}
+}
+
+export default new DuplicateService();
@@ -46,9 +46,9 @@ export const sendWelcomeEmail = async (user) => {
 	await sendEmail(user.email, subject, html);
 };
 
-export const sendEstimateEmail = async (estimate, client) => {
+export const sendEstimateEmail = async (estimate, client, url, message) => {
 	const subject = `Your Estimate: ${estimate.title}`;
-	const html = template.estimateEmail(estimate, client, config.APP_NAME);
+	const html = template.estimateEmail(estimate, client, url, message, config.APP_NAME);
 	await sendEmail(client.email, subject, html);
 };
 
@@ -70,6 +70,35 @@ export const sendAppointmentReminderEmail = async (client, appointment) => {
 	await sendEmail(client.email, subject, html);
 };
 
+export const sendTeamInvitationEmail = async (invitation, team, inviter, url) => {
+	const subject = `You're invited to join ${team.name}`;
+	const html = template.teamInvitationEmail(invitation, team, inviter, url, config.APP_NAME);
+	await sendEmail(invitation.email, subject, html);
+};
+
+// Sends an appointment email with the .ics invite attached
+export const sendAppointmentEmail = async (to, recipientName, appointment, kind, when, ics) => {
+	const subjects = {
+		confirmation: 'Appointment Confirmed',
+		update: 'Appointment Updated',
+		reminder: 'Appointment Reminder',
+		cancellation: 'Appointment Cancelled'
+	};
+	const subject = `${subjects[kind]}: ${appointment.title} - ${when.date}`;
+	const html = template.appointmentEmail(appointment, recipientName, kind, when, config.APP_NAME);
+	const method = kind === 'cancellation' ? 'CANCEL' : 'REQUEST';
+	await sendEmailWithAttachment(to, subject, html, [
+		{ filename: 'invite.ics', content: ics, contentType: `text/calendar; charset=utf-8; method=${method}` }
+	]);
+};
+
+export const sendAccountLockedEmail = async (user, lockedUntil, ip) => {
+	const subject = 'Your account has been locked';
+	const resetUrl = `${config.FRONTEND_URL}/forgot-password`;
+	const html = template.accountLockedEmail(user, lockedUntil, ip, resetUrl, config.APP_NAME);
+	await sendEmail(user.email, subject, html);
+};
+
 export const sendEmailWithAttachment = async (to, subject, html, attachments = []) => {
 	const msg = { 
 		from: `${config.APP_NAME} <${config.EMAIL_FROM}>`, 
@@ -100,6 +129,9 @@ export default {
 	sendProjectUpdateEmail,
 	sendMoodboardEmail,
 	sendAppointmentReminderEmail,
+	sendAppointmentEmail,
+	sendTeamInvitationEmail,
+	sendAccountLockedEmail,
 	sendEmailWithAttachment,
 	isServiceAvailable
 };
@@ -625,4 +625,324 @@ export const welcomeEmail = (user, appName) => {
 `;
 };
 
-export default { verifyEmail, resetPassword, welcomeEmail };
+export const estimateEmail = (estimate, client, url, message, appName) => {
+	return `
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+    <title>Your estimate from ${appName}</title>
+    <style type="text/css" rel="stylesheet" media="all">
+        *:not(br):not(tr):not(html) {
+            font-family: Arial, 'Helvetica Neue', Helvetica, sans-serif;
+            -webkit-box-sizing: border-box;
+            box-sizing: border-box;
+        }
+        body {
+            width: 100% !important;
+            height: 100%;
+            margin: 0;
+            line-height: 1.4;
+            background-color: #F5F7F9;
+            color: #839197;
+            -webkit-text-size-adjust: none;
+        }
+        .email-wrapper { width: 100%; margin: 0; padding: 0; background-color: #F5F7F9; }
+        .email-content { width: 100%; margin: 0; padding: 0; }
+        .email-masthead { padding: 25px 0; text-align: center; }
+        .email-masthead_name { font-size: 16px; font-weight: bold; color: #839197; text-decoration: none; }
+        .email-body { width: 100%; margin: 0; padding: 0; border-top: 1px solid #E7EAEC; border-bottom: 1px solid #E7EAEC; background-color: #FFFFFF; }
+        .email-body_inner { width: 570px; margin: 0 auto; padding: 0; }
+        .content-cell { padding: 35px; }
+        h1 { margin-top: 0; color: #292E31; font-size: 19px; font-weight: bold; text-align: left; }
+        p { margin-top: 0; color: #839197; font-size: 16px; line-height: 1.5em; text-align: left; }
+        .button { display: inline-block; width: 200px; background-color: #414EF9; border-radius: 3px; color: #ffffff !important; font-size: 15px; line-height: 45px; text-align: center; text-decoration: none; }
+        .body-action { width: 100%; margin: 30px auto; padding: 0; text-align: center; }
+    </style>
+</head>
+<body>
+    <table class="email-wrapper" width="100%" cellpadding="0" cellspacing="0">
+        <tr>
+            <td align="center">
+                <table class="email-content" width="100%" cellpadding="0" cellspacing="0">
+                    <tr>
+                        <td class="email-masthead">
+                            <a class="email-masthead_name">${appName}</a>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td class="email-body" width="100%">
+                            <table class="email-body_inner" align="center" width="570" cellpadding="0" cellspacing="0">
+                                <tr>
+                                    <td class="content-cell">
+                                        <h1>Hi ${client.firstName},</h1>
+                                        <p>Your estimate <strong>${estimate.title}</strong> is ready for review.</p>
+                                        ${message ? `<p>${message}</p>` : ''}
+                                        <p>You can view the full breakdown, download a PDF, and accept or decline the estimate online.</p>
+                                        <table class="body-action" align="center" width="100%" cellpadding="0" cellspacing="0">
+                                            <tr>
+                                                <td align="center">
+                                                    <div>
+                                                        <a href="${url}" class="button">View Estimate</a>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        </table>
+                                        <p>This estimate is valid until ${new Date(estimate.validity.validUntil).toLocaleDateString()}.</p>
+                                        <p>Best regards,<br>The ${appName} Team</p>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const teamInvitationEmail = (invitation, team, inviter, url, appName) => {
+	return `
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+    <title>Join ${team.name} on ${appName}</title>
+    <style type="text/css" rel="stylesheet" media="all">
+        *:not(br):not(tr):not(html) {
+            font-family: Arial, 'Helvetica Neue', Helvetica, sans-serif;
+            -webkit-box-sizing: border-box;
+            box-sizing: border-box;
+        }
+        body {
+            width: 100% !important;
+            height: 100%;
+            margin: 0;
+            line-height: 1.4;
+            background-color: #F5F7F9;
+            color: #839197;
+            -webkit-text-size-adjust: none;
+        }
+        .email-wrapper { width: 100%; margin: 0; padding: 0; background-color: #F5F7F9; }
+        .email-content { width: 100%; margin: 0; padding: 0; }
+        .email-masthead { padding: 25px 0; text-align: center; }
+        .email-masthead_name { font-size: 16px; font-weight: bold; color: #839197; text-decoration: none; }
+        .email-body { width: 100%; margin: 0; padding: 0; border-top: 1px solid #E7EAEC; border-bottom: 1px solid #E7EAEC; background-color: #FFFFFF; }
+        .email-body_inner { width: 570px; margin: 0 auto; padding: 0; }
+        .content-cell { padding: 35px; }
+        h1 { margin-top: 0; color: #292E31; font-size: 19px; font-weight: bold; text-align: left; }
+        p { margin-top: 0; color: #839197; font-size: 16px; line-height: 1.5em; text-align: left; }
+        .button { display: inline-block; width: 200px; background-color: #414EF9; border-radius: 3px; color: #ffffff !important; font-size: 15px; line-height: 45px; text-align: center; text-decoration: none; }
+        .body-action { width: 100%; margin: 30px auto; padding: 0; text-align: center; }
+    </style>
+</head>
+<body>
+    <table class="email-wrapper" width="100%" cellpadding="0" cellspacing="0">
+        <tr>
+            <td align="center">
+                <table class="email-content" width="100%" cellpadding="0" cellspacing="0">
+                    <tr>
+                        <td class="email-masthead">
+                            <a class="email-masthead_name">${appName}</a>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td class="email-body" width="100%">
+                            <table class="email-body_inner" align="center" width="570" cellpadding="0" cellspacing="0">
+                                <tr>
+                                    <td class="content-cell">
+                                        <h1>Hi,</h1>
+                                        <p>${inviter.firstName} ${inviter.lastName} has invited you to join the team <strong>${team.name}</strong> on ${appName}.</p>
+                                        ${invitation.message ? `<p>${invitation.message}</p>` : ''}
+                                        <table class="body-action" align="center" width="100%" cellpadding="0" cellspacing="0">
+                                            <tr>
+                                                <td align="center">
+                                                    <div>
+                                                        <a href="${url}" class="button">View Invitation</a>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        </table>
+                                        <p>This invitation expires on ${new Date(invitation.expiresAt).toLocaleDateString()}. If you were not expecting it, you can ignore this email.</p>
+                                        <p>Best regards,<br>The ${appName} Team</p>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const accountLockedEmail = (user, lockedUntil, ip, resetUrl, appName) => {
+	return `
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+    <title>Your ${appName} account is locked</title>
+    <style type="text/css" rel="stylesheet" media="all">
+        *:not(br):not(tr):not(html) {
+            font-family: Arial, 'Helvetica Neue', Helvetica, sans-serif;
+            -webkit-box-sizing: border-box;
+            box-sizing: border-box;
+        }
+        body {
+            width: 100% !important;
+            height: 100%;
+            margin: 0;
+            line-height: 1.4;
+            background-color: #F5F7F9;
+            color: #839197;
+            -webkit-text-size-adjust: none;
+        }
+        .email-wrapper { width: 100%; margin: 0; padding: 0; background-color: #F5F7F9; }
+        .email-content { width: 100%; margin: 0; padding: 0; }
+        .email-masthead { padding: 25px 0; text-align: center; }
+        .email-masthead_name { font-size: 16px; font-weight: bold; color: #839197; text-decoration: none; }
+        .email-body { width: 100%; margin: 0; padding: 0; border-top: 1px solid #E7EAEC; border-bottom: 1px solid #E7EAEC; background-color: #FFFFFF; }
+        .email-body_inner { width: 570px; margin: 0 auto; padding: 0; }
+        .content-cell { padding: 35px; }
+        h1 { margin-top: 0; color: #292E31; font-size: 19px; font-weight: bold; text-align: left; }
+        p { margin-top: 0; color: #839197; font-size: 16px; line-height: 1.5em; text-align: left; }
+        .button { display: inline-block; width: 200px; background-color: #414EF9; border-radius: 3px; color: #ffffff !important; font-size: 15px; line-height: 45px; text-align: center; text-decoration: none; }
+        .body-action { width: 100%; margin: 30px auto; padding: 0; text-align: center; }
+    </style>
+</head>
+<body>
+    <table class="email-wrapper" width="100%" cellpadding="0" cellspacing="0">
+        <tr>
+            <td align="center">
+                <table class="email-content" width="100%" cellpadding="0" cellspacing="0">
+                    <tr>
+                        <td class="email-masthead">
+                            <a class="email-masthead_name">${appName}</a>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td class="email-body" width="100%">
+                            <table class="email-body_inner" align="center" width="570" cellpadding="0" cellspacing="0">
+                                <tr>
+                                    <td class="content-cell">
+                                        <h1>Hi ${user.firstName},</h1>
+                                        <p>We locked your ${appName} account after several failed sign-in attempts${ip ? ` from IP address ${ip}` : ''}.</p>
+                                        <p>You can sign in again after ${new Date(lockedUntil).toUTCString()}.</p>
+                                        <p>If this was not you, someone may be trying to guess your password. We recommend resetting it.</p>
+                                        <table class="body-action" align="center" width="100%" cellpadding="0" cellspacing="0">
+                                            <tr>
+                                                <td align="center">
+                                                    <div>
+                                                        <a href="${resetUrl}" class="button">Reset Password</a>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        </table>
+                                        <p>Best regards,<br>The ${appName} Team</p>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export const appointmentEmail = (appointment, recipientName, kind, when, appName) => {
+	const intro = {
+		confirmation: 'Your appointment has been scheduled.',
+		update: 'Your appointment has been updated.',
+		reminder: 'This is a reminder of your upcoming appointment.',
+		cancellation: 'Your appointment has been cancelled.'
+	};
+
+	return `
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+    <title>Your appointment with ${appName}</title>
+    <style type="text/css" rel="stylesheet" media="all">
+        *:not(br):not(tr):not(html) {
+            font-family: Arial, 'Helvetica Neue', Helvetica, sans-serif;
+            -webkit-box-sizing: border-box;
+            box-sizing: border-box;
+        }
+        body {
+            width: 100% !important;
+            height: 100%;
+            margin: 0;
+            line-height: 1.4;
+            background-color: #F5F7F9;
+            color: #839197;
+            -webkit-text-size-adjust: none;
+        }
+        .email-wrapper { width: 100%; margin: 0; padding: 0; background-color: #F5F7F9; }
+        .email-content { width: 100%; margin: 0; padding: 0; }
+        .email-masthead { padding: 25px 0; text-align: center; }
+        .email-masthead_name { font-size: 16px; font-weight: bold; color: #839197; text-decoration: none; }
+        .email-body { width: 100%; margin: 0; padding: 0; border-top: 1px solid #E7EAEC; border-bottom: 1px solid #E7EAEC; background-color: #FFFFFF; }
+        .email-body_inner { width: 570px; margin: 0 auto; padding: 0; }
+        .content-cell { padding: 35px; }
+        h1 { margin-top: 0; color: #292E31; font-size: 19px; font-weight: bold; text-align: left; }
+        p { margin-top: 0; color: #839197; font-size: 16px; line-height: 1.5em; text-align: left; }
+        .button { display: inline-block; width: 200px; background-color: #414EF9; border-radius: 3px; color: #ffffff !important; font-size: 15px; line-height: 45px; text-align: center; text-decoration: none; }
+        .body-action { width: 100%; margin: 30px auto; padding: 0; text-align: center; }
+    </style>
+</head>
+<body>
+    <table class="email-wrapper" width="100%" cellpadding="0" cellspacing="0">
+        <tr>
+            <td align="center">
+                <table class="email-content" width="100%" cellpadding="0" cellspacing="0">
+                    <tr>
+                        <td class="email-masthead">
+                            <a class="email-masthead_name">${appName}</a>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td class="email-body" width="100%">
+                            <table class="email-body_inner" align="center" width="570" cellpadding="0" cellspacing="0">
+                                <tr>
+                                    <td class="content-cell">
+                                        <h1>Hi ${recipientName},</h1>
+                                        <p>${intro[kind]}</p>
+                                        <p>
+                                            <strong>${appointment.title}</strong><br>
+                                            ${when.date} at ${when.time}${appointment.location ? `<br>${appointment.location}` : ''}
+                                        </p>
+                                        ${appointment.meetingUrl ? `<p>Join online: <a href="${appointment.meetingUrl}">${appointment.meetingUrl}</a></p>` : ''}
+                                        ${kind === 'cancellation' && appointment.cancellation && appointment.cancellation.reason ? `<p>Reason: ${appointment.cancellation.reason}</p>` : ''}
+                                        <p>${kind === 'cancellation' ? 'The attached update removes it from your calendar.' : 'The attached invite adds it to your calendar.'}</p>
+                                        <p>Best regards,<br>The ${appName} Team</p>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+};
+
+export default { verifyEmail, resetPassword, welcomeEmail, estimateEmail, appointmentEmail, teamInvitationEmail, accountLockedEmail };
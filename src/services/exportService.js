@@ -0,0 +1,278 @@
+import httpStatus from 'http-status';
+import _ from 'lodash';
+import moment from 'moment';
+import APIError from '~/utils/apiError';
+import csv from '~/utils/csv';
+import xlsx from '~/utils/xlsx';
+import logger from '~/config/logger';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Project from '~/models/projectModel';
+import Estimate from '~/models/estimateModel';
+
+const formats = {
+	csv: 'text/csv; charset=utf-8',
+	xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	json: 'application/json; charset=utf-8'
+};
+
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : null);
+
+// Columns each entity can be exported with, by field path. A column reads its path from the record unless it has a
+// function of its own, e.g. for referenced records. The paths are also the column headers, so an exported lead or
+// client spreadsheet maps itself when imported again.
+const entities = {
+	lead: {
+		model: Lead,
+		name: 'leads',
+		populate: [{ path: 'assignedTo', select: 'firstName lastName' }],
+		columns: {
+			id: (lead) => lead._id,
+			firstName: null,
+			lastName: null,
+			email: null,
+			phone: null,
+			company: null,
+			projectType: null,
+			projectSize: null,
+			budget: null,
+			'location.address': null,
+			'location.city': null,
+			'location.state': null,
+			'location.zipCode': null,
+			'location.country': null,
+			projectDescription: null,
+			status: null,
+			priority: null,
+			score: null,
+			source: null,
+			preferredContactMethod: null,
+			preferredContactTime: null,
+			assignedTo: (lead) => personName(lead.assignedTo),
+			tags: null,
+			lastContactDate: null,
+			nextFollowUpDate: null,
+			conversionDate: null,
+			createdAt: null,
+			updatedAt: null
+		},
+		defaultColumns: ['id', 'firstName', 'lastName', 'email', 'phone', 'company', 'projectType', 'budget', 'location.city', 'location.state', 'status', 'priority', 'source', 'assignedTo', 'createdAt']
+	},
+	client: {
+		model: Client,
+		name: 'clients',
+		populate: [{ path: 'assignedTo', select: 'firstName lastName' }],
+		columns: {
+			id: (client) => client._id,
+			firstName: null,
+			lastName: null,
+			email: null,
+			phone: null,
+			company: null,
+			clientType: null,
+			industry: null,
+			website: null,
+			status: null,
+			'address.street': null,
+			'address.city': null,
+			'address.state': null,
+			'address.zipCode': null,
+			'address.country': null,
+			'preferences.communicationMethod': null,
+			'preferences.preferredContactTime': null,
+			assignedTo: (client) => personName(client.assignedTo),
+			tags: null,
+			lastContactDate: null,
+			nextFollowUpDate: null,
+			createdAt: null,
+			updatedAt: null
+		},
+		defaultColumns: ['id', 'firstName', 'lastName', 'email', 'phone', 'company', 'clientType', 'status', 'address.city', 'address.state', 'assignedTo', 'createdAt']
+	},
+	project: {
+		model: Project,
+		name: 'projects',
+		populate: [
+			{ path: 'client', select: 'firstName lastName' },
+			{ path: 'team.user', select: 'firstName lastName' },
+			{ path: 'createdBy', select: 'firstName lastName' }
+		],
+		columns: {
+			id: (project) => project._id,
+			name: null,
+			description: null,
+			client: (project) => personName(project.client),
+			status: null,
+			priority: null,
+			projectType: null,
+			projectSize: null,
+			startDate: null,
+			endDate: null,
+			estimatedDuration: null,
+			'budget.estimated': null,
+			'budget.actual': null,
+			'budget.currency': null,
+			'progress.percentage': null,
+			'location.address': null,
+			'location.city': null,
+			'location.state': null,
+			'location.country': null,
+			team: (project) => project.team.map((member) => personName(member.user)).filter(Boolean),
+			tags: null,
+			createdBy: (project) => personName(project.createdBy),
+			createdAt: null,
+			updatedAt: null
+		},
+		defaultColumns: ['id', 'name', 'client', 'status', 'priority', 'projectType', 'startDate', 'endDate', 'budget.estimated', 'budget.currency', 'progress.percentage', 'createdAt']
+	},
+	estimate: {
+		model: Estimate,
+		name: 'estimates',
+		populate: [
+			{ path: 'client', select: 'firstName lastName' },
+			{ path: 'project', select: 'name' },
+			{ path: 'createdBy', select: 'firstName lastName' }
+		],
+		columns: {
+			id: (estimate) => estimate._id,
+			title: null,
+			description: null,
+			client: (estimate) => personName(estimate.client),
+			project: (estimate) => (estimate.project ? estimate.project.name : null),
+			status: null,
+			version: null,
+			'pricing.subtotal': null,
+			'pricing.taxAmount': null,
+			'pricing.discountAmount': null,
+			'pricing.totalAmount': null,
+			'pricing.currency': null,
+			'validity.validUntil': null,
+			sentAt: null,
+			respondedAt: null,
+			createdBy: (estimate) => personName(estimate.createdBy),
+			createdAt: null,
+			updatedAt: null
+		},
+		defaultColumns: ['id', 'title', 'client', 'project', 'status', 'version', 'pricing.totalAmount', 'pricing.currency', 'validity.validUntil', 'createdAt']
+	}
+};
+
+// Ids and dates as text; arrays stay arrays for JSON and become comma separated lists in spreadsheets
+const toJSONValue = (value) => {
+	if (Array.isArray(value)) {
+		return value.map(toJSONValue);
+	}
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+	if (value && value._bsontype) {
+		return value.toString();
+	}
+	return value === undefined ? null : value;
+};
+
+const toCellValue = (value) => {
+	const jsonValue = toJSONValue(value);
+	return Array.isArray(jsonValue) ? jsonValue.join(', ') : jsonValue;
+};
+
+// Resolves once the response can take more data, or the client has gone away
+const waitForDrain = (res) =>
+	new Promise((resolve) => {
+		const done = () => {
+			res.off('drain', done);
+			res.off('close', done);
+			resolve();
+		};
+		res.on('drain', done);
+		res.on('close', done);
+	});
+
+const write = (res, chunk) => (res.write(chunk) ? Promise.resolve() : waitForDrain(res));
+
+class ExportService {
+	getColumns(entityType, columns) {
+		const entity = entities[entityType];
+		if (!columns) {
+			return entity.defaultColumns;
+		}
+		const selected = _.uniq(columns.split(',').map((column) => column.trim()).filter(Boolean));
+		const unknown = selected.filter((column) => !Object.prototype.hasOwnProperty.call(entity.columns, column));
+		if (unknown.length) {
+			throw new APIError(`Unknown columns: ${unknown.join(', ')}. Available columns: ${Object.keys(entity.columns).join(', ')}`, httpStatus.BAD_REQUEST);
+		}
+		return selected.length ? selected : entity.defaultColumns;
+	}
+
+	// Row writers per format; each returns a promise that resolves when more rows can be written
+	createWriter(res, format, entity, columns) {
+		if (format === 'xlsx') {
+			const writer = xlsx.createWriter(res, entity.name);
+			return {
+				start: () => writer.writeRow(columns),
+				row: (values) => writer.writeRow(values.map(toCellValue)),
+				end: () => writer.end(),
+				abort: () => writer.abort()
+			};
+		}
+		if (format === 'json') {
+			let first = true;
+			return {
+				start: () => write(res, '['),
+				row: (values) => {
+					const record = {};
+					columns.forEach((column, index) => _.set(record, column, toJSONValue(values[index])));
+					const chunk = `${first ? '' : ','}\n${JSON.stringify(record)}`;
+					first = false;
+					return write(res, chunk);
+				},
+				end: () => write(res, first ? ']' : '\n]'),
+				abort: () => {}
+			};
+		}
+		return {
+			start: () => write(res, csv.stringify([columns])),
+			row: (values) => write(res, csv.stringify([values.map(toCellValue)])),
+			end: () => Promise.resolve(),
+			abort: () => {}
+		};
+	}
+
+	// Streams every record matching the filter to the response, reading them from a cursor so that large exports are
+	// never held in memory. The model's plugins still apply: only the workspace's live records the user may see.
+	async exportRecords(res, entityType, { filter = {}, format = 'csv', columns }) {
+		const entity = entities[entityType];
+		const selected = this.getColumns(entityType, columns);
+		const filename = `${entity.name}-${moment().format('YYYY-MM-DD')}.${format}`;
+
+		res.set('Content-Type', formats[format]);
+		res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+		const cursor = entity.model.find(filter).sort({ createdAt: -1 }).populate(entity.populate).lean().cursor();
+		const writer = this.createWriter(res, format, entity, selected);
+		try {
+			await writer.start();
+			for await (const record of cursor) {
+				if (res.destroyed) {
+					break;
+				}
+				await writer.row(selected.map((column) => (entity.columns[column] ? entity.columns[column](record) : _.get(record, column))));
+			}
+			if (res.destroyed) {
+				writer.abort();
+				return;
+			}
+			await writer.end();
+			res.end();
+		} catch (error) {
+			// The response has started, so the error cannot be sent any more; cut it off to show it is incomplete
+			logger.error(`Export of ${entity.name} failed:`, error);
+			writer.abort();
+			res.destroy();
+		} finally {
+			await cursor.close();
+		}
+	}
+}
+
+export default new ExportService();
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import httpStatus from 'http-status';
+import APIError from '~/utils/apiError';
+
+// In-memory stand-in for the Razorpay SDK, enabled with RAZORPAY_MODE=fake.
+// It mirrors the SDK calls used by razorpayService and can simulate a customer completing a payment.
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+class FakeRazorpay {
+	constructor({ key_id, key_secret, webhook_secret }) {
+		this.keyId = key_id || 'rzp_test_fake';
+		this.keySecret = key_secret || 'fake_key_secret';
+		this.webhookSecret = webhook_secret || 'fake_webhook_secret';
+		this.store = {
+			orders: new Map(),
+			paymentLinks: new Map(),
+			payments: new Map(),
+			customers: new Map(),
+			plans: new Map(),
+			subscriptions: new Map()
+		};
+
+		this.orders = {
+			create: async (data) => this.save('orders', { id: generateId('order'), entity: 'order', status: 'created', amount_paid: 0, created_at: now(), ...data }),
+			fetch: async (id) => this.find('orders', id)
+		};
+
+		this.paymentLink = {
+			create: async (data) => {
+				const id = generateId('plink');
+				const order = await this.orders.create({ amount: data.amount, currency: data.currency, receipt: data.reference_id, notes: data.notes });
+				return this.save('paymentLinks', {
+					id,
+					entity: 'payment_link',
+					status: 'created',
+					order_id: order.id,
+					short_url: `https://rzp.io/i/${id.slice(6)}`,
+					created_at: now(),
+					...data
+				});
+			},
+			fetch: async (id) => this.find('paymentLinks', id),
+			cancel: async (id) => Object.assign(this.find('paymentLinks', id), { status: 'cancelled' })
+		};
+
+		this.payments = {
+			fetch: async (id) => this.find('payments', id),
+			all: async (query = {}) => ({ items: [...this.store.payments.values()].filter((payment) => !query.subscription_id || payment.subscription_id === query.subscription_id) }),
+			capture: async (id) => Object.assign(this.find('payments', id), { status: 'captured', captured: true }),
+			refund: async (id, data = {}) => {
+				const payment = this.find('payments', id);
+				const amount = data.amount || payment.amount;
+				payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+				payment.status = payment.amount_refunded >= payment.amount ? 'refunded' : payment.status;
+				return { id: generateId('rfnd'), entity: 'refund', payment_id: id, amount, notes: data.notes || {}, created_at: now() };
+			}
+		};
+
+		this.customers = {
+			create: async (data) => this.save('customers', { id: generateId('cust'), entity: 'customer', created_at: now(), ...data }),
+			fetch: async (id) => this.find('customers', id),
+			edit: async (id, data) => Object.assign(this.find('customers', id), data)
+		};
+
+		this.plans = {
+			create: async (data) => this.save('plans', { id: generateId('plan'), entity: 'plan', created_at: now(), ...data }),
+			fetch: async (id) => this.find('plans', id),
+			all: async () => ({ items: [...this.store.plans.values()] })
+		};
+
+		this.subscriptions = {
+			create: async (data) => this.save('subscriptions', { id: generateId('sub'), entity: 'subscription', status: 'created', created_at: now(), ...data }),
+			fetch: async (id) => this.find('subscriptions', id),
+			all: async (query = {}) => ({ items: [...this.store.subscriptions.values()].filter((sub) => !query.customer_id || sub.customer_id === query.customer_id) }),
+			cancel: async (id) => Object.assign(this.find('subscriptions', id), { status: 'cancelled' }),
+			pause: async (id) => Object.assign(this.find('subscriptions', id), { status: 'paused' }),
+			resume: async (id) => Object.assign(this.find('subscriptions', id), { status: 'active' }),
+			update: async (id, data) => Object.assign(this.find('subscriptions', id), data),
+			createAddon: async (id, data) => ({ id: generateId('ao'), entity: 'addon', subscription_id: id, ...data })
+		};
+	}
+
+	save(collection, entity) {
+		this.store[collection].set(entity.id, entity);
+		return entity;
+	}
+
+	find(collection, id) {
+		const entity = this.store[collection].get(id);
+		if (!entity) {
+			throw new APIError(`Fake Razorpay: ${collection} ${id} not found`, httpStatus.NOT_FOUND);
+		}
+		return entity;
+	}
+
+	// Simulates the customer paying an order or payment link. Returns the checkout response the frontend
+	// would receive and the signed webhooks Razorpay would deliver.
+	simulatePayment({ orderId, paymentLinkId, method = 'upi' }) {
+		const paymentLink = paymentLinkId ? this.find('paymentLinks', paymentLinkId) : null;
+		const order = this.find('orders', paymentLink ? paymentLink.order_id : orderId);
+
+		const payment = this.save('payments', {
+			id: generateId('pay'),
+			entity: 'payment',
+			amount: order.amount - order.amount_paid,
+			currency: order.currency,
+			status: 'captured',
+			captured: true,
+			order_id: order.id,
+			method,
+			notes: order.notes || {},
+			created_at: now()
+		});
+
+		order.amount_paid = order.amount;
+		order.status = 'paid';
+		if (paymentLink) {
+			paymentLink.status = 'paid';
+		}
+
+		const signature = crypto.createHmac('sha256', this.keySecret).update(`${order.id}|${payment.id}`).digest('hex');
+		const webhooks = [this.buildWebhook('payment.captured', { payment: { entity: payment } })];
+		if (paymentLink) {
+			webhooks.push(this.buildWebhook('payment_link.paid', { payment_link: { entity: paymentLink }, payment: { entity: payment }, order: { entity: order } }));
+		}
+
+		return {
+			checkout: {
+				razorpay_order_id: order.id,
+				razorpay_payment_id: payment.id,
+				razorpay_signature: signature
+			},
+			webhooks
+		};
+	}
+
+	buildWebhook(event, payload) {
+		const body = { entity: 'event', account_id: 'acc_fake', event, contains: Object.keys(payload), payload, created_at: now() };
+		const signature = crypto.createHmac('sha256', this.webhookSecret).update(JSON.stringify(body)).digest('hex');
+		return { body, signature };
+	}
+}
+
+export default FakeRazorpay;
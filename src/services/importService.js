@@ -0,0 +1,440 @@
+import path from 'path';
+import httpStatus from 'http-status';
+import _ from 'lodash';
+import APIError from '~/utils/apiError';
+import csv from '~/utils/csv';
+import xlsx from '~/utils/xlsx';
+import workspaceContext from '~/utils/workspaceContext';
+import logger from '~/config/logger';
+import Import from '~/models/importModel';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Notification from '~/models/notificationModel';
+import leadValidation from '~/validations/leadValidation';
+import clientValidation from '~/validations/clientValidation';
+import schedulerService from './schedulerService';
+import usageService from './usageService';
+
+const RUN_JOB = 'run-import';
+
+const MAX_ROWS = 5000;
+const MAX_COLUMNS = 200;
+const BATCH_SIZE = 50;
+const PREVIEW_ERROR_LIMIT = 100;
+const SAMPLE_SIZE = 5;
+// Time allowed between queueing an import and scheduling its job
+const SCHEDULE_GRACE = 10 * 60 * 1000;
+
+// Fields a column can be mapped to, besides `customFields.<key>`. Rows are validated with the same Joi schema as
+// the create route of the resource.
+const resources = {
+	lead: {
+		model: Lead,
+		usage: 'leads',
+		schema: leadValidation.createLead.body,
+		fields: [
+			'firstName',
+			'lastName',
+			'email',
+			'phone',
+			'company',
+			'projectType',
+			'projectSize',
+			'budget',
+			'location.address',
+			'location.city',
+			'location.state',
+			'location.zipCode',
+			'location.country',
+			'projectDescription',
+			'preferredContactMethod',
+			'preferredContactTime',
+			'priority',
+			'source',
+			'tags'
+		],
+		requiredFields: ['firstName', 'lastName', 'email', 'phone', 'location.address', 'location.city', 'location.state', 'projectDescription']
+	},
+	client: {
+		model: Client,
+		usage: 'clients',
+		schema: clientValidation.createClient.body,
+		fields: [
+			'firstName',
+			'lastName',
+			'email',
+			'phone',
+			'company',
+			'dateOfBirth',
+			'address.street',
+			'address.city',
+			'address.state',
+			'address.zipCode',
+			'address.country',
+			'preferences.communicationMethod',
+			'preferences.preferredContactTime',
+			'preferences.timezone',
+			'preferences.language',
+			'clientType',
+			'industry',
+			'website',
+			'tags'
+		],
+		requiredFields: ['firstName', 'lastName', 'email', 'phone']
+	}
+};
+
+// Other column names recognised when suggesting a mapping, by the last part of the field path
+const fieldAliases = {
+	firstName: ['first', 'givenname', 'forename'],
+	lastName: ['last', 'surname', 'familyname'],
+	email: ['emailaddress', 'mail'],
+	phone: ['phonenumber', 'mobile', 'mobilenumber', 'telephone', 'tel', 'cell'],
+	company: ['companyname', 'organization', 'organisation', 'business'],
+	address: ['street', 'streetaddress'],
+	street: ['address', 'streetaddress'],
+	state: ['province', 'region'],
+	zipCode: ['zip', 'postalcode', 'postcode', 'pincode'],
+	projectDescription: ['description'],
+	website: ['url', 'site'],
+	tags: ['labels']
+};
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Phones are compared by their digits so formatting differences do not hide duplicates
+const normalizePhone = (phone) => {
+	const digits = phone ? String(phone).replace(/\D/g, '') : '';
+	return digits.length >= 6 ? digits : null;
+};
+
+class ImportService {
+	getFields(resourceType) {
+		const { fields, requiredFields } = resources[resourceType];
+		return fields.map((field) => ({ field, required: requiredFields.includes(field) }));
+	}
+
+	// Reads an uploaded CSV or XLSX file into its header row and data rows
+	parseFile(file) {
+		let table;
+		try {
+			// The header row and up to MAX_ROWS rows are read, so the padding of far-off rows and columns is never built
+			table =
+				path.extname(file.originalname).toLowerCase() === '.xlsx'
+					? xlsx.parse(file.buffer, { maxRows: MAX_ROWS + 1, maxColumns: MAX_COLUMNS })
+					: csv.parse(file.buffer.toString('utf8'), { maxColumns: MAX_COLUMNS });
+		} catch (error) {
+			throw new APIError(`The file could not be read: ${error.message}`, httpStatus.BAD_REQUEST);
+		}
+
+		const isEmpty = (row) => row.every((cell) => String(cell).trim() === '');
+		const [headerRow = [], ...rows] = table;
+		const headers = headerRow.map((header) => String(header).trim());
+		// Columns without a name cannot be mapped, so trailing ones are not kept
+		while (headers.length && !headers[headers.length - 1]) {
+			headers.pop();
+		}
+		if (!headers.length || headers.every((header) => !header)) {
+			throw new APIError('The first row of the file must contain column names', httpStatus.BAD_REQUEST);
+		}
+		if (headers.length > MAX_COLUMNS) {
+			throw new APIError(`Files can have at most ${MAX_COLUMNS} columns`, httpStatus.BAD_REQUEST);
+		}
+		if (new Set(headers.filter(Boolean)).size !== headers.filter(Boolean).length) {
+			throw new APIError('Column names in the first row must be unique', httpStatus.BAD_REQUEST);
+		}
+
+		// Trailing empty rows are common in exported spreadsheets
+		while (rows.length && isEmpty(rows[rows.length - 1])) {
+			rows.pop();
+		}
+		if (!rows.length) {
+			throw new APIError('The file has no rows to import', httpStatus.BAD_REQUEST);
+		}
+		if (rows.length > MAX_ROWS) {
+			throw new APIError(`Files can have at most ${MAX_ROWS} rows`, httpStatus.BAD_REQUEST);
+		}
+
+		return { headers, rows: rows.map((row) => headers.map((header, index) => (row[index] === undefined ? '' : String(row[index])))) };
+	}
+
+	// Maps each column whose name matches a field, by field name or a common alias
+	suggestMapping(resourceType, headers) {
+		const mapping = [];
+		const used = new Set();
+		headers.filter(Boolean).forEach((column) => {
+			const name = normalizeName(column);
+			const field = resources[resourceType].fields.find((candidate) => {
+				const last = candidate.split('.').pop();
+				return !used.has(candidate) && [candidate, last, ...(fieldAliases[last] || [])].some((alias) => normalizeName(alias) === name);
+			});
+			if (field) {
+				used.add(field);
+				mapping.push({ column, field });
+			}
+		});
+		return mapping;
+	}
+
+	validateMapping(importJob, mapping) {
+		const { fields } = resources[importJob.resourceType];
+		const mappedFields = new Set();
+		mapping.forEach(({ column, field }) => {
+			if (!importJob.headers.includes(column)) {
+				throw new APIError(`Column "${column}" is not in the file`, httpStatus.BAD_REQUEST);
+			}
+			const isCustomField = field.startsWith(CUSTOM_FIELD_PREFIX) && field.length > CUSTOM_FIELD_PREFIX.length;
+			if (!isCustomField && !fields.includes(field)) {
+				throw new APIError(`Field "${field}" cannot be imported`, httpStatus.BAD_REQUEST);
+			}
+			if (mappedFields.has(field)) {
+				throw new APIError(`Field "${field}" is mapped to more than one column`, httpStatus.BAD_REQUEST);
+			}
+			mappedFields.add(field);
+		});
+	}
+
+	// The record a row becomes under the import's mapping. Empty cells are left out so defaults apply.
+	buildRecord(importJob, row) {
+		const record = {};
+		importJob.mapping.forEach(({ column, field }) => {
+			const value = String(row[importJob.headers.indexOf(column)] || '').trim();
+			if (!value) {
+				return;
+			}
+			if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+				record.customFields = [...(record.customFields || []), { key: field.slice(CUSTOM_FIELD_PREFIX.length), value }];
+			} else if (field === 'tags') {
+				record.tags = value
+					.split(/[,;]/)
+					.map((tag) => tag.trim())
+					.filter(Boolean);
+			} else if (field === 'budget') {
+				// Currency symbols and thousands separators
+				_.set(record, field, value.replace(/[^\d.-]/g, ''));
+			} else {
+				_.set(record, field, value);
+			}
+		});
+		return record;
+	}
+
+	// Emails and phones of the records already in the workspace
+	async getExistingKeys(resourceType) {
+		const records = await resources[resourceType].model.find({}).select('email phone').lean();
+		const keys = new Set();
+		records.forEach((record) => {
+			[normalizeEmail(record.email), normalizePhone(record.phone)].filter(Boolean).forEach((key) => keys.add(key));
+		});
+		return keys;
+	}
+
+	// Validates a row and checks it against the records seen so far; `keys` collects the emails and phones of valid rows.
+	// Blank rows in the middle of a sheet are ignored.
+	checkRow(importJob, row, keys) {
+		if (row.every((cell) => !String(cell).trim())) {
+			return { reason: 'empty' };
+		}
+
+		const { schema } = resources[importJob.resourceType];
+		const { value, error } = schema.validate(this.buildRecord(importJob, row), {
+			abortEarly: false,
+			errors: { label: 'path', wrap: { label: false } }
+		});
+		if (error) {
+			return { reason: 'invalid', messages: error.details.map((detail) => detail.message) };
+		}
+
+		const rowKeys = [normalizeEmail(value.email), normalizePhone(value.phone)].filter(Boolean);
+		const matches = rowKeys.filter((key) => keys.has(key));
+		rowKeys.forEach((key) => keys.add(key));
+		if (matches.length) {
+			const messages = [];
+			if (matches.includes(normalizeEmail(value.email))) {
+				messages.push(`A ${importJob.resourceType} with email ${value.email} already exists`);
+			}
+			if (matches.includes(normalizePhone(value.phone))) {
+				messages.push(`A ${importJob.resourceType} with phone ${value.phone} already exists`);
+			}
+			return { record: value, reason: 'duplicate', messages };
+		}
+		return { record: value };
+	}
+
+	// Dry run of the import with the given mapping: which rows are invalid or duplicates. Saves the mapping.
+	async preview(importJob, mapping, duplicateStrategy) {
+		if (importJob.status !== 'uploaded') {
+			throw new APIError('Import has already been started', httpStatus.CONFLICT);
+		}
+		this.validateMapping(importJob, mapping);
+		importJob.mapping = mapping;
+		importJob.duplicateStrategy = duplicateStrategy;
+		await importJob.save();
+
+		const keys = await this.getExistingKeys(importJob.resourceType);
+		const summary = { totalRows: importJob.rows.length, validRows: 0, invalidRows: 0, duplicateRows: 0, emptyRows: 0 };
+		const errors = [];
+		const sample = [];
+		importJob.rows.forEach((row, index) => {
+			const result = this.checkRow(importJob, row, keys);
+			if (result.reason === 'empty') {
+				summary.emptyRows++;
+				return;
+			}
+			if (result.reason === 'invalid') {
+				summary.invalidRows++;
+			} else if (result.reason === 'duplicate') {
+				summary.duplicateRows++;
+			} else {
+				summary.validRows++;
+			}
+			if (result.reason && errors.length < PREVIEW_ERROR_LIMIT) {
+				errors.push({ row: index + 2, reason: result.reason, messages: result.messages });
+			}
+			if (result.record && sample.length < SAMPLE_SIZE) {
+				sample.push(result.record);
+			}
+		});
+
+		const mappedFields = mapping.map(({ field }) => field);
+		const missingFields = resources[importJob.resourceType].requiredFields.filter((field) => !mappedFields.includes(field));
+		return { summary, missingFields, errors, sample };
+	}
+
+	async start(importJob) {
+		if (!importJob.mapping.length) {
+			throw new APIError('Map the columns of the file before starting the import', httpStatus.BAD_REQUEST);
+		}
+		const queued = await Import.queueImport(importJob._id);
+		await schedulerService.schedule(RUN_JOB, new Date(), { importId: queued.id });
+		return queued;
+	}
+
+	// Job handler. Runs as the user who started the import, in its workspace, so records are created as they
+	// would be through the API. Progress is saved after every batch; a retried job resumes after the last one.
+	async run(importId, job) {
+		const importJob = await Import.findById(importId);
+		if (!importJob || !['queued', 'processing'].includes(importJob.status)) {
+			return;
+		}
+
+		importJob.status = 'processing';
+		importJob.startedAt = importJob.startedAt || new Date();
+		await importJob.save();
+
+		const context = { workspaceId: importJob.workspace.toString(), user: importJob.createdBy.toString() };
+		try {
+			await workspaceContext.run(context, () => this.importRows(importJob));
+		} catch (error) {
+			// The job is retried with backoff; the import only fails once the job has given up
+			const failed = !job || job.attempts >= job.maxAttempts;
+			await Import.updateOne({ _id: importJob._id }, { $set: { lastError: error.message, ...(failed && { status: 'failed', completedAt: new Date() }) } });
+			if (failed) {
+				await this.notifyFinished(importJob, 'failed');
+			}
+			throw error;
+		}
+	}
+
+	// Imports the job handler could not fail itself: the job gave up after its worker stopped, the handler failed before
+	// it could record the error, the job was never scheduled, or it has expired
+	async failStuck() {
+		const imports = await Import.find({
+			status: { $in: ['queued', 'processing'] },
+			updatedAt: { $lte: new Date(Date.now() - SCHEDULE_GRACE) }
+		}).select('-rows');
+
+		let count = 0;
+		for (const importJob of imports) {
+			const job = await schedulerService.getJob(RUN_JOB, { importId: importJob.id });
+			if (job && job.status !== 'failed') {
+				continue;
+			}
+			const { modifiedCount } = await Import.updateOne(
+				{ _id: importJob._id, status: importJob.status },
+				{ $set: { status: 'failed', completedAt: new Date(), lastError: (job && job.lastError) || 'The import job stopped before it finished' } }
+			);
+			if (modifiedCount) {
+				await this.notifyFinished(importJob, 'failed');
+				count++;
+			}
+		}
+		return count;
+	}
+
+	async importRows(importJob) {
+		const { model: Model, usage } = resources[importJob.resourceType];
+		const ownerId = await usageService.getWorkspaceOwnerId(importJob.workspace);
+		const keys = await this.getExistingKeys(importJob.resourceType);
+
+		for (let start = importJob.processedRows; start < importJob.rows.length; start += BATCH_SIZE) {
+			const counts = { created: 0, skipped: 0, failed: 0 };
+			const rowErrors = [];
+			const end = Math.min(start + BATCH_SIZE, importJob.rows.length);
+
+			for (let index = start; index < end; index++) {
+				const row = index + 2;
+				const result = this.checkRow(importJob, importJob.rows[index], keys);
+				if (result.reason === 'empty') {
+					continue;
+				}
+				if (result.reason === 'invalid') {
+					counts.failed++;
+					rowErrors.push({ row, reason: 'invalid', messages: result.messages });
+					continue;
+				}
+				if (result.reason === 'duplicate' && importJob.duplicateStrategy === 'skip') {
+					counts.skipped++;
+					rowErrors.push({ row, reason: 'duplicate', messages: result.messages });
+					continue;
+				}
+
+				try {
+					const data = importJob.assignedTo ? { assignedTo: importJob.assignedTo, ...result.record } : result.record;
+					await usageService.consume(ownerId, usage, () => Model.create(data));
+					counts.created++;
+				} catch (error) {
+					const message = error.code === 11000 ? `A ${importJob.resourceType} with this email already exists` : error.message;
+					counts.failed++;
+					rowErrors.push({ row, reason: 'failed', messages: [message] });
+				}
+			}
+
+			await Import.recordProgress(importJob._id, end, counts, rowErrors);
+		}
+
+		await Import.updateOne({ _id: importJob._id }, { $set: { status: 'completed', completedAt: new Date() } });
+		await this.notifyFinished(importJob, 'completed');
+	}
+
+	async notifyFinished(importJob, status) {
+		try {
+			const { createdCount, skippedCount, failedCount } = await Import.findById(importJob._id);
+			await Notification.createNotification({
+				title: status === 'completed' ? 'Import Completed' : 'Import Failed',
+				message: `Import of ${importJob.fileName}: ${createdCount} created, ${skippedCount} skipped, ${failedCount} failed`,
+				type: status === 'completed' && !failedCount ? 'success' : 'warning',
+				recipient: importJob.createdBy,
+				relatedEntity: {
+					type: 'import',
+					id: importJob._id
+				},
+				priority: 'medium'
+			});
+		} catch (error) {
+			logger.error(`Failed to notify about import ${importJob.id}:`, error);
+		}
+	}
+
+	// CSV of the rows that were not imported: their row number, reason, messages and original values
+	getErrorReport(importJob) {
+		const rows = importJob.rowErrors.map(({ row, reason, messages }) => [row, reason, messages.join('; '), ...(importJob.rows[row - 2] || [])]);
+		return csv.stringify([['Row', 'Reason', 'Errors', ...importJob.headers], ...rows]);
+	}
+}
+
+export default new ImportService();
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import httpStatus from 'http-status';
+import APIError from '~/utils/apiError';
+
+// What happens to documents that reference a deleted document:
+// - block: the delete is refused while active dependents exist
+// - cascade: dependents are moved to the trash with it, and restored with it
+// - detach: the reference is removed from dependents once the document is purged from the trash, so a restored
+//   document keeps its links
+const relations = {
+	clients: [
+		{ model: 'projects', path: 'client', onDelete: 'block', label: 'name' },
+		{ model: 'invoices', path: 'client', onDelete: 'block', label: 'invoiceNumber' },
+		{ model: 'estimates', path: 'client', onDelete: 'cascade' },
+		{ model: 'moodboards', path: 'client', onDelete: 'cascade' },
+		{ model: 'appointments', path: 'client', onDelete: 'detach' },
+		{ model: 'teams', path: 'clients', onDelete: 'detach' }
+	],
+	projects: [
+		{ model: 'invoices', path: 'project', onDelete: 'block', label: 'invoiceNumber' },
+		{ model: 'moodboards', path: 'project', onDelete: 'cascade' },
+		{ model: 'estimates', path: 'project', onDelete: 'detach' },
+		{ model: 'leads', path: 'convertedToProject', onDelete: 'detach' },
+		{ model: 'appointments', path: 'project', onDelete: 'detach' },
+		{ model: 'teams', path: 'projects', onDelete: 'detach' }
+	],
+	estimates: [
+		{ model: 'invoices', path: 'estimate', onDelete: 'block', label: 'invoiceNumber' },
+		{ model: 'projects', path: 'estimate', onDelete: 'detach' },
+		{ model: 'estimates', path: 'parentEstimate', onDelete: 'detach' }
+	],
+	moodboards: [{ model: 'moodboards', path: 'parentMoodboard', onDelete: 'detach' }],
+	leads: [
+		{ model: 'clients', path: 'leadSource', onDelete: 'detach' },
+		{ model: 'projects', path: 'leadSource', onDelete: 'detach' },
+		{ model: 'estimates', path: 'lead', onDelete: 'detach' },
+		{ model: 'appointments', path: 'lead', onDelete: 'detach' }
+	]
+};
+
+const MAX_LISTED_DEPENDENTS = 5;
+
+// Relation rules apply to every record of the workspace, including those hidden from the user by record-level access rules
+const unrestricted = { skipRecordAccess: true };
+
+class IntegrityService {
+	getRelations(modelName) {
+		return relations[modelName] || [];
+	}
+
+	// Relations in which documents of modelName are the dependents
+	getParentRelations(modelName) {
+		return Object.entries(relations).flatMap(([parent, rules]) =>
+			rules.filter((rule) => rule.model === modelName).map((rule) => ({ ...rule, parent }))
+		);
+	}
+
+	async assertNoBlockingDependents(modelName, id) {
+		const blocking = [];
+
+		for (const rule of this.getRelations(modelName).filter((relation) => relation.onDelete === 'block')) {
+			const Dependent = mongoose.model(rule.model);
+			const count = await Dependent.countDocuments({ [rule.path]: id }).setOptions(unrestricted);
+			if (count) {
+				const examples = await Dependent.find({ [rule.path]: id }).setOptions(unrestricted).select(rule.label).limit(MAX_LISTED_DEPENDENTS);
+				const names = examples.map((doc) => doc.get(rule.label)).join(', ');
+				blocking.push(`${count} ${rule.model} (${names}${count > MAX_LISTED_DEPENDENTS ? ', ...' : ''})`);
+			}
+		}
+
+		if (blocking.length) {
+			throw new APIError(`Cannot delete while it has dependent records: ${blocking.join('; ')}`, httpStatus.CONFLICT);
+		}
+	}
+
+	// Soft deletes a document after applying its block and cascade rules
+	async deleteWithRules(modelName, id, userId) {
+		const Model = mongoose.model(modelName);
+		if (!(await Model.exists({ _id: id }))) {
+			return null;
+		}
+
+		await this.assertNoBlockingDependents(modelName, id);
+
+		const deletedAt = new Date();
+		for (const rule of this.getRelations(modelName)) {
+			const Dependent = mongoose.model(rule.model);
+			if (rule.onDelete === 'cascade') {
+				await Dependent.updateMany({ [rule.path]: id }, { $set: { deletedAt, deletedBy: userId } }).setOptions(unrestricted);
+			}
+		}
+
+		return await Model.softDeleteById(id, userId, deletedAt);
+	}
+
+	// Applies the detach rules to documents that are about to be deleted for good, including dependents in the trash
+	async detachDependents(modelName, ids) {
+		const options = { ...unrestricted, withDeleted: true };
+		for (const rule of this.getRelations(modelName).filter((relation) => relation.onDelete === 'detach')) {
+			const Dependent = mongoose.model(rule.model);
+			const isArray = Dependent.schema.path(rule.path).instance === 'Array';
+			const update = isArray ? { $pull: { [rule.path]: { $in: ids } } } : { $unset: { [rule.path]: 1 } };
+			await Dependent.updateMany({ [rule.path]: { $in: ids } }, update).setOptions(options);
+		}
+	}
+
+	// Points every dependent of the merged documents at the document they were merged into, including dependents in
+	// the trash so they can still be restored. Returns the number of documents changed per dependent model.
+	async reassignDependents(modelName, fromIds, toId) {
+		const options = { ...unrestricted, withDeleted: true };
+		const reassigned = {};
+		for (const rule of this.getRelations(modelName)) {
+			const Dependent = mongoose.model(rule.model);
+			const filter = { [rule.path]: { $in: fromIds } };
+			let result;
+			if (Dependent.schema.path(rule.path).instance === 'Array') {
+				result = await Dependent.updateMany(filter, { $addToSet: { [rule.path]: toId } }).setOptions(options);
+				await Dependent.updateMany(filter, { $pull: { [rule.path]: { $in: fromIds } } }).setOptions(options);
+			} else {
+				result = await Dependent.updateMany(filter, { $set: { [rule.path]: toId } }).setOptions(options);
+			}
+			reassigned[rule.model] = (reassigned[rule.model] || 0) + result.matchedCount;
+		}
+		return reassigned;
+	}
+
+	// Restores a document from the trash together with the dependents cascaded with it.
+	// Documents whose required parent is still in the trash cannot be restored on their own.
+	async restoreWithRules(modelName, id) {
+		const Model = mongoose.model(modelName);
+		const doc = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+		if (!doc) {
+			return null;
+		}
+
+		for (const rule of this.getParentRelations(modelName).filter((relation) => relation.onDelete !== 'detach')) {
+			const parentId = doc.get(rule.path);
+			if (parentId && !(await mongoose.model(rule.parent).exists({ _id: parentId }).setOptions(unrestricted))) {
+				throw new APIError(`Restore the referenced ${rule.path} first`, httpStatus.CONFLICT);
+			}
+		}
+
+		for (const rule of this.getRelations(modelName).filter((relation) => relation.onDelete === 'cascade')) {
+			await mongoose
+				.model(rule.model)
+				.updateMany({ [rule.path]: id, deletedAt: doc.deletedAt }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } })
+				.setOptions(unrestricted);
+		}
+
+		return await Model.restoreById(id);
+	}
+}
+
+export default new IntegrityService();
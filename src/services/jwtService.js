@@ -3,9 +3,10 @@ import jwt from 'jsonwebtoken';
 import moment from 'moment';
 import APIError from '~/utils/apiError';
 
-export const sign = async (userId, expires, secret, options) => {
+export const sign = async (userId, expires, secret, options, claims = {}) => {
 	try {
 		const payload = {
+			...claims,
 			sub: userId,
 			iat: moment().unix(),
 			exp: expires.unix()
@@ -0,0 +1,255 @@
+import mongoose from 'mongoose';
+import _ from 'lodash';
+import LeadScoring from '~/models/leadScoringModel';
+import Appointment from '~/models/appointmentModel';
+import Estimate from '~/models/estimateModel';
+import schedulerService from '~/services/schedulerService';
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+// Lead fields that field rules can score
+const SCORED_FIELDS = ['budget', 'projectType', 'projectSize', 'source', 'preferredContactMethod', 'preferredContactTime', 'company', 'email', 'phone', 'location', 'tags'];
+
+// Rules of workspaces that have not set their own. Every matching rule counts, so a budget of 100,000 scores both
+// budget rules.
+const DEFAULT_RULES = {
+	fieldRules: [
+		{ field: 'budget', operator: 'gte', value: 100000, points: 15, label: 'Budget of 100,000 or more' },
+		{ field: 'budget', operator: 'gte', value: 25000, points: 10, label: 'Budget of 25,000 or more' },
+		{ field: 'projectType', operator: 'in', value: ['commercial', 'hospitality', 'retail', 'office'], points: 10 },
+		{ field: 'projectSize', operator: 'in', value: ['large', 'extra-large'], points: 10 },
+		{ field: 'projectSize', operator: 'eq', value: 'medium', points: 5 },
+		{ field: 'source', operator: 'eq', value: 'referral', points: 15 },
+		{ field: 'source', operator: 'eq', value: 'website', points: 5 },
+		{ field: 'company', operator: 'exists', value: true, points: 5 }
+	],
+	recency: [
+		{ withinDays: 7, points: 20 },
+		{ withinDays: 30, points: 10 },
+		{ withinDays: 90, points: 3 }
+	],
+	engagement: [
+		{ event: 'note', points: 2, maxPoints: 10 },
+		{ event: 'follow_up', points: 3, maxPoints: 15 },
+		{ event: 'appointment', points: 10, maxPoints: 20 },
+		{ event: 'estimate_viewed', points: 10, maxPoints: 10 },
+		{ event: 'estimate_accepted', points: 20, maxPoints: 20 }
+	]
+};
+
+const EVENT_NAMES = {
+	note: 'note',
+	follow_up: 'follow-up',
+	appointment: 'appointment',
+	estimate_viewed: 'viewed estimate',
+	estimate_accepted: 'accepted estimate'
+};
+
+// Notes written by the app rather than by the team, which are not contact with the lead
+const AUTOMATIC_NOTE = /^(Lead information updated|Status changed to |Merged with duplicate |Follow-up sent via )/;
+const FOLLOW_UP_NOTE = /^Follow-up sent via /;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length);
+
+// Array fields such as tags match when any of their values matches
+const matchesRule = (rule, value) => {
+	const values = Array.isArray(value) ? value : [value];
+	switch (rule.operator) {
+		case 'exists':
+			return isSet(value) === (rule.value !== false);
+		case 'in':
+			return values.some((item) => [].concat(rule.value).includes(item));
+		case 'gte':
+			return values.some((item) => typeof item === 'number' && item >= rule.value);
+		case 'lte':
+			return values.some((item) => typeof item === 'number' && item <= rule.value);
+		default:
+			return values.includes(rule.value);
+	}
+};
+
+const describeRule = (rule) => {
+	if (rule.label) {
+		return rule.label;
+	}
+	switch (rule.operator) {
+		case 'exists':
+			return rule.value === false ? `No ${rule.field}` : `Has ${rule.field}`;
+		case 'in':
+			return `${rule.field} is one of ${[].concat(rule.value).join(', ')}`;
+		case 'gte':
+			return `${rule.field} of ${rule.value} or more`;
+		case 'lte':
+			return `${rule.field} of ${rule.value} or less`;
+		default:
+			return `${rule.field} is ${rule.value}`;
+	}
+};
+
+const plural = (count, name) => `${count} ${name}${count === 1 ? '' : 's'}`;
+
+class LeadScoringService {
+	getDefaultRules() {
+		return DEFAULT_RULES;
+	}
+
+	async getRules(workspaceId) {
+		const rules = await LeadScoring.getByWorkspace(workspaceId);
+		return rules || DEFAULT_RULES;
+	}
+
+	async updateRules(workspaceId, rules, userId) {
+		const saved = await LeadScoring.saveRules(workspaceId, rules, userId);
+		await this.queueRescore(workspaceId);
+		return saved;
+	}
+
+	// Back to the default rules
+	async resetRules(workspaceId) {
+		await LeadScoring.deleteOne({ workspace: workspaceId });
+		await this.queueRescore(workspaceId);
+		return DEFAULT_RULES;
+	}
+
+	async queueRescore(workspaceId) {
+		await schedulerService.schedule('score-workspace-leads', new Date(), { workspaceId: workspaceId.toString() });
+	}
+
+	// Engagement events of each lead by lead id. Notes are read from the leads; appointments and estimates are counted
+	// with one query per kind for the whole batch, whoever can see them, so the score does not depend on who saved the lead.
+	async getEngagement(leads) {
+		const ids = leads.filter((lead) => !lead.isNew).map((lead) => lead._id);
+		const [appointments, estimates] = ids.length
+			? await Promise.all([
+					Appointment.aggregate([
+						{ $match: { lead: { $in: ids }, status: { $nin: ['cancelled', 'no_show'] } } },
+						{ $group: { _id: '$lead', count: { $sum: 1 } } }
+					]),
+					Estimate.aggregate([
+						{ $match: { lead: { $in: ids } } },
+						{
+							$group: {
+								_id: '$lead',
+								viewed: { $sum: { $cond: [{ $ifNull: ['$viewedAt', false] }, 1, 0] } },
+								accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } }
+							}
+						}
+					]).option({ skipRecordAccess: true })
+			  ])
+			: [[], []];
+
+		return new Map(
+			leads.map((lead) => {
+				const notes = lead.notes || [];
+				const appointment = appointments.find((item) => item._id.equals(lead._id));
+				const estimate = estimates.find((item) => item._id.equals(lead._id));
+				return [
+					lead._id.toString(),
+					{
+						note: notes.filter((note) => !AUTOMATIC_NOTE.test(note.content)).length,
+						follow_up: notes.filter((note) => FOLLOW_UP_NOTE.test(note.content)).length,
+						appointment: appointment ? appointment.count : 0,
+						estimate_viewed: estimate ? estimate.viewed : 0,
+						estimate_accepted: estimate ? estimate.accepted : 0
+					}
+				];
+			})
+		);
+	}
+
+	// The score of a lead and each contribution to it. Scores do not go below zero.
+	calculate(lead, rules, engagement, now = new Date()) {
+		const breakdown = [];
+
+		(rules.fieldRules || []).forEach((rule) => {
+			if (matchesRule(rule, _.get(lead, rule.field))) {
+				breakdown.push({ type: 'field', description: describeRule(rule), points: rule.points });
+			}
+		});
+
+		if (lead.lastContactDate) {
+			const days = Math.max(0, Math.floor((now - new Date(lead.lastContactDate)) / DAY));
+			const window = _.sortBy(rules.recency || [], 'withinDays').find((item) => days <= item.withinDays);
+			if (window) {
+				breakdown.push({ type: 'recency', description: `Last contact ${plural(days, 'day')} ago, within ${window.withinDays}`, points: window.points });
+			}
+		}
+
+		(rules.engagement || []).forEach((rule) => {
+			const count = engagement[rule.event] || 0;
+			if (count) {
+				const uncapped = count * rule.points;
+				const points = isSet(rule.maxPoints) ? Math.min(uncapped, rule.maxPoints) : uncapped;
+				const capped = points !== uncapped ? `, capped at ${rule.maxPoints}` : '';
+				breakdown.push({ type: 'engagement', description: `${plural(count, EVENT_NAMES[rule.event])} × ${rule.points}${capped}`, points });
+			}
+		});
+
+		return {
+			score: Math.max(0, _.sumBy(breakdown, 'points')),
+			breakdown
+		};
+	}
+
+	// Sets the score of a lead document before it is saved
+	async applyScore(lead) {
+		const [rules, engagement] = await Promise.all([this.getRules(lead.workspace), this.getEngagement([lead])]);
+		const { score, breakdown } = this.calculate(lead, rules, engagement.get(lead._id.toString()));
+		lead.score = score;
+		lead.scoreBreakdown = breakdown;
+		lead.scoredAt = new Date();
+	}
+
+	// Recalculates stored scores, which change without the lead being saved as contact gets older and appointments and
+	// estimates are added. Only changed scores are written, without touching updatedAt.
+	async rescoreLeads(workspaceId) {
+		const Lead = mongoose.model('leads');
+		const filter = workspaceId ? { workspace: workspaceId, erasedAt: null } : { erasedAt: null };
+		const cursor = Lead.find(filter)
+			.select(['workspace', 'notes', 'lastContactDate', 'score', 'scoreBreakdown', ...SCORED_FIELDS])
+			.lean()
+			.cursor();
+		const rulesByWorkspace = new Map();
+		let updated = 0;
+
+		const scoreBatch = async (leads) => {
+			const engagement = await this.getEngagement(leads);
+			const operations = [];
+			for (const lead of leads) {
+				const key = lead.workspace.toString();
+				if (!rulesByWorkspace.has(key)) {
+					rulesByWorkspace.set(key, await this.getRules(lead.workspace));
+				}
+				const { score, breakdown } = this.calculate(lead, rulesByWorkspace.get(key), engagement.get(lead._id.toString()));
+				if (score !== lead.score || !_.isEqual(breakdown, lead.scoreBreakdown)) {
+					operations.push({ updateOne: { filter: { _id: lead._id }, update: { $set: { score, scoreBreakdown: breakdown, scoredAt: new Date() } }, timestamps: false } });
+				}
+			}
+			if (operations.length) {
+				await Lead.bulkWrite(operations, { ordered: false });
+				updated += operations.length;
+			}
+		};
+
+		let batch = [];
+		try {
+			for await (const lead of cursor) {
+				batch.push(lead);
+				if (batch.length === BATCH_SIZE) {
+					await scoreBatch(batch);
+					batch = [];
+				}
+			}
+			if (batch.length) {
+				await scoreBatch(batch);
+			}
+		} finally {
+			await cursor.close();
+		}
+
+		return updated;
+	}
+}
+
+export default new LeadScoringService();
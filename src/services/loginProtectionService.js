@@ -0,0 +1,132 @@
+import httpStatus from 'http-status';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import APIError from '~/utils/apiError';
+import LoginAttempt from '~/models/loginAttemptModel';
+import { sendAccountLockedEmail } from './emailService';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Lockout history is forgotten a day after the last failure or lockout
+const RETENTION = DAY;
+const MAX_LOCKOUT = DAY;
+
+// Wait before the next attempt after `failures` failures: none for the first two, then 2s, 4s, 8s...
+const progressiveDelay = (failures) => (failures < 3 ? 0 : 1000 * 2 ** (failures - 2));
+
+const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+const tooManyRequests = (message, status, until) => {
+	const error = new APIError(message, status);
+	error.retryAfter = retryAfterSeconds(until);
+	return error;
+};
+
+class LoginProtectionService {
+	// Sign-in failures lock the account and the IP; password reset requests are only rate limited
+	getPolicy(action) {
+		if (action === 'signin') {
+			return {
+				accountLimit: config.LOGIN_MAX_FAILED_ATTEMPTS,
+				ipLimit: config.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP,
+				lockoutMs: config.LOGIN_LOCKOUT_MINUTES * MINUTE,
+				maxLockoutMs: MAX_LOCKOUT,
+				delay: true
+			};
+		}
+		return {
+			accountLimit: config.LOGIN_MAX_FAILED_ATTEMPTS,
+			ipLimit: config.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP,
+			lockoutMs: config.LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE,
+			maxLockoutMs: config.LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE,
+			delay: false
+		};
+	}
+
+	// Throws while the account or IP is locked out or has to wait before trying again
+	async assertAllowed(action, identifier, ip) {
+		const policy = this.getPolicy(action);
+		const now = new Date();
+
+		const [account, address] = await Promise.all([
+			LoginAttempt.getAttempt(action, 'account', identifier.toLowerCase()),
+			LoginAttempt.getAttempt(action, 'ip', ip)
+		]);
+
+		if (address && address.lockedUntil > now) {
+			throw tooManyRequests('Too many attempts from this network, please try again later', httpStatus.TOO_MANY_REQUESTS, address.lockedUntil);
+		}
+		if (account && account.lockedUntil > now) {
+			throw tooManyRequests(
+				action === 'signin' ? 'Account is temporarily locked after too many failed sign-in attempts' : 'Too many requests for this account, please try again later',
+				action === 'signin' ? httpStatus.LOCKED : httpStatus.TOO_MANY_REQUESTS,
+				account.lockedUntil
+			);
+		}
+		if (policy.delay && account && account.lastFailureAt) {
+			const nextAttemptAt = new Date(account.lastFailureAt.getTime() + progressiveDelay(account.failures));
+			if (nextAttemptAt > now) {
+				throw tooManyRequests('Too many failed attempts, please wait before trying again', httpStatus.TOO_MANY_REQUESTS, nextAttemptAt);
+			}
+		}
+	}
+
+	// `user` is the account behind the identifier, if there is one; its owner is emailed when it gets locked
+	async recordFailure(action, identifier, ip, user = null) {
+		const policy = this.getPolicy(action);
+		const windowMs = config.LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE;
+
+		const [account, address] = await Promise.all([
+			LoginAttempt.recordFailure(action, 'account', identifier.toLowerCase(), { windowMs, retentionMs: RETENTION }),
+			LoginAttempt.recordFailure(action, 'ip', ip, { windowMs, retentionMs: RETENTION })
+		]);
+
+		if (address.failures >= policy.ipLimit) {
+			const locked = await LoginAttempt.lock(address._id, policy.lockoutMs, policy.maxLockoutMs, RETENTION);
+			if (locked) {
+				logger.warn(`Locked ${action} from IP ${ip} until ${locked.lockedUntil.toISOString()}`);
+			}
+		}
+
+		if (account.failures >= policy.accountLimit) {
+			const locked = await LoginAttempt.lock(account._id, policy.lockoutMs, policy.maxLockoutMs, RETENTION);
+			if (locked && action === 'signin') {
+				logger.warn(`Locked account ${identifier} until ${locked.lockedUntil.toISOString()}`);
+				if (user) {
+					await this.notifyLocked(user, locked.lockedUntil, ip);
+				}
+			}
+		}
+	}
+
+	async recordSuccess(action, identifier) {
+		await LoginAttempt.clear(action, 'account', identifier.toLowerCase());
+	}
+
+	async notifyLocked(user, lockedUntil, ip) {
+		try {
+			await sendAccountLockedEmail(user, lockedUntil, ip);
+		} catch (error) {
+			logger.error(`Failed to send lockout email to user ${user.id}:`, error);
+		}
+	}
+
+	async getStatus(user) {
+		const attempt = await LoginAttempt.getAttempt('signin', 'account', user.userName.toLowerCase());
+		const locked = !!(attempt && attempt.lockedUntil > new Date());
+		return {
+			locked,
+			lockedUntil: locked ? attempt.lockedUntil : null,
+			failedAttempts: attempt ? attempt.failures : 0,
+			lockouts: attempt ? attempt.lockouts : 0
+		};
+	}
+
+	async unlock(user) {
+		await LoginAttempt.clear('signin', 'account', user.userName.toLowerCase());
+		await LoginAttempt.clear('forgot-password', 'account', user.email.toLowerCase());
+	}
+}
+
+export default new LoginProtectionService();
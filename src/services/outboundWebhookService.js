@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import _ from 'lodash';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import WebhookEndpoint from '~/models/webhookEndpointModel';
+import WebhookDelivery from '~/models/webhookDeliveryModel';
+import schedulerService from './schedulerService';
+
+const DELIVER_JOB = 'deliver-webhook';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Wait before the next attempt after `attempts` failed ones: 1, 2, 4, 8... minutes
+const retryDelay = (attempts) => 2 ** (attempts - 1) * MINUTE;
+
+// Loopback, private, link-local and other non-public addresses. IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const privateAddresses = new net.BlockList();
+[
+	['0.0.0.0', 8],
+	['10.0.0.0', 8],
+	['100.64.0.0', 10],
+	['127.0.0.0', 8],
+	['169.254.0.0', 16],
+	['172.16.0.0', 12],
+	['192.168.0.0', 16],
+	['224.0.0.0', 4],
+	['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+	['::', 127],
+	['fc00::', 7],
+	['fe80::', 10],
+	['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// The endpoint URL is checked when it is saved, but its host can later resolve to another address
+const assertPublicHost = async (url) => {
+	if (config.NODE_ENV !== 'production') {
+		return;
+	}
+	const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+	const addresses = await dns.promises.lookup(hostname, { all: true });
+	const blocked = addresses.find(({ address, family }) => privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+	if (blocked) {
+		throw new Error(`${hostname} resolves to the non-public address ${blocked.address}`);
+	}
+};
+
+// Workspace events derived from changes to business records; each returns the event payload or nothing
+const entityEvents = {
+	lead: (action, before, after) =>
+		action === 'create' && {
+			event: 'lead.created',
+			data: {
+				lead: {
+					id: after._id,
+					..._.pick(after, ['firstName', 'lastName', 'email', 'phone', 'company', 'projectType', 'projectSize', 'budget', 'location', 'status', 'priority', 'source', 'assignedTo', 'tags', 'createdAt'])
+				}
+			}
+		},
+	estimate: (action, before, after) =>
+		action === 'status_change' &&
+		after.status === 'accepted' && {
+			event: 'estimate.accepted',
+			data: {
+				estimate: {
+					id: after._id,
+					..._.pick(after, ['title', 'client', 'project', 'lead', 'status', 'version', 'pricing', 'respondedAt', 'clientResponse'])
+				}
+			}
+		},
+	project: (action, before, after) =>
+		action === 'status_change' && {
+			event: 'project.status_changed',
+			data: {
+				project: { id: after._id, ..._.pick(after, ['name', 'client', 'status', 'priority', 'progress']) },
+				previousStatus: before.status
+			}
+		},
+	invoice: (action, before, after) =>
+		before &&
+		after &&
+		after.payments.length > before.payments.length && {
+			event: 'payment.received',
+			data: {
+				invoice: {
+					id: after._id,
+					..._.pick(after, ['invoiceNumber', 'client', 'project', 'status', 'amountPaid']),
+					totalAmount: after.pricing.totalAmount,
+					currency: after.pricing.currency
+				},
+				payments: after.payments.slice(before.payments.length).map((payment) => _.pick(payment, ['amount', 'method', 'reference', 'paidAt']))
+			}
+		}
+};
+
+class OutboundWebhookService {
+	// Queues the event for every enabled endpoint of the workspace subscribed to it.
+	// Never throws: failing to queue a webhook must not fail the change that triggered it.
+	async publish(workspaceId, event, data) {
+		try {
+			const endpoints = await WebhookEndpoint.getSubscribedEndpoints(workspaceId, event);
+			const eventId = crypto.randomUUID();
+			for (const endpoint of endpoints) {
+				await this.queueDelivery(endpoint, { eventId, event, payload: data });
+			}
+		} catch (error) {
+			logger.error(`Failed to publish ${event} webhooks for workspace ${workspaceId}:`, error);
+		}
+	}
+
+	// Called by the audit plugin for every recorded change
+	async publishEntityChange(entityType, action, before, after) {
+		const toEvent = entityEvents[entityType];
+		const outbound = toEvent && after && toEvent(action, before, after);
+		if (outbound) {
+			await this.publish(after.workspace, outbound.event, outbound.data);
+		}
+	}
+
+	async queueDelivery(endpoint, { eventId, event, payload, redeliveryOf, requestedBy }) {
+		const delivery = await WebhookDelivery.create({
+			workspace: endpoint.workspace,
+			endpoint: endpoint._id,
+			eventId,
+			event,
+			payload,
+			redeliveryOf,
+			requestedBy,
+			nextAttemptAt: new Date(),
+			expiresAt: new Date(Date.now() + config.WEBHOOK_DELIVERY_RETENTION_DAYS * DAY)
+		});
+		await schedulerService.schedule(DELIVER_JOB, delivery.nextAttemptAt, { deliveryId: delivery.id });
+		return delivery;
+	}
+
+	// Sends the event again as a new delivery with the same event id
+	async redeliver(delivery, requestedBy) {
+		const endpoint = await WebhookEndpoint.getEndpointById(delivery.endpoint);
+		return await this.queueDelivery(endpoint, {
+			eventId: delivery.eventId,
+			event: delivery.event,
+			payload: delivery.payload,
+			redeliveryOf: delivery._id,
+			requestedBy
+		});
+	}
+
+	// A test event that only goes to the given endpoint
+	async ping(endpoint, requestedBy) {
+		return await this.queueDelivery(endpoint, {
+			eventId: crypto.randomUUID(),
+			event: 'ping',
+			payload: { endpoint: { id: endpoint._id, url: endpoint.url } },
+			requestedBy
+		});
+	}
+
+	// Stripe-style signature over the timestamp and the raw body, so receivers can also reject replays
+	sign(secret, timestamp, body) {
+		const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+		return `t=${timestamp},v1=${signature}`;
+	}
+
+	// Job handler: makes one attempt and schedules the next one while attempts are left
+	async deliver(deliveryId) {
+		const delivery = await WebhookDelivery.findById(deliveryId);
+		if (!delivery || delivery.status !== 'pending') {
+			return;
+		}
+
+		const endpoint = await WebhookEndpoint.findById(delivery.endpoint);
+		const attemptedAt = new Date();
+		let attempt;
+
+		if (!endpoint || !endpoint.enabled) {
+			attempt = { attemptedAt, error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted' };
+			await WebhookDelivery.recordAttempt(delivery._id, attempt, false, null);
+			return;
+		}
+
+		const body = JSON.stringify({ id: delivery.eventId, event: delivery.event, createdAt: delivery.createdAt, data: delivery.payload });
+		try {
+			await assertPublicHost(endpoint.url);
+			const response = await fetch(endpoint.url, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'User-Agent': 'Dorwel-Webhooks/1.0',
+					'X-Dorwel-Event': delivery.event,
+					'X-Dorwel-Delivery': delivery.id,
+					'X-Dorwel-Signature': this.sign(endpoint.secret, Math.floor(attemptedAt.getTime() / 1000), body)
+				},
+				body,
+				redirect: 'manual',
+				signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+			});
+			const responseBody = await response.text().catch(() => '');
+			attempt = { attemptedAt, statusCode: response.status, responseBody: responseBody.slice(0, RESPONSE_BODY_LIMIT) };
+		} catch (error) {
+			attempt = { attemptedAt, error: error.name === 'TimeoutError' ? `Timed out after ${config.WEBHOOK_TIMEOUT_MS}ms` : error.message };
+		}
+		attempt.durationMs = Date.now() - attemptedAt.getTime();
+
+		const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+		const attempts = delivery.attempts.length + 1;
+		const nextAttemptAt = !succeeded && attempts < config.WEBHOOK_MAX_ATTEMPTS ? new Date(Date.now() + retryDelay(attempts)) : null;
+
+		await WebhookDelivery.recordAttempt(delivery._id, attempt, succeeded, nextAttemptAt);
+		await WebhookEndpoint.recordDeliveryResult(endpoint._id, succeeded);
+
+		if (nextAttemptAt) {
+			await schedulerService.schedule(DELIVER_JOB, nextAttemptAt, { deliveryId: delivery.id });
+		} else if (!succeeded) {
+			logger.warn(`Webhook delivery ${delivery.id} to ${endpoint.url} failed after ${attempts} attempt(s)`);
+		}
+	}
+}
+
+export default new OutboundWebhookService();
@@ -34,7 +34,8 @@ class PDFService {
 			});
 
 			// Pipe the PDF to a file
-			doc.pipe(fs.createWriteStream(filepath));
+			const stream = fs.createWriteStream(filepath);
+			doc.pipe(stream);
 
 			// Header
 			this.addHeader(doc, estimate);
@@ -57,11 +58,17 @@ class PDFService {
 			// Footer
 			this.addFooter(doc, estimate);
 
+			// Client signature
+			if (estimate.signature?.signedAt) {
+				this.addSignature(doc, estimate);
+			}
+
 			// Finalize the PDF
 			doc.end();
 
 			return new Promise((resolve, reject) => {
-				doc.on('end', () => {
+				// Wait for the file to be flushed so the reported size is accurate
+				stream.on('finish', () => {
 					logger.info(`Estimate PDF generated: ${filepath}`);
 					resolve({
 						filename,
@@ -71,6 +78,7 @@ class PDFService {
 					});
 				});
 
+				stream.on('error', reject);
 				doc.on('error', (error) => {
 					logger.error('PDF generation error:', error);
 					reject(error);
@@ -146,6 +154,67 @@ class PDFService {
 		}
 	}
 
+	async generateInvoicePDF(invoice) {
+		try {
+			const filename = `invoice_${invoice.invoiceNumber}_${Date.now()}.pdf`;
+			const filepath = path.join(config.PDF_STORAGE_PATH, filename);
+			const publicUrl = `${config.PDF_PUBLIC_URL}/${filename}`;
+
+			const doc = new PDFDocument({
+				size: 'A4',
+				margin: 50,
+				info: {
+					Title: `Invoice - ${invoice.invoiceNumber}`,
+					Author: 'DesignFlow Studio',
+					Subject: 'Interior Design Invoice',
+					Keywords: 'interior design, invoice, billing'
+				}
+			});
+
+			// Resolve once the file is fully written so the reported size is accurate
+			const stream = fs.createWriteStream(filepath);
+			doc.pipe(stream);
+
+			// Header
+			this.addInvoiceHeader(doc, invoice);
+
+			// Bill To
+			this.addInvoiceClientInfo(doc, invoice);
+
+			// Invoice Items
+			this.addInvoiceItems(doc, invoice);
+
+			// Amount Summary
+			this.addInvoiceSummary(doc, invoice);
+
+			// Footer
+			this.addFooter(doc, invoice);
+
+			doc.end();
+
+			return new Promise((resolve, reject) => {
+				stream.on('finish', () => {
+					logger.info(`Invoice PDF generated: ${filepath}`);
+					resolve({
+						filename,
+						filepath,
+						publicUrl,
+						size: fs.statSync(filepath).size
+					});
+				});
+
+				stream.on('error', reject);
+				doc.on('error', (error) => {
+					logger.error('PDF generation error:', error);
+					reject(error);
+				});
+			});
+		} catch (error) {
+			logger.error('Invoice PDF generation failed:', error);
+			throw new Error(`Failed to generate invoice PDF: ${error.message}`);
+		}
+	}
+
 	addHeader(doc, estimate) {
 		// Company Logo/Title
 		doc.fontSize(24)
@@ -308,6 +377,172 @@ class PDFService {
 		}
 	}
 
+	addSignature(doc, estimate) {
+		const { signature } = estimate;
+
+		doc.addPage();
+
+		doc.fontSize(16)
+			.fillColor('#2c3e50')
+			.text(signature.decision === 'accepted' ? 'Client Acceptance' : 'Client Rejection', 50, 50);
+
+		doc.fontSize(10)
+			.fillColor('#34495e')
+			.text(`The client ${signature.decision} this estimate (version ${estimate.version}) electronically.`, 50, 80);
+
+		if (signature.method === 'drawn') {
+			try {
+				const image = Buffer.from(signature.value.split(',').pop(), 'base64');
+				doc.image(image, 50, 110, { fit: [250, 80] });
+			} catch (error) {
+				logger.warn(`Unable to render drawn signature for estimate ${estimate._id}: ${error.message}`);
+			}
+		} else {
+			doc.font('Times-Italic')
+				.fontSize(28)
+				.fillColor('#2c3e50')
+				.text(signature.value, 50, 130)
+				.font('Helvetica');
+		}
+
+		doc.moveTo(50, 195)
+			.lineTo(300, 195)
+			.stroke('#2c3e50');
+
+		doc.fontSize(10)
+			.fillColor('#34495e')
+			.text(`Name: ${signature.name}`, 50, 205)
+			.text(`Signed: ${new Date(signature.signedAt).toUTCString()}`, 50, 220)
+			.text(`IP address: ${signature.ipAddress || 'Unknown'}`, 50, 235);
+
+		if (estimate.clientResponse?.comments) {
+			doc.text(`Comments: ${estimate.clientResponse.comments}`, 50, 260, { width: 500 });
+		}
+
+		this.addFooter(doc, estimate);
+	}
+
+	formatCurrency(amount, currency) {
+		return new Intl.NumberFormat('en-US', {
+			style: 'currency',
+			currency: currency || 'USD'
+		}).format(amount || 0);
+	}
+
+	addInvoiceHeader(doc, invoice) {
+		doc.fontSize(24)
+			.fillColor('#2c3e50')
+			.text('DesignFlow Studio', 50, 50);
+
+		doc.fontSize(12)
+			.fillColor('#7f8c8d')
+			.text('Interior Design & Project Management', 50, 80);
+
+		doc.fontSize(18)
+			.fillColor('#34495e')
+			.text(`Invoice ${invoice.invoiceNumber}`, 50, 120);
+
+		doc.fontSize(10)
+			.fillColor('#7f8c8d')
+			.text(`Issued: ${new Date(invoice.issueDate || invoice.createdAt).toLocaleDateString()}`, 50, 150)
+			.text(`Due: ${new Date(invoice.dueDate).toLocaleDateString()}`, 200, 150)
+			.text(`Status: ${invoice.status.toUpperCase()}`, 350, 150);
+
+		doc.moveTo(50, 170)
+			.lineTo(550, 170)
+			.stroke('#bdc3c7');
+	}
+
+	addInvoiceClientInfo(doc, invoice) {
+		doc.fontSize(14)
+			.fillColor('#2c3e50')
+			.text('Bill To', 50, 200);
+
+		doc.fontSize(10).fillColor('#34495e');
+
+		// Invoices of erased clients keep the copy taken at erasure
+		if (invoice.billTo && invoice.billTo.name) {
+			doc.text(invoice.billTo.name, 50, 230);
+			[invoice.billTo.company, invoice.billTo.address].filter(Boolean).forEach((line, index) => doc.text(line, 50, 250 + index * 20, { width: 230 }));
+		} else {
+			doc.text(`${invoice.client.firstName} ${invoice.client.lastName}`, 50, 230)
+				.text(invoice.client.email, 50, 250)
+				.text(invoice.client.phone, 50, 270);
+
+			if (invoice.client.company) {
+				doc.text(invoice.client.company, 50, 290);
+			}
+		}
+
+		if (invoice.estimate) {
+			doc.text(`Estimate: ${invoice.estimate.title} (v${invoice.estimate.version})`, 300, 230, { width: 250 });
+		}
+
+		if (invoice.project) {
+			doc.text(`Project: ${invoice.project.name}`, 300, 250, { width: 250 });
+		}
+	}
+
+	addInvoiceItems(doc, invoice) {
+		const currency = invoice.pricing.currency;
+		let currentY = 330;
+
+		doc.fontSize(10)
+			.fillColor('#ffffff')
+			.rect(50, currentY, 500, 25)
+			.fill('#34495e');
+
+		doc.text('Description', 55, currentY + 8);
+		doc.text('Qty', 330, currentY + 8);
+		doc.text('Unit Price', 380, currentY + 8);
+		doc.text('Amount', 470, currentY + 8);
+
+		currentY += 25;
+
+		invoice.items.forEach((item, index) => {
+			const bgColor = index % 2 === 0 ? '#f8f9fa' : '#ffffff';
+
+			doc.fillColor(bgColor)
+				.rect(50, currentY, 500, 30)
+				.fill();
+
+			doc.fillColor('#2c3e50')
+				.fontSize(9)
+				.text(item.description, 55, currentY + 8, { width: 270 })
+				.text(item.quantity.toString(), 330, currentY + 8)
+				.text(this.formatCurrency(item.unitPrice, currency), 380, currentY + 8)
+				.text(this.formatCurrency(item.amount, currency), 470, currentY + 8);
+
+			currentY += 30;
+		});
+
+		doc.y = currentY + 20;
+	}
+
+	addInvoiceSummary(doc, invoice) {
+		const { pricing } = invoice;
+		const startY = Math.max(doc.y, 550);
+		const rows = [['Subtotal:', pricing.subtotal]];
+
+		if (pricing.taxAmount > 0) {
+			rows.push(['Tax:', pricing.taxAmount]);
+		}
+		if (pricing.discountAmount > 0) {
+			rows.push(['Discount:', -pricing.discountAmount]);
+		}
+		rows.push(['Total:', pricing.totalAmount], ['Paid:', invoice.amountPaid], ['Balance Due:', invoice.balanceDue]);
+
+		doc.fontSize(10).fillColor('#34495e');
+		rows.forEach(([label, amount], index) => {
+			doc.text(label, 380, startY + index * 20)
+				.text(this.formatCurrency(amount, pricing.currency), 470, startY + index * 20);
+		});
+
+		doc.moveTo(380, startY + rows.length * 20 + 5)
+			.lineTo(550, startY + rows.length * 20 + 5)
+			.stroke('#2c3e50');
+	}
+
 	addProjectReportHeader(doc, project) {
 		doc.fontSize(24)
 			.fillColor('#2c3e50')
@@ -0,0 +1,144 @@
+import jwt from 'jsonwebtoken';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import ApiKey from '~/models/apiKeyModel';
+import Subscription from '~/models/subscriptionModel';
+import User from '~/models/userModel';
+import usageService from './usageService';
+
+// Requests per window by plan: the general limit is a multiple of RATE_LIMIT_MAX_REQUESTS per
+// RATE_LIMIT_WINDOW_MS; expensive routes have hourly buckets of their own.
+const PLAN_LIMITS = {
+	anonymous: { multiplier: 1, ai: 5, pdf: 10, messaging: 20 },
+	none: { multiplier: 1, ai: 5, pdf: 10, messaging: 20 },
+	basic: { multiplier: 3, ai: 20, pdf: 30, messaging: 50 },
+	professional: { multiplier: 10, ai: 100, pdf: 150, messaging: 250 },
+	enterprise: { multiplier: 30, ai: 500, pdf: 600, messaging: 1000 },
+	custom: { multiplier: 30, ai: 500, pdf: 600, messaging: 1000 }
+};
+
+// Plans change rarely; looking them up on every request would cost more than the limiting saves
+const PLAN_CACHE_TTL = 60 * 1000;
+const PLAN_CACHE_MAX_SIZE = 10000;
+
+class RateLimitService {
+	constructor() {
+		this.planCache = new Map();
+		this.apiKeyCache = new Map();
+	}
+
+	// Whether a presented API key exists and is active, cached like plans. Made-up keys must not get buckets of
+	// their own, or sending a new one with every request would get around the limit of the IP address.
+	async isActiveApiKey(apiKey, apiKeyHash) {
+		const cached = this.apiKeyCache.get(apiKeyHash);
+		if (cached && cached.expiresAt > Date.now()) {
+			return cached.active;
+		}
+
+		let active = false;
+		try {
+			active = !!(await ApiKey.getActiveKey(apiKey));
+		} catch (error) {
+			logger.error('Failed to look up API key for rate limiting:', error);
+		}
+
+		if (this.apiKeyCache.size >= PLAN_CACHE_MAX_SIZE) {
+			this.apiKeyCache.clear();
+		}
+		this.apiKeyCache.set(apiKeyHash, { active, expiresAt: Date.now() + PLAN_CACHE_TTL });
+		return active;
+	}
+
+	// The limiter runs before authentication, so the client is identified from the bearer token or API key without
+	// loading the user. Invalid tokens and unknown keys fall back to the IP address and are rejected later by
+	// authenticate().
+	async getClient(req) {
+		if (req.rateLimitClient) {
+			return req.rateLimitClient;
+		}
+
+		let client = { key: `ip:${req.ip}`, userId: null, apiKeyHash: null };
+		const header = req.get('Authorization');
+		const apiKey = req.get('X-API-Key');
+		const apiKeyHash = ApiKey.isApiKey(apiKey) && ApiKey.hashKey(apiKey);
+		if (apiKeyHash && (await this.isActiveApiKey(apiKey, apiKeyHash))) {
+			client = { key: `apikey:${apiKeyHash}`, userId: null, apiKeyHash };
+		} else if (header && header.startsWith('Bearer ')) {
+			try {
+				const payload = jwt.verify(header.slice(7), config.JWT_ACCESS_TOKEN_SECRET_PUBLIC, { algorithms: ['RS256'] });
+				client = { key: `user:${payload.sub}`, userId: payload.sub, apiKeyHash: null };
+			} catch (error) {
+				// Not a valid access token
+			}
+		}
+
+		req.rateLimitClient = client;
+		return client;
+	}
+
+	async getCachedPlanType(cacheKey, resolveSubscription) {
+		const cached = this.planCache.get(cacheKey);
+		if (cached && cached.expiresAt > Date.now()) {
+			return cached.planType;
+		}
+
+		let planType = 'none';
+		try {
+			const subscription = await resolveSubscription();
+			if (subscription && subscription.plan && PLAN_LIMITS[subscription.plan.planType]) {
+				planType = subscription.plan.planType;
+			}
+		} catch (error) {
+			logger.error('Failed to resolve plan for rate limiting:', error);
+		}
+
+		if (this.planCache.size >= PLAN_CACHE_MAX_SIZE) {
+			this.planCache.clear();
+		}
+		this.planCache.set(cacheKey, { planType, expiresAt: Date.now() + PLAN_CACHE_TTL });
+		return planType;
+	}
+
+	// Plan of the subscription paying for the user: their own, or the one of the workspace they work in
+	async getPlanType(userId) {
+		return await this.getCachedPlanType(`user:${userId}`, async () => {
+			const subscription = await Subscription.getUserActiveSubscription(userId);
+			if (subscription) {
+				return subscription;
+			}
+			const user = await User.findById(userId).select('teams');
+			const membership = user && user.teams.find((team) => team.status === 'active');
+			const ownerId = membership && (await usageService.getWorkspaceOwnerId(membership.team));
+			return ownerId && (await Subscription.getUserActiveSubscription(ownerId));
+		});
+	}
+
+	// API keys get the plan of their workspace
+	async getApiKeyPlanType(apiKeyHash) {
+		return await this.getCachedPlanType(`apikey:${apiKeyHash}`, async () => {
+			const apiKey = await ApiKey.findOne({ keyHash: apiKeyHash }).select('workspace');
+			const ownerId = apiKey && (await usageService.getWorkspaceOwnerId(apiKey.workspace));
+			return ownerId && (await Subscription.getUserActiveSubscription(ownerId));
+		});
+	}
+
+	async getLimits(req) {
+		const { userId, apiKeyHash } = await this.getClient(req);
+		if (apiKeyHash) {
+			return PLAN_LIMITS[await this.getApiKeyPlanType(apiKeyHash)];
+		}
+		return PLAN_LIMITS[userId ? await this.getPlanType(userId) : 'anonymous'];
+	}
+
+	async getRequestLimit(req) {
+		const limits = await this.getLimits(req);
+		return config.RATE_LIMIT_MAX_REQUESTS * limits.multiplier;
+	}
+
+	async getBucketLimit(req, bucket) {
+		const limits = await this.getLimits(req);
+		return limits[bucket];
+	}
+}
+
+export default new RateLimitService();
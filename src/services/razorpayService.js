@@ -4,13 +4,20 @@ import config from '~/config/config';
 import logger from '~/config/logger';
 import APIError from '~/utils/apiError';
 import httpStatus from 'http-status';
+import FakeRazorpay from './fakeRazorpay';
 
 class RazorpayService {
 	constructor() {
-		this.razorpay = new Razorpay({
-			key_id: config.RAZORPAY_KEY_ID,
-			key_secret: config.RAZORPAY_KEY_SECRET
-		});
+		this.isFake = config.RAZORPAY_MODE === 'fake';
+		this.keyId = config.RAZORPAY_KEY_ID || (this.isFake ? 'rzp_test_fake' : undefined);
+		this.keySecret = config.RAZORPAY_KEY_SECRET || (this.isFake ? 'fake_key_secret' : undefined);
+		this.webhookSecret = config.RAZORPAY_WEBHOOK_SECRET || (this.isFake ? 'fake_webhook_secret' : undefined);
+
+		const credentials = {
+			key_id: this.keyId,
+			key_secret: this.keySecret
+		};
+		this.razorpay = this.isFake ? new FakeRazorpay({ ...credentials, webhook_secret: this.webhookSecret }) : new Razorpay(credentials);
 	}
 
 	// Create a Razorpay customer
@@ -38,7 +45,7 @@ class RazorpayService {
 	async createOrder(orderData) {
 		try {
 			const order = await this.razorpay.orders.create({
-				amount: orderData.amount * 100, // Convert to paise
+				amount: Math.round(orderData.amount * 100), // Convert to paise
 				currency: orderData.currency || 'INR',
 				receipt: orderData.receipt,
 				notes: orderData.notes || {},
@@ -53,6 +60,43 @@ class RazorpayService {
 		}
 	}
 
+	// Create a hosted payment link the client can pay from
+	async createPaymentLink(linkData) {
+		try {
+			const paymentLink = await this.razorpay.paymentLink.create({
+				amount: Math.round(linkData.amount * 100), // Convert to paise
+				currency: linkData.currency || 'INR',
+				description: linkData.description,
+				reference_id: linkData.referenceId,
+				expire_by: linkData.expireBy,
+				customer: linkData.customer,
+				notify: linkData.notify || { sms: false, email: false },
+				reminder_enable: true,
+				notes: linkData.notes || {},
+				callback_url: linkData.callbackUrl,
+				callback_method: linkData.callbackUrl ? 'get' : undefined
+			});
+
+			logger.info(`Razorpay payment link created: ${paymentLink.id}`);
+			return paymentLink;
+		} catch (error) {
+			logger.error('Error creating Razorpay payment link:', error);
+			throw new APIError('Failed to create payment link', httpStatus.INTERNAL_SERVER_ERROR);
+		}
+	}
+
+	// Complete a payment against the fake gateway (RAZORPAY_MODE=fake only)
+	simulatePayment(paymentData) {
+		if (!this.isFake) {
+			throw new APIError('Payment simulation is only available in fake Razorpay mode', httpStatus.NOT_FOUND);
+		}
+		return this.razorpay.simulatePayment(paymentData);
+	}
+
+	getKeyId() {
+		return this.keyId;
+	}
+
 	// Create a subscription plan in Razorpay
 	async createPlan(planData) {
 		try {
@@ -199,7 +243,7 @@ class RazorpayService {
 		try {
 			const body = orderId + '|' + paymentId;
 			const expectedSignature = crypto
-				.createHmac('sha256', config.RAZORPAY_KEY_SECRET)
+				.createHmac('sha256', this.keySecret)
 				.update(body.toString())
 				.digest('hex');
 
@@ -214,7 +258,7 @@ class RazorpayService {
 	verifyWebhookSignature(body, signature) {
 		try {
 			const expectedSignature = crypto
-				.createHmac('sha256', config.RAZORPAY_WEBHOOK_SECRET)
+				.createHmac('sha256', this.webhookSecret)
 				.update(body)
 				.digest('hex');
 
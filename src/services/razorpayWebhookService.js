@@ -1,6 +1,7 @@
 import razorpayService from './razorpayService';
 import Subscription from '~/models/subscriptionModel';
 import Payment from '~/models/paymentModel';
+import Invoice from '~/models/invoiceModel';
 import User from '~/models/userModel';
 import Notification from '~/models/notificationModel';
 import logger from '~/config/logger';
@@ -10,11 +11,19 @@ class RazorpayWebhookService {
 	async handleWebhook(event, data) {
 		logger.info(`Razorpay webhook received: ${event}`, data);
 
+		// Razorpay wraps each entity as payload.<name>.entity
+		if (data.payload) {
+			data = Object.fromEntries(Object.entries(data.payload).map(([name, value]) => [name, value.entity]));
+		}
+
 		try {
 			switch (event) {
 				case 'payment.captured':
 					await this.handlePaymentCaptured(data);
 					break;
+				case 'payment_link.paid':
+					await this.handlePaymentLinkPaid(data);
+					break;
 				case 'payment.failed':
 					await this.handlePaymentFailed(data);
 					break;
@@ -57,6 +66,16 @@ class RazorpayWebhookService {
 	// Payment captured
 	async handlePaymentCaptured(data) {
 		const { payment } = data;
+
+		// Client payments against invoices
+		const invoice = await Invoice.getInvoiceByRazorpayReference({
+			invoiceId: payment.notes?.invoice_id,
+			orderId: payment.order_id
+		});
+		if (invoice) {
+			await invoice.applyRazorpayPayment(payment);
+			return;
+		}
 		
 		// Update payment status
 		const paymentRecord = await Payment.findOne({ razorpayPaymentId: payment.id });
@@ -91,6 +110,22 @@ class RazorpayWebhookService {
 		}
 	}
 
+	// Payment link paid
+	async handlePaymentLinkPaid(data) {
+		const { payment_link: paymentLink, payment } = data;
+
+		const invoice = await Invoice.getInvoiceByRazorpayReference({
+			invoiceId: paymentLink.notes?.invoice_id,
+			paymentLinkId: paymentLink.id
+		});
+		if (!invoice) {
+			logger.warn(`No invoice found for Razorpay payment link ${paymentLink.id}`);
+			return;
+		}
+
+		await invoice.applyRazorpayPayment(payment, paymentLink.id);
+	}
+
 	// Payment failed
 	async handlePaymentFailed(data) {
 		const { payment } = data;
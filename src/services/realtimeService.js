@@ -3,6 +3,7 @@ import jwt from 'jsonwebtoken';
 import config from '~/config/config';
 import logger from '~/config/logger';
 import User from '~/models/userModel';
+import Token from '~/models/tokenModel';
 
 class RealtimeService {
 	constructor() {
@@ -37,6 +38,9 @@ class RealtimeService {
 				}
 
 				const decoded = jwt.verify(token, config.JWT_ACCESS_TOKEN_SECRET_PUBLIC);
+				if (decoded.sid && !(await Token.touchSession(decoded.sid, socket.handshake.address))) {
+					return next(new Error('Session has been revoked'));
+				}
 				const user = await User.findById(decoded.sub).select('-password');
 				
 				if (!user) {
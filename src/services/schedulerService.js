@@ -0,0 +1,101 @@
+import os from 'os';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import Job from '~/models/jobModel';
+
+// Runs recurring and one-off jobs stored in the jobs collection. Every app instance polls,
+// and a job is only run by the instance that managed to lock it.
+class SchedulerService {
+	constructor() {
+		this.handlers = new Map();
+		this.recurring = new Map();
+		this.workerId = `${os.hostname()}:${process.pid}`;
+		this.timer = null;
+		this.running = false;
+	}
+
+	define(name, handler, options = {}) {
+		this.handlers.set(name, handler);
+		if (options.interval) {
+			this.recurring.set(name, options.interval);
+		}
+	}
+
+	async schedule(name, runAt, data = {}) {
+		if (!this.handlers.has(name)) {
+			throw new Error(`Unknown job: ${name}`);
+		}
+		return await Job.scheduleOnce(name, runAt, data);
+	}
+
+	// The most recent one-off job with the given name and data, if it has not expired
+	async getJob(name, data = {}) {
+		return await Job.getLatest(name, data);
+	}
+
+	async start() {
+		if (!config.SCHEDULER_ENABLED || this.timer) {
+			return;
+		}
+
+		for (const [name, interval] of this.recurring) {
+			try {
+				await Job.ensureRecurring(name, interval);
+			} catch (error) {
+				// Another instance registered the same job at the same time
+				if (error.code !== 11000) {
+					throw error;
+				}
+			}
+		}
+
+		await Job.expireFinished();
+
+		this.timer = setInterval(() => this.poll(), config.SCHEDULER_POLL_INTERVAL_MS);
+		this.timer.unref();
+		logger.info(`Job scheduler started (${this.workerId})`);
+		this.poll();
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	// Runs due jobs one at a time until none are left
+	async poll() {
+		if (this.running) {
+			return;
+		}
+		this.running = true;
+
+		try {
+			await Job.failAbandoned();
+			let job = await Job.claimNext(this.workerId, config.SCHEDULER_LOCK_TIMEOUT_MS);
+			while (job) {
+				await this.run(job);
+				job = await Job.claimNext(this.workerId, config.SCHEDULER_LOCK_TIMEOUT_MS);
+			}
+		} catch (error) {
+			logger.error('Job scheduler poll failed:', error);
+		} finally {
+			this.running = false;
+		}
+	}
+
+	async run(job) {
+		const handler = this.handlers.get(job.name);
+		try {
+			if (!handler) {
+				throw new Error(`No handler defined for job ${job.name}`);
+			}
+			await handler(job.data || {}, job);
+			await Job.markSucceeded(job);
+		} catch (error) {
+			logger.error(`Job ${job.name} (${job._id}) failed:`, error);
+			await Job.markFailed(job, error);
+		}
+	}
+}
+
+export default new SchedulerService();
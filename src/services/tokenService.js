@@ -6,6 +6,8 @@ import Token from '~/models/tokenModel';
 import jwtService from './jwtService';
 import httpStatus from 'http-status';
 import crypto from 'crypto';
+import workspaceContext from '~/utils/workspaceContext';
+import { describeDevice } from '~/utils/userAgent';
 
 export const generateRandomToken = async (length = 66) => {
 	const random = crypto.randomBytes(length).toString('hex');
@@ -23,15 +25,33 @@ export const verifyToken = async (token, type) => {
 	return tokenDoc;
 };
 
-export const generateAuthTokens = async (user) => {
+// Starts a session, or continues `session` (the previous refresh token) when rotating. The device is taken from
+// the current request; the access token carries the session id so revoking the session also ends it.
+export const generateAuthTokens = async (user, session) => {
+	const context = workspaceContext.get() || {};
+	const sessionId = (session && session.sessionId) || crypto.randomUUID();
+
 	const accessTokenExpires = moment().add(config.JWT_ACCESS_TOKEN_EXPIRATION_MINUTES, 'minutes');
-	const accessToken = await jwtService.sign(user.id, accessTokenExpires, config.JWT_ACCESS_TOKEN_SECRET_PRIVATE, {
-		algorithm: 'RS256'
-	});
+	const accessToken = await jwtService.sign(
+		user.id,
+		accessTokenExpires,
+		config.JWT_ACCESS_TOKEN_SECRET_PRIVATE,
+		{
+			algorithm: 'RS256'
+		},
+		{ sid: sessionId }
+	);
 
 	const refreshTokenExpires = moment().add(config.REFRESH_TOKEN_EXPIRATION_DAYS, 'days');
 	const refreshToken = await generateRandomToken();
-	await Token.saveToken(refreshToken, user.id, refreshTokenExpires.format(), config.TOKEN_TYPES.REFRESH);
+	await Token.saveRefreshToken(refreshToken, user.id, refreshTokenExpires.format(), {
+		sessionId,
+		device: describeDevice(context.userAgent),
+		userAgent: context.userAgent,
+		ip: context.ip,
+		sessionStartedAt: session ? session.sessionStartedAt || session.createdAt : new Date(),
+		lastUsedAt: new Date()
+	});
 
 	return {
 		accessToken: {
@@ -63,10 +83,22 @@ export const generateResetPasswordToken = async (email) => {
 	return resetPasswordToken;
 };
 
+// Issued after a correct password when the account has two-factor authentication; exchanged for auth tokens with a code
+export const generateTwoFactorChallengeToken = async (user) => {
+	const expires = moment().add(config.TWO_FACTOR_CHALLENGE_EXPIRATION_MINUTES, 'minutes');
+	const challengeToken = await generateRandomToken();
+	await Token.saveToken(challengeToken, user.id, expires, config.TOKEN_TYPES.TWO_FACTOR_CHALLENGE);
+	return {
+		token: challengeToken,
+		expires: expires.format()
+	};
+};
+
 export default {
 	generateRandomToken,
 	verifyToken,
 	generateAuthTokens,
 	generateVerifyEmailToken,
-	generateResetPasswordToken
+	generateResetPasswordToken,
+	generateTwoFactorChallengeToken
 };
@@ -0,0 +1,35 @@
+import moment from 'moment';
+import config from '~/config/config';
+import logger from '~/config/logger';
+import Lead from '~/models/leadModel';
+import Client from '~/models/clientModel';
+import Project from '~/models/projectModel';
+import Estimate from '~/models/estimateModel';
+import Moodboard from '~/models/moodboardModel';
+import integrityService from './integrityService';
+
+class TrashService {
+	constructor() {
+		this.models = [Lead, Client, Project, Estimate, Moodboard];
+	}
+
+	// Permanently deletes documents that have been in the trash longer than TRASH_RETENTION_DAYS, after removing the
+	// references other documents still hold to them
+	async purgeExpired() {
+		const cutoff = moment().subtract(config.TRASH_RETENTION_DAYS, 'days').toDate();
+
+		for (const Model of this.models) {
+			const ids = await Model.distinct('_id', { deletedAt: { $ne: null, $lte: cutoff } }).setOptions({ skipRecordAccess: true });
+			if (!ids.length) {
+				continue;
+			}
+			await integrityService.detachDependents(Model.modelName, ids);
+			const { deletedCount } = await Model.purgeDeleted(cutoff);
+			if (deletedCount) {
+				logger.info(`Purged ${deletedCount} ${Model.modelName} from trash`);
+			}
+		}
+	}
+}
+
+export default new TrashService();
@@ -0,0 +1,94 @@
+import httpStatus from 'http-status';
+import APIError from '~/utils/apiError';
+import logger from '~/config/logger';
+import Subscription from '~/models/subscriptionModel';
+import Team from '~/models/teamModel';
+
+const GB = 1024 * 1024 * 1024;
+
+class UsageService {
+	// The subscription that pays for a request belongs to the owner of its workspace,
+	// or to the acting user when no workspace is involved
+	async getOwnerId(req) {
+		const teamId = req.workspaceId || req.params.teamId || (req.body && req.body.parentTeam);
+		return (teamId && (await this.getWorkspaceOwnerId(teamId))) || req.user.id;
+	}
+
+	async getWorkspaceOwnerId(teamId) {
+		const workspaceId = await Team.getWorkspaceId(teamId);
+		const workspace = workspaceId && (await Team.findById(workspaceId).select('createdBy'));
+		return workspace ? workspace.createdBy : null;
+	}
+
+	async getActiveSubscription(ownerId) {
+		const subscription = await Subscription.getUserActiveSubscription(ownerId);
+		if (!subscription) {
+			throw new APIError('An active subscription is required for this action', httpStatus.PAYMENT_REQUIRED);
+		}
+		return subscription;
+	}
+
+	async reserve(ownerId, resourceType, amount = 1) {
+		const subscription = await this.getActiveSubscription(ownerId);
+		const limit = subscription.getResourceLimit(resourceType);
+
+		const updated = await Subscription.reserveUsage(subscription._id, resourceType, amount, limit);
+		if (!updated) {
+			const current = subscription.usage[resourceType] ? subscription.usage[resourceType].current : 0;
+			throw new APIError(
+				`Plan limit reached for ${resourceType} (${this.formatAmount(resourceType, current)}/${this.formatAmount(resourceType, limit)}). Upgrade your plan to continue.`,
+				httpStatus.PAYMENT_REQUIRED
+			);
+		}
+
+		return { subscriptionId: subscription._id, resourceType, amount };
+	}
+
+	async release(ownerId, resourceType, amount = 1) {
+		const subscription = await Subscription.getUserActiveSubscription(ownerId);
+		if (!subscription) {
+			return null;
+		}
+		return await Subscription.releaseUsage(subscription._id, resourceType, amount);
+	}
+
+	async releaseReservation(reservation) {
+		try {
+			await Subscription.releaseUsage(reservation.subscriptionId, reservation.resourceType, reservation.amount);
+		} catch (error) {
+			logger.error('Failed to release usage reservation:', error);
+		}
+	}
+
+	// Reserves quota for `create` and gives it back if creation fails
+	async consume(ownerId, resourceType, create) {
+		const reservation = await this.reserve(ownerId, resourceType);
+		try {
+			return await create();
+		} catch (error) {
+			await this.releaseReservation(reservation);
+			throw error;
+		}
+	}
+
+	async assertFeature(ownerId, featureName) {
+		const subscription = await this.getActiveSubscription(ownerId);
+		if (!subscription.hasPlanFeature(featureName)) {
+			throw new APIError(`Your plan does not include ${featureName}. Upgrade your plan to use this feature.`, httpStatus.PAYMENT_REQUIRED);
+		}
+		return subscription;
+	}
+
+	bytesToGB(bytes) {
+		return bytes / GB;
+	}
+
+	formatAmount(resourceType, amount) {
+		if (amount === -1) {
+			return 'unlimited';
+		}
+		return resourceType === 'storage' ? `${Math.round(amount * 100) / 100}GB` : amount;
+	}
+}
+
+export default new UsageService();
@@ -1,7 +1,11 @@
 import crypto from 'crypto';
+import httpStatus from 'http-status';
 import config from '~/config/config';
 import logger from '~/config/logger';
+import APIError from '~/utils/apiError';
+import WebhookEvent from '~/models/webhookEventModel';
 import razorpayWebhookService from './razorpayWebhookService';
+import razorpayService from './razorpayService';
 import messagingService from './messagingService';
 import aiService from './aiService';
 import pdfService from './pdfService';
@@ -13,45 +17,118 @@ class WebhookService {
 			openai: config.OPENAI_WEBHOOK_SECRET || 'default-secret',
 			google: config.GOOGLE_WEBHOOK_SECRET || 'default-secret'
 		};
+
+		// Processing of stored events, by provider
+		this.processors = {
+			razorpay: (payload) => razorpayWebhookService.handleWebhook(payload.event, payload),
+			twilio: (payload) => this.processTwilioEvent(payload),
+			openai: (payload) => this.processOpenAIEvent(payload),
+			google: (payload) => this.processGoogleEvent(payload)
+		};
 	}
 
-	// Twilio Webhook Handlers
-	async handleTwilioWebhook(req, res) {
+	// Stores the event before acting on it and processes it once. Redeliveries of an event that was processed,
+	// or is being processed, are acknowledged without running it again; failed events run again.
+	async receive(req, res, { provider, eventId, eventType, signatureValid }) {
+		const { event, duplicate } = await WebhookEvent.receive({
+			provider,
+			eventId: eventId || this.hashPayload(req.body),
+			eventType,
+			payload: req.body,
+			signatureValid,
+			ipAddress: req.ip
+		});
+
+		if (!signatureValid) {
+			logger.warn(`Invalid ${provider} webhook signature`);
+			return res.status(401).json({ error: 'Unauthorized' });
+		}
+
+		const processed = await this.process(event);
+		if (!processed) {
+			logger.info(`Skipped ${duplicate ? 'duplicate' : 'claimed'} ${provider} webhook ${event.eventId}`);
+		}
+
+		res.status(200).json({ success: true, ...(duplicate && { duplicate: true }) });
+	}
+
+	// Returns false when the event has already been processed or another request is processing it
+	async process(event) {
+		const claimed = await WebhookEvent.claim(event._id);
+		if (!claimed) {
+			return false;
+		}
+
 		try {
-			const signature = req.headers['x-twilio-signature'];
-			const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-			const body = req.body;
+			await this.processors[claimed.provider](claimed.payload);
+		} catch (error) {
+			await WebhookEvent.markFailed(claimed._id, error);
+			throw error;
+		}
+		await WebhookEvent.markProcessed(claimed._id);
+		return true;
+	}
 
-			// Verify webhook signature
-			if (!this.verifyTwilioSignature(signature, url, body)) {
-				logger.warn('Invalid Twilio webhook signature');
-				return res.status(401).json({ error: 'Unauthorized' });
-			}
+	// Runs a failed event again
+	async replay(eventId, userId) {
+		const event = await WebhookEvent.getEventById(eventId);
+		if (event.status !== 'failed') {
+			throw new APIError(`Only failed events can be replayed, this one is ${event.status}`, httpStatus.CONFLICT);
+		}
 
-			const { MessageStatus, MessageSid, To, From, Body } = body;
+		await WebhookEvent.recordReplay(event._id, userId);
+		try {
+			await this.process(event);
+		} catch (error) {
+			logger.error(`Replay of ${event.provider} webhook ${event.eventId} failed:`, error);
+		}
+		return await WebhookEvent.getEventById(eventId);
+	}
 
-			// Handle different webhook events
-			switch (MessageStatus) {
-				case 'delivered':
-					await this.handleMessageDelivered(MessageSid, To, From);
-					break;
-				case 'failed':
-					await this.handleMessageFailed(MessageSid, To, From, Body);
-					break;
-				case 'undelivered':
-					await this.handleMessageUndelivered(MessageSid, To, From);
-					break;
-				default:
-					logger.info(`Unhandled Twilio webhook status: ${MessageStatus}`);
-			}
+	// Stands in for the event id of providers that do not send one, so identical deliveries are still recognised
+	hashPayload(payload) {
+		return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+	}
 
-			res.status(200).json({ success: true });
+	// Twilio Webhook Handlers
+	async handleTwilioWebhook(req, res) {
+		try {
+			const signature = req.headers['x-twilio-signature'];
+			const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+			const { MessageStatus, MessageSid } = req.body;
+
+			// A message reports each status change once
+			await this.receive(req, res, {
+				provider: 'twilio',
+				eventId: req.get('I-Twilio-Idempotency-Token') || (MessageSid && `${MessageSid}:${MessageStatus}`),
+				eventType: MessageStatus,
+				signatureValid: !!this.verifyTwilioSignature(signature, url, req.body)
+			});
 		} catch (error) {
 			logger.error('Twilio webhook error:', error);
 			res.status(500).json({ error: 'Internal server error' });
 		}
 	}
 
+	async processTwilioEvent(payload) {
+		const { MessageStatus, MessageSid, To, From, Body } = payload;
+
+		// Handle different webhook events
+		switch (MessageStatus) {
+			case 'delivered':
+				await this.handleMessageDelivered(MessageSid, To, From);
+				break;
+			case 'failed':
+				await this.handleMessageFailed(MessageSid, To, From, Body);
+				break;
+			case 'undelivered':
+				await this.handleMessageUndelivered(MessageSid, To, From);
+				break;
+			default:
+				logger.info(`Unhandled Twilio webhook status: ${MessageStatus}`);
+		}
+	}
+
 	verifyTwilioSignature(signature, url, body) {
 		// In production, implement proper Twilio signature verification
 		// For now, we'll use a simple secret check
@@ -80,42 +157,47 @@ class WebhookService {
 			const signature = req.headers['openai-signature'];
 			const body = JSON.stringify(req.body);
 
-			// Verify webhook signature
-			if (!this.verifyOpenAISignature(signature, body)) {
-				logger.warn('Invalid OpenAI webhook signature');
-				return res.status(401).json({ error: 'Unauthorized' });
-			}
-
-			const { event, data } = req.body;
-
-			switch (event) {
-				case 'completion.completed':
-					await this.handleCompletionCompleted(data);
-					break;
-				case 'completion.failed':
-					await this.handleCompletionFailed(data);
-					break;
-				default:
-					logger.info(`Unhandled OpenAI webhook event: ${event}`);
-			}
-
-			res.status(200).json({ success: true });
+			await this.receive(req, res, {
+				provider: 'openai',
+				eventId: req.get('webhook-id') || req.body.id,
+				eventType: req.body.event,
+				signatureValid: this.verifyOpenAISignature(signature, body)
+			});
 		} catch (error) {
 			logger.error('OpenAI webhook error:', error);
 			res.status(500).json({ error: 'Internal server error' });
 		}
 	}
 
+	async processOpenAIEvent(payload) {
+		const { event, data } = payload;
+
+		switch (event) {
+			case 'completion.completed':
+				await this.handleCompletionCompleted(data);
+				break;
+			case 'completion.failed':
+				await this.handleCompletionFailed(data);
+				break;
+			default:
+				logger.info(`Unhandled OpenAI webhook event: ${event}`);
+		}
+	}
+
 	verifyOpenAISignature(signature, body) {
+		return this.verifyHmacSignature(this.webhookSecrets.openai, signature, body);
+	}
+
+	// A missing or malformed signature does not verify rather than throwing
+	verifyHmacSignature(secret, signature, body) {
 		const expectedSignature = crypto
-			.createHmac('sha256', this.webhookSecrets.openai)
+			.createHmac('sha256', secret)
 			.update(body)
 			.digest('hex');
-		
-		return crypto.timingSafeEqual(
-			Buffer.from(signature, 'hex'),
-			Buffer.from(expectedSignature, 'hex')
-		);
+
+		const received = Buffer.from(signature || '', 'hex');
+		const expected = Buffer.from(expectedSignature, 'hex');
+		return received.length === expected.length && crypto.timingSafeEqual(received, expected);
 	}
 
 	async handleCompletionCompleted(data) {
@@ -136,42 +218,35 @@ class WebhookService {
 			const signature = req.headers['x-google-signature'];
 			const body = JSON.stringify(req.body);
 
-			// Verify webhook signature
-			if (!this.verifyGoogleSignature(signature, body)) {
-				logger.warn('Invalid Google webhook signature');
-				return res.status(401).json({ error: 'Unauthorized' });
-			}
-
-			const { event, data } = req.body;
-
-			switch (event) {
-				case 'user.updated':
-					await this.handleUserUpdated(data);
-					break;
-				case 'user.deleted':
-					await this.handleUserDeleted(data);
-					break;
-				default:
-					logger.info(`Unhandled Google webhook event: ${event}`);
-			}
-
-			res.status(200).json({ success: true });
+			await this.receive(req, res, {
+				provider: 'google',
+				eventId: req.body.id,
+				eventType: req.body.event,
+				signatureValid: this.verifyGoogleSignature(signature, body)
+			});
 		} catch (error) {
 			logger.error('Google webhook error:', error);
 			res.status(500).json({ error: 'Internal server error' });
 		}
 	}
 
+	async processGoogleEvent(payload) {
+		const { event, data } = payload;
+
+		switch (event) {
+			case 'user.updated':
+				await this.handleUserUpdated(data);
+				break;
+			case 'user.deleted':
+				await this.handleUserDeleted(data);
+				break;
+			default:
+				logger.info(`Unhandled Google webhook event: ${event}`);
+		}
+	}
+
 	verifyGoogleSignature(signature, body) {
-		const expectedSignature = crypto
-			.createHmac('sha256', this.webhookSecrets.google)
-			.update(body)
-			.digest('hex');
-		
-		return crypto.timingSafeEqual(
-			Buffer.from(signature, 'hex'),
-			Buffer.from(expectedSignature, 'hex')
-		);
+		return this.verifyHmacSignature(this.webhookSecrets.google, signature, body);
 	}
 
 	async handleUserUpdated(data) {
@@ -220,18 +295,13 @@ class WebhookService {
 			const signature = req.headers['x-razorpay-signature'];
 			const body = JSON.stringify(req.body);
 
-			// Verify webhook signature
-			if (!this.verifyRazorpaySignature(body, signature)) {
-				logger.warn('Invalid Razorpay webhook signature');
-				return res.status(401).json({ error: 'Unauthorized' });
-			}
-
-			const { event, contains } = req.body;
-
-			// Process webhook
-			await razorpayWebhookService.handleWebhook(event, req.body);
-
-			res.status(200).json({ success: true });
+			// Razorpay retries deliveries with the same X-Razorpay-Event-Id
+			await this.receive(req, res, {
+				provider: 'razorpay',
+				eventId: req.get('x-razorpay-event-id'),
+				eventType: req.body.event,
+				signatureValid: this.verifyRazorpaySignature(body, signature)
+			});
 		} catch (error) {
 			logger.error('Razorpay webhook error:', error);
 			res.status(500).json({ error: 'Internal server error' });
@@ -239,17 +309,7 @@ class WebhookService {
 	}
 
 	verifyRazorpaySignature(body, signature) {
-		try {
-			const expectedSignature = crypto
-				.createHmac('sha256', config.RAZORPAY_WEBHOOK_SECRET)
-				.update(body)
-				.digest('hex');
-
-			return expectedSignature === signature;
-		} catch (error) {
-			logger.error('Error verifying Razorpay webhook signature:', error);
-			return false;
-		}
+		return razorpayService.verifyWebhookSignature(body, signature);
 	}
 
 	// Health check for webhook endpoints
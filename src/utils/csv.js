@@ -0,0 +1,78 @@
+// Minimal CSV (RFC 4180) reader and writer for spreadsheet imports and their error reports
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Spreadsheets exported in some locales use semicolons or tabs; the delimiter used most in the header line wins
+const detectDelimiter = (text) => {
+	const headerLine = text.slice(0, text.search(/\r?\n|$/));
+	return DELIMITERS.reduce((best, delimiter) => (headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best));
+};
+
+// Returns the rows of the file as arrays of cell values. Values after `maxColumns` cells fail the parse; empty cells
+// there, such as trailing delimiters, are left out.
+const parse = (text, { maxColumns = Infinity } = {}) => {
+	text = text.replace(/^\uFEFF/, '');
+	const delimiter = detectDelimiter(text);
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let quoted = false;
+
+	const endCell = () => {
+		if (row.length < maxColumns) {
+			row.push(cell);
+		} else if (cell !== '') {
+			throw new Error(`The file has more than ${maxColumns} columns`);
+		}
+		cell = '';
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"' && cell === '') {
+			quoted = true;
+		} else if (char === delimiter) {
+			endCell();
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+			endCell();
+			rows.push(row);
+			row = [];
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== '' || row.length) {
+		endCell();
+		rows.push(row);
+	}
+	return rows;
+};
+
+// Values starting like a formula are prefixed with a quote so spreadsheet apps do not evaluate them
+const escapeCell = (value) => {
+	let text = value === null || value === undefined ? '' : String(value);
+	if (/^([=@\t\r]|[+-][^\d\s(.])/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const stringify = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+export default {
+	parse,
+	stringify
+};
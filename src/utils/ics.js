@@ -0,0 +1,132 @@
+import config from '~/config/config';
+
+// Minimal iCalendar (RFC 5545) writer for appointment invites and calendar subscription feeds
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) =>
+	String(value || '')
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+	const buffer = Buffer.from(line);
+	if (buffer.length <= 75) {
+		return line;
+	}
+
+	const parts = [];
+	let current = '';
+	for (const char of line) {
+		const limit = parts.length ? 74 : 75;
+		if (Buffer.byteLength(current + char) > limit) {
+			parts.push(current);
+			current = '';
+		}
+		current += char;
+	}
+	parts.push(current);
+	return parts.join('\r\n ');
+};
+
+// Parameter values such as CN are quoted, and cannot contain quotes themselves
+const person = (property, params, name, email) => {
+	const cn = name ? `;CN="${String(name).replace(/["\r\n]/g, '')}"` : '';
+	return `${property}${cn}${params}:mailto:${email}`;
+};
+
+const fullName = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+// The team member who created the appointment is its organizer, or the app's sender address when they are not populated
+const buildOrganizer = (appointment) => {
+	const { createdBy } = appointment;
+	if (createdBy && createdBy.email) {
+		return person('ORGANIZER', '', fullName(createdBy), createdBy.email);
+	}
+	return config.EMAIL_FROM ? person('ORGANIZER', '', config.APP_NAME, config.EMAIL_FROM) : null;
+};
+
+// The client or lead is asked to reply; team attendees have already accepted by being scheduled
+const buildAttendees = (appointment, method) => {
+	const lines = [];
+	const contact = appointment.client || appointment.lead;
+	if (contact && contact.email) {
+		const rsvp = method === 'REQUEST' ? ';RSVP=TRUE' : '';
+		lines.push(person('ATTENDEE', `;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION${rsvp}`, fullName(contact), contact.email));
+	}
+	(appointment.attendees || [])
+		.filter((user) => user && user.email)
+		.forEach((user) => lines.push(person('ATTENDEE', ';ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED', fullName(user), user.email)));
+	return lines;
+};
+
+const eventStatus = {
+	scheduled: 'TENTATIVE',
+	confirmed: 'CONFIRMED',
+	completed: 'CONFIRMED',
+	no_show: 'CONFIRMED',
+	cancelled: 'CANCELLED'
+};
+
+const buildEvent = (appointment, method) => {
+	const lines = [
+		'BEGIN:VEVENT',
+		`UID:${appointment._id}@${config.APP_NAME.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+		`DTSTAMP:${formatDate(appointment.updatedAt || new Date())}`,
+		`DTSTART:${formatDate(appointment.startTime)}`,
+		`DTEND:${formatDate(appointment.endTime)}`,
+		`SEQUENCE:${appointment.sequence || 0}`,
+		`STATUS:${eventStatus[appointment.status] || 'CONFIRMED'}`,
+		`SUMMARY:${escapeText(appointment.title)}`
+	];
+
+	// Invites and cancellations are iTIP scheduling messages, which name the organizer and the attendees
+	const organizer = buildOrganizer(appointment);
+	if (organizer) {
+		lines.push(organizer);
+	}
+	if (method === 'REQUEST' || method === 'CANCEL') {
+		lines.push(...buildAttendees(appointment, method));
+	}
+
+	if (appointment.description) {
+		lines.push(`DESCRIPTION:${escapeText(appointment.description)}`);
+	}
+	if (appointment.location) {
+		lines.push(`LOCATION:${escapeText(appointment.location)}`);
+	}
+	if (appointment.meetingUrl) {
+		lines.push(`URL:${appointment.meetingUrl}`);
+	}
+
+	lines.push('END:VEVENT');
+	return lines;
+};
+
+// method is REQUEST or CANCEL for invites sent by email and PUBLISH for subscription feeds
+const buildCalendar = (appointments, options = {}) => {
+	const { method = 'PUBLISH', name } = options;
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		`PRODID:-//${escapeText(config.APP_NAME)}//Appointments//EN`,
+		'CALSCALE:GREGORIAN',
+		`METHOD:${method}`
+	];
+
+	if (name) {
+		lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+	}
+
+	appointments.forEach((appointment) => lines.push(...buildEvent(appointment, method)));
+	lines.push('END:VCALENDAR');
+
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default {
+	buildCalendar
+};
@@ -0,0 +1,33 @@
+import RateLimit from '~/models/rateLimitModel';
+
+// express-rate-limit store keeping the counters in Mongo, so limits hold across PM2 instances
+class MongoRateLimitStore {
+	constructor(prefix) {
+		this.prefix = `${prefix}:`;
+		this.localKeys = false;
+	}
+
+	init(options) {
+		this.windowMs = options.windowMs;
+	}
+
+	async get(key) {
+		const counter = await RateLimit.getCounter(this.prefix + key);
+		return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+	}
+
+	async increment(key) {
+		const counter = await RateLimit.increment(this.prefix + key, this.windowMs);
+		return { totalHits: counter.hits, resetTime: counter.resetAt };
+	}
+
+	async decrement(key) {
+		await RateLimit.decrement(this.prefix + key);
+	}
+
+	async resetKey(key) {
+		await RateLimit.reset(this.prefix + key);
+	}
+}
+
+export default MongoRateLimitStore;
@@ -0,0 +1,44 @@
+// Short, human readable description of the device behind a User-Agent header, e.g. "Chrome on Windows".
+// Order matters: Edge and Opera also announce Chrome, and Chrome also announces Safari.
+const browsers = [
+	['Edge', /Edg(e|A|iOS)?\//],
+	['Opera', /OPR\/|Opera/],
+	['Samsung Internet', /SamsungBrowser\//],
+	['Firefox', /Firefox\/|FxiOS\//],
+	['Chrome', /Chrome\/|CriOS\//],
+	['Safari', /Version\/[\d.]+.*Safari\//],
+	['Postman', /PostmanRuntime\//],
+	['curl', /^curl\//]
+];
+
+const operatingSystems = [
+	['iOS', /iPhone|iPad|iPod/],
+	['Android', /Android/],
+	['Windows', /Windows/],
+	['macOS', /Mac OS X|Macintosh/],
+	['ChromeOS', /CrOS/],
+	['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+	const found = list.find(([, pattern]) => pattern.test(userAgent));
+	return found ? found[0] : null;
+};
+
+export const describeDevice = (userAgent) => {
+	if (!userAgent) {
+		return 'Unknown device';
+	}
+
+	const browser = match(browsers, userAgent);
+	const os = match(operatingSystems, userAgent);
+
+	if (browser && os) {
+		return `${browser} on ${os}`;
+	}
+	return browser || os || 'Unknown device';
+};
+
+export default {
+	describeDevice
+};
@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Holds per-request state (request id, IP, user and resolved workspace) so model plugins can scope and audit queries
+const storage = new AsyncLocalStorage();
+
+const run = (context, fn) => storage.run(context, fn);
+
+const get = () => storage.getStore();
+
+const getWorkspaceId = () => {
+	const context = storage.getStore();
+	return context ? context.workspaceId : undefined;
+};
+
+export default {
+	run,
+	get,
+	getWorkspaceId
+};
@@ -0,0 +1,243 @@
+import zip from '~/utils/zip';
+
+// Minimal XLSX reader for spreadsheet imports and streaming writer for exports.
+// An .xlsx file is a ZIP archive of XML parts; formulas are read as their cached values.
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+// Day 0 of the 1900 date system, shifted for its nonexistent 29 February 1900
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Size limits of a worksheet, which cell references in a valid file stay within
+const MAX_SHEET_ROWS = 1048576;
+const MAX_SHEET_COLUMNS = 16384;
+
+const invalidFile = () => new Error('The file is not a valid XLSX workbook');
+
+const decodeXml = (text) =>
+	text
+		.replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+		.replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&apos;/g, "'")
+		.replace(/&amp;/g, '&');
+
+const attributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, name, value]) => [name, decodeXml(value)]));
+
+// Text of all <t> runs inside an element, so rich text comes out as plain text
+const textContent = (xml) => decodeXml([...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(([, text]) => text).join(''));
+
+const readSharedStrings = (files) => {
+	const xml = files['xl/sharedStrings.xml'] ? files['xl/sharedStrings.xml']() : '';
+	return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => textContent(item));
+};
+
+// Indexes of the cell styles that format numbers as dates
+const readDateStyles = (files) => {
+	const xml = files['xl/styles.xml'] ? files['xl/styles.xml']() : '';
+	const dateFormatIds = new Set(DATE_FORMAT_IDS);
+	for (const [, tag] of xml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+		const { numFmtId, formatCode = '' } = attributes(tag);
+		// Ignore quoted literals and [colour]/[locale] sections before looking for date parts
+		if (/[dmy]/i.test(formatCode.replace(/"[^"]*"|\[[^\]]*\]/g, ''))) {
+			dateFormatIds.add(Number(numFmtId));
+		}
+	}
+
+	const cellXfs = (xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+	const dateStyles = new Set();
+	[...cellXfs.matchAll(/<xf\b([^>]*)/g)].forEach(([, tag], index) => {
+		if (dateFormatIds.has(Number(attributes(tag).numFmtId))) {
+			dateStyles.add(index);
+		}
+	});
+	return dateStyles;
+};
+
+// The first sheet listed in the workbook, which is not necessarily sheet1.xml
+const firstSheetPath = (files) => {
+	const workbook = files['xl/workbook.xml'] ? files['xl/workbook.xml']() : '';
+	const rels = files['xl/_rels/workbook.xml.rels'] ? files['xl/_rels/workbook.xml.rels']() : '';
+	const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+	const relId = sheet && attributes(sheet[1])['r:id'];
+	const rel = relId && [...rels.matchAll(/<Relationship\b([^>]*)\/?>/g)].map(([, tag]) => attributes(tag)).find((item) => item.Id === relId);
+	if (!rel) {
+		return 'xl/worksheets/sheet1.xml';
+	}
+	return rel.Target.startsWith('/') ? rel.Target.slice(1) : `xl/${rel.Target}`;
+};
+
+// Zero-based column index of a cell reference such as "AB12"
+const columnIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const formatNumber = (value, isDate) => {
+	if (!isDate) {
+		return value;
+	}
+	const date = new Date(EXCEL_EPOCH + Math.round(Number(value) * DAY));
+	return Number(value) % 1 ? date.toISOString() : date.toISOString().slice(0, 10);
+};
+
+const cellValue = (attrs, content, sharedStrings, dateStyles) => {
+	const value = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+	switch (attrs.t) {
+		case 's':
+			return sharedStrings[Number(value)] || '';
+		case 'inlineStr':
+			return textContent(content);
+		case 'b':
+			return value === '1' ? 'TRUE' : 'FALSE';
+		case 'str':
+		case 'e':
+			return value === undefined ? '' : decodeXml(value);
+		default:
+			return value === undefined ? '' : formatNumber(value, dateStyles.has(Number(attrs.s)));
+	}
+};
+
+// Returns the rows of the first worksheet as arrays of cell values. Values in rows after `maxRows` or columns after
+// `maxColumns` fail the parse; empty cells there, such as formatted ones Excel keeps, are left out.
+const parse = (buffer, { maxRows = MAX_SHEET_ROWS, maxColumns = MAX_SHEET_COLUMNS } = {}) => {
+	const files = zip.read(buffer);
+	const sheetPath = firstSheetPath(files);
+	if (!files[sheetPath]) {
+		throw invalidFile();
+	}
+
+	const sharedStrings = readSharedStrings(files);
+	const dateStyles = readDateStyles(files);
+	const sheetData = (files[sheetPath]().match(/<sheetData\b[^>]*>([\s\S]*?)<\/sheetData>/) || [])[1] || '';
+
+	const rows = [];
+	for (const [, rowTag, rowContent = ''] of sheetData.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+		const rowNumber = Number(attributes(rowTag).r) || rows.length + 1;
+		if (rowNumber > MAX_SHEET_ROWS) {
+			throw invalidFile();
+		}
+		const row = [];
+		for (const [, cellTag, cellContent = ''] of rowContent.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+			const attrs = attributes(cellTag);
+			const index = attrs.r ? columnIndex(attrs.r) : row.length;
+			if (index < 0 || index >= MAX_SHEET_COLUMNS) {
+				throw invalidFile();
+			}
+			const value = String(cellValue(attrs, cellContent, sharedStrings, dateStyles));
+			if (index >= maxColumns) {
+				if (value) {
+					throw new Error(`The sheet has more than ${maxColumns} columns`);
+				}
+				continue;
+			}
+			row[index] = value;
+		}
+		if (rowNumber > maxRows) {
+			if (row.some(Boolean)) {
+				throw new Error(`The sheet has more than ${maxRows} rows`);
+			}
+			continue;
+		}
+		// Rows missing from the sheet are empty rows
+		while (rows.length < rowNumber - 1) {
+			rows.push([]);
+		}
+		rows.push(Array.from(row, (value) => value || ''));
+	}
+	return rows;
+};
+
+// Control characters other than tab and newlines are not allowed in XML
+const isXmlChar = (char) => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r';
+
+const escapeXml = (value) =>
+	Array.from(String(value))
+		.filter(isXmlChar)
+		.join('')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+	let name = '';
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+	}
+	return name;
+};
+
+const staticParts = (sheetName) => ({
+	'[Content_Types].xml':
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+		'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+		'<Default Extension="xml" ContentType="application/xml"/>' +
+		'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+		'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+		'</Types>',
+	'_rels/.rels':
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+		'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+		'</Relationships>',
+	'xl/workbook.xml':
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+		`<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+		'</workbook>',
+	'xl/_rels/workbook.xml.rels':
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+		'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+		'</Relationships>'
+});
+
+// Writes a single-sheet workbook to `output` row by row, so large exports are never held in memory.
+// Strings are written inline rather than to a shared string table for the same reason.
+class Writer {
+	constructor(output, sheetName = 'Sheet1') {
+		this.archive = zip.createWriter(output);
+		this.rowCount = 0;
+		Object.entries(staticParts(sheetName)).forEach(([name, content]) => this.archive.addFile(name, content));
+		this.sheet = this.archive.addStream('xl/worksheets/sheet1.xml');
+		this.sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+	}
+
+	// Numbers are written as numbers, everything else as text. Resolves once more rows can be written.
+	writeRow(values) {
+		const r = ++this.rowCount;
+		const cells = values
+			.map((value, index) => {
+				const ref = `${columnName(index)}${r}`;
+				if (value === null || value === undefined || value === '') {
+					return '';
+				}
+				if (typeof value === 'number' && Number.isFinite(value)) {
+					return `<c r="${ref}"><v>${value}</v></c>`;
+				}
+				return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+			})
+			.join('');
+		return this.sheet.write(`<row r="${r}">${cells}</row>`);
+	}
+
+	abort() {
+		this.sheet.abort();
+	}
+
+	async end() {
+		await this.sheet.write('</sheetData></worksheet>');
+		await this.sheet.end();
+		this.archive.end();
+	}
+}
+
+const createWriter = (output, sheetName) => new Writer(output, sheetName);
+
+export default {
+	parse,
+	createWriter
+};
@@ -0,0 +1,206 @@
+import zlib from 'zlib';
+
+// Minimal ZIP reader and streaming writer, for XLSX workbooks and data export archives.
+// No ZIP64: archives are limited to 4GB and 65535 files.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const DESCRIPTOR_SIGNATURE = 0x08074b50;
+
+// Bit 3: CRC and sizes follow the data; bit 11: UTF-8 file names
+const STREAMED_FLAGS = 0x0808;
+const FLAGS = 0x0800;
+const DEFLATE = 8;
+
+// Largest file read out of an archive, so a small upload cannot inflate into gigabytes
+const MAX_FILE_SIZE = 64 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+	crc = ~crc >>> 0;
+	for (let i = 0; i < buffer.length; i++) {
+		crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return ~crc >>> 0;
+};
+
+const inflate = (name, data) => {
+	try {
+		return zlib.inflateRawSync(data, { maxOutputLength: MAX_FILE_SIZE });
+	} catch (error) {
+		if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+			throw new Error(`${name} is larger than ${MAX_FILE_SIZE / 1024 / 1024}MB uncompressed`);
+		}
+		throw error;
+	}
+};
+
+// Maps the path of every file in the archive to a function returning its contents
+const read = (buffer) => {
+	const invalid = () => new Error('The file is not a valid ZIP archive');
+	let eocd = buffer.length - 22;
+	while (eocd >= 0 && buffer.readUInt32LE(eocd) !== EOCD_SIGNATURE) {
+		eocd--;
+	}
+	if (eocd < 0) {
+		throw invalid();
+	}
+
+	const files = {};
+	let offset = buffer.readUInt32LE(eocd + 16);
+	for (let i = buffer.readUInt16LE(eocd + 10); i > 0; i--) {
+		if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+			throw invalid();
+		}
+		const method = buffer.readUInt16LE(offset + 10);
+		const compressedSize = buffer.readUInt32LE(offset + 20);
+		const nameLength = buffer.readUInt16LE(offset + 28);
+		const extraLength = buffer.readUInt16LE(offset + 30);
+		const commentLength = buffer.readUInt16LE(offset + 32);
+		const localOffset = buffer.readUInt32LE(offset + 42);
+		const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+		if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+			throw invalid();
+		}
+		const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+		const data = buffer.subarray(dataStart, dataStart + compressedSize);
+		files[name] = () => (method === DEFLATE ? inflate(name, data) : data).toString('utf8');
+
+		offset += 46 + nameLength + extraLength + commentLength;
+	}
+	return files;
+};
+
+// Writes an archive to `output` file by file. Small files are added whole; large ones are streamed through
+// addStream() so they are never held in memory. Call end() once every file has been added.
+class Writer {
+	constructor(output) {
+		this.output = output;
+		this.offset = 0;
+		this.entries = [];
+	}
+
+	write(buffer) {
+		this.offset += buffer.length;
+		return this.output.write(buffer);
+	}
+
+	// A streamed entry has its CRC and sizes in a data descriptor after its data
+	writeLocalHeader(entry) {
+		const name = Buffer.from(entry.name);
+		const header = Buffer.alloc(30);
+		header.writeUInt32LE(LOCAL_SIGNATURE, 0);
+		header.writeUInt16LE(20, 4);
+		header.writeUInt16LE(entry.streamed ? STREAMED_FLAGS : FLAGS, 6);
+		header.writeUInt16LE(DEFLATE, 8);
+		header.writeUInt32LE(entry.streamed ? 0 : entry.crc, 14);
+		header.writeUInt32LE(entry.streamed ? 0 : entry.compressedSize, 18);
+		header.writeUInt32LE(entry.streamed ? 0 : entry.size, 22);
+		header.writeUInt16LE(name.length, 26);
+		this.write(Buffer.concat([header, name]));
+	}
+
+	addFile(name, content) {
+		const buffer = Buffer.from(content);
+		const data = zlib.deflateRawSync(buffer);
+		const entry = { name, offset: this.offset, crc: crc32(buffer), size: buffer.length, compressedSize: data.length };
+		this.writeLocalHeader(entry);
+		this.write(data);
+		this.entries.push(entry);
+	}
+
+	// Returns a writer for one file whose write() resolves once more data can be taken, so the caller follows the
+	// pace of the client. A client that went away never drains, so the output closing also resolves.
+	addStream(name) {
+		const entry = { name, offset: this.offset, crc: 0, size: 0, compressedSize: 0, streamed: true };
+		this.writeLocalHeader(entry);
+
+		const deflate = zlib.createDeflateRaw();
+		deflate.on('data', (chunk) => {
+			entry.compressedSize += chunk.length;
+			if (!this.write(chunk)) {
+				deflate.pause();
+				this.output.once('drain', () => deflate.resume());
+			}
+		});
+
+		const write = (content) => {
+			const buffer = Buffer.from(content);
+			entry.crc = crc32(buffer, entry.crc);
+			entry.size += buffer.length;
+			if (deflate.write(buffer)) {
+				return Promise.resolve();
+			}
+			return new Promise((resolve) => {
+				const done = () => {
+					deflate.off('drain', done);
+					this.output.off('close', done);
+					resolve();
+				};
+				deflate.on('drain', done);
+				this.output.on('close', done);
+			});
+		};
+
+		const end = async () => {
+			await new Promise((resolve, reject) => {
+				deflate.once('end', resolve);
+				deflate.once('error', reject);
+				deflate.end();
+			});
+			const descriptor = Buffer.alloc(16);
+			descriptor.writeUInt32LE(DESCRIPTOR_SIGNATURE, 0);
+			descriptor.writeUInt32LE(entry.crc, 4);
+			descriptor.writeUInt32LE(entry.compressedSize, 8);
+			descriptor.writeUInt32LE(entry.size, 12);
+			this.write(descriptor);
+			this.entries.push(entry);
+		};
+
+		return { write, end, abort: () => deflate.destroy() };
+	}
+
+	// Writes the central directory that lists every file
+	end() {
+		const centralStart = this.offset;
+		this.entries.forEach((entry) => {
+			const name = Buffer.from(entry.name);
+			const header = Buffer.alloc(46);
+			header.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+			header.writeUInt16LE(20, 4);
+			header.writeUInt16LE(20, 6);
+			header.writeUInt16LE(entry.streamed ? STREAMED_FLAGS : FLAGS, 8);
+			header.writeUInt16LE(DEFLATE, 10);
+			header.writeUInt32LE(entry.crc, 16);
+			header.writeUInt32LE(entry.compressedSize, 20);
+			header.writeUInt32LE(entry.size, 24);
+			header.writeUInt16LE(name.length, 28);
+			header.writeUInt32LE(entry.offset, 42);
+			this.write(Buffer.concat([header, name]));
+		});
+
+		const eocd = Buffer.alloc(22);
+		eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+		eocd.writeUInt16LE(this.entries.length, 8);
+		eocd.writeUInt16LE(this.entries.length, 10);
+		eocd.writeUInt32LE(this.offset - centralStart, 12);
+		eocd.writeUInt32LE(centralStart, 16);
+		this.write(eocd);
+	}
+}
+
+const createWriter = (output) => new Writer(output);
+
+export default {
+	read,
+	createWriter
+};
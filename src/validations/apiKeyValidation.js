@@ -0,0 +1,34 @@
+import Joi from 'joi';
+
+const createApiKey = {
+	body: Joi.object().keys({
+		name: Joi.string().required().trim().min(2).max(100),
+		scopes: Joi.array()
+			.items(Joi.string().pattern(/^[a-zA-Z]+:[a-zA-Z]+$/, 'controller:action'))
+			.min(1)
+			.unique()
+			.required(),
+		expiresAt: Joi.date().iso().greater('now')
+	})
+};
+
+const getApiKeys = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('active', 'expired', 'revoked'),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const apiKeyParams = {
+	params: Joi.object().keys({
+		apiKeyId: Joi.string().hex().length(24).required()
+	})
+};
+
+export default {
+	createApiKey,
+	getApiKeys,
+	getApiKey: apiKeyParams,
+	revokeApiKey: apiKeyParams
+};
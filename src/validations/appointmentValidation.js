@@ -0,0 +1,115 @@
+import Joi from 'joi';
+
+const appointmentTypes = ['site_visit', 'consultation', 'design_review', 'measurement', 'installation', 'meeting', 'other'];
+
+// Minutes before the start time; at most a week ahead
+const reminders = Joi.array().items(Joi.number().integer().min(1).max(7 * 24 * 60)).unique().max(5);
+
+const createAppointment = {
+	body: Joi.object()
+		.keys({
+			title: Joi.string().required().trim().max(200),
+			description: Joi.string().trim().allow(''),
+			type: Joi.string().valid(...appointmentTypes).default('consultation'),
+			startTime: Joi.date().iso().required(),
+			endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+			location: Joi.string().trim().allow(''),
+			meetingUrl: Joi.string().uri().trim().allow(''),
+			client: Joi.string().hex().length(24),
+			lead: Joi.string().hex().length(24),
+			project: Joi.string().hex().length(24),
+			attendees: Joi.array().items(Joi.string().hex().length(24)).unique().min(1),
+			reminders,
+			allowConflicts: Joi.boolean().default(false),
+			notifyClient: Joi.boolean().default(true)
+		})
+		.oxor('client', 'lead')
+};
+
+const getAppointments = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('scheduled', 'confirmed', 'completed', 'cancelled', 'no_show'),
+		type: Joi.string().valid(...appointmentTypes),
+		client: Joi.string().hex().length(24),
+		lead: Joi.string().hex().length(24),
+		project: Joi.string().hex().length(24),
+		attendee: Joi.string().hex().length(24),
+		from: Joi.date().iso(),
+		to: Joi.date().iso().min(Joi.ref('from')),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const getCalendar = {
+	query: Joi.object().keys({
+		from: Joi.date().iso().required(),
+		// Calendar views span at most about three months
+		to: Joi.date()
+			.iso()
+			.greater(Joi.ref('from'))
+			.max(Joi.ref('from', { adjust: (from) => new Date(new Date(from).getTime() + 93 * 24 * 60 * 60 * 1000) }))
+			.required(),
+		attendee: Joi.string().hex().length(24),
+		client: Joi.string().hex().length(24),
+		project: Joi.string().hex().length(24),
+		includeCancelled: Joi.boolean().default(false)
+	})
+};
+
+const getAppointment = {
+	params: Joi.object().keys({
+		appointmentId: Joi.string().hex().length(24).required()
+	})
+};
+
+const updateAppointment = {
+	params: Joi.object().keys({
+		appointmentId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object()
+		.keys({
+			title: Joi.string().trim().max(200),
+			description: Joi.string().trim().allow(''),
+			type: Joi.string().valid(...appointmentTypes),
+			startTime: Joi.date().iso(),
+			endTime: Joi.date().iso(),
+			location: Joi.string().trim().allow(''),
+			meetingUrl: Joi.string().uri().trim().allow(''),
+			client: Joi.string().hex().length(24).allow(null),
+			lead: Joi.string().hex().length(24).allow(null),
+			project: Joi.string().hex().length(24).allow(null),
+			attendees: Joi.array().items(Joi.string().hex().length(24)).unique().min(1),
+			reminders,
+			allowConflicts: Joi.boolean().default(false),
+			notifyClient: Joi.boolean().default(true)
+		})
+		.min(1)
+};
+
+const updateAppointmentStatus = {
+	params: Joi.object().keys({
+		appointmentId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		status: Joi.string().valid('scheduled', 'confirmed', 'completed', 'cancelled', 'no_show').required(),
+		reason: Joi.string().trim().max(500).allow(''),
+		notifyClient: Joi.boolean().default(true)
+	})
+};
+
+const getCalendarFeed = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	})
+};
+
+export default {
+	createAppointment,
+	getAppointments,
+	getCalendar,
+	getAppointment,
+	updateAppointment,
+	updateAppointmentStatus,
+	getCalendarFeed
+};
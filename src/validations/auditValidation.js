@@ -0,0 +1,19 @@
+import Joi from 'joi';
+
+const getAuditEvents = {
+	query: Joi.object().keys({
+		entityType: Joi.string().valid('lead', 'client', 'project', 'estimate', 'moodboard', 'invoice'),
+		entityId: Joi.string().hex().length(24),
+		actorId: Joi.string().hex().length(24),
+		action: Joi.string().valid('create', 'update', 'delete', 'restore', 'status_change'),
+		requestId: Joi.string().max(100),
+		from: Joi.date().iso(),
+		to: Joi.date().iso().min(Joi.ref('from')),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+export default {
+	getAuditEvents
+};
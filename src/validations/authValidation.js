@@ -29,6 +29,12 @@ export const refreshTokens = {
 	})
 };
 
+export const revokeSession = {
+	params: Joi.object().keys({
+		sessionId: Joi.string().guid().required()
+	})
+};
+
 export const forgotPassword = {
 	body: Joi.object().keys({
 		email: Joi.string().email().required()
@@ -61,13 +67,53 @@ export const updateMe = {
 	})
 };
 
+const twoFactorCode = Joi.string().trim().pattern(/^\d{6}$/);
+const recoveryCode = Joi.string().trim().max(20);
+
+export const verifyTwoFactor = {
+	body: Joi.object()
+		.keys({
+			challengeToken: Joi.string().required(),
+			code: twoFactorCode,
+			recoveryCode
+		})
+		.xor('code', 'recoveryCode')
+};
+
+export const enableTwoFactor = {
+	body: Joi.object().keys({
+		code: twoFactorCode.required()
+	})
+};
+
+export const disableTwoFactor = {
+	body: Joi.object()
+		.keys({
+			password: Joi.string().required(),
+			code: twoFactorCode,
+			recoveryCode
+		})
+		.xor('code', 'recoveryCode')
+};
+
+export const regenerateRecoveryCodes = {
+	body: Joi.object().keys({
+		code: twoFactorCode.required()
+	})
+};
+
 export default {
 	signup,
 	signin,
 	updateMe,
 	signout,
 	refreshTokens,
+	revokeSession,
 	verifyEmail,
 	forgotPassword,
-	resetPassword
+	resetPassword,
+	verifyTwoFactor,
+	enableTwoFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes
 };
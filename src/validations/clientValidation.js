@@ -115,9 +115,15 @@ const scheduleAppointment = {
 	}),
 	body: Joi.object().keys({
 		appointmentDate: Joi.date().required(),
-		appointmentTime: Joi.string().required().trim(),
+		appointmentTime: Joi.string()
+			.required()
+			.trim()
+			.pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:mm'),
+		duration: Joi.number().integer().min(15).max(12 * 60).default(60),
+		type: Joi.string().valid('site_visit', 'consultation', 'design_review', 'measurement', 'installation', 'meeting', 'other').default('consultation'),
 		location: Joi.string().required().trim(),
-		notes: Joi.string().trim().allow('')
+		notes: Joi.string().trim().allow(''),
+		attendees: Joi.array().items(Joi.string().hex().length(24)).unique().min(1)
 	})
 };
 
@@ -152,6 +158,44 @@ const removeCustomField = {
 	})
 };
 
+const exportClientData = {
+	params: Joi.object().keys({
+		clientId: Joi.string().hex().length(24).required()
+	})
+};
+
+const eraseClient = {
+	params: Joi.object().keys({
+		clientId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		email: Joi.string().required().email()
+	})
+};
+
+const exportClients = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('active', 'inactive', 'suspended', 'archived'),
+		assignedTo: Joi.string().hex().length(24),
+		search: Joi.string().trim(),
+		format: Joi.string().valid('csv', 'xlsx', 'json').default('csv'),
+		columns: Joi.string().trim()
+	})
+};
+
+const getDeletedClients = {
+	query: Joi.object().keys({
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const restoreClient = {
+	params: Joi.object().keys({
+		clientId: Joi.string().hex().length(24).required()
+	})
+};
+
 export default {
 	createClient,
 	updateClient,
@@ -162,5 +206,10 @@ export default {
 	scheduleAppointment,
 	updatePreferences,
 	addCustomField,
-	removeCustomField
+	removeCustomField,
+	exportClientData,
+	eraseClient,
+	exportClients,
+	getDeletedClients,
+	restoreClient
 };
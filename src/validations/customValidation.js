@@ -1,6 +1,18 @@
+import config from '~/config/config';
+
 export const mongoId = (value, helpers) => {
 	if (!value.match(/^(0x|0h)?[0-9A-F]{24}$/i)) {
 		return helpers.message('{{#label}} must be a valid mongo id');
 	}
 	return value;
 };
+
+const privateHosts = [/^localhost$/, /\.localhost$/, /^127\./, /^10\./, /^192\.168\./, /^172\.(1[6-9]|2\d|3[01])\./, /^169\.254\./, /^0\./, /^\[?::1?\]?$/, /^\[?f[cd][0-9a-f]{2}:/i, /^\[?fe80:/i];
+
+// URLs the server calls out to must not point into its own network in production
+export const publicUrl = (value, helpers) => {
+	if (config.NODE_ENV === 'production' && privateHosts.some((pattern) => pattern.test(new URL(value).hostname))) {
+		return helpers.message('{{#label}} must be a public URL');
+	}
+	return value;
+};
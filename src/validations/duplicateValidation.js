@@ -0,0 +1,22 @@
+import Joi from 'joi';
+
+const findDuplicates = {
+	query: Joi.object().keys({
+		minScore: Joi.number().min(0).max(1).default(0.5),
+		limit: Joi.number().integer().min(1).max(200).default(50)
+	})
+};
+
+const mergeRecords = {
+	body: Joi.object().keys({
+		survivorId: Joi.string().hex().length(24).required(),
+		duplicateIds: Joi.array().items(Joi.string().hex().length(24)).unique().min(1).max(10).required(),
+		// Field name to the id of the merged record to take its value from
+		fields: Joi.object().pattern(Joi.string(), Joi.string().hex().length(24)).default({})
+	})
+};
+
+export default {
+	findDuplicates,
+	mergeRecords
+};
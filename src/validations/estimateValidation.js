@@ -168,6 +168,61 @@ const sendEstimate = {
 	})
 };
 
+const getPublicEstimate = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	})
+};
+
+const respondToPublicEstimate = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	}),
+	body: Joi.object().keys({
+		decision: Joi.string().valid('accepted', 'rejected').required(),
+		name: Joi.string().trim().max(100).required(),
+		signature: Joi.object()
+			.keys({
+				method: Joi.string().valid('typed', 'drawn').required(),
+				value: Joi.when('method', {
+					is: 'drawn',
+					then: Joi.string()
+						.max(90000)
+						.pattern(/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/)
+						.message('Drawn signature must be a base64 PNG or JPEG data URL'),
+					otherwise: Joi.string().trim().max(100)
+				}).required()
+			})
+			.required(),
+		comments: Joi.string().trim().max(2000).allow('')
+	})
+};
+
+const exportEstimates = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('draft', 'sent', 'viewed', 'accepted', 'rejected', 'expired', 'revised'),
+		clientId: Joi.string().hex().length(24),
+		projectId: Joi.string().hex().length(24),
+		createdBy: Joi.string().hex().length(24),
+		search: Joi.string().trim(),
+		format: Joi.string().valid('csv', 'xlsx', 'json').default('csv'),
+		columns: Joi.string().trim()
+	})
+};
+
+const getDeletedEstimates = {
+	query: Joi.object().keys({
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const restoreEstimate = {
+	params: Joi.object().keys({
+		estimateId: Joi.string().hex().length(24).required()
+	})
+};
+
 export default {
 	createEstimate,
 	updateEstimate,
@@ -176,5 +231,10 @@ export default {
 	generateAIEstimate,
 	createEstimateFromAI,
 	createRevision,
-	sendEstimate
+	sendEstimate,
+	getPublicEstimate,
+	respondToPublicEstimate,
+	exportEstimates,
+	getDeletedEstimates,
+	restoreEstimate
 };
@@ -0,0 +1,54 @@
+import Joi from 'joi';
+
+const getImports = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('uploaded', 'queued', 'processing', 'completed', 'failed'),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const getImport = {
+	params: Joi.object().keys({
+		importId: Joi.string().hex().length(24).required()
+	})
+};
+
+const previewImport = {
+	params: Joi.object().keys({
+		importId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		mapping: Joi.array()
+			.items(
+				Joi.object().keys({
+					column: Joi.string().required(),
+					field: Joi.string().required().trim()
+				})
+			)
+			.unique('column')
+			.min(1)
+			.required(),
+		duplicateStrategy: Joi.string().valid('skip', 'create').default('skip')
+	})
+};
+
+const startImport = {
+	params: Joi.object().keys({
+		importId: Joi.string().hex().length(24).required()
+	})
+};
+
+const getImportErrors = {
+	params: Joi.object().keys({
+		importId: Joi.string().hex().length(24).required()
+	})
+};
+
+export default {
+	getImports,
+	getImport,
+	previewImport,
+	startImport,
+	getImportErrors
+};
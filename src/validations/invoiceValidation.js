@@ -0,0 +1,122 @@
+import Joi from 'joi';
+
+const createFromEstimate = {
+	params: Joi.object().keys({
+		estimateId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		type: Joi.string().valid('full', 'deposit', 'milestone').required(),
+		milestones: Joi.when('type', {
+			is: 'milestone',
+			then: Joi.array()
+				.items(
+					Joi.object().keys({
+						name: Joi.string().required().trim(),
+						percentage: Joi.number().greater(0).max(100).required(),
+						dueDate: Joi.date(),
+						projectMilestone: Joi.string().hex().length(24)
+					})
+				)
+				.min(1)
+				.required(),
+			otherwise: Joi.forbidden()
+		}),
+		dueDate: Joi.date(),
+		notes: Joi.string().trim().allow('')
+	})
+};
+
+const getInvoices = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('draft', 'issued', 'partial', 'paid', 'overdue', 'cancelled'),
+		clientId: Joi.string().hex().length(24),
+		estimateId: Joi.string().hex().length(24),
+		projectId: Joi.string().hex().length(24),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const getInvoice = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	})
+};
+
+const updateInvoiceStatus = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		status: Joi.string().valid('issued', 'cancelled').required()
+	})
+};
+
+const recordPayment = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		amount: Joi.number().greater(0).required(),
+		method: Joi.string().valid('cash', 'bank_transfer', 'card', 'upi', 'cheque', 'other').required(),
+		reference: Joi.string().trim().allow(''),
+		notes: Joi.string().trim().allow(''),
+		paidAt: Joi.date()
+	})
+};
+
+const createPaymentOrder = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		amount: Joi.number().greater(0)
+	})
+};
+
+const createPaymentLink = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		amount: Joi.number().greater(0),
+		notifyClient: Joi.boolean().default(true),
+		expireBy: Joi.date().greater('now'),
+		callbackUrl: Joi.string().uri()
+	})
+};
+
+const verifyPayment = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		razorpay_order_id: Joi.string().required(),
+		razorpay_payment_id: Joi.string().required(),
+		razorpay_signature: Joi.string().required()
+	})
+};
+
+const simulatePayment = {
+	params: Joi.object().keys({
+		invoiceId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object()
+		.keys({
+			orderId: Joi.string(),
+			paymentLinkId: Joi.string()
+		})
+		.xor('orderId', 'paymentLinkId')
+};
+
+export default {
+	createFromEstimate,
+	getInvoices,
+	getInvoice,
+	updateInvoiceStatus,
+	recordPayment,
+	createPaymentOrder,
+	createPaymentLink,
+	verifyPayment,
+	simulatePayment
+};
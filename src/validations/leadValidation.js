@@ -126,11 +126,85 @@ const sendFollowUp = {
 	})
 };
 
+const getLeads = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('new', 'contacted', 'qualified', 'unqualified', 'converted', 'lost'),
+		assignedTo: Joi.string().hex().length(24),
+		search: Joi.string().trim(),
+		minScore: Joi.number(),
+		sortBy: Joi.string().valid('createdAt', 'updatedAt', 'score', 'budget', 'lastContactDate', 'nextFollowUpDate').default('createdAt'),
+		sortDirection: Joi.string().valid('asc', 'desc').default('desc'),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const exportLeads = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('new', 'contacted', 'qualified', 'unqualified', 'converted', 'lost'),
+		assignedTo: Joi.string().hex().length(24),
+		search: Joi.string().trim(),
+		minScore: Joi.number(),
+		format: Joi.string().valid('csv', 'xlsx', 'json').default('csv'),
+		columns: Joi.string().trim()
+	})
+};
+
+// The value a field rule compares with depends on its operator: a list for "in", a number for "gte"/"lte", and
+// whether the field is set for "exists"
+const scoringRuleValue = Joi.alternatives().conditional('operator', {
+	switch: [
+		{ is: 'in', then: Joi.array().items(Joi.string(), Joi.number()).min(1).required() },
+		{ is: Joi.valid('gte', 'lte'), then: Joi.number().required() },
+		{ is: 'exists', then: Joi.boolean().default(true) }
+	],
+	otherwise: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required()
+});
+
+const updateScoringRules = {
+	body: Joi.object().keys({
+		fieldRules: Joi.array().items(Joi.object().keys({
+			field: Joi.string().valid('budget', 'projectType', 'projectSize', 'source', 'preferredContactMethod', 'preferredContactTime', 'company', 'email', 'phone', 'location.city', 'location.state', 'location.country', 'tags').required(),
+			operator: Joi.string().valid('eq', 'in', 'gte', 'lte', 'exists').required(),
+			value: scoringRuleValue,
+			points: Joi.number().integer().min(-100).max(100).required(),
+			label: Joi.string().trim().max(100).allow('')
+		})).max(50).required(),
+		recency: Joi.array().items(Joi.object().keys({
+			withinDays: Joi.number().integer().min(0).required(),
+			points: Joi.number().integer().min(-100).max(100).required()
+		})).max(10).unique('withinDays').required(),
+		engagement: Joi.array().items(Joi.object().keys({
+			event: Joi.string().valid('note', 'follow_up', 'appointment', 'estimate_viewed', 'estimate_accepted').required(),
+			points: Joi.number().integer().min(-100).max(100).required(),
+			maxPoints: Joi.number().integer().min(0).allow(null)
+		})).unique('event').required()
+	})
+};
+
+const getDeletedLeads = {
+	query: Joi.object().keys({
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const restoreLead = {
+	params: Joi.object().keys({
+		leadId: Joi.string().hex().length(24).required()
+	})
+};
+
 export default {
 	createLead,
 	updateLead,
 	updateLeadStatus,
 	addNote,
 	convertToProject,
-	sendFollowUp
+	sendFollowUp,
+	getLeads,
+	exportLeads,
+	updateScoringRules,
+	getDeletedLeads,
+	restoreLead
 };
@@ -320,6 +320,12 @@ const generateShareToken = {
 	})
 };
 
+const getMoodboardByToken = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	})
+};
+
 const generateAISuggestions = {
 	body: Joi.object().keys({
 		projectDescription: Joi.string().required().trim(),
@@ -355,6 +361,19 @@ const createMoodboardFromAI = {
 	})
 };
 
+const getDeletedMoodboards = {
+	query: Joi.object().keys({
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const restoreMoodboard = {
+	params: Joi.object().keys({
+		moodboardId: Joi.string().hex().length(24).required()
+	})
+};
+
 export default {
 	createMoodboard,
 	updateMoodboard,
@@ -364,6 +383,9 @@ export default {
 	addComment,
 	addReply,
 	generateShareToken,
+	getMoodboardByToken,
 	generateAISuggestions,
-	createMoodboardFromAI
+	createMoodboardFromAI,
+	getDeletedMoodboards,
+	restoreMoodboard
 };
@@ -143,6 +143,30 @@ const addDocument = {
 	})
 };
 
+const exportProjects = {
+	query: Joi.object().keys({
+		status: Joi.string().valid('planning', 'design', 'development', 'review', 'approval', 'execution', 'completed', 'on_hold', 'cancelled'),
+		clientId: Joi.string().hex().length(24),
+		teamMember: Joi.string().hex().length(24),
+		search: Joi.string().trim(),
+		format: Joi.string().valid('csv', 'xlsx', 'json').default('csv'),
+		columns: Joi.string().trim()
+	})
+};
+
+const getDeletedProjects = {
+	query: Joi.object().keys({
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const restoreProject = {
+	params: Joi.object().keys({
+		projectId: Joi.string().hex().length(24).required()
+	})
+};
+
 export default {
 	createProject,
 	updateProject,
@@ -151,5 +175,8 @@ export default {
 	addMilestone,
 	updateMilestone,
 	addNote,
-	addDocument
+	addDocument,
+	exportProjects,
+	getDeletedProjects,
+	restoreProject
 };
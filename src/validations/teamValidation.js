@@ -11,6 +11,7 @@ const createTeam = {
 			allowMemberInvites: Joi.boolean().default(true),
 			requireApprovalForJoins: Joi.boolean().default(false),
 			allowCrossTeamAccess: Joi.boolean().default(false),
+			requireTwoFactor: Joi.boolean().default(false),
 			notificationSettings: Joi.object().keys({
 				email: Joi.boolean().default(true),
 				whatsapp: Joi.boolean().default(false),
@@ -113,6 +114,71 @@ const checkUserPermission = {
 	})
 };
 
+const getEffectivePermissions = {
+	params: Joi.object().keys({
+		teamId: Joi.string().hex().length(24).required()
+	}),
+	query: Joi.object().keys({
+		userId: Joi.string().hex().length(24)
+	})
+};
+
+const updateTwoFactorRequirement = {
+	params: Joi.object().keys({
+		teamId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		required: Joi.boolean().required()
+	})
+};
+
+const createInvitation = {
+	params: Joi.object().keys({
+		teamId: Joi.string().hex().length(24).required()
+	}),
+	body: Joi.object().keys({
+		email: Joi.string().email().required(),
+		role: Joi.string().valid('team_lead', 'senior_member', 'member', 'contributor', 'observer').default('member'),
+		message: Joi.string().trim().max(1000).allow('')
+	})
+};
+
+const getInvitations = {
+	params: Joi.object().keys({
+		teamId: Joi.string().hex().length(24).required()
+	}),
+	query: Joi.object().keys({
+		status: Joi.string().valid('pending', 'awaiting_approval', 'accepted', 'declined', 'rejected', 'revoked', 'expired'),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const manageInvitation = {
+	params: Joi.object().keys({
+		teamId: Joi.string().hex().length(24).required(),
+		invitationId: Joi.string().hex().length(24).required()
+	})
+};
+
+const invitationToken = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	})
+};
+
+const registerWithInvitation = {
+	params: Joi.object().keys({
+		token: Joi.string().hex().length(64).required()
+	}),
+	body: Joi.object().keys({
+		firstName: Joi.string().trim().min(2).max(66).required(),
+		lastName: Joi.string().trim().min(2).max(66).required(),
+		userName: Joi.string().alphanum().min(6).max(66).required(),
+		password: Joi.string().trim().min(6).max(666).required()
+	})
+};
+
 export default {
 	createTeam,
 	updateTeam,
@@ -122,6 +188,13 @@ export default {
 	getTeamMembers,
 	getUserTeams,
 	getTeamsByType,
-	checkUserPermission
+	checkUserPermission,
+	getEffectivePermissions,
+	updateTwoFactorRequirement,
+	createInvitation,
+	getInvitations,
+	manageInvitation,
+	invitationToken,
+	registerWithInvitation
 };
 
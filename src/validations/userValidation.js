@@ -50,4 +50,16 @@ export const deleteUser = {
 	})
 };
 
-export default { createUser, getUsers, getUser, updateUser, deleteUser };
+export const getLockout = {
+	params: Joi.object().keys({
+		userId: Joi.string().custom(mongoId).required()
+	})
+};
+
+export const unlockUser = {
+	params: Joi.object().keys({
+		userId: Joi.string().custom(mongoId).required()
+	})
+};
+
+export default { createUser, getUsers, getUser, updateUser, deleteUser, getLockout, unlockUser };
@@ -0,0 +1,75 @@
+import Joi from 'joi';
+import { publicUrl } from './customValidation';
+
+const events = ['lead.created', 'estimate.accepted', 'project.status_changed', 'payment.received'];
+
+const endpointParams = {
+	endpointId: Joi.string().hex().length(24).required()
+};
+
+const createEndpoint = {
+	body: Joi.object().keys({
+		url: Joi.string().required().uri({ scheme: ['https', 'http'] }).custom(publicUrl),
+		description: Joi.string().trim().max(500).allow(''),
+		events: Joi.array()
+			.items(Joi.string().valid(...events))
+			.min(1)
+			.unique()
+			.required(),
+		enabled: Joi.boolean()
+	})
+};
+
+const getEndpoints = {
+	query: Joi.object().keys({
+		event: Joi.string().valid(...events),
+		enabled: Joi.boolean(),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const updateEndpoint = {
+	params: Joi.object().keys(endpointParams),
+	body: Joi.object()
+		.keys({
+			url: Joi.string().uri({ scheme: ['https', 'http'] }).custom(publicUrl),
+			description: Joi.string().trim().max(500).allow(''),
+			events: Joi.array()
+				.items(Joi.string().valid(...events))
+				.min(1)
+				.unique(),
+			enabled: Joi.boolean()
+		})
+		.min(1)
+};
+
+const getDeliveries = {
+	params: Joi.object().keys(endpointParams),
+	query: Joi.object().keys({
+		status: Joi.string().valid('pending', 'succeeded', 'failed'),
+		event: Joi.string().valid('ping', ...events),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const deliveryParams = {
+	params: Joi.object().keys({
+		...endpointParams,
+		deliveryId: Joi.string().hex().length(24).required()
+	})
+};
+
+export default {
+	createEndpoint,
+	getEndpoints,
+	getEndpoint: { params: Joi.object().keys(endpointParams) },
+	updateEndpoint,
+	deleteEndpoint: { params: Joi.object().keys(endpointParams) },
+	rotateSecret: { params: Joi.object().keys(endpointParams) },
+	pingEndpoint: { params: Joi.object().keys(endpointParams) },
+	getDeliveries,
+	getDelivery: deliveryParams,
+	redeliver: deliveryParams
+};
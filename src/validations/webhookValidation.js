@@ -0,0 +1,25 @@
+import Joi from 'joi';
+
+const getWebhookEvents = {
+	query: Joi.object().keys({
+		provider: Joi.string().valid('razorpay', 'twilio', 'openai', 'google'),
+		status: Joi.string().valid('received', 'processing', 'processed', 'failed', 'rejected'),
+		eventType: Joi.string().max(100),
+		from: Joi.date().iso(),
+		to: Joi.date().iso().min(Joi.ref('from')),
+		page: Joi.number().integer().min(1),
+		limit: Joi.number().integer().min(1).max(100)
+	})
+};
+
+const webhookEventParams = {
+	params: Joi.object().keys({
+		webhookEventId: Joi.string().hex().length(24).required()
+	})
+};
+
+export default {
+	getWebhookEvents,
+	getWebhookEvent: webhookEventParams,
+	replayWebhookEvent: webhookEventParams
+};